@@ -0,0 +1,257 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+/*!
+ * The names of the Likelihood enum values, which are the same in every API
+ * version.
+ */
+const LIKELIHOODS = [
+  'UNKNOWN',
+  'VERY_UNLIKELY',
+  'UNLIKELY',
+  'POSSIBLE',
+  'LIKELY',
+  'VERY_LIKELY',
+];
+
+/*!
+ * The SafeSearchAnnotation fields holding likelihoods.
+ */
+const SAFE_SEARCH_CATEGORIES = [
+  'adult',
+  'spoof',
+  'medical',
+  'violence',
+  'racy',
+];
+
+/*!
+ * Convert a likelihood to its name.
+ *
+ * @param {number|string} value The enum value, or its name.
+ * @returns {string} The name.
+ */
+const _likelihoodName = value => {
+  return is.number(value) ? LIKELIHOODS[value] || LIKELIHOODS[0] : value;
+};
+
+/*!
+ * Convert the `*Likelihood` fields of a face annotation to names.
+ */
+const _unwrapFace = face => {
+  const result = Object.assign({}, face);
+  for (const key of Object.keys(result)) {
+    if (/Likelihood$/.test(key)) {
+      result[key] = _likelihoodName(result[key]);
+    }
+  }
+  return result;
+};
+
+/*!
+ * Extract the text and the blocks from a text detection response.
+ *
+ * When both text and document text detection are requested, the response
+ * holds the text of each: text detection in the first of the
+ * `textAnnotations`, and document text detection in the
+ * `fullTextAnnotation`. The other one is only used if it is missing.
+ *
+ * @param {object} response An object representing an AnnotateImageResponse.
+ * @param {boolean} document Whether to read the text of document text
+ *   detection, rather than text detection.
+ * @returns {object} The `text`, and the `blocks` of the full text annotation.
+ */
+const _unwrapText = (response, document) => {
+  const full = response.fullTextAnnotation;
+  const annotations = response.textAnnotations || [];
+  const fullText = (full && full.text) || '';
+  const entityText = (annotations[0] && annotations[0].description) || '';
+  const text = document ? fullText || entityText : entityText || fullText;
+  const blocks = [];
+  for (const page of (full && full.pages) || []) {
+    for (const block of page.blocks || []) {
+      blocks.push(block);
+    }
+  }
+  return {text, blocks};
+};
+
+/*!
+ * The friendly aliases accepted by #analyze. Each maps to the feature type
+ * it requests, and a function extracting its result from an
+ * AnnotateImageResponse.
+ */
+const FEATURE_ALIASES = {
+  faces: {
+    type: 'FACE_DETECTION',
+    unwrap: r => (r.faceAnnotations || []).map(_unwrapFace),
+  },
+  landmarks: {
+    type: 'LANDMARK_DETECTION',
+    unwrap: r => r.landmarkAnnotations || [],
+  },
+  logos: {type: 'LOGO_DETECTION', unwrap: r => r.logoAnnotations || []},
+  labels: {type: 'LABEL_DETECTION', unwrap: r => r.labelAnnotations || []},
+  text: {type: 'TEXT_DETECTION', unwrap: r => _unwrapText(r, false)},
+  document: {
+    type: 'DOCUMENT_TEXT_DETECTION',
+    unwrap: r => _unwrapText(r, true),
+  },
+  safeSearch: {
+    type: 'SAFE_SEARCH_DETECTION',
+    unwrap: r => {
+      const annotation = r.safeSearchAnnotation || {};
+      const result = {};
+      for (const category of SAFE_SEARCH_CATEGORIES) {
+        result[category] = _likelihoodName(annotation[category] || 0);
+      }
+      return result;
+    },
+  },
+  colors: {
+    type: 'IMAGE_PROPERTIES',
+    unwrap: r => {
+      const properties = r.imagePropertiesAnnotation;
+      return ((properties && properties.dominantColors) || {}).colors || [];
+    },
+  },
+  cropHints: {
+    type: 'CROP_HINTS',
+    unwrap: r => (r.cropHintsAnnotation || {}).cropHints || [],
+  },
+  web: {type: 'WEB_DETECTION', unwrap: r => r.webDetection || {}},
+  objects: {
+    type: 'OBJECT_LOCALIZATION',
+    unwrap: r => r.localizedObjectAnnotations || [],
+  },
+  products: {
+    type: 'PRODUCT_SEARCH',
+    unwrap: r => r.productSearchResults || {},
+  },
+};
+
+/*!
+ * The models a feature may request.
+ */
+const MODELS = ['builtin/stable', 'builtin/latest'];
+
+/*!
+ * The features that `maxResults` does not apply to, because the API returns
+ * a single annotation for them.
+ */
+const SINGLE_RESULT_FEATURES = [
+  'TEXT_DETECTION',
+  'DOCUMENT_TEXT_DETECTION',
+  'CROP_HINTS',
+  'SAFE_SEARCH_DETECTION',
+];
+
+/*!
+ * Build a single feature, checking that its options make sense for it.
+ *
+ * @param {string} type The name of the feature type.
+ * @param {object} [options] The options, which may hold `maxResults` and
+ *   `model`.
+ * @returns {object} The feature.
+ * @throws {Error} If `maxResults` or `model` is invalid for the feature.
+ */
+const buildFeature = (type, options) => {
+  options = options || {};
+  const feature = {type};
+  if (!is.undefined(options.maxResults)) {
+    if (SINGLE_RESULT_FEATURES.indexOf(type) > -1) {
+      throw new Error(`The maxResults option does not apply to ${type}.`);
+    }
+    if (!is.integer(options.maxResults) || options.maxResults < 1) {
+      throw new Error('The maxResults option must be a positive integer.');
+    }
+    feature.maxResults = options.maxResults;
+  }
+  if (!is.undefined(options.model)) {
+    if (MODELS.indexOf(options.model) === -1) {
+      throw new Error(
+        `Unknown model "${options.model}" for ${type}. ` +
+          `Use one of: ${MODELS.join(', ')}.`
+      );
+    }
+    feature.model = options.model;
+  }
+  return feature;
+};
+
+/*!
+ * Build the features list for a set of aliases.
+ *
+ * @param {string[]} aliases The aliases requested.
+ * @param {object} options The options for #analyze, which may hold
+ *   `{maxResults, model}` under each alias.
+ * @param {object} available The Feature.Type enum of the API version.
+ * @returns {object[]} The features.
+ * @throws {Error} If an alias is unknown, its feature is not available in
+ *   this API version, or its options are invalid.
+ */
+const buildFeatures = (aliases, options, available) => {
+  if (!is.array(aliases) || aliases.length === 0) {
+    throw new Error('At least one feature must be requested.');
+  }
+  return aliases.map(alias => {
+    const entry = FEATURE_ALIASES.hasOwnProperty(alias)
+      ? FEATURE_ALIASES[alias]
+      : null;
+    if (!entry) {
+      throw new Error(
+        `Unknown feature "${alias}". Use one of: ` +
+          `${Object.keys(FEATURE_ALIASES).join(', ')}.`
+      );
+    }
+    if (is.undefined(available[entry.type])) {
+      throw new Error(
+        `The "${alias}" feature is not available in this API version.`
+      );
+    }
+    return buildFeature(entry.type, options[alias]);
+  });
+};
+
+/*!
+ * Extract the results for a set of aliases from a response.
+ *
+ * @param {object} response An object representing an AnnotateImageResponse.
+ * @param {string[]} aliases The aliases requested.
+ * @returns {object} An object with a key for each alias, and an `error` key
+ *   if the response reports a failure.
+ */
+const unwrapResponse = (response, aliases) => {
+  response = response || {};
+  const result = {};
+  for (const alias of aliases) {
+    result[alias] = FEATURE_ALIASES[alias].unwrap(response);
+  }
+  if (response.error && (response.error.code || response.error.message)) {
+    result.error = response.error;
+  }
+  return result;
+};
+
+module.exports.FEATURE_ALIASES = FEATURE_ALIASES;
+module.exports.likelihoodName = _likelihoodName;
+module.exports.buildFeature = buildFeature;
+module.exports.buildFeatures = buildFeatures;
+module.exports.unwrapResponse = unwrapResponse;
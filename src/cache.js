@@ -0,0 +1,372 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const is = require('is');
+const path = require('path');
+
+/*!
+ * The number of entries a MemoryStore keeps when no limit is given.
+ */
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/*!
+ * Serialize a value to JSON with object keys in sorted order, so equal
+ * values always produce the same string.
+ *
+ * @param {*} value The value to serialize.
+ * @returns {string} The JSON.
+ */
+const _canonicalJson = value => {
+  if (is.array(value)) {
+    return `[${value.map(_canonicalJson).join(',')}]`;
+  }
+  if (is.object(value)) {
+    const keys = Object.keys(value)
+      .filter(key => !is.undefined(value[key]))
+      .sort();
+    const members = keys.map(
+      key => `${JSON.stringify(key)}:${_canonicalJson(value[key])}`
+    );
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/*!
+ * Compute the SHA-256 digest of a value, in hex.
+ */
+const _sha256 = value => {
+  return crypto
+    .createHash('sha256')
+    .update(value)
+    .digest('hex');
+};
+
+/**
+ * An in-memory store which discards the least recently used entries once it
+ * holds `maxEntries` of them.
+ *
+ * Like every store, it implements `get(key, callback)` and
+ * `set(key, value, ttl, callback)`; see {@link ResponseCache} for how to
+ * write your own.
+ *
+ * @class
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.maxEntries=1000] The number of entries to keep.
+ */
+class MemoryStore {
+  constructor(options) {
+    options = Object.assign({maxEntries: DEFAULT_MAX_ENTRIES}, options);
+    this.maxEntries = options.maxEntries;
+    this._entries = new Map();
+  }
+
+  /**
+   * Look up an entry.
+   *
+   * @param {string} key The key.
+   * @param {function(?Error, *)} callback Called with the value, or
+   *     `undefined` if there is no current entry.
+   */
+  get(key, callback) {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return callback(null, undefined);
+    }
+    this._entries.delete(key);
+    if (entry.expires && entry.expires <= Date.now()) {
+      return callback(null, undefined);
+    }
+
+    // Re-insert the entry to mark it as the most recently used.
+    this._entries.set(key, entry);
+    callback(null, JSON.parse(entry.json));
+  }
+
+  /**
+   * Store an entry.
+   *
+   * @param {string} key The key.
+   * @param {*} value The value. It is stored as JSON, so later changes to the
+   *     object do not affect the stored copy.
+   * @param {number} [ttl] How long the entry lives, in milliseconds.
+   * @param {function(?Error)} callback Called once the entry is stored.
+   */
+  set(key, value, ttl, callback) {
+    this._entries.delete(key);
+    this._entries.set(key, {
+      json: JSON.stringify(value),
+      expires: ttl ? Date.now() + ttl : null,
+    });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    callback(null);
+  }
+}
+
+/**
+ * A store which keeps each entry as a JSON file in a directory.
+ *
+ * @class
+ * @param {object} options Configuration.
+ * @param {string} options.directory The directory to keep the files in. It
+ *     is created if it does not exist, but its parent must.
+ */
+class FileStore {
+  constructor(options) {
+    if (!options || !is.string(options.directory)) {
+      throw new Error('A FileStore needs a directory.');
+    }
+    this.directory = options.directory;
+  }
+
+  /*!
+   * The file holding an entry.
+   */
+  _file(key) {
+    return path.join(this.directory, `${_sha256(key)}.json`);
+  }
+
+  /**
+   * Look up an entry.
+   *
+   * @param {string} key The key.
+   * @param {function(?Error, *)} callback Called with the value, or
+   *     `undefined` if there is no current entry.
+   */
+  get(key, callback) {
+    const file = this._file(key);
+    fs.readFile(file, 'utf8', (err, json) => {
+      if (err) {
+        return callback(err.code === 'ENOENT' ? null : err, undefined);
+      }
+      let entry;
+      try {
+        entry = JSON.parse(json);
+      } catch (err) {
+        return callback(err);
+      }
+      if (entry.expires && entry.expires <= Date.now()) {
+        return fs.unlink(file, () => callback(null, undefined));
+      }
+      callback(null, entry.value);
+    });
+  }
+
+  /**
+   * Store an entry.
+   *
+   * @param {string} key The key.
+   * @param {*} value The value, which must be serializable as JSON.
+   * @param {number} [ttl] How long the entry lives, in milliseconds.
+   * @param {function(?Error)} callback Called once the entry is stored.
+   */
+  set(key, value, ttl, callback) {
+    const file = this._file(key);
+    const json = JSON.stringify({
+      expires: ttl ? Date.now() + ttl : null,
+      value,
+    });
+    fs.mkdir(this.directory, err => {
+      if (err && err.code !== 'EEXIST') {
+        return callback(err);
+      }
+
+      // Write to a temporary file first, so that readers never see a
+      // partially written entry.
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFile(temp, json, err => {
+        if (err) {
+          return callback(err);
+        }
+        fs.rename(temp, file, callback);
+      });
+    });
+  }
+}
+
+/**
+ * A cache of Vision API responses, keyed by the image and the annotation
+ * requested for it.
+ *
+ * The key is a hash of the image bytes, the features (normalized so that
+ * their order does not matter) and the image context. Images the Vision API
+ * fetches from a URI are not cached, since the image behind the URI may
+ * change, unless `cacheImageUris` is set; they are then keyed by the URI.
+ *
+ * Entries are kept in a store. Any object with these methods can be used,
+ * which makes it possible to keep the cache in Redis, Memcached and so on:
+ *
+ * - `get(key, callback)` calls `callback(err, value)`, with `undefined` as
+ *   the value if there is no current entry for the key.
+ * - `set(key, value, ttl, callback)` stores the value, which is
+ *   serializable as JSON, for `ttl` milliseconds (forever if `ttl` is
+ *   not set), then calls `callback(err)`.
+ *
+ * Store failures are counted in `errors`, but never fail an annotation:
+ * a lookup which fails is treated as a miss.
+ *
+ * @class
+ * @param {object} [options] Optional parameters.
+ * @param {object} [options.store] The store. Defaults to a new
+ *     {@link MemoryStore}.
+ * @param {number} [options.ttl] How long entries live, in milliseconds.
+ *     By default they live until the store discards them.
+ * @param {boolean} [options.cacheImageUris=false] Whether to cache the
+ *     responses for images given by URI.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const cache = new vision.ResponseCache({
+ *   store: new vision.FileStore({directory: '/tmp/vision-cache'}),
+ *   ttl: 24 * 60 * 60 * 1000,
+ * });
+ * const client = new vision.ImageAnnotatorClient({cache});
+ *
+ * client
+ *   .labelDetection('./image.jpg')
+ *   .then(() => client.labelDetection('./image.jpg'))
+ *   .then(() => {
+ *     console.log(cache.hits, cache.misses); // 1 1
+ *   });
+ */
+class ResponseCache {
+  constructor(options) {
+    options = options || {};
+    this.store = options.store || new MemoryStore();
+    this.ttl = options.ttl;
+    this.cacheImageUris = !!options.cacheImageUris;
+
+    /**
+     * The number of lookups which found a response.
+     *
+     * @name ResponseCache#hits
+     * @type {number}
+     */
+    this.hits = 0;
+
+    /**
+     * The number of lookups which did not find a response.
+     *
+     * @name ResponseCache#misses
+     * @type {number}
+     */
+    this.misses = 0;
+
+    /**
+     * The number of store operations which failed.
+     *
+     * @name ResponseCache#errors
+     * @type {number}
+     */
+    this.errors = 0;
+  }
+
+  /**
+   * Compute the key for a request.
+   *
+   * @param {object} request An object representing an AnnotateImageRequest,
+   *     with the image given as `content` or `source.imageUri`.
+   * @param {function(*): string} [featureName] Maps a feature type to its
+   *     name, so that numeric and string types key the same way.
+   * @returns {?string} The key, or null if the request is not cached.
+   */
+  keyFor(request, featureName) {
+    const image = request.image || {};
+    let imageKey;
+    if (!is.undefined(image.content) && image.content !== null) {
+      const content = Buffer.isBuffer(image.content)
+        ? image.content
+        : Buffer.from(image.content, 'base64');
+      imageKey = `content:${_sha256(content)}`;
+    } else if (image.source && image.source.imageUri && this.cacheImageUris) {
+      imageKey = `uri:${image.source.imageUri}`;
+    } else {
+      return null;
+    }
+
+    featureName = featureName || (type => type);
+    const features = (request.features || [])
+      .map(feature =>
+        _canonicalJson(
+          Object.assign({}, feature, {type: featureName(feature.type)})
+        )
+      )
+      .sort();
+    return _sha256(
+      _canonicalJson([imageKey, features, request.imageContext || null])
+    );
+  }
+
+  /**
+   * Look up the response for a key.
+   *
+   * @param {string} key The key, from {@link ResponseCache#keyFor}.
+   * @param {function(?Error, ?object)} callback Called with the response, or
+   *     `undefined` on a miss.
+   */
+  get(key, callback) {
+    this.store.get(key, (err, value) => {
+      if (err) {
+        this.errors++;
+        value = undefined;
+      }
+      if (is.undefined(value)) {
+        this.misses++;
+      } else {
+        this.hits++;
+      }
+      callback(null, value);
+    });
+  }
+
+  /**
+   * Store the response for a key.
+   *
+   * @param {string} key The key, from {@link ResponseCache#keyFor}.
+   * @param {object} response An object representing an
+   *     AnnotateImageResponse.
+   * @param {function(?Error)} [callback] Called once the response is stored.
+   */
+  set(key, response, callback) {
+    this.store.set(key, response, this.ttl, err => {
+      if (err) {
+        this.errors++;
+      }
+      if (callback) {
+        callback(null);
+      }
+    });
+  }
+
+  /**
+   * Get the hit and miss counters.
+   *
+   * @returns {object} An object with `hits`, `misses` and `errors`.
+   */
+  stats() {
+    return {hits: this.hits, misses: this.misses, errors: this.errors};
+  }
+}
+
+module.exports.FileStore = FileStore;
+module.exports.MemoryStore = MemoryStore;
+module.exports.ResponseCache = ResponseCache;
@@ -0,0 +1,550 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {eachLimit} = require('./limit');
+const {LocationName} = require('./resource_names');
+
+/*!
+ * The maximum number of calls #syncCatalog makes at once by default.
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/*!
+ * The google.rpc.Code of the error returned for a missing product set.
+ */
+const NOT_FOUND = 5;
+
+/*!
+ * The form of a full location name, as opposed to a location ID.
+ */
+const LOCATION_NAME = /^projects\/[^/]+\/locations\/[^/]+$/;
+
+/*!
+ * The fields of a Product which can be updated, with their names in an
+ * update mask.
+ */
+const UPDATABLE_FIELDS = {
+  displayName: 'display_name',
+  description: 'description',
+  productLabels: 'product_labels',
+};
+
+/*!
+ * Copy the given fields of an object, leaving out the undefined ones.
+ */
+const _pick = (object, fields) => {
+  const picked = {};
+  for (const field of fields) {
+    if (!is.undefined(object[field])) {
+      picked[field] = object[field];
+    }
+  }
+  return picked;
+};
+
+/*!
+ * Determine whether a field of a desired product matches the product as it
+ * is. Labels match regardless of their order.
+ */
+const _sameField = (field, desired, current) => {
+  if (field === 'productLabels') {
+    const labels = list => {
+      return (list || []).map(label => `${label.key}=${label.value}`).sort();
+    };
+    return labels(desired).join('\n') === labels(current).join('\n');
+  }
+  return (desired || '') === (current || '');
+};
+
+/*!
+ * Determine whether a reference image matches a desired one: it has the
+ * same URI, and the ID and bounding polys given for the desired image, if
+ * any.
+ */
+const _sameImage = (desired, current) => {
+  if (desired.uri !== current.uri) {
+    return false;
+  }
+  if (
+    desired.referenceImageId &&
+    !current.name.endsWith(`/referenceImages/${desired.referenceImageId}`)
+  ) {
+    return false;
+  }
+  if (desired.boundingPolys) {
+    const polys = list => {
+      return JSON.stringify(
+        (list || []).map(poly => {
+          return (poly.vertices || []).map(vertex => {
+            return [vertex.x || 0, vertex.y || 0];
+          });
+        })
+      );
+    };
+    return polys(desired.boundingPolys) === polys(current.boundingPolys);
+  }
+  return true;
+};
+
+/*!
+ * Check the desired state of a catalog.
+ *
+ * @param {object[]} desired The desired products.
+ * @returns {object[]} The products, with their reference images given as
+ *   strings turned into objects.
+ * @throws {Error} If the desired state is invalid.
+ */
+const _readDesired = desired => {
+  if (!is.array(desired)) {
+    throw new Error('The desired state must be an array of products.');
+  }
+  const ids = new Set();
+  return desired.map((product, i) => {
+    if (!is.object(product) || !is.string(product.productId)) {
+      throw new Error(`Product ${i} of the desired state has no productId.`);
+    }
+    const id = product.productId;
+    if (ids.has(id)) {
+      throw new Error(`Product ${id} is in the desired state more than once.`);
+    }
+    ids.add(id);
+    if (is.undefined(product.referenceImages)) {
+      return product;
+    }
+    if (!is.array(product.referenceImages)) {
+      throw new Error(`The referenceImages of product ${id} must be an array.`);
+    }
+    const uris = new Set();
+    const referenceImages = product.referenceImages.map(image => {
+      image = is.string(image) ? {uri: image} : image;
+      if (!is.object(image) || !/^gs:\/\/./.test(image.uri)) {
+        throw new Error(
+          `The reference images of product ${id} must have a gs:// uri.`
+        );
+      }
+      if (uris.has(image.uri)) {
+        throw new Error(
+          `The reference image ${image.uri} of product ${id} is given more ` +
+            'than once.'
+        );
+      }
+      uris.add(image.uri);
+      return image;
+    });
+    return Object.assign({}, product, {referenceImages});
+  });
+};
+
+/*!
+ * Read the state of the catalog which the desired state is compared with.
+ *
+ * @param {object} client The ProductSearchClient.
+ * @param {object[]} desired The desired products.
+ * @param {object} names The `location` and `productSet` names.
+ * @param {number} concurrency The maximum number of calls at once.
+ * @param {function(?Error, object)} callback Called with the catalog, as an
+ *   object with the `products` of the location by ID, the IDs of the
+ *   `members` of the product set, whether the product set exists
+ *   (`hasProductSet`), and the reference `images` of the desired products
+ *   which exist, by product ID.
+ */
+const _readCatalog = (client, desired, names, concurrency, callback) => {
+  const catalog = {
+    products: new Map(),
+    members: new Set(),
+    hasProductSet: false,
+    images: new Map(),
+  };
+  client.listProducts({parent: names.location}, (err, products) => {
+    if (err) {
+      return callback(err);
+    }
+    for (const product of products) {
+      catalog.products.set(
+        client.matchProductFromProductName(product.name),
+        product
+      );
+    }
+
+    const readImages = () => {
+      const imaged = desired.filter(product => {
+        return (
+          product.referenceImages && catalog.products.has(product.productId)
+        );
+      });
+      eachLimit(
+        imaged,
+        concurrency,
+        (product, i, next) => {
+          const parent = catalog.products.get(product.productId).name;
+          client.listReferenceImages({parent}, (err, images) => {
+            if (!err) {
+              catalog.images.set(product.productId, images);
+            }
+            next(err);
+          });
+        },
+        err => callback(err, err ? undefined : catalog)
+      );
+    };
+
+    if (!names.productSet) {
+      return readImages();
+    }
+    client.listProductsInProductSet(
+      {name: names.productSet},
+      (err, members) => {
+        if (err && err.code !== NOT_FOUND) {
+          return callback(err);
+        }
+        catalog.hasProductSet = !err;
+        for (const product of members || []) {
+          catalog.members.add(client.matchProductFromProductName(product.name));
+        }
+        readImages();
+      }
+    );
+  });
+};
+
+/*!
+ * Plan the calls which bring the catalog to the desired state.
+ *
+ * @param {object} client The ProductSearchClient.
+ * @param {object[]} desired The desired products.
+ * @param {object} catalog The catalog, as read by `_readCatalog`.
+ * @param {object} names The `location` and `productSet` names, and the
+ *   `productSetId`.
+ * @returns {object[]} The operations, each with the client `method` to call,
+ *   its `request`, a `description`, and the operations it must come
+ *   `after`.
+ * @throws {Error} If the desired state cannot be reached.
+ */
+const _plan = (client, desired, catalog, names) => {
+  const operations = [];
+  const add = (method, request, description, after) => {
+    const operation = {
+      method,
+      request,
+      description,
+      after: (after || []).filter(operation => operation),
+    };
+    operations.push(operation);
+    return operation;
+  };
+
+  let createProductSet = null;
+  if (names.productSet && !catalog.hasProductSet) {
+    createProductSet = add(
+      'createProductSet',
+      {
+        parent: names.location,
+        productSet: {displayName: names.productSetId},
+        productSetId: names.productSetId,
+      },
+      `create product set ${names.productSetId}`
+    );
+  }
+
+  // The products in scope which are not desired are removed: from the
+  // product set only, as other sets may share them, or from the location.
+  const ids = new Set(desired.map(product => product.productId));
+  const scope = names.productSet
+    ? Array.from(catalog.members)
+    : Array.from(catalog.products.keys());
+  for (const id of scope.sort()) {
+    if (ids.has(id) || !catalog.products.has(id)) {
+      continue;
+    }
+    const name = catalog.products.get(id).name;
+    if (names.productSet) {
+      add(
+        'removeProductFromProductSet',
+        {name: names.productSet, product: name},
+        `remove product ${id} from product set ${names.productSetId}`
+      );
+    } else {
+      add('deleteProduct', {name}, `delete product ${id}`);
+    }
+  }
+
+  for (const product of desired) {
+    const id = product.productId;
+    const current = catalog.products.get(id);
+    const name = current
+      ? current.name
+      : client.productPath(
+          client.matchProjectFromLocationName(names.location),
+          client.matchLocationFromLocationName(names.location),
+          id
+        );
+
+    let createProduct = null;
+    if (!current) {
+      if (!product.displayName || !product.productCategory) {
+        throw new Error(
+          `Product ${id} needs a displayName and a productCategory to be ` +
+            'created.'
+        );
+      }
+      createProduct = add(
+        'createProduct',
+        {
+          parent: names.location,
+          product: _pick(product, [
+            'displayName',
+            'description',
+            'productCategory',
+            'productLabels',
+          ]),
+          productId: id,
+        },
+        `create product ${id}`
+      );
+    } else {
+      if (
+        product.productCategory &&
+        product.productCategory !== current.productCategory
+      ) {
+        throw new Error(
+          `The category of product ${id} cannot be changed from ` +
+            `${current.productCategory} to ${product.productCategory}.`
+        );
+      }
+      const changed = Object.keys(UPDATABLE_FIELDS).filter(field => {
+        return (
+          !is.undefined(product[field]) &&
+          !_sameField(field, product[field], current[field])
+        );
+      });
+      if (changed.length > 0) {
+        const paths = changed.map(field => UPDATABLE_FIELDS[field]);
+        add(
+          'updateProduct',
+          {
+            product: Object.assign({name}, _pick(product, changed)),
+            updateMask: {paths},
+          },
+          `update the ${paths.join(', ')} of product ${id}`
+        );
+      }
+    }
+
+    if (product.referenceImages) {
+      const existing = catalog.images.get(id) || [];
+      for (const image of existing) {
+        const kept = product.referenceImages.some(wanted => {
+          return _sameImage(wanted, image);
+        });
+        if (!kept) {
+          add(
+            'deleteReferenceImage',
+            {name: image.name},
+            `delete reference image ${image.uri} of product ${id}`
+          );
+        }
+      }
+      for (const image of product.referenceImages) {
+        if (existing.some(other => _sameImage(image, other))) {
+          continue;
+        }
+        // An image replacing one with the same URI is created once the old
+        // one is deleted, in case it reuses its ID.
+        const replaced = operations.filter(operation => {
+          return (
+            operation.method === 'deleteReferenceImage' &&
+            existing.some(other => {
+              return (
+                other.name === operation.request.name && other.uri === image.uri
+              );
+            })
+          );
+        });
+        const request = {
+          parent: name,
+          referenceImage: _pick(image, ['uri', 'boundingPolys']),
+        };
+        if (image.referenceImageId) {
+          request.referenceImageId = image.referenceImageId;
+        }
+        add(
+          'createReferenceImage',
+          request,
+          `create reference image ${image.uri} of product ${id}`,
+          [createProduct].concat(replaced)
+        );
+      }
+    }
+
+    if (names.productSet && !catalog.members.has(id)) {
+      add(
+        'addProductToProductSet',
+        {name: names.productSet, product: name},
+        `add product ${id} to product set ${names.productSetId}`,
+        [createProduct, createProductSet]
+      );
+    }
+  }
+  return operations;
+};
+
+/*!
+ * Apply the planned operations: first those which depend on no other, then
+ * the others, unless an operation they depend on failed.
+ */
+const _apply = (client, operations, concurrency, callback) => {
+  const run = (operation, i, next) => {
+    const failed = operation.after.filter(other => other.status !== 'done');
+    if (failed.length > 0) {
+      operation.status = 'skipped';
+      operation.error = new Error(
+        `Skipped because "${failed[0].description}" failed.`
+      );
+      return next(null);
+    }
+    client[operation.method](operation.request, (err, result) => {
+      if (err) {
+        operation.status = 'failed';
+        operation.error = err;
+      } else {
+        operation.status = 'done';
+        operation.result = result;
+      }
+      next(null);
+    });
+  };
+  const first = operations.filter(operation => operation.after.length === 0);
+  const then = operations.filter(operation => operation.after.length > 0);
+  eachLimit(first, concurrency, run, () => {
+    eachLimit(then, concurrency, run, () => callback(null));
+  });
+};
+
+/*!
+ * Resolve the location option into a full location name.
+ */
+const _locationName = (client, options, callback) => {
+  if (options.location instanceof LocationName) {
+    return callback(null, options.location.format());
+  }
+  if (LOCATION_NAME.test(options.location)) {
+    return callback(null, options.location);
+  }
+  if (!is.string(options.location) || !/^[^/]+$/.test(options.location)) {
+    return callback(
+      new Error(
+        'The location must be a location ID, such as "us-west1", or a ' +
+          'location name.'
+      )
+    );
+  }
+  if (options.projectId) {
+    return callback(
+      null,
+      client.locationPath(options.projectId, options.location)
+    );
+  }
+  client.getProjectId((err, projectId) => {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, client.locationPath(projectId, options.location));
+  });
+};
+
+/*!
+ * Bring a Product Search catalog to a desired state. This is
+ * ProductSearchClient#syncCatalog, called with the client.
+ */
+const syncCatalog = (client, desiredState, options, callback) => {
+  options = Object.assign({concurrency: DEFAULT_CONCURRENCY}, options);
+  let desired;
+  try {
+    desired = _readDesired(desiredState);
+    if (!is.integer(options.concurrency) || options.concurrency < 1) {
+      throw new Error('The concurrency must be a positive integer.');
+    }
+    if (
+      !is.undefined(options.productSetId) &&
+      !/^[^/]+$/.test(options.productSetId)
+    ) {
+      throw new Error('The productSetId must be a product set ID.');
+    }
+  } catch (err) {
+    return callback(err);
+  }
+
+  _locationName(client, options, (err, location) => {
+    if (err) {
+      return callback(err);
+    }
+    const names = {location, productSet: null, productSetId: null};
+    if (options.productSetId) {
+      names.productSetId = options.productSetId;
+      names.productSet = client.productSetPath(
+        client.matchProjectFromLocationName(location),
+        client.matchLocationFromLocationName(location),
+        options.productSetId
+      );
+    }
+
+    _readCatalog(
+      client,
+      desired,
+      names,
+      options.concurrency,
+      (err, catalog) => {
+        if (err) {
+          return callback(err);
+        }
+        let operations;
+        try {
+          operations = _plan(client, desired, catalog, names);
+        } catch (err) {
+          return callback(err);
+        }
+
+        const report = () => {
+          return {
+            dryRun: !!options.dryRun,
+            operations: operations.map(operation => {
+              return {
+                method: operation.method,
+                description: operation.description,
+                request: operation.request,
+                status: operation.status || 'planned',
+                error: operation.error || null,
+                result: operation.result || null,
+              };
+            }),
+          };
+        };
+        if (options.dryRun) {
+          return callback(null, report());
+        }
+        _apply(client, operations, options.concurrency, () => {
+          callback(null, report());
+        });
+      }
+    );
+  });
+};
+
+module.exports.syncCatalog = syncCatalog;
@@ -0,0 +1,196 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The error raised when the Vision API reports that it could not annotate
+ * an individual image, through the `error` field of an
+ * [AnnotateImageResponse]{@link AnnotateImageResponse}.
+ *
+ * The helper methods only raise this error when the client was created with
+ * the `throwOnImageError` option.
+ *
+ * @class
+ * @param {object} status The `google.rpc.Status` reported for the image.
+ * @param {object} [request] The AnnotateImageRequest for the image.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient({throwOnImageError: true});
+ *
+ * client.labelDetection('./image.jpg').catch(err => {
+ *   if (err instanceof vision.ImageAnnotationError) {
+ *     console.error(`Image failed with code ${err.code}: ${err.message}`);
+ *   }
+ * });
+ */
+class ImageAnnotationError extends Error {
+  constructor(status, request) {
+    super(status.message);
+    this.name = 'ImageAnnotationError';
+
+    /**
+     * The canonical `google.rpc.Code` of the failure.
+     *
+     * @name ImageAnnotationError#code
+     * @type {number}
+     */
+    this.code = status.code;
+
+    /**
+     * The `google.protobuf.Any` messages carrying the error details.
+     *
+     * @name ImageAnnotationError#details
+     * @type {object[]}
+     */
+    this.details = status.details || [];
+
+    /**
+     * The AnnotateImageRequest which failed.
+     *
+     * @name ImageAnnotationError#request
+     * @type {object}
+     */
+    this.request = request;
+  }
+}
+
+/**
+ * The error raised when an image fails the checks made before it is sent to
+ * the Vision API.
+ *
+ * The helper methods only check images when the client was created with the
+ * `validateImages` option, or when it is passed in the call options.
+ *
+ * @class
+ * @param {string} reason A machine-readable reason for the failure. One of
+ *     `UNSUPPORTED_FORMAT`, `FORMAT_NOT_ALLOWED`, `CORRUPT`, `TOO_LARGE` or
+ *     `TOO_MANY_PIXELS`.
+ * @param {string} message A description of the failure.
+ * @param {object} [details] What is known about the image: its `size` in
+ *     bytes, its `format`, `width` and `height`, and the `request` it was
+ *     sent in.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient({validateImages: true});
+ *
+ * client.labelDetection('./huge.tiff').catch(err => {
+ *   if (err instanceof vision.InvalidImageError) {
+ *     console.error(`${err.reason}: ${err.message}`);
+ *   }
+ * });
+ */
+class InvalidImageError extends Error {
+  constructor(reason, message, details) {
+    super(message);
+    details = details || {};
+    this.name = 'InvalidImageError';
+
+    /**
+     * A machine-readable reason for the failure.
+     *
+     * @name InvalidImageError#reason
+     * @type {string}
+     */
+    this.reason = reason;
+
+    /**
+     * The size of the image file, in bytes.
+     *
+     * @name InvalidImageError#size
+     * @type {number}
+     */
+    this.size = details.size;
+
+    /**
+     * The detected format of the image, if it was recognized.
+     *
+     * @name InvalidImageError#format
+     * @type {?string}
+     */
+    this.format = details.format;
+
+    /**
+     * The width of the image in pixels, if its header could be read.
+     *
+     * @name InvalidImageError#width
+     * @type {?number}
+     */
+    this.width = details.width;
+
+    /**
+     * The height of the image in pixels, if its header could be read.
+     *
+     * @name InvalidImageError#height
+     * @type {?number}
+     */
+    this.height = details.height;
+
+    /**
+     * The AnnotateImageRequest which was not sent.
+     *
+     * @name InvalidImageError#request
+     * @type {object}
+     */
+    this.request = details.request;
+  }
+}
+
+/**
+ * The error raised when the lines of an `importProductSets` CSV file fail
+ * the checks made before it is uploaded, by
+ * {@link module:@google-cloud/vision.buildImportCsv buildImportCsv} and
+ * {@link module:@google-cloud/vision.parseImportCsv parseImportCsv}.
+ *
+ * @class
+ * @param {object[]} problems The problems found, each as an object with the
+ *     `line` (from 1) and the `column` it was found in, and a `message`.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ *
+ * try {
+ *   vision.parseImportCsv(csv);
+ * } catch (err) {
+ *   if (err instanceof vision.ImportCsvError) {
+ *     for (const problem of err.problems) {
+ *       console.error(`Line ${problem.line}: ${problem.message}`);
+ *     }
+ *   }
+ * }
+ */
+class ImportCsvError extends Error {
+  constructor(problems) {
+    const more =
+      problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+    super(`Line ${problems[0].line}: ${problems[0].message}${more}`);
+    this.name = 'ImportCsvError';
+
+    /**
+     * The problems found, in line order.
+     *
+     * @name ImportCsvError#problems
+     * @type {object[]}
+     */
+    this.problems = problems;
+  }
+}
+
+module.exports.ImageAnnotationError = ImageAnnotationError;
+module.exports.ImportCsvError = ImportCsvError;
+module.exports.InvalidImageError = InvalidImageError;
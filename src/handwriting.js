@@ -0,0 +1,186 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {joinWords, layout} = require('./layout');
+
+/*!
+ * The options of #readHandwriting when none are given.
+ */
+const DEFAULT_OPTIONS = {
+  minConfidence: 0.8,
+  minSymbolConfidence: 0.1,
+  mask: word => `[${word.text}?]`,
+};
+
+/*!
+ * Check the options of #readHandwriting, and fill in the defaults. This lets
+ * the options be checked before there is an annotation to read.
+ *
+ * @param {object} [options] The options.
+ * @returns {object} The options, with the defaults.
+ * @throws {Error} If an option is invalid.
+ */
+const resolveHandwritingOptions = options => {
+  options = Object.assign({}, DEFAULT_OPTIONS, options);
+  for (const name of ['minConfidence', 'minSymbolConfidence']) {
+    if (!is.number(options[name]) || options[name] < 0 || options[name] > 1) {
+      throw new Error(`The ${name} option must be a number from 0 to 1.`);
+    }
+  }
+  if (!is.string(options.mask) && !is.function(options.mask)) {
+    throw new Error('The mask option must be a string or a function.');
+  }
+  return options;
+};
+
+/*!
+ * Read a word of the layout, without the symbols read with less than the
+ * minimum confidence.
+ *
+ * @returns {?object} The word, or null if none of its symbols are kept.
+ */
+const _readWord = (word, page, options) => {
+  const symbols = word.symbols.filter(symbol => {
+    return (
+      symbol.confidence === null ||
+      symbol.confidence >= options.minSymbolConfidence
+    );
+  });
+  if (symbols.length === 0 && word.symbols.length > 0) {
+    return null;
+  }
+  const text =
+    symbols.length === word.symbols.length
+      ? word.text
+      : symbols.map(symbol => symbol.text).join('');
+  return {
+    text,
+    confidence: word.confidence,
+    page,
+    box: word.box,
+    lowConfidence:
+      word.confidence !== null && word.confidence < options.minConfidence,
+    break: word.break,
+    hyphenated: word.hyphenated,
+  };
+};
+
+/**
+ * Read handwritten text from a text annotation, flagging the words read
+ * with low confidence so that they can be reviewed.
+ *
+ * Symbols read with less than `minSymbolConfidence`, which are mostly
+ * stray marks, are dropped, along with the words left with no symbols.
+ * Words read with less than `minConfidence` are flagged, and replaced with
+ * `mask` in the masked text.
+ *
+ * This is how {@link v1.ImageAnnotatorClient#handwritingDetection}
+ * reads its responses.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}.
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.minConfidence=0.8] The confidence below which a
+ *     word is flagged.
+ * @param {number} [options.minSymbolConfidence=0.1] The confidence below
+ *     which a symbol is dropped.
+ * @param {string|function(object): string} [options.mask] The text shown
+ *     in place of a flagged word in the masked text, or a function called
+ *     with the word which returns it. By default the word is shown as
+ *     `[word?]`.
+ * @returns {object} The text, as an object with:
+ *
+ *     - `text`: the text, a line for each line read.
+ *     - `maskedText`: the same text, with the flagged words masked.
+ *     - `confidence`: the mean confidence of the words, or null if the API
+ *       reported none.
+ *     - `words`: the words, in reading order, each with its `text`,
+ *       `confidence`, `page` (from 1), `box`, and whether it has
+ *       `lowConfidence`.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ *
+ * const handwriting = vision.text.readHandwriting(annotation, {
+ *   minConfidence: 0.9,
+ *   mask: '____',
+ * });
+ * console.log(handwriting.maskedText);
+ */
+const readHandwriting = (annotation, options) => {
+  options = resolveHandwritingOptions(options);
+  const mask = is.function(options.mask) ? options.mask : () => options.mask;
+
+  const words = [];
+  const lines = [];
+  layout(annotation).pages.forEach((page, p) => {
+    for (const block of page.blocks) {
+      for (const paragraph of block.paragraphs) {
+        for (const line of paragraph.lines) {
+          const read = line.words
+            .map(word => _readWord(word, p + 1, options))
+            .filter(word => word);
+          if (read.length > 0) {
+            words.push.apply(words, read);
+            lines.push(read);
+          }
+        }
+      }
+    }
+  });
+
+  const masked = lines.map(line => {
+    return joinWords(
+      line.map(word => {
+        if (!word.lowConfidence) {
+          return word;
+        }
+        return Object.assign({}, word, {
+          text: String(mask(word)),
+          hyphenated: false,
+        });
+      })
+    );
+  });
+  const confidences = words
+    .map(word => word.confidence)
+    .filter(confidence => confidence !== null);
+  return {
+    text: lines.map(joinWords).join('\n'),
+    maskedText: masked.join('\n'),
+    confidence:
+      confidences.length > 0
+        ? confidences.reduce((sum, value) => sum + value, 0) /
+          confidences.length
+        : null,
+    words: words.map(word => {
+      return {
+        text: word.text,
+        confidence: word.confidence,
+        page: word.page,
+        box: word.box,
+        lowConfidence: word.lowConfidence,
+      };
+    }),
+  };
+};
+
+module.exports.readHandwriting = readHandwriting;
+module.exports.resolveHandwritingOptions = resolveHandwritingOptions;
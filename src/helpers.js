@@ -17,19 +17,76 @@
 'use strict';
 
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const is = require('is');
 const path = require('path');
+const {Readable, Transform} = require('stream');
+const url = require('url');
 const {promisify} = require('@google-cloud/promisify');
 const protobuf = require('protobufjs');
 
 const gax = require('google-gax');
 
+const analyze = require('./analyze');
+const {ResponseCache} = require('./cache');
+const {ImageAnnotationError} = require('./errors');
+const handwriting = require('./handwriting');
+const languages = require('./languages');
+const {eachLimit} = require('./limit');
+const operations = require('./operations');
+const resize = require('./resize');
+const results = require('./results');
+const validation = require('./validation');
+
+/*!
+ * The maximum number of images the Vision API accepts in a single
+ * batchAnnotateImages call.
+ */
+const MAX_BATCH_SIZE = 16;
+
+/*!
+ * The default number of batchAnnotateImages calls that #annotateImages
+ * keeps in flight at once.
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/*!
+ * The maximum number of redirects followed when fetching a remote image.
+ */
+const MAX_REDIRECTS = 5;
+
+/*!
+ * The limits applied when fetching a remote image, unless the
+ * `fetchRemoteImages` option gives others: the time the whole download may
+ * take, in milliseconds, and its size, which is capped at the largest image
+ * file the Vision API accepts (20 MB).
+ */
+const DEFAULT_FETCH_LIMITS = Object.freeze({
+  timeout: 60 * 1000,
+  maxBytes: 20 * 1024 * 1024,
+});
+
+/*!
+ * Determine whether a value is a readable stream.
+ *
+ * @param {*} value The value to check.
+ * @returns {boolean} Whether the value looks like a Readable stream.
+ */
+const _isReadable = value => {
+  return (
+    value instanceof Readable ||
+    (is.object(value) && is.function(value.pipe) && is.function(value.on))
+  );
+};
+
 /*!
  * Convert non-object request forms into a correctly-formatted object.
  *
- * @param {object|string|Buffer} request An object representing an
- *   AnnotateImageRequest. May also be a string representing the path
- *   (filename or URL) to the image, or a buffer representing the image itself.
+ * @param {object|string|Buffer|stream.Readable} request An object
+ *   representing an AnnotateImageRequest. May also be a string representing
+ *   the path (filename, URL or data: URI) to the image, or a buffer or
+ *   readable stream representing the image itself.
  *
  * @returns An object representing an AnnotateImageRequest.
  */
@@ -38,12 +95,17 @@ const _requestToObject = request => {
     // Is this a URL or a local file?
     // Guess based on what the string looks like, and build the full
     // request object in the correct format.
-    if (request.indexOf('://') === -1 || request.indexOf('file://') === 0) {
+    if (request.indexOf('data:') === 0) {
+      request = {image: {source: {imageUri: request}}};
+    } else if (
+      request.indexOf('://') === -1 ||
+      request.indexOf('file://') === 0
+    ) {
       request = {image: {source: {filename: request}}};
     } else {
       request = {image: {source: {imageUri: request}}};
     }
-  } else if (Buffer.isBuffer(request)) {
+  } else if (Buffer.isBuffer(request) || _isReadable(request)) {
     // Drop the buffer one level lower; it will get dealt with later
     // in the function. This allows sending <Buffer> and {image: <Buffer>} to
     // both work identically.
@@ -52,58 +114,519 @@ const _requestToObject = request => {
   return request;
 };
 
+/*!
+ * Read a stream to its end.
+ *
+ * @param {stream.Readable} stream The stream to read.
+ * @param {function(?Error, ?Buffer)} callback Called with the contents of
+ *   the stream.
+ */
+const _readStream = (stream, callback) => {
+  const chunks = [];
+  let done = false;
+  const finish = (err, blob) => {
+    if (!done) {
+      done = true;
+      callback(err, blob);
+    }
+  };
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  stream.on('error', finish);
+  stream.on('end', () => finish(null, Buffer.concat(chunks)));
+};
+
+/*!
+ * Decode a data: URI.
+ *
+ * @param {string} uri The data: URI, e.g. `data:image/png;base64,iVBOR...`.
+ * @returns {Buffer} The data it contains.
+ * @throws {Error} If the URI is malformed.
+ */
+const _decodeDataUri = uri => {
+  const comma = uri.indexOf(',');
+  if (comma === -1) {
+    throw new Error('Malformed data URI.');
+  }
+  const meta = uri.slice('data:'.length, comma).split(';');
+  const data = uri.slice(comma + 1);
+  if (meta.indexOf('base64') !== -1) {
+    return Buffer.from(data, 'base64');
+  }
+  return Buffer.from(decodeURIComponent(data), 'binary');
+};
+
+/*!
+ * Merge the `fetchRemoteImages` option with the default fetch limits.
+ *
+ * @param {boolean|object} [fetchRemoteImages] The option.
+ * @returns {?object} The limits, or null if remote images are not fetched.
+ * @throws {Error} If a limit is not a positive number.
+ */
+const _resolveFetchLimits = fetchRemoteImages => {
+  if (!fetchRemoteImages) {
+    return null;
+  }
+  const limits = Object.assign(
+    {},
+    DEFAULT_FETCH_LIMITS,
+    is.object(fetchRemoteImages) ? fetchRemoteImages : {}
+  );
+  for (const name of Object.keys(DEFAULT_FETCH_LIMITS)) {
+    if (!is.number(limits[name]) || limits[name] <= 0) {
+      throw new Error(
+        `The fetchRemoteImages ${name} option must be a positive number.`
+      );
+    }
+  }
+  return limits;
+};
+
+/*!
+ * Download an image over HTTP or HTTPS, following redirects.
+ *
+ * The download is abandoned once it takes longer than the timeout, or once
+ * the image is larger than the maximum size.
+ *
+ * @param {string} uri The http: or https: URL of the image.
+ * @param {object} limits The limits of the download.
+ * @param {number} limits.timeout The time the download may take, in
+ *   milliseconds, redirects included.
+ * @param {number} limits.maxBytes The largest image, in bytes.
+ * @param {function(?Error, ?Buffer)} callback Called with the image.
+ */
+const _fetchImage = (uri, limits, callback) => {
+  let request = null;
+  let done = false;
+  const finish = (err, blob) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    clearTimeout(timer);
+    if (err && request) {
+      request.abort();
+    }
+    callback(err, blob);
+  };
+  const timer = setTimeout(() => {
+    finish(new Error(`Timed out after ${limits.timeout} ms fetching ${uri}.`));
+  }, limits.timeout);
+  const tooLarge = () => {
+    return new Error(
+      `The image at ${uri} is larger than the ${limits.maxBytes} byte limit.`
+    );
+  };
+
+  const get = (target, redirects) => {
+    const transport = url.parse(target).protocol === 'https:' ? https : http;
+    request = transport.get(target, res => {
+      const status = res.statusCode;
+      if (status >= 300 && status < 400 && res.headers.location) {
+        res.resume();
+        if (redirects === 0) {
+          return finish(new Error(`Too many redirects fetching ${uri}.`));
+        }
+        return get(url.resolve(target, res.headers.location), redirects - 1);
+      }
+      if (status < 200 || status >= 300) {
+        res.resume();
+        return finish(new Error(`Failed to fetch ${uri}: HTTP ${status}.`));
+      }
+      if (Number(res.headers['content-length']) > limits.maxBytes) {
+        res.resume();
+        return finish(tooLarge());
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > limits.maxBytes) {
+          return finish(tooLarge());
+        }
+        chunks.push(chunk);
+      });
+      res.on('error', finish);
+      res.on('end', () => finish(null, Buffer.concat(chunks)));
+    });
+    request.on('error', finish);
+  };
+  get(uri, MAX_REDIRECTS);
+};
+
+/*!
+ * Replace the image source of a request with the image itself.
+ *
+ * @param {object} request An object representing an AnnotateImageRequest.
+ * @param {Buffer} blob The image.
+ * @returns {object} The request.
+ */
+const _inlineContent = (request, blob) => {
+  request.image.content = blob.toString('base64');
+  delete request.image.source;
+  return request;
+};
+
 /*!
  * Coerce several nicer iterations of "how to specify an image" to the
  * full sturcture expected by the Vision API.
  *
  * @param {object} request An object representing an AnnotateImageRequest.
- *   It may include `image.source.filename` or a buffer passed to
- *   `image.content`, which are coerced into their canonical forms by this
- *   function.
+ *   It may include `image.source.filename`, a data: URI in
+ *   `image.source.imageUri`, or a buffer or readable stream passed as
+ *   `image`, which are coerced into their canonical forms by this function.
+ * @param {object} options Options controlling the coercion.
+ * @param {?object} [options.fetchLimits] The limits of downloads of http:
+ *   and https: URLs in `image.source.imageUri`, which are then sent as
+ *   content rather than fetched by the Vision API; if not set, the URLs are
+ *   left for the Vision API to fetch.
  * @param {function} callback The callback to run.
  */
-const _coerceRequest = (request, callback) => {
+const _coerceRequest = (request, options, callback) => {
   // At this point, request must be an object with an `image` key; if not,
   // it is an error. If there is no image, throw an exception.
   if (!is.object(request) || is.undefined(request.image)) {
     return callback(new Error('No image present.'));
   }
 
+  // If this is a stream, read it into a buffer first.
+  if (_isReadable(request.image)) {
+    return _readStream(request.image, (err, blob) => {
+      if (err) {
+        return callback(err);
+      }
+      request.image = blob;
+      _coerceRequest(request, options, callback);
+    });
+  }
+
   // If this is a buffer, read it and send the object
   // that the Vision API expects.
   if (Buffer.isBuffer(request.image)) {
     request.image = {content: request.image.toString('base64')};
   }
 
+  const source = request.image.source || {};
+  const uri = source.imageUri || '';
+
   // If the file is specified as a filename and exists on disk, read it
   // and coerce it into the base64 content.
-  if (request.image.source && request.image.source.filename) {
-    fs.readFile(request.image.source.filename, (err, blob) => {
+  if (source.filename) {
+    fs.readFile(source.filename, (err, blob) => {
       if (err) {
         callback(err);
         return;
       }
-      request.image.content = blob.toString('base64');
-      delete request.image.source;
-      return callback(null, request);
+      return callback(null, _inlineContent(request, blob));
+    });
+  } else if (uri.indexOf('data:') === 0) {
+    // The Vision API cannot fetch data: URIs, so decode them here.
+    let blob;
+    try {
+      blob = _decodeDataUri(uri);
+    } catch (err) {
+      return callback(err);
+    }
+    return callback(null, _inlineContent(request, blob));
+  } else if (options.fetchLimits && /^https?:\/\//i.test(uri)) {
+    // Download the image here, for URLs the Vision API cannot reach.
+    _fetchImage(uri, options.fetchLimits, (err, blob) => {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, _inlineContent(request, blob));
     });
   } else {
     return callback(null, request);
   }
 };
 
+/*!
+ * Look up an option that the client was constructed with.
+ *
+ * @param {object} client The ImageAnnotatorClient.
+ * @param {string} name The name of the option.
+ * @returns {*} The value of the option, if it was set.
+ */
+const _clientOption = (client, name) => {
+  return client._helperOptions ? client._helperOptions[name] : undefined;
+};
+
+/*!
+ * Decide whether to annotate an image again with language hints, following
+ * the `languageRerun` strategy of the client.
+ *
+ * Only document text detections of images sent without language hints are
+ * annotated again.
+ *
+ * @param {object} client The ImageAnnotatorClient.
+ * @param {object} request The AnnotateImageRequest which was sent.
+ * @param {object} response The AnnotateImageResponse to it.
+ * @param {function(*): string} featureName Maps a feature type to its name.
+ * @returns {?string[]} The language hints to send, or null.
+ */
+const _languageRerunHints = (client, request, response, featureName) => {
+  const strategy = _clientOption(client, 'languageRerun');
+  if (!strategy || response.error || !response.fullTextAnnotation) {
+    return null;
+  }
+  const imageContext = request.imageContext || {};
+  const documentText = (request.features || []).some(
+    feature => featureName(feature.type) === 'DOCUMENT_TEXT_DETECTION'
+  );
+  if (!documentText || (imageContext.languageHints || []).length > 0) {
+    return null;
+  }
+  const hints = is.function(strategy)
+    ? strategy(response, request)
+    : languages.languageHintsFor(
+        response.fullTextAnnotation,
+        is.object(strategy) ? strategy : {}
+      );
+  return is.array(hints) && hints.length > 0 ? hints : null;
+};
+
+/*!
+ * Pick the response whose full text is read with more confidence, keeping
+ * the second one on ties and when confidences are unknown.
+ */
+const _moreConfident = (first, second) => {
+  if (second.error || !second.fullTextAnnotation) {
+    return first;
+  }
+  const before = languages.textConfidence(first.fullTextAnnotation);
+  const after = languages.textConfidence(second.fullTextAnnotation);
+  return before !== null && after !== null && before > after ? first : second;
+};
+
+/*!
+ * The options which the helper methods accept alongside the call options,
+ * and which are not passed on to the GAPIC.
+ */
+const HELPER_CALL_OPTIONS = ['resize', 'validateImages', 'wrap'];
+
+/*!
+ * Split the options meant for the helpers out of the call options.
+ *
+ * @param {object} [callOptions] The call options passed to a helper method.
+ * @returns {object[]} A pair of the helper options and the remaining call
+ *   options. If there are no helper options, the call options are returned
+ *   unchanged.
+ */
+const _splitCallOptions = callOptions => {
+  const helperOptions = {};
+  if (!is.object(callOptions)) {
+    return [helperOptions, callOptions];
+  }
+  const names = HELPER_CALL_OPTIONS.filter(name => name in callOptions);
+  if (names.length === 0) {
+    return [helperOptions, callOptions];
+  }
+  const gapicOptions = Object.assign({}, callOptions);
+  for (const name of names) {
+    helperOptions[name] = callOptions[name];
+    delete gapicOptions[name];
+  }
+  return [helperOptions, gapicOptions];
+};
+
+/*!
+ * Collect the options which control how requests are coerced, downscaled and
+ * checked. Options given for a single call take precedence over the
+ * client's.
+ *
+ * @param {object} client The ImageAnnotatorClient.
+ * @param {object} helperOptions The helper options given for this call.
+ * @returns {object} The options for `_processRequest`.
+ * @throws {Error} If the resize or fetch options are invalid.
+ */
+const _coerceOptions = (client, helperOptions) => {
+  const validateImages = is.undefined(helperOptions.validateImages)
+    ? _clientOption(client, 'validateImages')
+    : helperOptions.validateImages;
+  return {
+    fetchLimits: _resolveFetchLimits(
+      _clientOption(client, 'fetchRemoteImages')
+    ),
+    limits: validation.resolveLimits(validateImages),
+    resize: helperOptions.resize
+      ? resize.resolveOptions(helperOptions.resize)
+      : null,
+  };
+};
+
+/*!
+ * Coerce a request, downscale its image if asked to, then check the image
+ * against the limits, if any. An image which is downscaled has its format
+ * and integrity checked first.
+ *
+ * Only images which are sent as content can be downscaled or checked;
+ * images the Vision API fetches itself are passed through.
+ *
+ * @param {object} request An object representing an AnnotateImageRequest.
+ * @param {object} options The options returned by `_coerceOptions`.
+ * @param {function(?Error, ?object, ?object)} callback Called with the
+ *   request, and, if the image was downscaled, the scale factors and original
+ *   frame returned by `resizeImage`, which map coordinates in the response
+ *   back to the original image.
+ */
+const _processRequest = (request, options, callback) => {
+  _coerceRequest(request, options, (err, req) => {
+    if (err) {
+      return callback(err);
+    }
+    const content = req.image.content;
+    if (is.undefined(content) || content === null) {
+      return callback(null, req, null);
+    }
+    let blob = Buffer.isBuffer(content)
+      ? content
+      : Buffer.from(content, 'base64');
+
+    // Check the format and integrity of the image before it is decoded to
+    // be downscaled, and its size once it has been.
+    if (options.limits && options.resize) {
+      const invalid = validation.validateImage(
+        blob,
+        {formats: options.limits.formats},
+        req
+      );
+      if (invalid) {
+        return callback(invalid);
+      }
+    }
+
+    let scale = null;
+    if (options.resize) {
+      try {
+        const resized = resize.resizeImage(blob, options.resize, req);
+        if (resized) {
+          blob = resized.content;
+          req.image.content = blob.toString('base64');
+          scale = {
+            scaleX: resized.scaleX,
+            scaleY: resized.scaleY,
+            orientation: resized.orientation,
+            width: resized.width,
+            height: resized.height,
+          };
+        }
+      } catch (err) {
+        return callback(err);
+      }
+    }
+
+    if (options.limits) {
+      const invalid = validation.validateImage(blob, options.limits, req);
+      if (invalid) {
+        return callback(invalid);
+      }
+    }
+    return callback(null, req, scale);
+  });
+};
+
+/*!
+ * Map the coordinates in a response back to the original image, if the
+ * image was downscaled before it was sent.
+ *
+ * @param {object} response An object representing an AnnotateImageResponse.
+ * @param {?object} scale The scale factors from `_processRequest`.
+ * @returns {object} The response.
+ */
+const _restoreScale = (response, scale) => {
+  if (!scale || !response) {
+    return response;
+  }
+  return resize.rescaleResponse(response, scale.scaleX, scale.scaleY, scale);
+};
+
+/*!
+ * Get the response cache configured for a client, if any.
+ *
+ * The `cache` client option may be `true` (for an in-memory cache), a
+ * ResponseCache, or the options to create one with.
+ *
+ * @param {object} client The ImageAnnotatorClient.
+ * @returns {?ResponseCache} The cache, or null if caching is off.
+ */
+const _responseCache = client => {
+  if (is.undefined(client._responseCache)) {
+    const setting = _clientOption(client, 'cache');
+    if (!setting) {
+      client._responseCache = null;
+    } else if (setting instanceof ResponseCache) {
+      client._responseCache = setting;
+    } else {
+      client._responseCache = new ResponseCache(
+        setting === true ? {} : setting
+      );
+    }
+  }
+  return client._responseCache;
+};
+
+/*!
+ * Build the error for an image the service could not annotate.
+ *
+ * @param {object} response An object representing an AnnotateImageResponse.
+ * @param {object} request The AnnotateImageRequest the response answers.
+ * @returns {?ImageAnnotationError} The error, or null if the response does
+ *   not report a failure.
+ */
+const _imageError = (response, request) => {
+  const status = response && response.error;
+  if (!status || !(status.code || status.message)) {
+    return null;
+  }
+  return new ImageAnnotationError(status, request);
+};
+
+/*!
+ * Convert a request in any of the accepted forms to an object, and give it
+ * the default features if it does not name its own. The request given is
+ * copied rather than changed, so that it can be sent again.
+ *
+ * @param {object|string|Buffer} request The request, in any form accepted
+ *   by `_requestToObject`.
+ * @param {object[]} [features] The features to use if the request has none.
+ * @returns An object representing an AnnotateImageRequest.
+ */
+const _prepareRequest = (request, features) => {
+  request = _requestToObject(request);
+  if (is.object(request) && features && !request.features) {
+    request = Object.assign({}, request, {features});
+  }
+  return request;
+};
+
+/*!
+ * Split an array into consecutive chunks of at most `size` elements.
+ *
+ * @param {Array} items The array to split.
+ * @param {number} size The maximum length of each chunk.
+ * @returns {Array[]} The chunks, in order.
+ */
+const _chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
 /*!
  *
  * Return a method that calls annotateImage asking for a single feature.
  *
- * @param {number} featureValue The feature being requested. This is taken
- *   from the Feature.Type enum, and will be an integer.
+ * @param {object} features The Feature.Type enum of the API version.
+ * @param {string} featureName The name of the feature being requested.
  *
  * @returns {function} The function that, when called, will call annotateImage
  *   asking for the single feature annotation.
  */
-const _createSingleFeatureMethod = featureValue => {
-  return function(annotateImageRequest, callOptions, callback) {
+const _createSingleFeatureMethod = (features, featureName) => {
+  const featureValue = features[featureName];
+  return function(annotateImageRequest, callOptions, options, callback) {
     // Sanity check: If we got a string or buffer, we need this to be
     // in object form now, so we can tack on the features list.
     //
@@ -112,23 +635,27 @@ const _createSingleFeatureMethod = featureValue => {
     // annotateImage later.
     annotateImageRequest = _requestToObject(annotateImageRequest);
 
+    // Copy the request, so that the features added to it are not left in
+    // the caller's own object.
+    if (is.object(annotateImageRequest)) {
+      annotateImageRequest = Object.assign({}, annotateImageRequest);
+    }
+
     // If a callback was provided and options were skipped, normalize
     // the argument names.
-    if (is.undefined(callback) && is.function(callOptions)) {
+    if (is.function(callOptions)) {
       callback = callOptions;
       callOptions = undefined;
+      options = undefined;
+    } else if (is.function(options)) {
+      callback = options;
+      options = undefined;
     }
-
-    // Add the feature to the request.
-    annotateImageRequest.features = annotateImageRequest.features || [
-      {
-        type: featureValue,
-      },
-    ];
+    options = options || {};
 
     // If the user submitted explicit features that do not line up with
     // the precise method called, throw an exception.
-    for (const feature of annotateImageRequest.features) {
+    for (const feature of annotateImageRequest.features || []) {
       if (feature.type !== featureValue) {
         throw new Error(
           'Setting explicit features is not supported on this method. ' +
@@ -137,6 +664,23 @@ const _createSingleFeatureMethod = featureValue => {
       }
     }
 
+    // Add the feature to the request, along with its options. Explicit
+    // features are kept, with the options merged into them.
+    const feature = analyze.buildFeature(featureName, options);
+    feature.type = featureValue;
+    annotateImageRequest.features = annotateImageRequest.features
+      ? annotateImageRequest.features.map(explicit => {
+          return Object.assign({}, explicit, feature);
+        })
+      : [feature];
+    if (options.imageContext) {
+      annotateImageRequest.imageContext = Object.assign(
+        {},
+        annotateImageRequest.imageContext,
+        options.imageContext
+      );
+    }
+
     // Call the underlying #annotateImage method.
     return this.annotateImage(annotateImageRequest, callOptions, callback);
   };
@@ -157,20 +701,83 @@ module.exports = apiVersion => {
   /**
    * Annotate a single image with the requested features.
    *
+   * If the client was created with the `throwOnImageError` option, a
+   * response reporting that the image could not be annotated is raised as an
+   * {@link ImageAnnotationError}, both here and in the single-feature methods.
+   *
+   * If the client was created with the `validateImages` option, images sent
+   * as content are checked before any call is made: their format is detected
+   * from their first bytes and their header is read, and the call fails with
+   * an {@link InvalidImageError} if the image is corrupt, in a format the
+   * Vision API does not accept, or too large. `validateImages` may be `true`
+   * for the default limits, or an object with any of `maxBytes` (20 MB by
+   * default), `maxPixels` (75 million by default), `maxRequestBytes` (the
+   * largest size of the image once base64-encoded, 10 MB by default, as the
+   * Vision API does not accept larger JSON requests) and `formats`. It may
+   * also be passed in the call
+   * options of any helper method, to override the client's setting for that
+   * call; `{validateImages: false}` skips the checks.
+   *
+   * If the client was created with the `cache` option, responses are cached
+   * and reused for later requests for the same image bytes, features and
+   * image context. The option may be `true` for an in-memory cache, a
+   * {@link ResponseCache}, or the options to create one with. Images given by
+   * URI are only cached if the cache was created with `cacheImageUris`.
+   *
+   * To save upload bandwidth, pass `resize: {maxEdge, quality}` in the call
+   * options of any helper method. JPEG and PNG images sent as content whose
+   * longest edge exceeds `maxEdge` pixels are then downscaled and re-encoded
+   * (JPEG at `quality`, 85 by default) before they are sent. The pixel
+   * coordinates in the response (bounding polys, face landmarks, crop hints,
+   * text blocks and so on) are scaled back to the original image, so the
+   * response looks as if the full image had been sent. JPEG images with an
+   * EXIF orientation are turned upright before they are sent, and their
+   * coordinates are mapped back to the image as it is stored.
+   *
+   * If the client was created with the `languageRerun` option, document
+   * text detections of images sent without language hints are checked for
+   * text mixing several scripts read with low confidence. Such images are
+   * annotated again with `imageContext.languageHints` set, and the response
+   * whose text is read with more confidence is kept. The option may be
+   * `true` for the default strategy, an object with its options, or a
+   * function of the response and the request which returns the hints to
+   * send, or null to keep the response. The default strategy annotates the
+   * image again when its text mixes scripts each making up at least
+   * `minShare` of its letters (0.1 by default) and the mean confidence of
+   * its words is below `minConfidence` (0.8 by default), and hints the
+   * `maxHints` (3 by default) most common languages detected in it. The
+   * option is checked when the client is created.
+   *
+   * Pass `wrap: true` in the call options of any single-image helper method
+   * to get the annotations as result classes with geometry helpers: face
+   * annotations as {@link FaceResult}, label, logo, landmark and text
+   * annotations as {@link EntityResult}, localized objects as
+   * {@link LocalizedObjectResult}, and the blocks of the full text annotation
+   * as {@link TextBlockResult}.
+   *
    * @see v1.ImageAnnotatorClient#batchAnnotateImages
    * @see google.cloud.vision.v1.AnnotateImageRequest
    *
    * @method v1.ImageAnnotatorClient#annotateImage
-   * @param {object|string|Buffer} request A representation of the request
-   *     being sent to the Vision API. This is an
+   * @param {object|string|Buffer|stream.Readable} request A representation
+   *     of the request being sent to the Vision API. This is an
    *     {@link google.cloud.vision.v1.AnnotateImageRequest AnnotateImageRequest}.
-   *     For simple cases, you may also send a string (the URL or filename of
-   *     the image) or a buffer (the image itself).
+   *     For simple cases, you may also send a string (the URL, data: URI or
+   *     filename of the image), a buffer or a readable stream (the image
+   *     itself).
    * @param {object} request.image A dictionary-like object representing the
    *     image. This should have a single key (`source`, `content`).
    *
    *     If the key is `source`, the value should be another object containing
-   *     `imageUri` or `filename` as a key and a string as a value.
+   *     `imageUri` or `filename` as a key and a string as a value. A data:
+   *     URI is decoded locally. An http: or https: URL is fetched by the Vision
+   *     API, unless the client was created with the `fetchRemoteImages`
+   *     option, in which case it is downloaded locally and sent as content.
+   *     Use this for images on networks the Vision API cannot reach. The
+   *     option may be `true`, or an object with the `timeout` of the download
+   *     in milliseconds (60 seconds by default) and the `maxBytes` of the
+   *     image (20 MB, the largest the Vision API accepts, by default); a
+   *     download which exceeds either fails with an error.
    *
    *     If the key is `content`, the value should be a Buffer.
    * @param {object[]} request.features An array of the specific annotation
@@ -219,31 +826,471 @@ module.exports = apiVersion => {
       callOptions = undefined;
     }
 
+    // Accept the same shorthands (filename, URL, Buffer, stream) as the
+    // single-feature methods.
+    request = _requestToObject(request);
+
+    const split = _splitCallOptions(callOptions);
+    callOptions = split[1];
+
+    // If asked to, wrap the annotations in the result classes. The cache
+    // keeps the plain response.
+    if (split[0].wrap) {
+      const done = callback;
+      callback = (err, response) => {
+        done(err, err ? undefined : results.wrapResponse(response));
+      };
+    }
+
+    let coerceOptions;
+    try {
+      coerceOptions = _coerceOptions(this, split[0]);
+    } catch (err) {
+      return callback(err);
+    }
+
     // If we got a filename for the image, open the file and transform
-    // it to content.
-    return _coerceRequest(request, (err, req) => {
+    // it to content, then make sure the image is one the API will accept.
+    return _processRequest(request, coerceOptions, (err, req, scale) => {
       if (err) {
         return callback(err);
       }
 
       // Call the GAPIC batch annotation function.
-      const requests = {requests: [req]};
-      return this.batchAnnotateImages(requests, callOptions, (err, r) => {
-        // If there is an error, handle it.
-        if (err) {
-          return callback(err);
+      const send = (req, done) => {
+        const requests = {requests: [req]};
+        return this.batchAnnotateImages(requests, callOptions, (err, r) => {
+          // If there is an error, handle it.
+          if (err) {
+            return done(err);
+          }
+
+          // We are guaranteed to only have one response element, since we
+          // only sent one image.
+          done(null, _restoreScale(r.responses[0], scale));
+        });
+      };
+      const annotate = () => {
+        return send(req, (err, response) => {
+          if (err) {
+            return callback(err);
+          }
+
+          // If the client has a language rerun strategy and it asks for it,
+          // annotate the image again with language hints, and keep whichever
+          // text is read with more confidence.
+          let hints;
+          try {
+            hints = _languageRerunHints(this, req, response, featureName);
+          } catch (err) {
+            return callback(err);
+          }
+          if (!hints) {
+            return finish(response);
+          }
+          const imageContext = Object.assign({}, req.imageContext, {
+            languageHints: hints,
+          });
+          send(Object.assign({}, req, {imageContext}), (err, rerun) => {
+            if (err) {
+              return callback(err);
+            }
+            finish(_moreConfident(response, rerun));
+          });
+        });
+      };
+      const finish = response => {
+        const imageError = _imageError(response, req);
+
+        // If the client asked for it, surface a per-image failure as an
+        // error rather than as a response with an `error` field.
+        if (imageError && _clientOption(this, 'throwOnImageError')) {
+          return callback(imageError);
         }
 
-        // We are guaranteed to only have one response element, since we
-        // only sent one image.
-        const response = r.responses[0];
+        // Only successful responses are worth caching.
+        if (cacheKey && !imageError) {
+          cache.set(cacheKey, response);
+        }
 
         // Fire the callback if applicable.
         return callback(undefined, response);
+      };
+
+      // If the same image was annotated the same way before, reuse the
+      // response rather than calling the API again.
+      const cache = _responseCache(this);
+      const cacheKey = cache && cache.keyFor(req, featureName);
+      if (!cacheKey) {
+        return annotate();
+      }
+      cache.get(cacheKey, (err, cached) => {
+        if (!is.undefined(cached)) {
+          return callback(undefined, cached);
+        }
+        annotate();
       });
     });
   });
 
+  /**
+   * Annotate any number of images, splitting them into as many
+   * batchAnnotateImages calls as the service's per-call image limit requires.
+   *
+   * The batches are sent with bounded parallelism, and the responses are
+   * reassembled in the same order as the requests.
+   *
+   * @see v1.ImageAnnotatorClient#batchAnnotateImages
+   * @see google.cloud.vision.v1.AnnotateImageRequest
+   *
+   * @method v1.ImageAnnotatorClient#annotateImages
+   * @param {Array.<object|string|Buffer>} requests The images to annotate.
+   *     Each element is an
+   *     {@link google.cloud.vision.v1.AnnotateImageRequest AnnotateImageRequest},
+   *     or any of the shorthands accepted by
+   *     {@link v1.ImageAnnotatorClient#annotateImage annotateImage}. Shorthand
+   *     elements have no features of their own, so they should be used
+   *     together with `options.features`.
+   * @param {object} [options] Optional parameters.
+   * @param {number} [options.batchSize=16] The number of images sent in each
+   *     batchAnnotateImages call. This may not exceed 16, the service limit.
+   * @param {number} [options.concurrency=4] The maximum number of
+   *     batchAnnotateImages calls in flight at once.
+   * @param {object[]} [options.features] Features applied to every request
+   *     which does not set its own.
+   * @param {object} [callOptions] Optional parameters. You can override the
+   *     default settings for this call, e.g, timeout, retries, paginations,
+   *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for the details.
+   * @param {function(?Error, ?object[])} [callback] The function which will be
+   *     called with the result of the API calls.
+   *
+   *     The second parameter to the callback is an array of objects
+   *     representing [AnnotateImageResponse]{@link AnnotateImageResponse},
+   *     in the same order as `requests`.
+   * @returns {Promise} The promise which resolves to an array. The first
+   *     element of the array is an array of objects representing
+   *     [AnnotateImageResponse]{@link AnnotateImageResponse}.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision');
+   * const client = new vision.ImageAnnotatorClient();
+   *
+   * const requests = ['./cat.jpg', './dog.jpg', 'gs://path/to/image.jpg'];
+   * const options = {
+   *   features: [{type: 'LABEL_DETECTION'}],
+   *   concurrency: 2,
+   * };
+   * client
+   *   .annotateImages(requests, options)
+   *   .then(results => {
+   *     const responses = results[0];
+   *     // doThingsWith(responses);
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  methods.annotateImages = promisify(function(
+    requests,
+    options,
+    callOptions,
+    callback
+  ) {
+    // If a callback was provided and options were skipped, normalize
+    // the argument names.
+    if (is.function(options)) {
+      callback = options;
+      options = undefined;
+    } else if (is.undefined(callback) && is.function(callOptions)) {
+      callback = callOptions;
+      callOptions = undefined;
+    }
+    options = Object.assign(
+      {batchSize: MAX_BATCH_SIZE, concurrency: DEFAULT_CONCURRENCY},
+      options
+    );
+
+    if (!is.array(requests)) {
+      return callback(new Error('The requests must be an array.'));
+    }
+    if (
+      !is.integer(options.batchSize) ||
+      options.batchSize < 1 ||
+      options.batchSize > MAX_BATCH_SIZE
+    ) {
+      return callback(
+        new Error(
+          `The batch size must be an integer from 1 to ${MAX_BATCH_SIZE}.`
+        )
+      );
+    }
+    if (!is.integer(options.concurrency) || options.concurrency < 1) {
+      return callback(new Error('The concurrency must be a positive integer.'));
+    }
+
+    const batches = _chunk(
+      requests.map(request => _prepareRequest(request, options.features)),
+      options.batchSize
+    );
+    const split = _splitCallOptions(callOptions);
+    callOptions = split[1];
+    let coerceOptions;
+    try {
+      coerceOptions = _coerceOptions(this, split[0]);
+    } catch (err) {
+      return callback(err);
+    }
+    const responses = [];
+
+    eachLimit(
+      batches,
+      options.concurrency,
+      (batch, batchIndex, next) => {
+        // Read any local files or streams in this batch before sending it.
+        const coerced = [];
+        const scales = [];
+        eachLimit(
+          batch,
+          batch.length,
+          (request, i, done) => {
+            _processRequest(request, coerceOptions, (err, req, scale) => {
+              coerced[i] = req;
+              scales[i] = scale;
+              done(err);
+            });
+          },
+          err => {
+            if (err) {
+              return next(err);
+            }
+            const batchRequest = {requests: coerced};
+            this.batchAnnotateImages(batchRequest, callOptions, (err, r) => {
+              if (err) {
+                return next(err);
+              }
+              const offset = batchIndex * options.batchSize;
+              r.responses.forEach((response, i) => {
+                responses[offset + i] = _restoreScale(response, scales[i]);
+              });
+              next();
+            });
+          }
+        );
+      },
+      err => {
+        if (err) {
+          return callback(err);
+        }
+        callback(undefined, responses);
+      }
+    );
+  });
+
+  /**
+   * Create an object-mode transform stream which annotates every image
+   * written to it.
+   *
+   * Images are collected into batches of up to `options.batchSize` and sent
+   * with batchAnnotateImages, with at most `options.concurrency` calls in
+   * flight. Once that many calls are pending, the stream stops accepting
+   * writes until one of them completes.
+   *
+   * For each image written, the stream emits a `{input, response}` object,
+   * in the same order as the images were written. `input` is the value that
+   * was written and `response` is an
+   * [AnnotateImageResponse]{@link AnnotateImageResponse}. If an image could
+   * not be annotated (for example, because the file could not be read, or
+   * because the call it was sent in failed), the stream emits
+   * `{input, error}` instead of raising an `error` event. This includes
+   * responses which report a failure, as an {@link ImageAnnotationError},
+   * when the client was created with the `throwOnImageError` option.
+   *
+   * @see v1.ImageAnnotatorClient#annotateImages
+   *
+   * @method v1.ImageAnnotatorClient#createAnnotationStream
+   * @param {object} [options] Optional parameters.
+   * @param {object[]} [options.features] Features applied to every image
+   *     which does not set its own. Images written as a filename, URL or
+   *     Buffer always use these.
+   * @param {number} [options.batchSize=16] The maximum number of images sent
+   *     in each batchAnnotateImages call. This may not exceed 16, the service
+   *     limit.
+   * @param {number} [options.concurrency=4] The maximum number of
+   *     batchAnnotateImages calls in flight at once.
+   * @param {object} [callOptions] Optional parameters. You can override the
+   *     default settings for the calls, e.g, timeout, retries, paginations,
+   *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for the details.
+   * @returns {stream.Transform} An object-mode stream. Write filenames, URLs,
+   *     data: URIs, Buffers, readable streams or
+   *     {@link google.cloud.vision.v1.AnnotateImageRequest AnnotateImageRequest}
+   *     objects to it, and read `{input, response}` or `{input, error}`
+   *     objects from it.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision');
+   * const client = new vision.ImageAnnotatorClient();
+   *
+   * const stream = client.createAnnotationStream({
+   *   features: [{type: 'LABEL_DETECTION'}],
+   * });
+   * stream.on('data', result => {
+   *   if (result.error) {
+   *     console.error(result.input, result.error);
+   *     return;
+   *   }
+   *   // doThingsWith(result.response);
+   * });
+   * ['./cat.jpg', './dog.jpg'].forEach(filename => stream.write(filename));
+   * stream.end();
+   */
+  methods.createAnnotationStream = function(options, callOptions) {
+    options = Object.assign(
+      {batchSize: MAX_BATCH_SIZE, concurrency: DEFAULT_CONCURRENCY},
+      options
+    );
+    if (
+      !is.integer(options.batchSize) ||
+      options.batchSize < 1 ||
+      options.batchSize > MAX_BATCH_SIZE
+    ) {
+      throw new Error(
+        `The batch size must be an integer from 1 to ${MAX_BATCH_SIZE}.`
+      );
+    }
+    if (!is.integer(options.concurrency) || options.concurrency < 1) {
+      throw new Error('The concurrency must be a positive integer.');
+    }
+
+    const split = _splitCallOptions(callOptions);
+    callOptions = split[1];
+    const coerceOptions = _coerceOptions(this, split[0]);
+
+    // Inputs waiting for a batch to fill up.
+    let buffered = [];
+
+    // Batches which have been sent, in the order they were sent. Each has
+    // `results` set once its call completes; results are only pushed once
+    // every earlier batch has been pushed, to preserve the input order.
+    const pending = [];
+    let inFlight = 0;
+
+    // The write and flush callbacks held back while waiting on the service.
+    let heldWrite = null;
+    let heldFlush = null;
+
+    const stream = new Transform({
+      objectMode: true,
+      transform: (input, encoding, callback) => {
+        buffered.push(input);
+        if (buffered.length >= options.batchSize) {
+          send();
+        }
+        if (inFlight >= options.concurrency) {
+          heldWrite = callback;
+          return;
+        }
+        callback();
+      },
+      flush: callback => {
+        if (buffered.length > 0) {
+          send();
+        }
+        if (pending.length > 0) {
+          heldFlush = callback;
+          return;
+        }
+        callback();
+      },
+    });
+
+    const release = () => {
+      while (pending.length > 0 && pending[0].results) {
+        for (const result of pending.shift().results) {
+          stream.push(result);
+        }
+      }
+      if (heldWrite && inFlight < options.concurrency) {
+        const callback = heldWrite;
+        heldWrite = null;
+        callback();
+      }
+      if (heldFlush && pending.length === 0) {
+        const callback = heldFlush;
+        heldFlush = null;
+        callback();
+      }
+    };
+
+    const send = () => {
+      const batch = {inputs: buffered, results: null};
+      buffered = [];
+      pending.push(batch);
+      inFlight++;
+
+      const results = batch.inputs.map(input => ({input}));
+      const coerced = [];
+      const scales = [];
+      eachLimit(
+        batch.inputs,
+        batch.inputs.length,
+        (input, i, next) => {
+          const request = _prepareRequest(input, options.features);
+          _processRequest(request, coerceOptions, (err, req, scale) => {
+            if (err) {
+              results[i].error = err;
+            } else {
+              coerced[i] = req;
+              scales[i] = scale;
+            }
+            next();
+          });
+        },
+        () => {
+          // Only the images which could be read are sent to the service.
+          const requests = [];
+          const sent = [];
+          const sentScales = [];
+          results.forEach((result, i) => {
+            if (!result.error) {
+              requests.push(coerced[i]);
+              sent.push(result);
+              sentScales.push(scales[i]);
+            }
+          });
+          const done = () => {
+            batch.results = results;
+            inFlight--;
+            release();
+          };
+          if (requests.length === 0) {
+            return done();
+          }
+          this.batchAnnotateImages({requests}, callOptions, (err, r) => {
+            const throwOnImageError = _clientOption(this, 'throwOnImageError');
+            sent.forEach((result, i) => {
+              if (err) {
+                result.error = err;
+                return;
+              }
+              const imageError =
+                throwOnImageError && _imageError(r.responses[i], requests[i]);
+              if (imageError) {
+                result.error = imageError;
+              } else {
+                result.response = _restoreScale(r.responses[i], sentScales[i]);
+              }
+            });
+            done();
+          });
+        }
+      );
+    };
+
+    return stream;
+  };
+
   let protoFilesRoot = new gax.GoogleProtoFilesRoot();
   protoFilesRoot = protobuf.loadSync(
     path.join(
@@ -258,6 +1305,125 @@ module.exports = apiVersion => {
     `google.cloud.vision.${apiVersion}.Feature.Type`
   ).values;
 
+  // Map feature types given as enum values to their names, so that both
+  // forms are treated alike (e.g. when computing cache keys).
+  const featureNames = {};
+  for (const name of Object.keys(features)) {
+    featureNames[features[name]] = name;
+  }
+  const featureName = type => {
+    return is.number(type) && featureNames[type] ? featureNames[type] : type;
+  };
+
+  /**
+   * Annotate a single image with several features at once, and return only
+   * the results for those features, in a compact form.
+   *
+   * Features are named by friendly aliases, and each becomes a key of the
+   * result:
+   *
+   * - `faces`: the face annotations, with likelihoods as names (such as
+   *   `VERY_LIKELY`).
+   * - `landmarks`, `logos`, `labels`: the entity annotations.
+   * - `text`, `document`: `{text, blocks}`, the detected text as a single
+   *   string, and the blocks of the full text annotation.
+   * - `safeSearch`: `{adult, spoof, medical, violence, racy}`, as
+   *   likelihood names.
+   * - `colors`: the dominant colors.
+   * - `cropHints`: the crop hints.
+   * - `web`: the web detection.
+   * - `objects`: the localized object annotations (where available).
+   * - `products`: the product search results (v1p3beta1 only).
+   *
+   * If the response reports that the image could not be annotated, the
+   * result also has an `error` key, unless the client was created with the
+   * `throwOnImageError` option, in which case the call fails instead.
+   *
+   * @see v1.ImageAnnotatorClient#annotateImage
+   *
+   * @method v1.ImageAnnotatorClient#analyze
+   * @param {object|string|Buffer|stream.Readable} image The image, in any of
+   *     the forms accepted by
+   *     {@link v1.ImageAnnotatorClient#annotateImage annotateImage}.
+   * @param {string[]} features The aliases of the features to request.
+   * @param {object} [options] Optional parameters.
+   * @param {object} [options.imageContext] The
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} to send.
+   * @param {object} [options.*] Under the alias of a feature, an object with
+   *     the `maxResults` and `model` for that feature, e.g.
+   *     `{labels: {maxResults: 5}}`.
+   * @param {object} [callOptions] Optional parameters. You can override the
+   *     default settings for this call, e.g, timeout, retries, paginations,
+   *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for the details.
+   * @param {function(?Error, ?object)} [callback] The function which will be
+   *     called with the result.
+   * @returns {Promise} The promise which resolves to an array. The first
+   *     element of the array is the result object.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision');
+   * const client = new vision.ImageAnnotatorClient();
+   *
+   * client
+   *   .analyze('./image.jpg', ['labels', 'text', 'safeSearch'], {
+   *     labels: {maxResults: 5},
+   *   })
+   *   .then(results => {
+   *     const result = results[0];
+   *     console.log(result.labels.map(label => label.description));
+   *     console.log(result.text.text);
+   *     console.log(result.safeSearch.adult);
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  methods.analyze = promisify(function(
+    image,
+    aliases,
+    options,
+    callOptions,
+    callback
+  ) {
+    // If a callback was provided and options were skipped, normalize
+    // the argument names.
+    if (is.function(options)) {
+      callback = options;
+      options = undefined;
+    } else if (is.undefined(callback) && is.function(callOptions)) {
+      callback = callOptions;
+      callOptions = undefined;
+    }
+    options = options || {};
+
+    let request;
+    try {
+      if (is.array(aliases)) {
+        aliases = aliases.filter((alias, i) => aliases.indexOf(alias) === i);
+      }
+      request = _requestToObject(image);
+      if (!is.object(request)) {
+        throw new Error('No image present.');
+      }
+      request = Object.assign({}, request, {
+        features: analyze.buildFeatures(aliases, options, features),
+      });
+    } catch (err) {
+      return callback(err);
+    }
+    if (options.imageContext) {
+      request.imageContext = options.imageContext;
+    }
+
+    return this.annotateImage(request, callOptions, (err, response) => {
+      if (err) {
+        return callback(err);
+      }
+      callback(undefined, analyze.unwrapResponse(response, aliases));
+    });
+  });
+
   /**
    * Annotate a single image with face detection.
    *
@@ -281,6 +1447,14 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -312,7 +1486,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.faceDetection = promisify(
-    _createSingleFeatureMethod(features.FACE_DETECTION)
+    _createSingleFeatureMethod(features, 'FACE_DETECTION')
   );
 
   /**
@@ -338,6 +1512,14 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -369,7 +1551,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.landmarkDetection = promisify(
-    _createSingleFeatureMethod(features.LANDMARK_DETECTION)
+    _createSingleFeatureMethod(features, 'LANDMARK_DETECTION')
   );
 
   /**
@@ -395,6 +1577,14 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -426,7 +1616,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.logoDetection = promisify(
-    _createSingleFeatureMethod(features.LOGO_DETECTION)
+    _createSingleFeatureMethod(features, 'LOGO_DETECTION')
   );
 
   /**
@@ -452,6 +1642,14 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -481,9 +1679,16 @@ module.exports = apiVersion => {
    *   .catch(err => {
    *     console.error(err);
    *   });
+   *
+   * // Ask for the ten most likely labels, using the latest model.
+   * client
+   *   .labelDetection(request, {}, {maxResults: 10, model: 'builtin/latest'})
+   *   .then(response => {
+   *     // doThingsWith(response);
+   *   });
    */
   methods.labelDetection = promisify(
-    _createSingleFeatureMethod(features.LABEL_DETECTION)
+    _createSingleFeatureMethod(features, 'LABEL_DETECTION')
   );
 
   /**
@@ -509,6 +1714,12 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -540,7 +1751,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.textDetection = promisify(
-    _createSingleFeatureMethod(features.TEXT_DETECTION)
+    _createSingleFeatureMethod(features, 'TEXT_DETECTION')
   );
 
   /**
@@ -566,6 +1777,12 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -597,9 +1814,150 @@ module.exports = apiVersion => {
    *   });
    */
   methods.documentTextDetection = promisify(
-    _createSingleFeatureMethod(features.DOCUMENT_TEXT_DETECTION)
+    _createSingleFeatureMethod(features, 'DOCUMENT_TEXT_DETECTION')
   );
 
+  /**
+   * Read the handwriting in a single image.
+   *
+   * The image is annotated with document text detection, hinting that its
+   * text is handwritten (with the `en-t-i0-handwrit` language hint, unless
+   * other hints are given), and the text read is filtered as by
+   * {@link module:@google-cloud/vision.text.readHandwriting readHandwriting}:
+   * stray symbols read with very low confidence are dropped, and the words
+   * read with low confidence are flagged and masked, so that they can be
+   * reviewed and corrected by hand.
+   *
+   * If the response reports that the image could not be annotated, the
+   * result also has an `error` key, unless the client was created with the
+   * `throwOnImageError` option, in which case the call fails instead.
+   *
+   * @see v1.ImageAnnotatorClient#documentTextDetection
+   *
+   * @method v1.ImageAnnotatorClient#handwritingDetection
+   * @param {object|string|Buffer} request A representation of the request
+   *     being sent to the Vision API, in any of the forms accepted by
+   *     {@link v1.ImageAnnotatorClient#documentTextDetection documentTextDetection}.
+   *     It must not set its own features.
+   * @param {object} [callOptions] Optional parameters. You can override the
+   *     default settings for this call, e.g, timeout, retries, paginations,
+   *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for the details.
+   * @param {object} [options] Optional parameters.
+   * @param {string[]} [options.languageHints=['en-t-i0-handwrit']] The
+   *     language hints to send, unless the request has its own.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
+   * @param {number} [options.minConfidence=0.8] The confidence below which a
+   *     word is flagged.
+   * @param {number} [options.minSymbolConfidence=0.1] The confidence below
+   *     which a symbol is dropped.
+   * @param {string|function(object): string} [options.mask] The text shown
+   *     in place of a flagged word in the masked text, or a function called
+   *     with the word which returns it. By default the word is shown as
+   *     `[word?]`.
+   * @param {function(?Error, ?object)} [callback] The function which will be
+   *     called with the result: the `text`, `maskedText`, `confidence` and
+   *     `words` returned by `readHandwriting`, and the `fullTextAnnotation`
+   *     they were read from.
+   * @returns {Promise} The promise which resolves to an array. The first
+   *     element of the array is the result object.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision');
+   * const client = new vision.ImageAnnotatorClient();
+   *
+   * client
+   *   .handwritingDetection('./handwritten.jpg', {}, {minConfidence: 0.7})
+   *   .then(results => {
+   *     const handwriting = results[0];
+   *     console.log(handwriting.maskedText);
+   *     for (const word of handwriting.words) {
+   *       if (word.lowConfidence) {
+   *         console.log(`Check "${word.text}" on page ${word.page}.`);
+   *       }
+   *     }
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  methods.handwritingDetection = promisify(function(
+    request,
+    callOptions,
+    options,
+    callback
+  ) {
+    // If a callback was provided and options were skipped, normalize
+    // the argument names.
+    if (is.function(callOptions)) {
+      callback = callOptions;
+      callOptions = undefined;
+      options = undefined;
+    } else if (is.function(options)) {
+      callback = options;
+      options = undefined;
+    }
+    options = options || {};
+    let readOptions = {};
+    for (const name of ['minConfidence', 'minSymbolConfidence', 'mask']) {
+      if (!is.undefined(options[name])) {
+        readOptions[name] = options[name];
+      }
+    }
+
+    try {
+      // Check the options before any call is made.
+      readOptions = handwriting.resolveHandwritingOptions(readOptions);
+      request = _requestToObject(request);
+      if (!is.object(request)) {
+        throw new Error('No image present.');
+      }
+      if (request.features) {
+        throw new Error(
+          'Setting explicit features is not supported on this method. ' +
+            'Use the #annotateImage method instead.'
+        );
+      }
+      const feature = analyze.buildFeature('DOCUMENT_TEXT_DETECTION', {
+        model: options.model,
+      });
+      feature.type = features.DOCUMENT_TEXT_DETECTION;
+      request = Object.assign({}, request, {features: [feature]});
+    } catch (err) {
+      return callback(err);
+    }
+    const imageContext = Object.assign(
+      {},
+      request.imageContext,
+      options.imageContext
+    );
+    if (!imageContext.languageHints || !imageContext.languageHints.length) {
+      imageContext.languageHints = options.languageHints || [
+        'en-t-i0-handwrit',
+      ];
+    }
+    request.imageContext = imageContext;
+
+    return this.annotateImage(request, callOptions, (err, response) => {
+      if (err) {
+        return callback(err);
+      }
+      const result = handwriting.readHandwriting(
+        response.fullTextAnnotation,
+        readOptions
+      );
+      result.fullTextAnnotation = response.fullTextAnnotation || null;
+      if (response.error) {
+        result.error = response.error;
+      }
+      callback(undefined, result);
+    });
+  });
+
   /**
    * Annotate a single image with safe search detection.
    *
@@ -623,6 +1981,12 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -654,7 +2018,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.safeSearchDetection = promisify(
-    _createSingleFeatureMethod(features.SAFE_SEARCH_DETECTION)
+    _createSingleFeatureMethod(features, 'SAFE_SEARCH_DETECTION')
   );
 
   /**
@@ -680,6 +2044,14 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -711,7 +2083,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.imageProperties = promisify(
-    _createSingleFeatureMethod(features.IMAGE_PROPERTIES)
+    _createSingleFeatureMethod(features, 'IMAGE_PROPERTIES')
   );
 
   /**
@@ -737,6 +2109,12 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -768,7 +2146,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.cropHints = promisify(
-    _createSingleFeatureMethod(features.CROP_HINTS)
+    _createSingleFeatureMethod(features, 'CROP_HINTS')
   );
 
   /**
@@ -794,6 +2172,14 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -825,7 +2211,7 @@ module.exports = apiVersion => {
    *   });
    */
   methods.webDetection = promisify(
-    _createSingleFeatureMethod(features.WEB_DETECTION)
+    _createSingleFeatureMethod(features, 'WEB_DETECTION')
   );
 
   /**
@@ -849,6 +2235,14 @@ module.exports = apiVersion => {
    *     If the key is `content`, the value should be a Buffer.
    * @param {object} [callOptions] Optional parameters. You can override the
    *     default settings for this call, e.g, timeout, retries, paginations,
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1p3beta1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -881,7 +2275,7 @@ module.exports = apiVersion => {
    */
   if (features.PRODUCT_SEARCH !== undefined) {
     methods.productSearch = promisify(
-      _createSingleFeatureMethod(features.PRODUCT_SEARCH)
+      _createSingleFeatureMethod(features, 'PRODUCT_SEARCH')
     );
   }
 
@@ -908,6 +2302,14 @@ module.exports = apiVersion => {
    *     default settings for this call, e.g, timeout, retries, paginations,
    *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
    *     for the details.
+   * @param {object} [options] Optional parameters for the feature.
+   * @param {number} [options.maxResults] The maximum number of results to
+   *     return.
+   * @param {string} [options.model] The model to use, either
+   *     `builtin/stable` (the default) or `builtin/latest`.
+   * @param {object} [options.imageContext] An
+   *     {@link google.cloud.vision.v1p3beta1.ImageContext ImageContext} merged into
+   *     the request.
    * @param {function(?Error, ?object)} [callback] The function which will be
    *     called with the result of the API call.
    *
@@ -941,9 +2343,246 @@ module.exports = apiVersion => {
    */
   if (features.OBJECT_LOCALIZATION !== undefined) {
     methods.objectLocalization = promisify(
-      _createSingleFeatureMethod(features.OBJECT_LOCALIZATION)
+      _createSingleFeatureMethod(features, 'OBJECT_LOCALIZATION')
     );
   }
 
+  const operationTypes = {
+    response: protoFilesRoot.lookup(
+      `google.cloud.vision.${apiVersion}.AsyncBatchAnnotateFilesResponse`
+    ),
+    metadata: protoFilesRoot.lookup(
+      `google.cloud.vision.${apiVersion}.OperationMetadata`
+    ),
+  };
+
+  /**
+   * Annotate PDF and TIFF files with `asyncBatchAnnotateFiles`, and wait for
+   * the operation to complete.
+   *
+   * Unlike `asyncBatchAnnotateFiles`, which gives the raw gax Operation, this
+   * polls the operation at a fixed interval and decodes its
+   * OperationMetadata. The returned {@link AnnotateFilesOperation} can be
+   * awaited, and emits `progress` events with the state of the operation.
+   *
+   * @see v1.ImageAnnotatorClient#asyncBatchAnnotateFiles
+   *
+   * @method v1.ImageAnnotatorClient#annotateFiles
+   * @param {object[]} requests An array of objects representing
+   *     [AsyncAnnotateFileRequest]{@link AsyncAnnotateFileRequest}.
+   * @param {object} [options] Optional parameters.
+   * @param {number} [options.pollInterval=5000] How long to wait between
+   *     polls, in milliseconds.
+   * @param {number} [options.timeout] How long to wait for the operation to
+   *     complete, in milliseconds. The operation keeps running on the server
+   *     after a timeout, unless it is cancelled.
+   * @param {AbortSignal} [options.signal] A signal which cancels the
+   *     operation when it is aborted.
+   * @returns {AnnotateFilesOperation} The operation, which resolves with an
+   *     object representing the
+   *     [AsyncBatchAnnotateFilesResponse]{@link AsyncBatchAnnotateFilesResponse}.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision');
+   * const client = new vision.ImageAnnotatorClient();
+   *
+   * const operation = client.annotateFiles(
+   *   [
+   *     {
+   *       inputConfig: {
+   *         mimeType: 'application/pdf',
+   *         gcsSource: {uri: 'gs://my-bucket/document.pdf'},
+   *       },
+   *       features: [{type: 'DOCUMENT_TEXT_DETECTION'}],
+   *       outputConfig: {gcsDestination: {uri: 'gs://my-bucket/output/'}},
+   *     },
+   *   ],
+   *   {pollInterval: 10000, timeout: 10 * 60 * 1000}
+   * );
+   * operation.on('progress', progress => {
+   *   console.log(`${progress.name}: ${progress.state}`);
+   * });
+   * operation
+   *   .then(response => {
+   *     console.log(response.responses[0].outputConfig.gcsDestination.uri);
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  if (operationTypes.response) {
+    methods.annotateFiles = function(requests, options) {
+      const start = callback => {
+        if (!is.array(requests)) {
+          return callback(new Error('The requests must be an array.'));
+        }
+        this.asyncBatchAnnotateFiles({requests}, callback);
+      };
+      return new operations.AnnotateFilesOperation(
+        this,
+        operationTypes,
+        start,
+        options
+      );
+    };
+  }
+
+  /**
+   * Look up an `asyncBatchAnnotateFiles` operation by name, such as one
+   * started by a process which has since exited.
+   *
+   * The operation is the same gax Operation `asyncBatchAnnotateFiles` gives:
+   * its `promise()` method and its `complete` and `progress` events work as
+   * they do for the original call, so only the name of the operation needs
+   * to be kept.
+   *
+   * @see v1.ImageAnnotatorClient#asyncBatchAnnotateFiles
+   *
+   * @method v1.ImageAnnotatorClient#getAnnotateFilesOperation
+   * @param {string} name The name of the operation.
+   * @param {object} [callOptions] Optional parameters. You can override the
+   *     default settings for this call, e.g, timeout, retries, paginations,
+   *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for the details. They are also used to poll the operation.
+   * @param {function(?Error, ?object)} [callback] The function which will be
+   *     called with the result of the API call.
+   *
+   *     The second parameter to the callback is a
+   *     [gax.Operation]{@link https://googleapis.github.io/gax-nodejs/Operation}
+   *     object.
+   * @returns {Promise} The promise which resolves to an array. The first
+   *     element of the array is a
+   *     [gax.Operation]{@link https://googleapis.github.io/gax-nodejs/Operation}
+   *     object, and the second is the raw google.longrunning.Operation.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision');
+   * const client = new vision.ImageAnnotatorClient();
+   *
+   * client
+   *   .getAnnotateFilesOperation(savedName)
+   *   .then(results => results[0].promise())
+   *   .then(results => {
+   *     const response = results[0];
+   *     // doThingsWith(response);
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  if (operationTypes.response) {
+    methods.getAnnotateFilesOperation = promisify(function(
+      name,
+      callOptions,
+      callback
+    ) {
+      // If a callback was provided and options were skipped, normalize
+      // the argument names.
+      if (is.undefined(callback) && is.function(callOptions)) {
+        callback = callOptions;
+        callOptions = undefined;
+      }
+
+      if (!is.string(name) || name === '') {
+        return callback(
+          new Error('The operation name must be a non-empty string.')
+        );
+      }
+      this.operationsClient.getOperation({name}, callOptions, (err, raw) => {
+        if (err) {
+          return callback(err);
+        }
+        if (!operations.isAnnotateFilesOperation(raw)) {
+          return callback(
+            new Error(
+              `The operation ${name} is not an asyncBatchAnnotateFiles operation.`
+            )
+          );
+        }
+        callback(null, operations.decodeOperation(this, raw, callOptions), raw);
+      });
+    });
+  }
+
+  /**
+   * List the `asyncBatchAnnotateFiles` operations of the project, as gax
+   * Operations like those
+   * {@link v1.ImageAnnotatorClient#getAnnotateFilesOperation} gives. Other
+   * long-running operations, such as those of product search, are left out.
+   *
+   * @method v1.ImageAnnotatorClient#listAnnotateFilesOperations
+   * @param {string|object} [filter] The standard list filter, such as
+   *     `done=false`, or an object representing a ListOperationsRequest to
+   *     also set the `name` of the operation collection or the `pageSize`.
+   * @param {object} [callOptions] Optional parameters. You can override the
+   *     default settings for this call, e.g, timeout, retries, paginations,
+   *     etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for the details. They are also used to poll the operations.
+   * @param {function(?Error, ?object[])} [callback] The function which will
+   *     be called with the result of the API call.
+   *
+   *     The second parameter to the callback is an array of
+   *     [gax.Operation]{@link https://googleapis.github.io/gax-nodejs/Operation}
+   *     objects.
+   * @returns {Promise} The promise which resolves to an array. The first
+   *     element of the array is an array of
+   *     [gax.Operation]{@link https://googleapis.github.io/gax-nodejs/Operation}
+   *     objects.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision');
+   * const client = new vision.ImageAnnotatorClient();
+   *
+   * client
+   *   .listAnnotateFilesOperations('done=false')
+   *   .then(results => {
+   *     for (const operation of results[0]) {
+   *       operation.on('complete', response => {
+   *         // doThingsWith(response);
+   *       });
+   *     }
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  if (operationTypes.response) {
+    methods.listAnnotateFilesOperations = promisify(function(
+      filter,
+      callOptions,
+      callback
+    ) {
+      // If a callback was provided and the filter or options were skipped,
+      // normalize the argument names.
+      if (is.function(filter)) {
+        callback = filter;
+        filter = undefined;
+      } else if (is.undefined(callback) && is.function(callOptions)) {
+        callback = callOptions;
+        callOptions = undefined;
+      }
+
+      const request = Object.assign(
+        {name: ''},
+        is.object(filter) ? filter : {filter: filter || ''}
+      );
+      this.operationsClient.listOperations(
+        request,
+        callOptions,
+        (err, raws) => {
+          if (err) {
+            return callback(err);
+          }
+          callback(
+            null,
+            raws
+              .filter(operations.isAnnotateFilesOperation)
+              .map(raw => operations.decodeOperation(this, raw, callOptions))
+          );
+        }
+      );
+    });
+  }
+
   return methods;
 };
@@ -0,0 +1,648 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {ImportCsvError} = require('./errors');
+
+/*!
+ * The columns of an importProductSets CSV file, in order, with the fields
+ * of the row objects they are read into.
+ */
+const COLUMNS = [
+  ['image_uri', 'imageUri'],
+  ['image_id', 'imageId'],
+  ['product_set_id', 'productSetId'],
+  ['product_id', 'productId'],
+  ['product_category', 'productCategory'],
+  ['product_display_name', 'productDisplayName'],
+  ['labels', 'productLabels'],
+  ['bounding_poly', 'boundingPoly'],
+];
+
+/*!
+ * The number of columns every line must have: up to the product category.
+ */
+const REQUIRED_COLUMNS = 5;
+
+/*!
+ * The product categories accepted by default.
+ */
+const DEFAULT_CATEGORIES = ['apparel', 'homegoods'];
+
+/*!
+ * The limits the API puts on IDs, display names and labels, in characters.
+ */
+const MAX_ID_LENGTH = 128;
+const MAX_DISPLAY_NAME_LENGTH = 4096;
+const MAX_LABEL_LENGTH = 128;
+
+/*!
+ * The names of the canonical google.rpc.Code values, by value.
+ */
+const CODE_NAMES = [
+  'OK',
+  'CANCELLED',
+  'UNKNOWN',
+  'INVALID_ARGUMENT',
+  'DEADLINE_EXCEEDED',
+  'NOT_FOUND',
+  'ALREADY_EXISTS',
+  'PERMISSION_DENIED',
+  'RESOURCE_EXHAUSTED',
+  'FAILED_PRECONDITION',
+  'ABORTED',
+  'OUT_OF_RANGE',
+  'UNIMPLEMENTED',
+  'INTERNAL',
+  'UNAVAILABLE',
+  'DATA_LOSS',
+  'UNAUTHENTICATED',
+];
+
+/*!
+ * Split a line of CSV into its fields. Fields may be quoted, with quotes
+ * inside them doubled.
+ *
+ * @param {string} line The line.
+ * @returns {string[]} The fields.
+ * @throws {Error} If a quoted field is not closed, or is followed by more
+ *   text.
+ */
+const _splitLine = line => {
+  const fields = [];
+  let i = 0;
+  for (;;) {
+    let field = '';
+    if (line[i] === '"') {
+      i++;
+      for (;;) {
+        const quote = line.indexOf('"', i);
+        if (quote === -1) {
+          throw new Error('A quoted field is not closed.');
+        }
+        field += line.slice(i, quote);
+        i = quote + 1;
+        if (line[i] !== '"') {
+          break;
+        }
+        field += '"';
+        i++;
+      }
+      if (i < line.length && line[i] !== ',') {
+        throw new Error('A quoted field must be followed by a comma.');
+      }
+    } else {
+      const comma = line.indexOf(',', i);
+      const end = comma === -1 ? line.length : comma;
+      field = line.slice(i, end);
+      i = end;
+    }
+    fields.push(field);
+    if (i >= line.length) {
+      return fields;
+    }
+    i++;
+  }
+};
+
+/*!
+ * Format a field of CSV, quoting it if it holds a comma or a quote.
+ */
+const _formatField = value => {
+  return /[",]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+/*!
+ * Read the labels column, `key_1=value_1,key_2=value_2`.
+ *
+ * @returns {object[]} The labels, as `{key, value}` objects.
+ * @throws {Error} If a label is not a `key=value` pair.
+ */
+const _parseLabels = text => {
+  if (text === '') {
+    return [];
+  }
+  return text.split(',').map(pair => {
+    const equals = pair.indexOf('=');
+    if (equals === -1) {
+      throw new Error(`The label "${pair}" must be a key=value pair.`);
+    }
+    return {key: pair.slice(0, equals), value: pair.slice(equals + 1)};
+  });
+};
+
+/*!
+ * Read the bounding_poly column, `p1_x,p1_y,...,pn_x,pn_y`: integers for
+ * the vertices of an absolute polygon, or else numbers from 0 to 1 for
+ * those of a normalized one.
+ *
+ * @returns {?object} The BoundingPoly, or null if the column is empty.
+ * @throws {Error} If the column is not a list of coordinates.
+ */
+const _parsePoly = text => {
+  if (text === '') {
+    return null;
+  }
+  const numbers = text.split(',').map(number => {
+    if (!/^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(number)) {
+      throw new Error('The bounding_poly must be a list of numbers.');
+    }
+    return Number(number);
+  });
+  if (numbers.length % 2 !== 0) {
+    throw new Error(
+      'The bounding_poly must have an even number of coordinates.'
+    );
+  }
+  const vertices = [];
+  for (let i = 0; i < numbers.length; i += 2) {
+    vertices.push({x: numbers[i], y: numbers[i + 1]});
+  }
+  return numbers.every(is.integer)
+    ? {vertices}
+    : {normalizedVertices: vertices};
+};
+
+/*!
+ * Check an ID column.
+ */
+const _checkId = (value, column, required) => {
+  if (!value) {
+    return required ? `The ${column} is required.` : null;
+  }
+  if (!is.string(value) || value.length > MAX_ID_LENGTH || /\//.test(value)) {
+    return (
+      `The ${column} must be at most ${MAX_ID_LENGTH} characters long, ` +
+      'without "/".'
+    );
+  }
+  return null;
+};
+
+/*!
+ * Check the vertices of a bounding poly.
+ */
+const _checkPoly = poly => {
+  const normalized = !!poly.normalizedVertices;
+  const vertices = (normalized ? poly.normalizedVertices : poly.vertices) || [];
+  if (vertices.length < 3) {
+    return 'The bounding_poly must have at least 3 vertices.';
+  }
+  const coordinates = vertices.reduce((coordinates, vertex) => {
+    return coordinates.concat([vertex.x, vertex.y]);
+  }, []);
+  if (normalized) {
+    if (!coordinates.every(c => is.number(c) && c >= 0 && c <= 1)) {
+      return 'The normalized vertices of the bounding_poly must be from 0 to 1.';
+    }
+  } else if (!coordinates.every(c => is.integer(c) && c >= 0)) {
+    return 'The vertices of the bounding_poly must be nonnegative integers.';
+  }
+  return null;
+};
+
+/*!
+ * Check a row, and what it says about its product against what the rows
+ * before it said.
+ *
+ * @param {object} row The row.
+ * @param {number} line The line of the row.
+ * @param {object} state What the rows before it said: the lines of the
+ *   image IDs used, in `images`, and the first row of each product, in
+ *   `products`.
+ * @param {string[]} categories The accepted product categories.
+ * @returns {object[]} The problems found, as `{line, column, message}`.
+ */
+const _checkRow = (row, line, state, categories) => {
+  const problems = [];
+  const problem = (column, message) => {
+    if (message) {
+      problems.push({line, column, message});
+    }
+  };
+
+  if (!is.string(row.imageUri) || !/^gs:\/\/[^/]+\/./.test(row.imageUri)) {
+    problem('image_uri', 'The image_uri must be the gs:// URI of an image.');
+  }
+  problem('image_id', _checkId(row.imageId, 'image_id', false));
+  if (row.imageId && state.images.has(row.imageId)) {
+    problem(
+      'image_id',
+      `The image_id ${row.imageId} is also used on line ` +
+        `${state.images.get(row.imageId)}.`
+    );
+  } else if (row.imageId) {
+    state.images.set(row.imageId, line);
+  }
+  problem('product_set_id', _checkId(row.productSetId, 'product_set_id', true));
+  problem('product_id', _checkId(row.productId, 'product_id', true));
+
+  if (!row.productCategory) {
+    problem('product_category', 'The product_category is required.');
+  } else if (categories.indexOf(row.productCategory) === -1) {
+    problem(
+      'product_category',
+      `The product_category "${row.productCategory}" must be one of ` +
+        `${categories.join(', ')}.`
+    );
+  }
+  if (
+    row.productDisplayName &&
+    (!is.string(row.productDisplayName) ||
+      row.productDisplayName.length > MAX_DISPLAY_NAME_LENGTH)
+  ) {
+    problem(
+      'product_display_name',
+      'The product_display_name must be at most ' +
+        `${MAX_DISPLAY_NAME_LENGTH} characters long.`
+    );
+  }
+
+  const labels = row.productLabels || [];
+  if (!is.array(labels)) {
+    problem('labels', 'The labels must be an array of {key, value} objects.');
+  } else {
+    for (const label of labels) {
+      const parts = [(label || {}).key, (label || {}).value];
+      const valid = parts.every(part => {
+        return (
+          is.string(part) &&
+          part !== '' &&
+          part.length <= MAX_LABEL_LENGTH &&
+          !/[,=]/.test(part)
+        );
+      });
+      if (!valid) {
+        problem(
+          'labels',
+          'Each label must have a key and a value of 1 to ' +
+            `${MAX_LABEL_LENGTH} characters, without "," or "=".`
+        );
+        break;
+      }
+    }
+  }
+  if (row.boundingPoly) {
+    problem('bounding_poly', _checkPoly(row.boundingPoly));
+  }
+
+  // Only the first line of a product can create it; the product fields of
+  // the others are ignored, so they must not say something else.
+  if (row.productId) {
+    const first = state.products.get(row.productId);
+    if (!first) {
+      state.products.set(row.productId, {line, row});
+    } else {
+      const fields = [
+        ['product_category', 'productCategory'],
+        ['product_display_name', 'productDisplayName'],
+        ['labels', 'productLabels'],
+      ];
+      for (const field of fields) {
+        const value = JSON.stringify(row[field[1]] || '');
+        const before = JSON.stringify(first.row[field[1]] || '');
+        if (value !== '""' && value !== '[]' && before !== value) {
+          problem(
+            field[0],
+            `The ${field[0]} of product ${row.productId} differs from the ` +
+              `one on line ${first.line}.`
+          );
+        }
+      }
+    }
+  }
+  return problems;
+};
+
+/*!
+ * Read the categories option.
+ */
+const _categories = options => {
+  const categories = (options && options.categories) || DEFAULT_CATEGORIES;
+  if (!is.array(categories) || categories.length === 0) {
+    throw new Error('The categories must be a non-empty array.');
+  }
+  return categories;
+};
+
+/*!
+ * Split a CSV file into its lines, without a byte order mark.
+ */
+const _lines = csv => {
+  if (!is.string(csv) && !Buffer.isBuffer(csv)) {
+    throw new Error('The CSV must be a string or a Buffer.');
+  }
+  return String(csv)
+    .replace(/^\ufeff/, '')
+    .split(/\r?\n/);
+};
+
+/*!
+ * Read the lines of a CSV file into rows, checking them.
+ *
+ * @returns {object} The `rows` and the `problems` found.
+ */
+const _read = (csv, options) => {
+  const categories = _categories(options);
+  const lines = _lines(csv);
+  const state = {images: new Map(), products: new Map()};
+  const rows = [];
+  let problems = [];
+  lines.forEach((text, i) => {
+    const line = i + 1;
+    if (text.trim() === '') {
+      return;
+    }
+    const problem = (column, message) => {
+      problems.push({line, column, message});
+    };
+
+    let fields;
+    try {
+      fields = _splitLine(text);
+    } catch (err) {
+      return problem(null, err.message);
+    }
+    if (fields.length < REQUIRED_COLUMNS || fields.length > COLUMNS.length) {
+      return problem(
+        null,
+        `The line has ${fields.length} columns; it must have from ` +
+          `${REQUIRED_COLUMNS} to ${COLUMNS.length}.`
+      );
+    }
+
+    const row = {line};
+    fields.forEach((field, f) => {
+      const column = COLUMNS[f];
+      if (column[0] === 'labels') {
+        try {
+          row.productLabels = _parseLabels(field);
+        } catch (err) {
+          row.productLabels = [];
+          problem('labels', err.message);
+        }
+      } else if (column[0] === 'bounding_poly') {
+        try {
+          row.boundingPoly = _parsePoly(field.trim());
+        } catch (err) {
+          row.boundingPoly = null;
+          problem('bounding_poly', err.message);
+        }
+      } else if (column[0] === 'product_display_name') {
+        row.productDisplayName = field || null;
+      } else {
+        row[column[1]] = field.trim() || null;
+      }
+    });
+    for (const column of COLUMNS.slice(fields.length)) {
+      row[column[1]] = column[0] === 'labels' ? [] : null;
+    }
+    problems = problems.concat(_checkRow(row, line, state, categories));
+    rows.push(row);
+  });
+  problems.sort((a, b) => a.line - b.line);
+  return {rows, problems};
+};
+
+/**
+ * Build the lines of a CSV file for `importProductSets` from objects,
+ * after checking them.
+ *
+ * Each row stands for a reference image, with the `imageUri` of the image,
+ * its optional `imageId`, the `productSetId` and `productId` it belongs to,
+ * and the `productCategory`, optional `productDisplayName` and optional
+ * `productLabels` of its product, which are used if the product is created.
+ * It may also have a `boundingPoly` around the product in the image.
+ *
+ * The rows are checked as by
+ * {@link module:@google-cloud/vision.validateImportCsv validateImportCsv},
+ * with the first row on line 1.
+ *
+ * @param {object[]} rows The rows.
+ * @param {object} [options] Optional parameters.
+ * @param {string[]} [options.categories=['apparel', 'homegoods']] The
+ *     product categories to accept.
+ * @returns {string} The CSV, ending with a newline.
+ * @throws {ImportCsvError} If a row is invalid.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ *
+ * const csv = vision.buildImportCsv([
+ *   {
+ *     imageUri: 'gs://my-bucket/shoes/1.jpg',
+ *     productSetId: 'shoes',
+ *     productId: 'shoe-1',
+ *     productCategory: 'apparel',
+ *     productDisplayName: 'Running shoe',
+ *     productLabels: [{key: 'color', value: 'blue'}],
+ *   },
+ * ]);
+ */
+const buildImportCsv = (rows, options) => {
+  const categories = _categories(options);
+  if (!is.array(rows)) {
+    throw new Error('The rows must be an array.');
+  }
+  const state = {images: new Map(), products: new Map()};
+  let problems = [];
+  rows.forEach((row, i) => {
+    if (!is.object(row)) {
+      problems.push({line: i + 1, column: null, message: 'Not an object.'});
+      return;
+    }
+    problems = problems.concat(_checkRow(row, i + 1, state, categories));
+  });
+  if (problems.length > 0) {
+    throw new ImportCsvError(problems);
+  }
+
+  const lines = rows.map(row => {
+    const poly = row.boundingPoly;
+    const vertices = poly ? poly.normalizedVertices || poly.vertices : [];
+    const fields = [
+      row.imageUri,
+      row.imageId || '',
+      row.productSetId,
+      row.productId,
+      row.productCategory,
+      row.productDisplayName || '',
+      (row.productLabels || [])
+        .map(label => `${label.key}=${label.value}`)
+        .join(','),
+      vertices.map(vertex => `${vertex.x},${vertex.y}`).join(','),
+    ];
+
+    // Leave out the optional columns which are empty at the end.
+    while (fields.length > REQUIRED_COLUMNS && !fields[fields.length - 1]) {
+      fields.pop();
+    }
+    return fields.map(_formatField).join(',');
+  });
+  return lines.map(line => `${line}\n`).join('');
+};
+
+/**
+ * Check the lines of a CSV file for `importProductSets`, without throwing.
+ *
+ * Every line must have from 5 to 8 columns, and:
+ *
+ * - an `image_uri` which is a `gs://` URI;
+ * - an optional `image_id`, used on no other line;
+ * - a `product_set_id` and a `product_id`;
+ * - a `product_category` among the accepted ones;
+ * - optional `labels`, as `key_1=value_1,key_2=value_2`;
+ * - an optional `bounding_poly`, with at least 3 vertices as
+ *   `p1_x,p1_y,...,pn_x,pn_y`: nonnegative integers, or numbers from 0 to 1
+ *   for a normalized polygon.
+ *
+ * The category, display name and labels of a product are only used on the
+ * first line which names it; later lines which name other ones are
+ * reported too. Empty lines are skipped.
+ *
+ * @param {string|Buffer} csv The contents of the CSV file.
+ * @param {object} [options] Optional parameters.
+ * @param {string[]} [options.categories=['apparel', 'homegoods']] The
+ *     product categories to accept.
+ * @returns {object[]} The problems found, in line order, each as an object
+ *     with the `line` (from 1), the `column` it was found in (such as
+ *     `product_category`, or null for the line as a whole), and a `message`.
+ */
+const validateImportCsv = (csv, options) => {
+  return _read(csv, options).problems;
+};
+
+/**
+ * Read a CSV file for `importProductSets` into objects, after checking it
+ * as {@link module:@google-cloud/vision.validateImportCsv validateImportCsv}
+ * does.
+ *
+ * @param {string|Buffer} csv The contents of the CSV file.
+ * @param {object} [options] Optional parameters.
+ * @param {string[]} [options.categories=['apparel', 'homegoods']] The
+ *     product categories to accept.
+ * @returns {object[]} The rows, as accepted by
+ *     {@link module:@google-cloud/vision.buildImportCsv buildImportCsv}, each
+ *     with the `line` it was read from. Empty optional columns are null, and
+ *     `productLabels` is an empty array if there are none.
+ * @throws {ImportCsvError} If a line is invalid.
+ *
+ * @example
+ * const fs = require('fs');
+ * const vision = require('@google-cloud/vision');
+ *
+ * const rows = vision.parseImportCsv(fs.readFileSync('./catalog.csv'));
+ * console.log(`${rows.length} reference images to import.`);
+ */
+const parseImportCsv = (csv, options) => {
+  const read = _read(csv, options);
+  if (read.problems.length > 0) {
+    throw new ImportCsvError(read.problems);
+  }
+  return read.rows;
+};
+
+/**
+ * Join the outcome of an `importProductSets` operation back to the lines of
+ * the CSV file it imported.
+ *
+ * The `statuses` of an
+ * [ImportProductSetsResponse]{@link google.cloud.vision.v1p3beta1.ImportProductSetsResponse}
+ * line up with the lines of the file, and its `referenceImages` with the
+ * lines which were imported; when there are as many reference images as
+ * statuses, they are taken to line up with the lines too.
+ *
+ * @param {object} response An object representing the
+ *     ImportProductSetsResponse, such as the result of the operation.
+ * @param {string|Buffer} [csv] The contents of the CSV file. Without it,
+ *     the results only give the line numbers.
+ * @returns {object} The results, with:
+ *
+ *     - `referenceImages`, the reference images imported;
+ *     - `successes`, the lines imported, each as an object with its `line`
+ *       (from 1), its `text`, its `row` as read by
+ *       {@link module:@google-cloud/vision.parseImportCsv parseImportCsv}
+ *       (null if it could not be read) and its `referenceImage`;
+ *     - `failures`, the lines which failed, grouped by the name of their
+ *       error code, such as `INVALID_ARGUMENT`, each as an object with its
+ *       `line`, `text`, `row` and `status`;
+ *     - `retryCsv`, a CSV file of the lines which failed, to import again
+ *       once they are fixed, or null without the `csv`.
+ *
+ * @example
+ * const fs = require('fs');
+ * const vision = require('@google-cloud/vision');
+ *
+ * const results = vision.readImportResults(
+ *   response,
+ *   fs.readFileSync('./catalog.csv')
+ * );
+ * for (const code of Object.keys(results.failures)) {
+ *   console.log(`${code}: ${results.failures[code].length} lines`);
+ * }
+ * fs.writeFileSync('./retry.csv', results.retryCsv);
+ */
+const readImportResults = (response, csv) => {
+  if (!is.object(response)) {
+    throw new Error('The response must be an object.');
+  }
+  const statuses = response.statuses || [];
+  const referenceImages = response.referenceImages || [];
+  let lines = null;
+  const rows = new Map();
+  if (!is.undefined(csv) && csv !== null) {
+    lines = _lines(csv);
+    for (const row of _read(csv).rows) {
+      rows.set(row.line, row);
+    }
+  }
+
+  const results = {referenceImages, successes: [], failures: {}};
+  const retry = [];
+  const byLine = referenceImages.length === statuses.length;
+  let imported = 0;
+  statuses.forEach((status, i) => {
+    const result = {
+      line: i + 1,
+      text: lines && i < lines.length ? lines[i] : null,
+      row: rows.get(i + 1) || null,
+    };
+    const code = (status && status.code) || 0;
+    if (code === 0) {
+      const image = byLine ? referenceImages[i] : referenceImages[imported++];
+      result.referenceImage = image || null;
+      results.successes.push(result);
+      return;
+    }
+    result.status = status;
+    const name = CODE_NAMES[code] || String(code);
+    results.failures[name] = results.failures[name] || [];
+    results.failures[name].push(result);
+    if (result.text && result.text.trim() !== '') {
+      retry.push(`${result.text}\n`);
+    }
+  });
+  results.retryCsv = lines ? retry.join('') : null;
+  return results;
+};
+
+module.exports.buildImportCsv = buildImportCsv;
+module.exports.parseImportCsv = parseImportCsv;
+module.exports.readImportResults = readImportResults;
+module.exports.validateImportCsv = validateImportCsv;
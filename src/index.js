@@ -39,7 +39,23 @@
 
 'use strict';
 
+const cache = require('./cache');
+const errors = require('./errors');
+const handwriting = require('./handwriting');
 const helpers = require('./helpers');
+const importCsv = require('./import_csv');
+const languages = require('./languages');
+const layout = require('./layout');
+const operations = require('./operations');
+const pages = require('./pages');
+const productSearch = require('./product_search');
+const regions = require('./regions');
+const resourceNames = require('./resource_names');
+const results = require('./results');
+const search = require('./search');
+const shards = require('./shards');
+const tables = require('./tables');
+const text = require('./text');
 
 // Import the clients for each version supported by this package.
 const gapic = Object.freeze({
@@ -49,16 +65,88 @@ const gapic = Object.freeze({
   v1p3beta1: require('./v1p3beta1'),
 });
 
-// Augment the SpeechClient objects with the helpers.
+// Augment the ImageAnnotatorClient objects with the helpers.
+//
+// The generated constructors do not keep their options, so each client is
+// wrapped in a subclass which holds on to them for the helpers. This lets
+// helper-only options (such as `throwOnImageError`) be passed alongside the
+// usual ones. Those which are only used after a call is made are checked
+// here, so that a mistake in them does not cost a call.
+for (const gapicVersion of Object.keys(gapic)) {
+  const GapicImageAnnotatorClient = gapic[gapicVersion].ImageAnnotatorClient;
+  class ImageAnnotatorClient extends GapicImageAnnotatorClient {
+    constructor(opts) {
+      super(opts);
+      this._helperOptions = Object.assign({}, opts);
+      languages.checkRerunStrategy(this._helperOptions.languageRerun);
+    }
+  }
+  Object.assign(ImageAnnotatorClient.prototype, helpers(gapicVersion));
+  gapic[gapicVersion].ImageAnnotatorClient = ImageAnnotatorClient;
+}
+
+// Augment the ProductSearchClient objects, in the versions which have one,
+// with their helpers, in a subclass as well.
 for (const gapicVersion of Object.keys(gapic)) {
-  const clientProto = gapic[gapicVersion].ImageAnnotatorClient.prototype;
-  Object.assign(clientProto, helpers(gapicVersion));
+  const GapicProductSearchClient = gapic[gapicVersion].ProductSearchClient;
+  if (!GapicProductSearchClient) {
+    continue;
+  }
+  class ProductSearchClient extends GapicProductSearchClient {}
+  Object.assign(
+    ProductSearchClient.prototype,
+    productSearch(gapicVersion, GapicProductSearchClient)
+  );
+  gapic[gapicVersion].ProductSearchClient = ProductSearchClient;
 }
 
 /**
  * The `@google-cloud/vision` package has the following named exports:
  *
  * - `ImageAnnotatorClient` - Reference to {@link v1.ImageAnnotatorClient}.
+ * - `ImageAnnotationError` - Reference to {@link ImageAnnotationError}.
+ * - `InvalidImageError` - Reference to {@link InvalidImageError}.
+ * - `ResponseCache`, `MemoryStore` and `FileStore` - References to
+ *   {@link ResponseCache}, {@link MemoryStore} and {@link FileStore}.
+ * - `FaceResult`, `EntityResult`, `LocalizedObjectResult` and
+ *   `TextBlockResult` - References to {@link FaceResult},
+ *   {@link EntityResult}, {@link LocalizedObjectResult} and
+ *   {@link TextBlockResult}.
+ * - `AnnotateFilesOperation` - Reference to {@link AnnotateFilesOperation},
+ *   the operation returned by `ImageAnnotatorClient#annotateFiles`.
+ * - `ImportProductSetsOperation` - Reference to
+ *   {@link ImportProductSetsOperation}, the operation returned by
+ *   `ProductSearchClient#importCatalog`.
+ * - `ListIterator` and `PageIterator` - References to {@link ListIterator}
+ *   and {@link PageIterator}, the async iterators returned by the
+ *   `ProductSearchClient` list methods ending in `Async` and `Pages`.
+ * - `readFileOutput`, `StorageReader` and `DirectoryReader` - References to
+ *   {@link readFileOutput}, {@link StorageReader} and {@link DirectoryReader},
+ *   which read the output of `asyncBatchAnnotateFiles` back as one document.
+ * - `TextIndex` - Reference to {@link TextIndex}, an offline index of the
+ *   text found in images, with phrase, prefix and proximity search.
+ * - `buildImportCsv`, `parseImportCsv` and `validateImportCsv` - Build, read
+ *   and check the CSV files imported by
+ *   `ProductSearchClient#importProductSets`. They throw an `ImportCsvError`,
+ *   a reference to {@link ImportCsvError}.
+ * - `readImportResults` - Reference to {@link readImportResults}, which joins
+ *   the statuses of an `importProductSets` operation to the lines of its CSV
+ *   file.
+ * - `LocationName`, `ProductSetName`, `ProductName` and
+ *   `ReferenceImageName` - References to {@link LocationName},
+ *   {@link ProductSetName}, {@link ProductName} and
+ *   {@link ReferenceImageName}, the names of Product Search resources, which
+ *   the `ProductSearchClient` methods accept. They extend `ResourceName`, a
+ *   reference to {@link ResourceName}.
+ * - `text` - Utilities for full text annotations: `layout`, `toPlainText`,
+ *   `toMarkdown` and `toJsonLines` to rebuild their lines and paragraphs in
+ *   reading order, `extractTables`, `extractKeyValuePairs` and `toCsv` to
+ *   find tables and form fields, `textInRegion` and `findText` to query the
+ *   text of a region or locate a phrase, `languageDistribution`,
+ *   `blockLanguageDistributions` and `languageSegments` to break it down by
+ *   language, `readHandwriting` to flag the words of handwriting read with
+ *   low confidence, and `toHocr`, `toAlto` and `toPdfTextLayer` to
+ *   serialize them.
  * - `v1` - This is used for selecting or pinning a particular backend service
  *   version. It exports:
  *   - `ImageAnnotatorClient` - Reference to {@link v1.ImageAnnotatorClient}.
@@ -111,5 +199,217 @@ module.exports.v1p2beta1 = gapic.v1p2beta1;
  */
 module.exports.v1p3beta1 = gapic.v1p3beta1;
 
+/**
+ * @type {constructor}
+ *   Reference to {@link ImageAnnotationError}
+ */
+module.exports.ImageAnnotationError = errors.ImageAnnotationError;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link InvalidImageError}
+ */
+module.exports.InvalidImageError = errors.InvalidImageError;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ResponseCache}
+ */
+module.exports.ResponseCache = cache.ResponseCache;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link MemoryStore}
+ */
+module.exports.MemoryStore = cache.MemoryStore;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link FileStore}
+ */
+module.exports.FileStore = cache.FileStore;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link FaceResult}
+ */
+module.exports.FaceResult = results.FaceResult;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link EntityResult}
+ */
+module.exports.EntityResult = results.EntityResult;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link LocalizedObjectResult}
+ */
+module.exports.LocalizedObjectResult = results.LocalizedObjectResult;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link TextBlockResult}
+ */
+module.exports.TextBlockResult = results.TextBlockResult;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link AnnotateFilesOperation}
+ */
+module.exports.AnnotateFilesOperation = operations.AnnotateFilesOperation;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ImportProductSetsOperation}
+ */
+module.exports.ImportProductSetsOperation =
+  operations.ImportProductSetsOperation;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ListIterator}
+ */
+module.exports.ListIterator = pages.ListIterator;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link PageIterator}
+ */
+module.exports.PageIterator = pages.PageIterator;
+
+/**
+ * @type {function}
+ *   Reference to {@link readFileOutput}
+ */
+module.exports.readFileOutput = shards.readFileOutput;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link StorageReader}
+ */
+module.exports.StorageReader = shards.StorageReader;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link DirectoryReader}
+ */
+module.exports.DirectoryReader = shards.DirectoryReader;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link TextIndex}
+ */
+module.exports.TextIndex = search.TextIndex;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ImportCsvError}
+ */
+module.exports.ImportCsvError = errors.ImportCsvError;
+
+/**
+ * @type {function}
+ *   Reference to {@link buildImportCsv}
+ */
+module.exports.buildImportCsv = importCsv.buildImportCsv;
+
+/**
+ * @type {function}
+ *   Reference to {@link parseImportCsv}
+ */
+module.exports.parseImportCsv = importCsv.parseImportCsv;
+
+/**
+ * @type {function}
+ *   Reference to {@link validateImportCsv}
+ */
+module.exports.validateImportCsv = importCsv.validateImportCsv;
+
+/**
+ * @type {function}
+ *   Reference to {@link readImportResults}
+ */
+module.exports.readImportResults = importCsv.readImportResults;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ResourceName}
+ */
+module.exports.ResourceName = resourceNames.ResourceName;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link LocationName}
+ */
+module.exports.LocationName = resourceNames.LocationName;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ProductSetName}
+ */
+module.exports.ProductSetName = resourceNames.ProductSetName;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ProductName}
+ */
+module.exports.ProductName = resourceNames.ProductName;
+
+/**
+ * @type {constructor}
+ *   Reference to {@link ReferenceImageName}
+ */
+module.exports.ReferenceImageName = resourceNames.ReferenceImageName;
+
+/**
+ * Utilities which rebuild the layout of the full text annotation of a
+ * document text detection, render it as plain text, Markdown or JSON lines,
+ * find its tables and "Label: value" pairs, read the text inside a region
+ * or locate a phrase, break it down by language, read handwriting with its
+ * low-confidence words flagged, or serialize it to hOCR, ALTO XML or a PDF
+ * text layer.
+ *
+ * @type {object}
+ * @property {function} layout
+ * @property {function} toPlainText
+ * @property {function} toMarkdown
+ * @property {function} toJsonLines
+ * @property {function} joinWords
+ * @property {function} extractTables
+ * @property {function} extractKeyValuePairs
+ * @property {function} toCsv
+ * @property {function} textInRegion
+ * @property {function} findText
+ * @property {function} languageDistribution
+ * @property {function} blockLanguageDistributions
+ * @property {function} languageSegments
+ * @property {function} readHandwriting
+ * @property {function} toHocr
+ * @property {function} toAlto
+ * @property {function} toPdfTextLayer
+ */
+// The text modules also export the helpers they share with each other, so
+// the public functions are picked one by one.
+module.exports.text = {
+  layout: layout.layout,
+  toPlainText: layout.toPlainText,
+  toMarkdown: layout.toMarkdown,
+  toJsonLines: layout.toJsonLines,
+  joinWords: layout.joinWords,
+  extractTables: tables.extractTables,
+  extractKeyValuePairs: tables.extractKeyValuePairs,
+  toCsv: tables.toCsv,
+  textInRegion: regions.textInRegion,
+  findText: regions.findText,
+  languageDistribution: languages.languageDistribution,
+  blockLanguageDistributions: languages.blockLanguageDistributions,
+  languageSegments: languages.languageSegments,
+  readHandwriting: handwriting.readHandwriting,
+  toHocr: text.toHocr,
+  toAlto: text.toAlto,
+  toPdfTextLayer: text.toPdfTextLayer,
+};
+
 // Alias `module.exports` as `module.exports.default`, for future-proofing.
 module.exports.default = Object.assign({}, module.exports);
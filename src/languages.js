@@ -0,0 +1,394 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {joinWords, layout} = require('./layout');
+
+/*!
+ * The language code counted for text the API detected no language for.
+ */
+const UNDETERMINED = 'und';
+
+/*!
+ * The options of the default rerun strategy, #languageHintsFor.
+ */
+const DEFAULT_HINT_OPTIONS = {
+  minConfidence: 0.8,
+  minShare: 0.1,
+  maxHints: 3,
+};
+
+/*!
+ * The code point ranges of the scripts told apart when looking for mixed
+ * scripts, as `[first, last, script]`. Characters outside of them, such as
+ * digits and punctuation, belong to no script.
+ */
+const SCRIPT_RANGES = [
+  [0x41, 0x5a, 'Latin'],
+  [0x61, 0x7a, 'Latin'],
+  [0xc0, 0x24f, 'Latin'],
+  [0x1e00, 0x1eff, 'Latin'],
+  [0x370, 0x3ff, 'Greek'],
+  [0x1f00, 0x1fff, 'Greek'],
+  [0x400, 0x52f, 'Cyrillic'],
+  [0x530, 0x58f, 'Armenian'],
+  [0x590, 0x5ff, 'Hebrew'],
+  [0x600, 0x6ff, 'Arabic'],
+  [0x750, 0x77f, 'Arabic'],
+  [0xfb50, 0xfdff, 'Arabic'],
+  [0xfe70, 0xfeff, 'Arabic'],
+  [0x900, 0x97f, 'Devanagari'],
+  [0x980, 0x9ff, 'Bengali'],
+  [0xe00, 0xe7f, 'Thai'],
+  [0x10a0, 0x10ff, 'Georgian'],
+  [0x1100, 0x11ff, 'Hangul'],
+  [0x3130, 0x318f, 'Hangul'],
+  [0xac00, 0xd7af, 'Hangul'],
+  [0x3040, 0x30ff, 'Kana'],
+  [0x3400, 0x4dbf, 'Han'],
+  [0x4e00, 0x9fff, 'Han'],
+  [0xf900, 0xfaff, 'Han'],
+];
+
+/*!
+ * Find the script of a character.
+ *
+ * @param {string} character The character.
+ * @returns {?string} The script, or null for characters of no script.
+ */
+const _script = character => {
+  const code = character.codePointAt(0);
+  for (const range of SCRIPT_RANGES) {
+    if (code >= range[0] && code <= range[1]) {
+      return range[2];
+    }
+  }
+  return null;
+};
+
+/*!
+ * Read the words of a text annotation with the language each was detected
+ * in: their own, or else that of their paragraph, block or page.
+ *
+ * @param {object} annotation An object representing a TextAnnotation.
+ * @returns {object[]} The pages, in reading order, each with its `page`
+ *   number (from 1) and `blocks`; each block with its `box`, `text` and
+ *   `words`, as `{word, language}` objects where the language is null if
+ *   none was detected.
+ */
+const _readPages = annotation => {
+  return layout(annotation).pages.map((page, p) => {
+    const blocks = page.blocks.map(block => {
+      const words = [];
+      for (const paragraph of block.paragraphs) {
+        const inherited = paragraph.language || block.language || page.language;
+        for (const line of paragraph.lines) {
+          for (const word of line.words) {
+            words.push({word, language: word.language || inherited});
+          }
+        }
+      }
+      const text = block.paragraphs.map(paragraph => paragraph.text);
+      return {box: block.box, text: text.join('\n'), words};
+    });
+    return {page: p + 1, blocks};
+  });
+};
+
+/*!
+ * Count the characters of a word, rather than its UTF-16 code units.
+ */
+const _length = text => Array.from(text).length;
+
+/*!
+ * Turn character counts per language into a distribution.
+ *
+ * @param {object[]} words The words, as `{word, language}` objects.
+ * @returns {object[]} The languages, as `{languageCode, characters, share}`
+ *   objects, the most common first.
+ */
+const _distribution = words => {
+  const counts = {};
+  let total = 0;
+  for (const entry of words) {
+    const code = entry.language || UNDETERMINED;
+    const characters = _length(entry.word.text);
+    counts[code] = (counts[code] || 0) + characters;
+    total += characters;
+  }
+  return Object.keys(counts)
+    .map(code => {
+      return {
+        languageCode: code,
+        characters: counts[code],
+        share: counts[code] / total,
+      };
+    })
+    .sort((a, b) => {
+      return (
+        b.characters - a.characters ||
+        (a.languageCode < b.languageCode ? -1 : 1)
+      );
+    });
+};
+
+/**
+ * Compute the share of the text of a document in each language the API
+ * detected.
+ *
+ * Each word counts for its number of characters, in the language detected
+ * for it, or else for its paragraph, block or page. Characters with no
+ * detected language are counted as `und` (undetermined).
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}, such as
+ *     the `fullTextAnnotation` of a documentTextDetection response.
+ * @returns {object[]} The languages, the most common first, each as an
+ *     object with its `languageCode`, its number of `characters`, and its
+ *     `share` of the text, from 0 to 1.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./letter.png').then(results => {
+ *   const annotation = results[0].fullTextAnnotation;
+ *   for (const language of vision.text.languageDistribution(annotation)) {
+ *     console.log(`${language.languageCode}: ${language.share}`);
+ *   }
+ * });
+ */
+const languageDistribution = annotation => {
+  const words = [];
+  for (const page of _readPages(annotation)) {
+    for (const block of page.blocks) {
+      words.push.apply(words, block.words);
+    }
+  }
+  return _distribution(words);
+};
+
+/**
+ * Compute the share of the text of each block of a document in each
+ * language, as {@link module:@google-cloud/vision.text.languageDistribution languageDistribution}
+ * does for the whole document.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}.
+ * @returns {object[]} The blocks, in reading order, each as an object with
+ *     its `page` number (from 1), its `box` and `text`, and its `languages`.
+ */
+const blockLanguageDistributions = annotation => {
+  const blocks = [];
+  for (const page of _readPages(annotation)) {
+    for (const block of page.blocks) {
+      blocks.push({
+        page: page.page,
+        box: block.box,
+        text: block.text,
+        languages: _distribution(block.words),
+      });
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Split the text of a document into runs of words in the same language, in
+ * reading order, such as the English and the Japanese parts of a bilingual
+ * form.
+ *
+ * Words with no letters, such as numbers and punctuation, and words with no
+ * detected language belong to the run they are in. Runs do not span pages.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}.
+ * @returns {object[]} The runs, each as an object with its `page` number
+ *     (from 1), its `languageCode` (null if none was detected), its `text`
+ *     and its `words`, as returned by
+ *     {@link module:@google-cloud/vision.text.layout layout}.
+ */
+const languageSegments = annotation => {
+  const segments = [];
+  for (const page of _readPages(annotation)) {
+    let segment = null;
+    for (const block of page.blocks) {
+      for (const entry of block.words) {
+        const neutral =
+          !entry.language || !Array.from(entry.word.text).some(_script);
+        if (
+          !segment ||
+          (!neutral &&
+            segment.languageCode &&
+            segment.languageCode !== entry.language)
+        ) {
+          segment = {page: page.page, languageCode: null, words: []};
+          segments.push(segment);
+        }
+        if (!neutral && !segment.languageCode) {
+          segment.languageCode = entry.language;
+        }
+        segment.words.push(entry.word);
+      }
+    }
+  }
+  return segments.map(segment => {
+    return {
+      page: segment.page,
+      languageCode: segment.languageCode,
+      text: joinWords(segment.words),
+      words: segment.words,
+    };
+  });
+};
+
+/*!
+ * Compute the mean confidence of the words of a document.
+ *
+ * @param {object} annotation An object representing a TextAnnotation.
+ * @returns {?number} The confidence, from 0 to 1, or null if the API
+ *   reported none.
+ */
+const textConfidence = annotation => {
+  const confidences = [];
+  for (const page of _readPages(annotation)) {
+    for (const block of page.blocks) {
+      for (const entry of block.words) {
+        if (entry.word.confidence !== null) {
+          confidences.push(entry.word.confidence);
+        }
+      }
+    }
+  }
+  if (confidences.length === 0) {
+    return null;
+  }
+  return (
+    confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+  );
+};
+
+/*!
+ * Check the options of #languageHintsFor, and fill in the defaults.
+ *
+ * @param {object} [options] The options.
+ * @returns {object} The options, with the defaults.
+ * @throws {Error} If an option is invalid.
+ */
+const _hintOptions = options => {
+  for (const name of Object.keys(options || {})) {
+    if (!DEFAULT_HINT_OPTIONS.hasOwnProperty(name)) {
+      throw new Error(
+        `Unknown option "${name}". Use one of: ` +
+          `${Object.keys(DEFAULT_HINT_OPTIONS).join(', ')}.`
+      );
+    }
+  }
+  options = Object.assign({}, DEFAULT_HINT_OPTIONS, options);
+  for (const name of ['minConfidence', 'minShare']) {
+    if (!is.number(options[name]) || options[name] < 0 || options[name] > 1) {
+      throw new Error(`The ${name} option must be a number from 0 to 1.`);
+    }
+  }
+  if (!is.integer(options.maxHints) || options.maxHints < 1) {
+    throw new Error('The maxHints option must be a positive integer.');
+  }
+  return options;
+};
+
+/*!
+ * Decide whether a document should be annotated again with language hints,
+ * and with which ones. This is the default strategy of the `languageRerun`
+ * option of the ImageAnnotatorClient.
+ *
+ * A document is annotated again when its text mixes several scripts (such as
+ * Latin and Cyrillic), each making up at least `minShare` of its letters, and
+ * the mean confidence of its words is below `minConfidence`. The hints are
+ * then the most common languages detected in it.
+ *
+ * @param {object} annotation An object representing a TextAnnotation.
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.minConfidence=0.8] The confidence below which the
+ *   text is annotated again.
+ * @param {number} [options.minShare=0.1] The share of the letters a script,
+ *   or of the text a language, must make up to count.
+ * @param {number} [options.maxHints=3] The maximum number of languages to
+ *   hint.
+ * @returns {?string[]} The language codes to hint, or null if the document
+ *   should not be annotated again.
+ */
+const languageHintsFor = (annotation, options) => {
+  options = _hintOptions(options);
+
+  const confidence = textConfidence(annotation);
+  if (confidence === null || confidence >= options.minConfidence) {
+    return null;
+  }
+
+  const counts = {};
+  let letters = 0;
+  for (const character of Array.from((annotation && annotation.text) || '')) {
+    const script = _script(character);
+    if (script) {
+      counts[script] = (counts[script] || 0) + 1;
+      letters++;
+    }
+  }
+  const scripts = Object.keys(counts).filter(
+    script => counts[script] / letters >= options.minShare
+  );
+  if (scripts.length < 2) {
+    return null;
+  }
+
+  const hints = languageDistribution(annotation)
+    .filter(language => language.languageCode !== UNDETERMINED)
+    .filter(language => language.share >= options.minShare)
+    .slice(0, options.maxHints)
+    .map(language => language.languageCode);
+  return hints.length > 0 ? hints : null;
+};
+
+/*!
+ * Check the `languageRerun` option of an ImageAnnotatorClient, so that a
+ * mistake in it is reported before any image is annotated.
+ *
+ * @param {boolean|object|function} [setting] The option: a falsy value,
+ *   `true`, the options of #languageHintsFor, or a custom strategy.
+ * @throws {Error} If the option is invalid.
+ */
+const checkRerunStrategy = setting => {
+  if (!setting || setting === true || is.function(setting)) {
+    return;
+  }
+  if (!is.object(setting)) {
+    throw new Error(
+      'The languageRerun option must be true, an object of options, ' +
+        'or a function.'
+    );
+  }
+  _hintOptions(setting);
+};
+
+module.exports.blockLanguageDistributions = blockLanguageDistributions;
+module.exports.checkRerunStrategy = checkRerunStrategy;
+module.exports.languageDistribution = languageDistribution;
+module.exports.languageHintsFor = languageHintsFor;
+module.exports.languageSegments = languageSegments;
+module.exports.textConfidence = textConfidence;
@@ -0,0 +1,495 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {AnnotationResult, breakType} = require('./results');
+
+/*!
+ * The break types after which a line of text ends.
+ */
+const LINE_ENDS = ['EOL_SURE_SPACE', 'LINE_BREAK', 'HYPHEN'];
+
+/*!
+ * The break types which stand for a space between words.
+ */
+const SPACES = ['SPACE', 'SURE_SPACE'];
+
+/*!
+ * The break types which separate a word from the next one.
+ */
+const SEPARATORS = SPACES.concat(['EOL_SURE_SPACE', 'LINE_BREAK']);
+
+/*!
+ * Compute the box around a bounding poly, in the units of the page.
+ *
+ * @param {object} [poly] An object representing a BoundingPoly.
+ * @param {object} page An object representing the Page the poly is on.
+ * @returns {?object} The box as `{x, y, width, height}`, or null if the poly
+ *   has no vertices.
+ */
+const _box = (poly, page) => {
+  const vertices = new AnnotationResult({boundingPoly: poly}).toPixels(
+    page.width || 0,
+    page.height || 0
+  );
+  return unionBoxes(
+    vertices.map(vertex => {
+      return {x: vertex.x, y: vertex.y, width: 0, height: 0};
+    })
+  );
+};
+
+/*!
+ * Compute the box around several boxes.
+ *
+ * @param {Array.<?object>} boxes The boxes, as `{x, y, width, height}`
+ *   objects; null boxes are ignored.
+ * @returns {?object} The box around them, or null if there are none.
+ */
+const unionBoxes = boxes => {
+  boxes = boxes.filter(box => box);
+  if (boxes.length === 0) {
+    return null;
+  }
+  const lefts = boxes.map(box => box.x);
+  const tops = boxes.map(box => box.y);
+  const rights = boxes.map(box => box.x + box.width);
+  const bottoms = boxes.map(box => box.y + box.height);
+  const x = Math.min.apply(null, lefts);
+  const y = Math.min.apply(null, tops);
+  return {
+    x,
+    y,
+    width: Math.max.apply(null, rights) - x,
+    height: Math.max.apply(null, bottoms) - y,
+  };
+};
+
+/*!
+ * Read the words of the `textAnnotations` of a text detection response. The
+ * first annotation, which holds the whole text, is skipped; each other one
+ * is a word.
+ *
+ * @param {object[]} [annotations] The EntityAnnotations.
+ * @returns {object[]} The words, as `{text, box, confidence}` objects, with
+ *   the box in pixels (null if the annotation has none) and the score of the
+ *   annotation as the confidence (null if it has none).
+ */
+const entityWords = annotations => {
+  return (annotations || []).slice(1).map(annotation => {
+    const vertices = (annotation.boundingPoly || {}).vertices || [];
+    return {
+      text: annotation.description || '',
+      box: unionBoxes(
+        vertices.map(vertex => {
+          return {x: vertex.x || 0, y: vertex.y || 0, width: 0, height: 0};
+        })
+      ),
+      confidence: is.number(annotation.score) ? annotation.score : null,
+    };
+  });
+};
+
+/*!
+ * Get the most likely language detected for an element of a
+ * TextAnnotation.
+ *
+ * @param {object} element The element.
+ * @returns {?string} The BCP-47 language code, or null if none was detected.
+ */
+const _language = element => {
+  const languages =
+    (element.property && element.property.detectedLanguages) || [];
+  const best = languages.reduce((best, language) => {
+    return !best || (language.confidence || 0) > (best.confidence || 0)
+      ? language
+      : best;
+  }, null);
+  return (best && best.languageCode) || null;
+};
+
+/*!
+ * Get the confidence of an element, if the API reported one.
+ */
+const _confidence = element => {
+  return is.number(element.confidence) ? element.confidence : null;
+};
+
+/*!
+ * Average the confidences of several elements, ignoring the ones which have
+ * none.
+ */
+const _meanConfidence = elements => {
+  const confidences = elements
+    .map(element => element.confidence)
+    .filter(confidence => confidence !== null);
+  if (confidences.length === 0) {
+    return null;
+  }
+  return (
+    confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+  );
+};
+
+/**
+ * Join words returned by {@link module:@google-cloud/vision.text.layout layout}
+ * into text, as printed: words followed by a space or the end of a line are
+ * separated from the next one, words which are not (such as a word and the
+ * punctuation after it) are not, and a word hyphenated at the end of a line
+ * keeps its hyphen.
+ *
+ * @param {object[]} words The words.
+ * @returns {string} The text.
+ */
+const joinWords = words => {
+  let text = '';
+  words.forEach((word, i) => {
+    text += word.text;
+    if (word.hyphenated) {
+      text += '-';
+    } else if (i < words.length - 1 && SEPARATORS.indexOf(word.break) > -1) {
+      text += ' ';
+    }
+  });
+  return text;
+};
+
+/*!
+ * Read a word, with the break detected after its last symbol.
+ *
+ * Symbols followed by a space inside of a word keep the space.
+ */
+const _readWord = (word, page) => {
+  const symbols = word.symbols || [];
+  let text = '';
+  symbols.forEach((symbol, i) => {
+    text += symbol.text || '';
+    if (i < symbols.length - 1 && SPACES.indexOf(breakType(symbol)) > -1) {
+      text += ' ';
+    }
+  });
+  const type = breakType(symbols[symbols.length - 1]) || breakType(word);
+  const read = symbols.map(symbol => {
+    return {
+      text: symbol.text || '',
+      box: _box(symbol.boundingBox, page),
+      confidence: _confidence(symbol),
+    };
+  });
+  return {
+    text,
+    box:
+      _box(word.boundingBox, page) ||
+      unionBoxes(read.map(symbol => symbol.box)),
+    confidence: _confidence(word),
+    symbols: read,
+    language: _language(word),
+    break: type,
+    hyphenated: type === 'HYPHEN',
+  };
+};
+
+/*!
+ * Read the words of a paragraph, grouped into lines. A line ends after
+ * every word whose last symbol is followed by a line-ending break.
+ */
+const _readLines = (paragraph, page) => {
+  const lines = [];
+  let words = [];
+  const endLine = () => {
+    if (words.length > 0) {
+      lines.push({
+        text: joinWords(words),
+        box: unionBoxes(words.map(word => word.box)),
+        confidence: _meanConfidence(words),
+        words,
+      });
+      words = [];
+    }
+  };
+  for (const word of paragraph.words || []) {
+    words.push(_readWord(word, page));
+    if (LINE_ENDS.indexOf(words[words.length - 1].break) > -1) {
+      endLine();
+    }
+  }
+  endLine();
+  return lines;
+};
+
+/*!
+ * Join the lines of a paragraph into running text. A word hyphenated at
+ * the end of a line is joined to the first word of the next line without
+ * its hyphen; a line ending with a printed hyphen (as in "well-" and
+ * "known") is joined to the next one without a space.
+ */
+const _joinLines = lines => {
+  let text = '';
+  lines.forEach((line, i) => {
+    const last = line.words[line.words.length - 1];
+    if (i === lines.length - 1) {
+      text += line.text;
+    } else if (last.hyphenated) {
+      text += line.text.slice(0, -1);
+    } else if (/-$/.test(line.text)) {
+      text += line.text;
+    } else {
+      text += `${line.text} `;
+    }
+  });
+  return text;
+};
+
+/*!
+ * Find where a set of boxes can be cut in two along an axis, by a gap no
+ * box crosses.
+ *
+ * @param {object[]} items The items to cut, each with a `box`.
+ * @param {string} start The box property where the axis starts (`x` or `y`).
+ * @param {string} size The box property along the axis (`width` or
+ *   `height`).
+ * @returns {object[][]} The groups on either side of each gap, in order
+ *   along the axis.
+ */
+const _cut = (items, start, size) => {
+  const sorted = items.slice().sort((a, b) => a.box[start] - b.box[start]);
+  const groups = [];
+  let end = -Infinity;
+  for (const item of sorted) {
+    if (item.box[start] >= end) {
+      groups.push([]);
+    }
+    groups[groups.length - 1].push(item);
+    end = Math.max(end, item.box[start] + item.box[size]);
+  }
+  return groups;
+};
+
+/*!
+ * Sort elements into reading order with a recursive XY cut.
+ *
+ * The elements are split into bands by the horizontal gaps between them,
+ * read from top to bottom. Consecutive bands are read as one section when
+ * the same vertical gap runs through them, so that each section is then
+ * split into columns, read from left to right, and so on until no gap is
+ * left. Elements which cannot be split keep the order the API gave them in.
+ *
+ * @param {object[]} items The elements, each with a `box`.
+ * @returns {object[]} The elements, in reading order.
+ */
+const _readingOrder = items => {
+  if (items.length < 2 || items.some(item => !item.box)) {
+    return items;
+  }
+  const sections = [];
+  for (const band of _cut(items, 'y', 'height')) {
+    const last = sections[sections.length - 1];
+    if (last && _cut(last.concat(band), 'x', 'width').length > 1) {
+      sections[sections.length - 1] = last.concat(band);
+    } else {
+      sections.push(band);
+    }
+  }
+  const groups = sections.length > 1 ? sections : _cut(items, 'x', 'width');
+  if (groups.length === 1) {
+    return items;
+  }
+  return groups.reduce((ordered, group) => {
+    const order = group.map(item => items.indexOf(item)).sort((a, b) => a - b);
+    return ordered.concat(_readingOrder(order.map(index => items[index])));
+  }, []);
+};
+
+/**
+ * Rebuild the layout of a text annotation: its pages, blocks, paragraphs,
+ * lines and words, with their bounding boxes, in reading order.
+ *
+ * Lines are reconstructed from the breaks detected after each word. Blocks
+ * are put into reading order by cutting the page along the gaps between
+ * them, so that columns are read one after the other; paragraphs, lines and
+ * words keep the order the API gave them in.
+ *
+ * Boxes are `{x, y, width, height}` objects in the units of the page:
+ * pixels for images, and points for PDF files. Confidences range from 0 to
+ * 1, and are null when the API did not report one.
+ *
+ * The annotations of every API version are accepted.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}, such as
+ *     the `fullTextAnnotation` of a documentTextDetection response.
+ * @returns {object} The layout, as `{pages}`. Each page has its `width`,
+ *     `height`, `confidence`, `language` and `blocks`; each block its `box`,
+ *     `language` and `paragraphs`; each paragraph its running `text` (with
+ *     hyphenated words joined), `box`, `confidence`, `language` and `lines`;
+ *     each line its `text` as printed, `box`, `confidence` and `words`;
+ *     each word its `text`, `box`, `confidence`, `symbols` (each with its
+ *     `text`, `box` and `confidence`), `language`, the `break` type detected
+ *     after it, and whether it is `hyphenated` at the end of its line.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./page.png').then(results => {
+ *   const layout = vision.text.layout(results[0].fullTextAnnotation);
+ *   for (const block of layout.pages[0].blocks) {
+ *     for (const paragraph of block.paragraphs) {
+ *       console.log(paragraph.text);
+ *     }
+ *   }
+ * });
+ */
+const layout = annotation => {
+  const pages = ((annotation && annotation.pages) || []).map(page => {
+    const blocks = (page.blocks || []).map(block => {
+      const paragraphs = (block.paragraphs || []).map(paragraph => {
+        const lines = _readLines(paragraph, page);
+        return {
+          text: _joinLines(lines),
+          box:
+            _box(paragraph.boundingBox, page) ||
+            unionBoxes(lines.map(line => line.box)),
+          confidence: _confidence(paragraph),
+          language: _language(paragraph),
+          lines,
+        };
+      });
+      return {
+        box:
+          _box(block.boundingBox, page) ||
+          unionBoxes(paragraphs.map(paragraph => paragraph.box)),
+        language: _language(block),
+        paragraphs,
+      };
+    });
+    return {
+      width: page.width || 0,
+      height: page.height || 0,
+      confidence: _confidence(page),
+      language: _language(page),
+      blocks: _readingOrder(blocks),
+    };
+  });
+  return {pages};
+};
+
+/**
+ * Render a text annotation as plain text, in reading order.
+ *
+ * By default, each paragraph is a single line of running text, with
+ * hyphenated words joined, and paragraphs are separated by blank lines.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}.
+ * @param {object} [options] Optional parameters.
+ * @param {boolean} [options.preserveLines=false] Keep the lines as printed,
+ *     hyphens included, rather than joining them.
+ * @returns {string} The text.
+ */
+const toPlainText = (annotation, options) => {
+  options = options || {};
+  const paragraphs = [];
+  for (const page of layout(annotation).pages) {
+    for (const block of page.blocks) {
+      for (const paragraph of block.paragraphs) {
+        paragraphs.push(
+          options.preserveLines
+            ? paragraph.lines.map(line => line.text).join('\n')
+            : paragraph.text
+        );
+      }
+    }
+  }
+  return paragraphs.join('\n\n');
+};
+
+/*!
+ * Escape the characters of running text which Markdown would interpret.
+ */
+const _escapeMarkdown = text => {
+  return text
+    .replace(/[\\`*_[\]<>|]/g, '\\$&')
+    .replace(/^(#|>|[-+](?= |$)|\d+(?=[.)] ))/, '\\$1');
+};
+
+/**
+ * Render a text annotation as Markdown, in reading order.
+ *
+ * Each paragraph becomes a Markdown paragraph of running text, with
+ * hyphenated words joined and the characters Markdown would interpret
+ * escaped. Pages are separated by thematic breaks (`---`).
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}.
+ * @returns {string} The Markdown.
+ */
+const toMarkdown = annotation => {
+  const pages = layout(annotation).pages.map(page => {
+    const paragraphs = [];
+    for (const block of page.blocks) {
+      for (const paragraph of block.paragraphs) {
+        paragraphs.push(_escapeMarkdown(paragraph.text));
+      }
+    }
+    return paragraphs.join('\n\n');
+  });
+  return pages.length > 0 ? `${pages.join('\n\n---\n\n')}\n` : '';
+};
+
+/**
+ * Render a text annotation as JSON lines, in reading order: one JSON object
+ * per line of text, with the `page`, `block`, `paragraph` and `line` it is
+ * (numbered from 1), its `text` as printed, its `box`, and its
+ * `confidence`.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}.
+ * @returns {string} The JSON lines, each ended by a newline.
+ */
+const toJsonLines = annotation => {
+  let out = '';
+  layout(annotation).pages.forEach((page, p) => {
+    page.blocks.forEach((block, b) => {
+      block.paragraphs.forEach((paragraph, r) => {
+        paragraph.lines.forEach((line, l) => {
+          const record = {
+            page: p + 1,
+            block: b + 1,
+            paragraph: r + 1,
+            line: l + 1,
+            text: line.text,
+            box: line.box,
+            confidence: line.confidence,
+          };
+          out += `${JSON.stringify(record)}\n`;
+        });
+      });
+    });
+  });
+  return out;
+};
+
+module.exports.entityWords = entityWords;
+module.exports.joinWords = joinWords;
+module.exports.layout = layout;
+module.exports.toJsonLines = toJsonLines;
+module.exports.toMarkdown = toMarkdown;
+module.exports.toPlainText = toPlainText;
+module.exports.unionBoxes = unionBoxes;
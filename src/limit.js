@@ -0,0 +1,59 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/*!
+ * Run an asynchronous iterator over every item of an array, with at most
+ * `limit` iterations in flight at once.
+ *
+ * @param {Array} items The items to iterate over.
+ * @param {number} limit The maximum number of concurrent iterations.
+ * @param {function} iterator Called as `iterator(item, index, next)`; it must
+ *   call `next(err)` exactly once when it is done.
+ * @param {function} callback Called once every item is done, or with the
+ *   first error that occurs. No further iterations start after an error.
+ */
+const eachLimit = (items, limit, iterator, callback) => {
+  let started = 0;
+  let finished = 0;
+  let failed = false;
+  if (items.length === 0) {
+    return callback(null);
+  }
+  const launch = () => {
+    while (!failed && started < items.length && started - finished < limit) {
+      const index = started++;
+      iterator(items[index], index, err => {
+        if (failed) {
+          return;
+        }
+        finished++;
+        if (err) {
+          failed = true;
+          return callback(err);
+        }
+        if (finished === items.length) {
+          return callback(null);
+        }
+        launch();
+      });
+    }
+  };
+  launch();
+};
+
+module.exports.eachLimit = eachLimit;
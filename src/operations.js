@@ -0,0 +1,509 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {EventEmitter} = require('events');
+const gax = require('google-gax');
+const is = require('is');
+
+const importCsv = require('./import_csv');
+
+/*!
+ * How long #annotateFiles waits between polls of an operation when no poll
+ * interval is given, in milliseconds.
+ */
+const DEFAULT_POLL_INTERVAL = 5000;
+
+/*!
+ * The backoff gax polls a long-running operation with when the call options
+ * give none, as for the operations returned by asyncBatchAnnotateFiles.
+ */
+const DEFAULT_BACKOFF = {
+  initialRetryDelayMillis: 100,
+  retryDelayMultiplier: 1.3,
+  maxRetryDelayMillis: 60000,
+  initialRpcTimeoutMillis: null,
+  rpcTimeoutMultiplier: null,
+  maxRpcTimeoutMillis: null,
+  totalTimeoutMillis: null,
+};
+
+/*!
+ * The type of the metadata of asyncBatchAnnotateFiles operations, in any
+ * API version.
+ */
+const METADATA_TYPE = /^type\.googleapis\.com\/google\.cloud\.vision\.[^.]+\.OperationMetadata$/;
+
+/*!
+ * The canonical google.rpc.Code values for the errors raised here.
+ */
+const CANCELLED = 1;
+const DEADLINE_EXCEEDED = 4;
+
+/*!
+ * Create an error carrying a google.rpc.Code, like the errors of the API
+ * calls.
+ */
+const _codeError = (code, message) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/*!
+ * Convert a google.protobuf.Timestamp to a Date.
+ *
+ * @param {?object} timestamp An object with `seconds` and `nanos`.
+ * @returns {?Date} The date, or null if there is no timestamp.
+ */
+const _toDate = timestamp => {
+  if (!timestamp) {
+    return null;
+  }
+  return new Date(
+    Number(timestamp.seconds || 0) * 1000 +
+      Math.floor((timestamp.nanos || 0) / 1e6)
+  );
+};
+
+/**
+ * A running long-running operation, which polls it at a fixed interval
+ * until it completes.
+ *
+ * It is both a Promise, which resolves with the outcome of the operation,
+ * and an EventEmitter with these events:
+ *
+ * - `progress` is emitted with the state of the operation, decoded from its
+ *   metadata, whenever it changes.
+ * - `complete` is emitted with the outcome once the operation is done.
+ * - `error` is emitted if the operation fails, is cancelled or times out.
+ *   The Promise is rejected with the same error, so the event is only
+ *   emitted when it has listeners.
+ *
+ * Subclasses decode the metadata and the response of their operations.
+ *
+ * @class
+ * @abstract
+ * @param {object} client The client which started the operation.
+ * @param {object} types The response and metadata protobuf types of the
+ *     operation, as `response` and `metadata`.
+ * @param {function(function(?Error, object))} start A function which starts
+ *     the operation, or looks it up, and calls back with the gax Operation.
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.pollInterval=5000] How long to wait between polls,
+ *     in milliseconds.
+ * @param {number} [options.timeout] How long to wait for the operation to
+ *     complete, in milliseconds. By default there is no limit.
+ * @param {AbortSignal} [options.signal] A signal which cancels the operation
+ *     when it is aborted.
+ */
+class PollingOperation extends EventEmitter {
+  constructor(client, types, start, options) {
+    super();
+    options = Object.assign({pollInterval: DEFAULT_POLL_INTERVAL}, options);
+
+    /**
+     * The name of the operation, once it is known.
+     *
+     * @name PollingOperation#name
+     * @type {?string}
+     */
+    this.name = null;
+
+    /**
+     * The latest state of the operation, as emitted with `progress`.
+     *
+     * @name PollingOperation#metadata
+     * @type {?object}
+     */
+    this.metadata = null;
+
+    this._client = client;
+    this._types = types;
+    this._options = options;
+    this._operation = null;
+    this._settled = false;
+    this._completed = false;
+    this._started = false;
+    this._cancelling = null;
+    this._pendingCancel = null;
+    this._timers = [];
+    this._promise = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+
+    // Rejections are handled by whoever chains onto the operation; this only
+    // keeps the inner promise from being reported as unhandled when the
+    // operation is used as an EventEmitter alone.
+    this._promise.catch(() => {});
+
+    let err = null;
+    if (!is.number(options.pollInterval) || options.pollInterval <= 0) {
+      err = new Error('The poll interval must be a positive number.');
+    } else if (
+      !is.undefined(options.timeout) &&
+      (!is.number(options.timeout) || options.timeout <= 0)
+    ) {
+      err = new Error('The timeout must be a positive number.');
+    }
+    if (err) {
+      process.nextTick(() => this._fail(err));
+      return;
+    }
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        process.nextTick(() => this.cancel());
+        return;
+      }
+      this._onAbort = () => this._abort();
+      options.signal.addEventListener('abort', this._onAbort);
+    }
+    if (options.timeout) {
+      this._timers.push(
+        setTimeout(() => {
+          this._fail(
+            _codeError(
+              DEADLINE_EXCEEDED,
+              `The operation did not complete within ${options.timeout} ms.`
+            )
+          );
+        }, options.timeout)
+      );
+    }
+
+    // Start on the next tick, so that the first events reach the listeners
+    // attached by the caller. An operation cancelled before then is never
+    // started.
+    this._started = true;
+    process.nextTick(() => {
+      if (this._settled) {
+        return this._pendingCancel && this._pendingCancel();
+      }
+      start((err, operation) => {
+        if (err) {
+          if (this._pendingCancel) {
+            this._pendingCancel(err);
+          }
+          return this._fail(err);
+        }
+        this._operation = operation;
+        this.name = operation.latestResponse.name;
+        if (this._pendingCancel) {
+          return this._pendingCancel();
+        }
+        if (this._settled) {
+          return;
+        }
+        this._progress(operation.metadata);
+        if (operation.latestResponse.done) {
+          this._poll();
+        } else {
+          this._schedule();
+        }
+      });
+    });
+  }
+
+  /**
+   * Attach callbacks for the completion of the operation.
+   *
+   * @param {function(object)} [onFulfilled] Called with the response.
+   * @param {function(Error)} [onRejected] Called with the error.
+   * @returns {Promise} A promise for the result of the callback.
+   */
+  then(onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Attach a callback for the failure of the operation.
+   *
+   * @param {function(Error)} onRejected Called with the error.
+   * @returns {Promise} A promise for the result of the callback.
+   */
+  catch(onRejected) {
+    return this._promise.catch(onRejected);
+  }
+
+  /**
+   * Cancel the operation, through the `cancelOperation` method of the
+   * operations client, and stop waiting for it. The operation is rejected
+   * with an error whose `code` is 1 (`CANCELLED`).
+   *
+   * Nothing is cancelled once the operation has completed. An operation
+   * which timed out can still be cancelled.
+   *
+   * @returns {Promise} A promise which resolves once the operation was
+   *     cancelled.
+   */
+  cancel() {
+    if (this._cancelling) {
+      return this._cancelling;
+    }
+    this._fail(_codeError(CANCELLED, 'The operation was cancelled.'));
+    this._cancelling = new Promise((resolve, reject) => {
+      // The operation can only be cancelled once it has started.
+      this._pendingCancel = err => {
+        if (err) {
+          return reject(err);
+        }
+        if (this._completed || !this._operation) {
+          return resolve();
+        }
+        this._client.operationsClient
+          .cancelOperation({name: this.name})
+          .then(() => resolve(), reject);
+      };
+      if (this._operation || !this._started) {
+        this._pendingCancel();
+      }
+    });
+    return this._cancelling;
+  }
+
+  /*!
+   * Cancel the operation when the abort signal fires. A failure to cancel
+   * it cannot be reported: the operation has already been rejected.
+   */
+  _abort() {
+    this.cancel().catch(() => {});
+  }
+
+  /*!
+   * Poll the operation after the poll interval.
+   */
+  _schedule() {
+    this._timers.push(
+      setTimeout(() => this._poll(), this._options.pollInterval)
+    );
+  }
+
+  /*!
+   * Fetch the latest state of the operation, and settle it if it is done.
+   */
+  _poll() {
+    this._operation.getOperation().then(
+      results => {
+        this._completed = !!results[2].done;
+        if (this._settled) {
+          return;
+        }
+        this._progress(results[1]);
+        if (!this._completed) {
+          return this._schedule();
+        }
+        let outcome;
+        try {
+          outcome = this._outcome(
+            this._types.response.toObject(
+              this._types.response.fromObject(results[0] || {}),
+              {enums: String, longs: String, defaults: true}
+            )
+          );
+        } catch (err) {
+          return this._fail(err);
+        }
+        this._settle();
+        this._resolve(outcome);
+        this.emit('complete', outcome);
+      },
+      err => {
+        this._completed = !!this._operation.latestResponse.done;
+        this._fail(err);
+      }
+    );
+  }
+
+  /*!
+   * Decode the metadata of the operation, and emit `progress` if it changed.
+   *
+   * @param {?object} metadata The decoded metadata message.
+   */
+  _progress(metadata) {
+    if (!metadata) {
+      return;
+    }
+    const message = this._types.metadata.toObject(
+      this._types.metadata.fromObject(metadata),
+      {enums: String, longs: Number}
+    );
+    const progress = this._describe(message);
+    const changed =
+      !this.metadata ||
+      JSON.stringify(this.metadata) !== JSON.stringify(progress);
+    this.metadata = progress;
+    if (changed) {
+      this.emit('progress', progress);
+    }
+  }
+
+  /*!
+   * Reject the operation, and stop polling it.
+   */
+  _fail(err) {
+    if (this._settled) {
+      return;
+    }
+    this._settle();
+    this._reject(err);
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    }
+  }
+
+  /*!
+   * Mark the operation as settled, and release its timers and signal.
+   */
+  _settle() {
+    this._settled = true;
+    this._timers.forEach(clearTimeout);
+    this._timers = [];
+    if (this._onAbort) {
+      this._options.signal.removeEventListener('abort', this._onAbort);
+    }
+  }
+}
+
+/**
+ * A running `asyncBatchAnnotateFiles` operation, as returned by
+ * {@link v1.ImageAnnotatorClient#annotateFiles}.
+ *
+ * It resolves with an object representing the
+ * [AsyncBatchAnnotateFilesResponse]{@link AsyncBatchAnnotateFilesResponse},
+ * and emits `progress` with the state of the operation as an object with
+ * `name`, `state` (one of `CREATED`, `RUNNING`, `DONE` and `CANCELLED`), and
+ * `createTime` and `updateTime` as Dates.
+ *
+ * @class
+ * @extends PollingOperation
+ * @param {object} client The ImageAnnotatorClient.
+ * @param {object} types The `AsyncBatchAnnotateFilesResponse` and
+ *     `OperationMetadata` protobuf types of the API version.
+ * @param {function(function(?Error, object))} start A function which starts
+ *     the operation, or looks it up, and calls back with the gax Operation.
+ * @param {object} [options] Optional parameters, as for
+ *     {@link PollingOperation}.
+ */
+class AnnotateFilesOperation extends PollingOperation {
+  /*!
+   * Describe the state of the operation from its OperationMetadata.
+   */
+  _describe(message) {
+    return {
+      name: this.name,
+      state: message.state || 'STATE_UNSPECIFIED',
+      createTime: _toDate(message.createTime),
+      updateTime: _toDate(message.updateTime),
+    };
+  }
+
+  /*!
+   * The operation resolves with the response as it is.
+   */
+  _outcome(response) {
+    return response;
+  }
+}
+
+/**
+ * A running `importProductSets` operation, as returned by
+ * {@link v1p3beta1.ProductSearchClient#importCatalog}.
+ *
+ * It resolves with the results of the import, joined to the lines of the
+ * CSV file as by
+ * {@link module:@google-cloud/vision.readImportResults readImportResults},
+ * and emits `progress` with the state of the operation from its
+ * [BatchOperationMetadata]{@link google.cloud.vision.v1p3beta1.BatchOperationMetadata},
+ * as an object with `name`, `state` (one of `PROCESSING`, `SUCCESSFUL`,
+ * `FAILED` and `CANCELLED`), and `submitTime` and `endTime` as Dates.
+ *
+ * @class
+ * @extends PollingOperation
+ * @param {object} client The ProductSearchClient.
+ * @param {object} types The `ImportProductSetsResponse` and
+ *     `BatchOperationMetadata` protobuf types of the API version.
+ * @param {function(function(?Error, object))} start A function which starts
+ *     the operation, and calls back with the gax Operation.
+ * @param {object} [options] Optional parameters, as for
+ *     {@link PollingOperation}.
+ * @param {string|Buffer} [options.csv] The contents of the CSV file which is
+ *     imported.
+ */
+class ImportProductSetsOperation extends PollingOperation {
+  constructor(client, types, start, options) {
+    super(client, types, start, options);
+    this._csv = options && options.csv;
+  }
+
+  /*!
+   * Describe the state of the operation from its BatchOperationMetadata.
+   */
+  _describe(message) {
+    return {
+      name: this.name,
+      state: message.state || 'STATE_UNSPECIFIED',
+      submitTime: _toDate(message.submitTime),
+      endTime: _toDate(message.endTime),
+    };
+  }
+
+  /*!
+   * The operation resolves with the response joined to the CSV file.
+   */
+  _outcome(response) {
+    return importCsv.readImportResults(response, this._csv);
+  }
+}
+
+/*!
+ * Wrap a google.longrunning.Operation of asyncBatchAnnotateFiles in a gax
+ * Operation, which decodes its response and metadata as the original call
+ * does.
+ *
+ * @param {object} client The ImageAnnotatorClient.
+ * @param {object} rawOperation The google.longrunning.Operation.
+ * @param {object} [callOptions] The call options used to poll the
+ *   operation. Their `longrunning` backoff settings are used if given.
+ * @returns {object} The gax Operation.
+ */
+const decodeOperation = (client, rawOperation, callOptions) => {
+  callOptions = Object.assign({promise: Promise}, callOptions);
+  return gax.operation(
+    rawOperation,
+    client._descriptors.longrunning.asyncBatchAnnotateFiles,
+    callOptions.longrunning || DEFAULT_BACKOFF,
+    callOptions
+  );
+};
+
+/*!
+ * Determine whether a google.longrunning.Operation is one started by
+ * asyncBatchAnnotateFiles, from the type of its metadata. The field is
+ * `typeUrl` when the operations proto is loaded by gax.
+ */
+const isAnnotateFilesOperation = rawOperation => {
+  const metadata = rawOperation.metadata || {};
+  return METADATA_TYPE.test(metadata.typeUrl || metadata.type_url || '');
+};
+
+module.exports.AnnotateFilesOperation = AnnotateFilesOperation;
+module.exports.ImportProductSetsOperation = ImportProductSetsOperation;
+module.exports.PollingOperation = PollingOperation;
+module.exports.decodeOperation = decodeOperation;
+module.exports.isAnnotateFilesOperation = isAnnotateFilesOperation;
@@ -0,0 +1,237 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+/*!
+ * The symbol `for await` looks up. Versions of Node.js without it cannot
+ * use `for await`, but the iterators can still be driven with `next()`.
+ */
+const ASYNC_ITERATOR =
+  Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+/*!
+ * The canonical google.rpc.Code of a cancelled call.
+ */
+const CANCELLED = 1;
+
+/*!
+ * Create the error a listing is rejected with when its signal is aborted.
+ */
+const _cancelledError = () => {
+  const err = new Error('The listing was cancelled.');
+  err.code = CANCELLED;
+  return err;
+};
+
+/*!
+ * Chain a step onto the steps already queued on an iterator, so that calls
+ * to `next()` made before the previous ones settle are answered in order.
+ *
+ * @param {object} iterator The iterator, with its `_queue` promise.
+ * @param {function(): Promise} step The step.
+ * @returns {Promise} The promise for the result of the step.
+ */
+const _enqueue = (iterator, step) => {
+  const result = iterator._queue.then(step);
+  iterator._queue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * An async iterator over the pages of a paginated list call, such as those
+ * returned by {@link v1p3beta1.ProductSearchClient#listProductsPages}.
+ *
+ * Each page is the raw response of the call, such as a
+ * [ListProductsResponse]{@link google.cloud.vision.v1p3beta1.ListProductsResponse},
+ * and the iterator follows its `nextPageToken` until there is none. A
+ * listing can be resumed from a page by passing its `nextPageToken` as the
+ * `pageToken` of a new request.
+ *
+ * It can be used with `for await`, or driven with `next()`. A failed call,
+ * or an aborted signal, rejects `next()` and ends the iteration; the error
+ * of an aborted signal has a `code` of 1 (`CANCELLED`).
+ *
+ * @class
+ * @param {function(object): Promise} fetch A function which makes the call
+ *     for one page, and resolves with the results of the call made with
+ *     `autoPaginate: false`.
+ * @param {object} request The request of the first page.
+ * @param {object} [options] Optional parameters.
+ * @param {AbortSignal} [options.signal] A signal which ends the iteration,
+ *     and cancels the call in flight, when it is aborted.
+ */
+class PageIterator {
+  constructor(fetch, request, options) {
+    this._fetch = fetch;
+    this._request = Object.assign({}, request);
+    this._signal = (options && options.signal) || null;
+    this._done = false;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Fetch the next page.
+   *
+   * @returns {Promise} A promise which resolves with an object with the
+   *     `value` of the page, and whether the iteration is `done`.
+   */
+  next() {
+    return _enqueue(this, () => this._nextPage());
+  }
+
+  /**
+   * End the iteration, as `for await` does when it is left early. The call
+   * in flight, if any, still completes.
+   *
+   * @returns {Promise} A promise which resolves with a done result.
+   */
+  return() {
+    this._done = true;
+    return Promise.resolve({value: undefined, done: true});
+  }
+
+  /**
+   * @returns {PageIterator} The iterator itself.
+   */
+  [ASYNC_ITERATOR]() {
+    return this;
+  }
+
+  /*!
+   * Make the call for the next page, unless the iteration is done.
+   */
+  _nextPage() {
+    if (this._done) {
+      return Promise.resolve({value: undefined, done: true});
+    }
+    const signal = this._signal;
+    if (signal && signal.aborted) {
+      this._done = true;
+      return Promise.reject(_cancelledError());
+    }
+    return new Promise((resolve, reject) => {
+      const call = this._fetch(this._request);
+      let onAbort = null;
+      const cleanup = () => {
+        if (onAbort) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      if (signal) {
+        onAbort = () => {
+          cleanup();
+          this._done = true;
+          reject(_cancelledError());
+          if (is.function(call.cancel)) {
+            call.cancel();
+          }
+        };
+        signal.addEventListener('abort', onAbort);
+      }
+      call.then(
+        results => {
+          cleanup();
+          const page = results[2] || {};
+          if (page.nextPageToken) {
+            this._request = Object.assign({}, this._request, {
+              pageToken: page.nextPageToken,
+            });
+          } else {
+            this._done = true;
+          }
+          resolve({value: page, done: false});
+        },
+        err => {
+          cleanup();
+          this._done = true;
+          reject(err);
+        }
+      );
+    });
+  }
+}
+
+/**
+ * An async iterator over the resources of a paginated list call, such as
+ * those returned by {@link v1p3beta1.ProductSearchClient#listProductsAsync}.
+ *
+ * The resources are read from the pages of a {@link PageIterator}, one page
+ * at a time: a page is only fetched once the resources of the previous one
+ * have been iterated.
+ *
+ * @class
+ * @param {PageIterator} pages The pages.
+ * @param {string} field The field of the pages which holds the resources,
+ *     such as `products`.
+ */
+class ListIterator {
+  constructor(pages, field) {
+    this._pages = pages;
+    this._field = field;
+    this._buffer = [];
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Get the next resource, fetching the next page if needed.
+   *
+   * @returns {Promise} A promise which resolves with an object with the
+   *     `value` of the resource, and whether the iteration is `done`.
+   */
+  next() {
+    return _enqueue(this, () => this._nextResource());
+  }
+
+  /**
+   * End the iteration, as `for await` does when it is left early.
+   *
+   * @returns {Promise} A promise which resolves with a done result.
+   */
+  return() {
+    this._buffer = [];
+    return this._pages.return();
+  }
+
+  /**
+   * @returns {ListIterator} The iterator itself.
+   */
+  [ASYNC_ITERATOR]() {
+    return this;
+  }
+
+  /*!
+   * Take the next resource from the buffer, refilling it from the pages
+   * until a page has resources or there are no more pages.
+   */
+  _nextResource() {
+    if (this._buffer.length > 0) {
+      return Promise.resolve({value: this._buffer.shift(), done: false});
+    }
+    return this._pages.next().then(page => {
+      if (page.done) {
+        return page;
+      }
+      this._buffer = (page.value[this._field] || []).slice();
+      return this._nextResource();
+    });
+  }
+}
+
+module.exports.ListIterator = ListIterator;
+module.exports.PageIterator = PageIterator;
@@ -0,0 +1,458 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {promisify} = require('@google-cloud/promisify');
+const gax = require('google-gax');
+const is = require('is');
+const path = require('path');
+const protobuf = require('protobufjs');
+
+const catalog = require('./catalog');
+const operations = require('./operations');
+const pages = require('./pages');
+const resourceNames = require('./resource_names');
+
+/*!
+ * The paginated list methods of the Product Search GAPIC, with the field of
+ * their responses which holds the resources.
+ */
+const LIST_METHODS = [
+  ['listProductSets', 'productSets'],
+  ['listProducts', 'products'],
+  ['listReferenceImages', 'referenceImages'],
+  ['listProductsInProductSet', 'products'],
+];
+
+/*!
+ * The methods of the Product Search GAPIC which take a request, and so may
+ * be given resource names.
+ */
+const REQUEST_METHODS = [
+  'createProductSet',
+  'listProductSets',
+  'listProductSetsStream',
+  'getProductSet',
+  'updateProductSet',
+  'deleteProductSet',
+  'createProduct',
+  'listProducts',
+  'listProductsStream',
+  'getProduct',
+  'updateProduct',
+  'deleteProduct',
+  'createReferenceImage',
+  'deleteReferenceImage',
+  'listReferenceImages',
+  'listReferenceImagesStream',
+  'getReferenceImage',
+  'addProductToProductSet',
+  'removeProductFromProductSet',
+  'listProductsInProductSet',
+  'listProductsInProductSetStream',
+  'importProductSets',
+];
+
+/*!
+ * Return a dictionary-like object with helpers to augment the Product
+ * Search GAPIC.
+ *
+ * @param {string} apiVersion The API version (e.g. "v1p3beta1").
+ * @param {function} GapicProductSearchClient The pure GAPIC client, whose
+ *   methods are wrapped to accept resource names.
+ * @returns {object} An object with keys and functions which are placed
+ *   onto the pure GAPIC.
+ */
+module.exports = (apiVersion, GapicProductSearchClient) => {
+  const methods = {};
+
+  // Let the requests of the GAPIC methods hold {@link ResourceName} objects,
+  // such as a ProductName as the `name` of a getProduct request, by writing
+  // them as strings before the call.
+  for (const name of REQUEST_METHODS) {
+    const gapicMethod = GapicProductSearchClient.prototype[name];
+    methods[name] = function(request) {
+      const args = Array.prototype.slice.call(arguments, 1);
+      return gapicMethod.apply(
+        this,
+        [resourceNames.formatRequest(request)].concat(args)
+      );
+    };
+  }
+
+  let protoFilesRoot = new gax.GoogleProtoFilesRoot();
+  protoFilesRoot = protobuf.loadSync(
+    path.join(
+      __dirname,
+      '..',
+      'protos',
+      `google/cloud/vision/${apiVersion}/product_search_service.proto`
+    ),
+    protoFilesRoot
+  );
+  const importTypes = {
+    response: protoFilesRoot.lookup(
+      `google.cloud.vision.${apiVersion}.ImportProductSetsResponse`
+    ),
+    metadata: protoFilesRoot.lookup(
+      `google.cloud.vision.${apiVersion}.BatchOperationMetadata`
+    ),
+  };
+
+  /**
+   * Bring the products of a location, or of a product set, in line with a
+   * desired state.
+   *
+   * The desired products are compared with what `listProducts`,
+   * `listProductsInProductSet` and `listReferenceImages` report, and the
+   * catalog is changed with as few calls as possible:
+   *
+   * - Missing products are created, and products whose display name,
+   *   description or labels differ are updated. Fields left out of a desired
+   *   product are not changed. The category of a product cannot be changed.
+   * - Without a `productSetId`, the other products of the location are
+   *   deleted, which also removes them from every product set. With one,
+   *   the other products of the set are only removed from it, and remain in
+   *   the location and in the other sets they belong to.
+   * - For the desired products which list `referenceImages`, missing images
+   *   are created and other images are deleted. Images are matched by their
+   *   URI, and by their ID and bounding polys when the desired image gives
+   *   them; reference images cannot be changed, so an image which differs is
+   *   deleted and created again.
+   * - With a `productSetId`, the product set is created if it does not
+   *   exist, and the desired products are added to it.
+   *
+   * Products are created, updated, deleted and removed first, and reference
+   * images are created and products added to the set once the calls they
+   * depend on are done. A call which fails does not stop the others, but
+   * the calls which depend on it are skipped. The outcome of each call is
+   * reported.
+   *
+   * @method v1p3beta1.ProductSearchClient#syncCatalog
+   * @param {object[]} desiredState The desired products, each as an object
+   *     representing a {@link google.cloud.vision.v1p3beta1.Product Product}
+   *     with its `productId`, and the `referenceImages` it should have, as
+   *     `gs://` URIs or objects representing
+   *     {@link google.cloud.vision.v1p3beta1.ReferenceImage ReferenceImages}
+   *     with an optional `referenceImageId`. A product which is created needs
+   *     a `displayName` and a `productCategory`.
+   * @param {object} options Configuration.
+   * @param {string|LocationName} options.location The location of the
+   *     catalog: a location ID, such as `us-west1`, or a location name, such
+   *     as `projects/my-project/locations/us-west1`.
+   * @param {string} [options.projectId] The project, when the location is
+   *     given as an ID. By default, the project of the client.
+   * @param {string} [options.productSetId] The ID of the product set to
+   *     sync. By default, all the products of the location are.
+   * @param {boolean} [options.dryRun=false] Only plan the calls, without
+   *     making them.
+   * @param {number} [options.concurrency=4] The maximum number of calls in
+   *     flight at once.
+   * @param {function(?Error, ?object)} [callback] The function which will be
+   *     called with the report, an object with `dryRun` and the
+   *     `operations`, in the order they were planned. Each operation has the
+   *     client `method` called, its `request`, a `description` such as
+   *     `create product shoe-1`, its `status` (`planned` in a dry run, or
+   *     `done`, `failed` or `skipped`), and its `error` or `result`.
+   * @returns {Promise} The promise which resolves to an array. The first
+   *     element of the array is the report.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision').v1p3beta1;
+   * const client = new vision.ProductSearchClient();
+   *
+   * const desiredState = [
+   *   {
+   *     productId: 'shoe-1',
+   *     displayName: 'Running shoe',
+   *     productCategory: 'apparel',
+   *     productLabels: [{key: 'color', value: 'blue'}],
+   *     referenceImages: ['gs://my-bucket/shoe-1/side.jpg'],
+   *   },
+   * ];
+   *
+   * client
+   *   .syncCatalog(desiredState, {
+   *     location: 'us-west1',
+   *     productSetId: 'shoes',
+   *     dryRun: true,
+   *   })
+   *   .then(results => {
+   *     for (const operation of results[0].operations) {
+   *       console.log(operation.description);
+   *     }
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  methods.syncCatalog = promisify(function(desiredState, options, callback) {
+    catalog.syncCatalog(this, desiredState, options, callback);
+  });
+
+  /**
+   * Import product sets with `importProductSets`, wait for the operation to
+   * complete, and join its outcome back to the lines of the CSV file.
+   *
+   * Unlike `importProductSets`, which gives the raw gax Operation, this
+   * polls the operation at a fixed interval and decodes its
+   * BatchOperationMetadata. The returned {@link ImportProductSetsOperation}
+   * can be awaited, and emits `progress` events with the state of the
+   * operation.
+   *
+   * The API reports a status for each line of the CSV file. With the
+   * contents of the file, each status is joined to its line, and the lines
+   * which failed are gathered into a CSV file to import again.
+   *
+   * @see v1p3beta1.ProductSearchClient#importProductSets
+   *
+   * @method v1p3beta1.ProductSearchClient#importCatalog
+   * @param {object} request An object representing an
+   *     ImportProductSetsRequest, with the `parent` location and the
+   *     `inputConfig` giving the `gs://` URI of the CSV file.
+   * @param {object} [options] Optional parameters.
+   * @param {string|Buffer} [options.csv] The contents of the CSV file, as
+   *     uploaded to Cloud Storage.
+   * @param {number} [options.pollInterval=5000] How long to wait between
+   *     polls, in milliseconds.
+   * @param {number} [options.timeout] How long to wait for the operation to
+   *     complete, in milliseconds. The operation keeps running on the server
+   *     after a timeout, unless it is cancelled.
+   * @param {AbortSignal} [options.signal] A signal which cancels the
+   *     operation when it is aborted.
+   * @returns {ImportProductSetsOperation} The operation, which resolves with
+   *     the results of the import: the `referenceImages` imported, the
+   *     `successes`, the `failures` grouped by error code, and the
+   *     `retryCsv`, as given by
+   *     {@link module:@google-cloud/vision.readImportResults readImportResults}.
+   *
+   * @example
+   * const fs = require('fs');
+   * const vision = require('@google-cloud/vision').v1p3beta1;
+   * const client = new vision.ProductSearchClient();
+   *
+   * const csv = fs.readFileSync('./catalog.csv');
+   * const operation = client.importCatalog(
+   *   {
+   *     parent: client.locationPath('my-project', 'us-west1'),
+   *     inputConfig: {gcsSource: {csvFileUri: 'gs://my-bucket/catalog.csv'}},
+   *   },
+   *   {csv, pollInterval: 10000}
+   * );
+   * operation.on('progress', progress => {
+   *   console.log(`${progress.name}: ${progress.state}`);
+   * });
+   * operation
+   *   .then(results => {
+   *     console.log(`${results.successes.length} lines imported.`);
+   *     for (const code of Object.keys(results.failures)) {
+   *       for (const failure of results.failures[code]) {
+   *         console.log(`Line ${failure.line}: ${failure.status.message}`);
+   *       }
+   *     }
+   *     fs.writeFileSync('./retry.csv', results.retryCsv);
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  methods.importCatalog = function(request, options) {
+    const start = callback => {
+      if (!is.object(request)) {
+        return callback(new Error('The request must be an object.'));
+      }
+      const csv = options && options.csv;
+      if (!is.undefined(csv) && !is.string(csv) && !Buffer.isBuffer(csv)) {
+        return callback(new Error('The CSV must be a string or a Buffer.'));
+      }
+      this.importProductSets(request, callback);
+    };
+    return new operations.ImportProductSetsOperation(
+      this,
+      importTypes,
+      start,
+      options
+    );
+  };
+
+  /**
+   * Iterate over the product sets of a location, following the page tokens of `listProductSets`.
+   *
+   * @see v1p3beta1.ProductSearchClient#listProductSets
+   *
+   * @method v1p3beta1.ProductSearchClient#listProductSetsAsync
+   * @param {object} request The request, as for `listProductSets`, with the
+   *     `parent` location, and an optional `pageSize` for each call and
+   *     `pageToken` to resume from.
+   * @param {object} [options] Optional parameters: the `signal` which ends
+   *     the iteration, as for {@link PageIterator}, and
+   *     [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for each call.
+   * @returns {ListIterator} The async iterator over objects representing
+   *     {@link google.cloud.vision.v1p3beta1.ProductSet ProductSets}.
+   */
+
+  /**
+   * Iterate over the pages of `listProductSets`, each as an object representing a
+   * {@link google.cloud.vision.v1p3beta1.ListProductSetsResponse ListProductSetsResponse}, whose
+   * `nextPageToken` can be kept to resume the listing later.
+   *
+   * @see v1p3beta1.ProductSearchClient#listProductSets
+   *
+   * @method v1p3beta1.ProductSearchClient#listProductSetsPages
+   * @param {object} request The request, as for `listProductSets`.
+   * @param {object} [options] Optional parameters, as for
+   *     {@link v1p3beta1.ProductSearchClient#listProductSetsAsync}.
+   * @returns {PageIterator} The async iterator over the pages.
+   */
+
+  /**
+   * Iterate over the products of a location, following the page tokens of `listProducts`.
+   *
+   * @see v1p3beta1.ProductSearchClient#listProducts
+   *
+   * @method v1p3beta1.ProductSearchClient#listProductsAsync
+   * @param {object} request The request, as for `listProducts`, with the
+   *     `parent` location, and an optional `pageSize` for each call and
+   *     `pageToken` to resume from.
+   * @param {object} [options] Optional parameters: the `signal` which ends
+   *     the iteration, as for {@link PageIterator}, and
+   *     [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for each call.
+   * @returns {ListIterator} The async iterator over objects representing
+   *     {@link google.cloud.vision.v1p3beta1.Product Products}.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision').v1p3beta1;
+   * const client = new vision.ProductSearchClient();
+   *
+   * const parent = client.locationPath('my-project', 'us-west1');
+   * for await (const product of client.listProductsAsync({parent})) {
+   *   console.log(product.name);
+   * }
+   */
+
+  /**
+   * Iterate over the pages of `listProducts`, each as an object representing a
+   * {@link google.cloud.vision.v1p3beta1.ListProductsResponse ListProductsResponse}, whose
+   * `nextPageToken` can be kept to resume the listing later.
+   *
+   * @see v1p3beta1.ProductSearchClient#listProducts
+   *
+   * @method v1p3beta1.ProductSearchClient#listProductsPages
+   * @param {object} request The request, as for `listProducts`.
+   * @param {object} [options] Optional parameters, as for
+   *     {@link v1p3beta1.ProductSearchClient#listProductsAsync}.
+   * @returns {PageIterator} The async iterator over the pages.
+   *
+   * @example
+   * const vision = require('@google-cloud/vision').v1p3beta1;
+   * const client = new vision.ProductSearchClient();
+   *
+   * const parent = client.locationPath('my-project', 'us-west1');
+   * const request = {parent, pageSize: 100, pageToken: savedToken};
+   * for await (const page of client.listProductsPages(request)) {
+   *   // doThingsWith(page.products);
+   *   savedToken = page.nextPageToken;
+   * }
+   */
+
+  /**
+   * Iterate over the reference images of a product, following the page tokens of `listReferenceImages`.
+   *
+   * @see v1p3beta1.ProductSearchClient#listReferenceImages
+   *
+   * @method v1p3beta1.ProductSearchClient#listReferenceImagesAsync
+   * @param {object} request The request, as for `listReferenceImages`, with the
+   *     `parent` product, and an optional `pageSize` for each call and
+   *     `pageToken` to resume from.
+   * @param {object} [options] Optional parameters: the `signal` which ends
+   *     the iteration, as for {@link PageIterator}, and
+   *     [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for each call.
+   * @returns {ListIterator} The async iterator over objects representing
+   *     {@link google.cloud.vision.v1p3beta1.ReferenceImage ReferenceImages}.
+   */
+
+  /**
+   * Iterate over the pages of `listReferenceImages`, each as an object representing a
+   * {@link google.cloud.vision.v1p3beta1.ListReferenceImagesResponse ListReferenceImagesResponse}, whose
+   * `nextPageToken` can be kept to resume the listing later.
+   *
+   * @see v1p3beta1.ProductSearchClient#listReferenceImages
+   *
+   * @method v1p3beta1.ProductSearchClient#listReferenceImagesPages
+   * @param {object} request The request, as for `listReferenceImages`.
+   * @param {object} [options] Optional parameters, as for
+   *     {@link v1p3beta1.ProductSearchClient#listReferenceImagesAsync}.
+   * @returns {PageIterator} The async iterator over the pages.
+   */
+
+  /**
+   * Iterate over the products in a product set, following the page tokens of `listProductsInProductSet`.
+   *
+   * @see v1p3beta1.ProductSearchClient#listProductsInProductSet
+   *
+   * @method v1p3beta1.ProductSearchClient#listProductsInProductSetAsync
+   * @param {object} request The request, as for `listProductsInProductSet`, with the
+   *     `name` of the product set, and an optional `pageSize` for each call and
+   *     `pageToken` to resume from.
+   * @param {object} [options] Optional parameters: the `signal` which ends
+   *     the iteration, as for {@link PageIterator}, and
+   *     [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/global.html#CallOptions}
+   *     for each call.
+   * @returns {ListIterator} The async iterator over objects representing
+   *     {@link google.cloud.vision.v1p3beta1.Product Products}.
+   */
+
+  /**
+   * Iterate over the pages of `listProductsInProductSet`, each as an object representing a
+   * {@link google.cloud.vision.v1p3beta1.ListProductsInProductSetResponse ListProductsInProductSetResponse}, whose
+   * `nextPageToken` can be kept to resume the listing later.
+   *
+   * @see v1p3beta1.ProductSearchClient#listProductsInProductSet
+   *
+   * @method v1p3beta1.ProductSearchClient#listProductsInProductSetPages
+   * @param {object} request The request, as for `listProductsInProductSet`.
+   * @param {object} [options] Optional parameters, as for
+   *     {@link v1p3beta1.ProductSearchClient#listProductsInProductSetAsync}.
+   * @returns {PageIterator} The async iterator over the pages.
+   */
+
+  for (const method of LIST_METHODS) {
+    const name = method[0];
+    const field = method[1];
+    const iteratePages = function(request, options) {
+      const callOptions = Object.assign({}, options, {autoPaginate: false});
+      delete callOptions.signal;
+      return new pages.PageIterator(
+        request => this[name](request, callOptions),
+        request,
+        options
+      );
+    };
+    methods[`${name}Pages`] = iteratePages;
+    methods[`${name}Async`] = function(request, options) {
+      return new pages.ListIterator(
+        iteratePages.call(this, request, options),
+        field
+      );
+    };
+  }
+
+  return methods;
+};
@@ -0,0 +1,440 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {entityWords, joinWords, layout, unionBoxes} = require('./layout');
+
+/*!
+ * The share of a word's box which must lie inside a region, when no
+ * threshold is given.
+ */
+const DEFAULT_THRESHOLD = 0.5;
+
+/*!
+ * Read the words of a list of EntityAnnotations, as found in the
+ * `textAnnotations` of a response, into lines. The first annotation, which
+ * holds the whole text, is skipped; a line ends at the first word which
+ * does not overlap the previous one vertically.
+ *
+ * @param {object[]} annotations The EntityAnnotations.
+ * @returns {object[]} The lines, each with its `words`.
+ */
+const _entityLines = annotations => {
+  const lines = [];
+  let previous = null;
+  for (const entity of entityWords(annotations)) {
+    const word = Object.assign(entity, {break: 'SPACE', hyphenated: false});
+    const box = word.box;
+    const overlaps =
+      previous &&
+      box &&
+      previous.box &&
+      Math.min(previous.box.y + previous.box.height, box.y + box.height) -
+        Math.max(previous.box.y, box.y) >
+        Math.min(previous.box.height, box.height) / 2;
+    if (!overlaps) {
+      lines.push({words: []});
+    }
+    lines[lines.length - 1].words.push(word);
+    previous = word;
+  }
+  return lines;
+};
+
+/*!
+ * Read the pages of any of the accepted forms of annotation.
+ *
+ * @param {object|object[]} annotation A TextAnnotation, an
+ *   AnnotateImageResponse, or the `textAnnotations` of one.
+ * @returns {object[]} The pages, each with its `page` number (from 1), its
+ *   `width` and `height` (null if unknown), and its `lines`.
+ */
+const _readPages = annotation => {
+  if (is.array(annotation)) {
+    return [
+      {page: 1, width: null, height: null, lines: _entityLines(annotation)},
+    ];
+  }
+  annotation = annotation || {};
+  if (!annotation.pages && !annotation.fullTextAnnotation) {
+    return _readPages(annotation.textAnnotations || []);
+  }
+  return layout(annotation.fullTextAnnotation || annotation).pages.map(
+    (page, p) => {
+      const lines = [];
+      for (const block of page.blocks) {
+        for (const paragraph of block.paragraphs) {
+          lines.push.apply(lines, paragraph.lines);
+        }
+      }
+      return {page: p + 1, width: page.width, height: page.height, lines};
+    }
+  );
+};
+
+/*!
+ * Read a region into the vertices of a polygon, in pixels.
+ *
+ * @param {object|object[]} region The region: a rectangle as
+ *   `{x, y, width, height}`, the vertices of a polygon, or a BoundingPoly.
+ * @param {object} page The page the region is on.
+ * @param {boolean} normalized Whether the region is in normalized
+ *   coordinates. BoundingPolys with `normalizedVertices` always are.
+ * @returns {object[]} The vertices.
+ * @throws {Error} If the region is invalid, or is normalized and the size of
+ *   the page is unknown.
+ */
+const _readRegion = (region, page, normalized) => {
+  let vertices;
+  if (is.array(region)) {
+    vertices = region;
+  } else if (
+    is.object(region) &&
+    is.array(region.vertices) &&
+    region.vertices.length > 0
+  ) {
+    vertices = region.vertices;
+  } else if (is.object(region) && is.array(region.normalizedVertices)) {
+    vertices = region.normalizedVertices;
+    normalized = true;
+  } else if (
+    is.object(region) &&
+    ['x', 'y', 'width', 'height'].every(key => is.number(region[key]))
+  ) {
+    vertices = [
+      {x: region.x, y: region.y},
+      {x: region.x + region.width, y: region.y},
+      {x: region.x + region.width, y: region.y + region.height},
+      {x: region.x, y: region.y + region.height},
+    ];
+  } else {
+    throw new Error(
+      'The region must be a rectangle ({x, y, width, height}), ' +
+        'a list of vertices or a BoundingPoly.'
+    );
+  }
+  if (vertices.length < 3) {
+    throw new Error('A region needs at least three vertices.');
+  }
+  if (!normalized) {
+    return vertices.map(v => ({x: v.x || 0, y: v.y || 0}));
+  }
+  if (!page.width || !page.height) {
+    throw new Error(
+      'The size of the page is unknown, so normalized regions cannot be ' +
+        'used. Pass a TextAnnotation, or a region in pixels.'
+    );
+  }
+  return vertices.map(v => {
+    return {x: (v.x || 0) * page.width, y: (v.y || 0) * page.height};
+  });
+};
+
+/*!
+ * Compute the area of a polygon.
+ */
+const _area = vertices => {
+  let sum = 0;
+  vertices.forEach((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    sum += a.x * b.y - b.x * a.y;
+  });
+  return Math.abs(sum) / 2;
+};
+
+/*!
+ * Clip a polygon to a box (Sutherland-Hodgman).
+ *
+ * @param {object[]} vertices The vertices of the polygon.
+ * @param {object} box The box, as `{x, y, width, height}`.
+ * @returns {object[]} The vertices of the part of the polygon inside the
+ *   box.
+ */
+const _clip = (vertices, box) => {
+  const edges = [
+    [v => v.x >= box.x, (a, b) => (box.x - a.x) / (b.x - a.x)],
+    [
+      v => v.x <= box.x + box.width,
+      (a, b) => (box.x + box.width - a.x) / (b.x - a.x),
+    ],
+    [v => v.y >= box.y, (a, b) => (box.y - a.y) / (b.y - a.y)],
+    [
+      v => v.y <= box.y + box.height,
+      (a, b) => (box.y + box.height - a.y) / (b.y - a.y),
+    ],
+  ];
+  let output = vertices;
+  for (const edge of edges) {
+    const inside = edge[0];
+    const input = output;
+    output = [];
+    input.forEach((current, i) => {
+      const previous = input[(i + input.length - 1) % input.length];
+      const crossing = () => {
+        const t = edge[1](previous, current);
+        return {
+          x: previous.x + t * (current.x - previous.x),
+          y: previous.y + t * (current.y - previous.y),
+        };
+      };
+      if (inside(current)) {
+        if (!inside(previous)) {
+          output.push(crossing());
+        }
+        output.push(current);
+      } else if (inside(previous)) {
+        output.push(crossing());
+      }
+    });
+  }
+  return output;
+};
+
+/*!
+ * Check whether a point lies inside a polygon.
+ */
+const _contains = (vertices, point) => {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if (
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/*!
+ * Compute the share of a box which lies inside a polygon. A box without
+ * area counts as inside when its center is.
+ */
+const _overlap = (vertices, box) => {
+  const area = box.width * box.height;
+  if (area === 0) {
+    const center = {x: box.x + box.width / 2, y: box.y + box.height / 2};
+    return _contains(vertices, center) ? 1 : 0;
+  }
+  return _area(_clip(vertices, box)) / area;
+};
+
+/*!
+ * Check the overlap threshold.
+ */
+const _threshold = options => {
+  const threshold = is.undefined(options.threshold)
+    ? DEFAULT_THRESHOLD
+    : options.threshold;
+  if (!is.number(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error('The threshold must be a number in the range (0, 1].');
+  }
+  return threshold;
+};
+
+/*!
+ * Select the pages to look at.
+ */
+const _selectPages = (annotation, options) => {
+  const pages = _readPages(annotation);
+  return is.undefined(options.page)
+    ? pages
+    : pages.filter(page => page.page === options.page);
+};
+
+/*!
+ * Describe a word in the results.
+ */
+const _word = (word, page) => {
+  return {
+    page: page.page,
+    text: word.text,
+    box: word.box,
+    confidence: word.confidence,
+  };
+};
+
+/**
+ * Get the text inside a region of an image or document, such as a form
+ * field.
+ *
+ * A word is inside the region when at least `threshold` of its bounding box
+ * is. The words inside the region are returned, and joined into lines and
+ * text as printed.
+ *
+ * @param {object|object[]} annotation The OCR result: a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation} (the
+ *     `fullTextAnnotation` of a response), a whole
+ *     {@link google.cloud.vision.v1.AnnotateImageResponse AnnotateImageResponse},
+ *     or its `textAnnotations`.
+ * @param {object|object[]} region The region: a rectangle as
+ *     `{x, y, width, height}`, the vertices of a polygon as `{x, y}`
+ *     objects, or a {@link google.cloud.vision.v1.BoundingPoly BoundingPoly}.
+ * @param {object} [options] Optional parameters.
+ * @param {boolean} [options.normalized=false] Whether the region is in
+ *     normalized coordinates, from 0 to 1, rather than pixels (or points,
+ *     for PDF files). This needs the size of the page, so it is not
+ *     available for `textAnnotations`. BoundingPolys with
+ *     `normalizedVertices` are always normalized.
+ * @param {number} [options.threshold=0.5] The share of a word's bounding box
+ *     which must lie inside the region, from 0 (exclusive) to 1.
+ * @param {number} [options.page] The page to look at, numbered from 1. By
+ *     default, the region is looked for on every page.
+ * @returns {object} The `text` inside the region, with its lines separated
+ *     by newlines; its `lines`, each with its `page`, `text`, `box` and
+ *     `words`; and its `words`, each with its `page`, `text`, `box` and
+ *     `confidence`.
+ * @throws {Error} If the region or the options are invalid.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./form.png').then(results => {
+ *   const field = vision.text.textInRegion(results[0].fullTextAnnotation, {
+ *     x: 100,
+ *     y: 220,
+ *     width: 400,
+ *     height: 40,
+ *   });
+ *   console.log(field.text);
+ * });
+ */
+const textInRegion = (annotation, region, options) => {
+  options = options || {};
+  const threshold = _threshold(options);
+  const lines = [];
+  for (const page of _selectPages(annotation, options)) {
+    const vertices = _readRegion(region, page, options.normalized);
+    for (const line of page.lines) {
+      const inside = line.words.filter(word => {
+        return word.box && _overlap(vertices, word.box) >= threshold;
+      });
+      if (inside.length > 0) {
+        lines.push({
+          page: page.page,
+          text: joinWords(inside),
+          box: unionBoxes(inside.map(word => word.box)),
+          words: inside.map(word => _word(word, page)),
+        });
+      }
+    }
+  }
+  const words = lines.reduce((words, line) => words.concat(line.words), []);
+  return {text: lines.map(line => line.text).join('\n'), lines, words};
+};
+
+/**
+ * Find where a string or pattern appears in an image or document, such as
+ * a label on a package.
+ *
+ * The text of each page is rebuilt line by line, with the lines separated by
+ * newlines, and searched. Each match is located by the words it covers.
+ *
+ * @param {object|object[]} annotation The OCR result, in any of the forms
+ *     accepted by
+ *     {@link module:@google-cloud/vision.text.textInRegion textInRegion}.
+ * @param {string|RegExp} query The text to find, or a pattern to match.
+ * @param {object} [options] Optional parameters.
+ * @param {boolean} [options.ignoreCase=false] Whether to ignore case when
+ *     looking for a string.
+ * @param {number} [options.page] The page to search, numbered from 1. By
+ *     default, every page is searched.
+ * @returns {object[]} The matches, in the order of the pages and the text.
+ *     Each has its `page`, the `text` matched, the `match` array returned by
+ *     `RegExp#exec`, the `box` around the words it covers, and those
+ *     `words`, each with its `page`, `text`, `box` and `confidence`.
+ * @throws {Error} If the query is neither a string nor a RegExp, or is
+ *     empty.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.textDetection('./parcel.jpg').then(results => {
+ *   const matches = vision.text.findText(results[0], /\b\d{5}\b/);
+ *   for (const match of matches) {
+ *     console.log(`Postal code ${match.text} at`, match.box);
+ *   }
+ * });
+ */
+const findText = (annotation, query, options) => {
+  options = options || {};
+  let pattern;
+  if (is.regexp(query)) {
+    const flags = query.flags || '';
+    pattern = new RegExp(
+      query.source,
+      flags.indexOf('g') > -1 ? flags : `${flags}g`
+    );
+  } else if (is.string(query) && query.length > 0) {
+    pattern = new RegExp(
+      query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+      options.ignoreCase ? 'gi' : 'g'
+    );
+  } else {
+    throw new Error('The query must be a non-empty string or a RegExp.');
+  }
+
+  const matches = [];
+  for (const page of _selectPages(annotation, options)) {
+    // Rebuild the text of the page, remembering where each word is in it.
+    let text = '';
+    const spans = [];
+    page.lines.forEach((line, l) => {
+      if (l > 0) {
+        text += '\n';
+      }
+      line.words.forEach((word, w) => {
+        // Join the word to an empty one to get it with its separator.
+        const last = w === line.words.length - 1;
+        const start = text.length;
+        text += joinWords(last ? [word] : [word, {text: ''}]);
+        spans.push({start, end: start + word.text.length, word});
+      });
+    });
+
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      const start = match.index;
+      const end = start + match[0].length;
+      const words = spans
+        .filter(span => span.start < end && span.end > start)
+        .map(span => span.word);
+      matches.push({
+        page: page.page,
+        text: match[0],
+        match,
+        box: unionBoxes(words.map(word => word.box)),
+        words: words.map(word => _word(word, page)),
+      });
+    }
+  }
+  return matches;
+};
+
+module.exports.findText = findText;
+module.exports.textInRegion = textInRegion;
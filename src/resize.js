@@ -0,0 +1,382 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+const jpeg = require('jpeg-js');
+const {PNG} = require('pngjs');
+
+const {InvalidImageError} = require('./errors');
+const {sniffImage} = require('./validation');
+
+/*!
+ * The JPEG quality used when none is given.
+ */
+const DEFAULT_QUALITY = 85;
+
+/*!
+ * Check the resize options and fill in the defaults.
+ *
+ * @param {object} options The resize options.
+ * @param {number} options.maxEdge The longest edge, in pixels, of the image
+ *   that is sent.
+ * @param {number} [options.quality=85] The JPEG quality, from 1 to 100.
+ * @returns {object} The options, with the defaults filled in.
+ * @throws {Error} If the options are invalid.
+ */
+const resolveOptions = options => {
+  options = Object.assign({quality: DEFAULT_QUALITY}, options);
+  if (!is.integer(options.maxEdge) || options.maxEdge < 1) {
+    throw new Error('The resize maxEdge must be a positive integer.');
+  }
+  if (
+    !is.integer(options.quality) ||
+    options.quality < 1 ||
+    options.quality > 100
+  ) {
+    throw new Error('The resize quality must be an integer from 1 to 100.');
+  }
+  return options;
+};
+
+/*!
+ * Find where the pixels of an image turned upright by its EXIF orientation
+ * are in its pixel data: the upright pixel at (x, y) is at
+ * `base + x * strideX + y * strideY`.
+ *
+ * @param {number} orientation The EXIF orientation, from 1 to 8.
+ * @param {number} width The width of the pixel data.
+ * @param {number} height The height of the pixel data.
+ * @returns {object} The `base`, `strideX` and `strideY` offsets, in bytes,
+ *   and the `width` and `height` of the upright image.
+ */
+const _orient = (orientation, width, height) => {
+  const row = width * 4;
+  const right = (width - 1) * 4;
+  const bottom = (height - 1) * row;
+  // The offset of the first upright pixel, and the strides along the upright
+  // x and y axes, for each orientation.
+  const layouts = {
+    1: [0, 4, row],
+    2: [right, -4, row],
+    3: [bottom + right, -4, -row],
+    4: [bottom, 4, -row],
+    5: [0, row, 4],
+    6: [bottom, -row, 4],
+    7: [bottom + right, -row, -4],
+    8: [right, row, -4],
+  };
+  const layout = layouts[orientation] || layouts[1];
+  const transposed = orientation >= 5 && orientation <= 8;
+  return {
+    base: layout[0],
+    strideX: layout[1],
+    strideY: layout[2],
+    width: transposed ? height : width,
+    height: transposed ? width : height,
+  };
+};
+
+/*!
+ * Map a point of an image turned upright by its EXIF orientation back to
+ * the image as it is stored.
+ *
+ * @param {number} x The x coordinate in the upright image.
+ * @param {number} y The y coordinate in the upright image.
+ * @param {number} orientation The EXIF orientation, from 1 to 8.
+ * @param {number} width The width of the stored image.
+ * @param {number} height The height of the stored image.
+ * @returns {number[]} The x and y coordinates in the stored image.
+ */
+const _unorient = (x, y, orientation, width, height) => {
+  switch (orientation) {
+    case 2:
+      return [width - x, y];
+    case 3:
+      return [width - x, height - y];
+    case 4:
+      return [x, height - y];
+    case 5:
+      return [y, x];
+    case 6:
+      return [y, height - x];
+    case 7:
+      return [width - y, height - x];
+    case 8:
+      return [width - y, x];
+    default:
+      return [x, y];
+  }
+};
+
+/*!
+ * Shrink RGBA pixel data by averaging the block of source pixels which falls
+ * into each destination pixel.
+ *
+ * @param {Buffer|Uint8Array} data The source pixels, 4 bytes each.
+ * @param {object} source Where the source pixels are in the data, as
+ *   returned by `_orient`, with the source `width` and `height`.
+ * @param {number} newWidth The destination width.
+ * @param {number} newHeight The destination height.
+ * @returns {Buffer} The destination pixels.
+ */
+const _resample = (data, source, newWidth, newHeight) => {
+  const width = source.width;
+  const height = source.height;
+  const out = Buffer.alloc(newWidth * newHeight * 4);
+  const xRatio = width / newWidth;
+  const yRatio = height / newHeight;
+  const sums = [0, 0, 0, 0];
+  for (let dy = 0; dy < newHeight; dy++) {
+    const y0 = Math.floor(dy * yRatio);
+    const y1 = Math.min(
+      height,
+      Math.max(y0 + 1, Math.floor((dy + 1) * yRatio))
+    );
+    for (let dx = 0; dx < newWidth; dx++) {
+      const x0 = Math.floor(dx * xRatio);
+      const x1 = Math.min(
+        width,
+        Math.max(x0 + 1, Math.floor((dx + 1) * xRatio))
+      );
+      sums[0] = sums[1] = sums[2] = sums[3] = 0;
+      for (let y = y0; y < y1; y++) {
+        let i = source.base + y * source.strideY + x0 * source.strideX;
+        for (let x = x0; x < x1; x++, i += source.strideX) {
+          sums[0] += data[i];
+          sums[1] += data[i + 1];
+          sums[2] += data[i + 2];
+          sums[3] += data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (dy * newWidth + dx) * 4;
+      for (let c = 0; c < 4; c++) {
+        out[o + c] = Math.round(sums[c] / count);
+      }
+    }
+  }
+  return out;
+};
+
+/*!
+ * Read the EXIF orientation of a JPEG image, from the IFD0 of its APP1
+ * segment.
+ *
+ * @param {Buffer} buffer The JPEG file.
+ * @returns {number} The orientation, from 1 to 8, or 1 if it has none.
+ */
+const _exifOrientation = buffer => {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // Stop at the start of the scan: EXIF data comes before it.
+    if (marker === 0xda) {
+      break;
+    }
+    const start = offset + 4;
+    if (
+      marker === 0xe1 &&
+      start + 14 <= buffer.length &&
+      buffer.toString('latin1', start, start + 6) === 'Exif\0\0'
+    ) {
+      const tiff = start + 6;
+      const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+      const read16 = at =>
+        little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at);
+      const read32 = at =>
+        little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at);
+      const ifd = tiff + read32(tiff + 4);
+      if (ifd + 2 > buffer.length) {
+        return 1;
+      }
+      const count = read16(ifd);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > buffer.length) {
+          break;
+        }
+        if (read16(entry) === 0x0112) {
+          return read16(entry + 8) || 1;
+        }
+      }
+      return 1;
+    }
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+/*!
+ * Downscale a JPEG or PNG image so its longest edge is at most
+ * `options.maxEdge` pixels.
+ *
+ * Re-encoding a JPEG image drops its EXIF data, so a JPEG image with an EXIF
+ * orientation is turned upright as it is resampled. Coordinates in the
+ * smaller image are then mapped back to the original with `rescaleResponse`,
+ * given the `orientation`, `width` and `height` returned here.
+ *
+ * @param {Buffer} buffer The image file.
+ * @param {object} options The options returned by `resolveOptions`.
+ * @param {object} [request] The AnnotateImageRequest for the image, which is
+ *   attached to the error.
+ * @returns {?object} null if the image is not a JPEG or PNG, or is already
+ *   small enough. Otherwise, an object with the re-encoded image as
+ *   `content`; `scaleX` and `scaleY`, the factors by which coordinates in the
+ *   smaller image must be multiplied to get back to the size of the
+ *   original; the EXIF `orientation` it was turned upright from (1 if none);
+ *   and the `width` and `height` of the original, as stored.
+ * @throws {InvalidImageError} If the image cannot be decoded.
+ */
+const resizeImage = (buffer, options, request) => {
+  const info = sniffImage(buffer);
+  if (!info || (info.format !== 'JPEG' && info.format !== 'PNG')) {
+    return null;
+  }
+  if (Math.max(info.width, info.height) <= options.maxEdge) {
+    return null;
+  }
+  const orientation = info.format === 'JPEG' ? _exifOrientation(buffer) : 1;
+
+  let image;
+  try {
+    image =
+      info.format === 'JPEG'
+        ? jpeg.decode(buffer, {useTArray: true, formatAsRGBA: true})
+        : PNG.sync.read(buffer);
+  } catch (err) {
+    throw new InvalidImageError(
+      'CORRUPT',
+      `The ${info.format} image could not be decoded: ${err.message}`,
+      {
+        size: buffer.length,
+        format: info.format,
+        width: info.width,
+        height: info.height,
+        request,
+      }
+    );
+  }
+  const source = _orient(orientation, image.width, image.height);
+  const ratio = options.maxEdge / Math.max(source.width, source.height);
+  const width = Math.max(1, Math.round(source.width * ratio));
+  const height = Math.max(1, Math.round(source.height * ratio));
+  const data = _resample(image.data, source, width, height);
+
+  let content;
+  if (info.format === 'JPEG') {
+    content = jpeg.encode({data, width, height}, options.quality).data;
+  } else {
+    const png = new PNG({width, height});
+    png.data = data;
+    content = PNG.sync.write(png);
+  }
+  return {
+    content,
+    scaleX: source.width / width,
+    scaleY: source.height / height,
+    orientation,
+    width: image.width,
+    height: image.height,
+  };
+};
+
+/*!
+ * Scale the pixel coordinates in an AnnotateImageResponse, in place.
+ *
+ * This covers every `vertices` list (bounding polys of faces, entities, crop
+ * hints, text blocks and so on), the `position` of face landmarks, and the
+ * `width` and `height` of the pages of a full text annotation. Normalized
+ * vertices are left alone, since they do not depend on the image size.
+ *
+ * If the image was turned upright from an EXIF orientation before it was
+ * sent, the scaled coordinates are also mapped back to the image as it is
+ * stored.
+ *
+ * @param {object} response An object representing an AnnotateImageResponse.
+ * @param {number} scaleX The factor applied to x coordinates.
+ * @param {number} scaleY The factor applied to y coordinates.
+ * @param {object} [original] The original image, as returned by
+ *   `resizeImage`: its EXIF `orientation`, and its `width` and `height` as
+ *   stored.
+ * @returns {object} The response.
+ */
+const rescaleResponse = (response, scaleX, scaleY, original) => {
+  const orientation = (original && original.orientation) || 1;
+  const transposed = orientation >= 5 && orientation <= 8;
+  const scalePoint = (point, round) => {
+    if (orientation === 1) {
+      if (is.number(point.x)) {
+        point.x = round ? Math.round(point.x * scaleX) : point.x * scaleX;
+      }
+      if (is.number(point.y)) {
+        point.y = round ? Math.round(point.y * scaleY) : point.y * scaleY;
+      }
+      return;
+    }
+    // Coordinates left out of a vertex are zero.
+    const stored = _unorient(
+      (point.x || 0) * scaleX,
+      (point.y || 0) * scaleY,
+      orientation,
+      original.width,
+      original.height
+    );
+    point.x = round ? Math.round(stored[0]) : stored[0];
+    point.y = round ? Math.round(stored[1]) : stored[1];
+  };
+  const visit = value => {
+    if (is.array(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!is.object(value)) {
+      return;
+    }
+    for (const key of Object.keys(value)) {
+      const child = value[key];
+      if (key === 'vertices' && is.array(child)) {
+        // Vertices are integers in the protos.
+        child.filter(is.object).forEach(vertex => scalePoint(vertex, true));
+      } else if (key === 'position' && is.object(child)) {
+        scalePoint(child, false);
+      } else if (key === 'fullTextAnnotation' && is.object(child)) {
+        // Page sizes are integers in the protos.
+        (child.pages || []).filter(is.object).forEach(page => {
+          const width = is.number(page.width)
+            ? Math.round(page.width * scaleX)
+            : page.width;
+          const height = is.number(page.height)
+            ? Math.round(page.height * scaleY)
+            : page.height;
+          page.width = transposed ? height : width;
+          page.height = transposed ? width : height;
+        });
+        visit(child);
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(response);
+  return response;
+};
+
+module.exports.resizeImage = resizeImage;
+module.exports.rescaleResponse = rescaleResponse;
+module.exports.resolveOptions = resolveOptions;
@@ -0,0 +1,307 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+/*!
+ * The longest product, product set and reference image IDs the API accepts.
+ */
+const MAX_ID_LENGTH = 128;
+
+/*!
+ * The segments of the resource names, as the collection, the field the ID
+ * is held in, and the check of the ID.
+ */
+const PROJECT = {
+  collection: 'projects',
+  field: 'project',
+  pattern: /^[a-z0-9][a-z0-9.:-]*$/,
+  rule: 'a project ID or number',
+};
+const LOCATION = {
+  collection: 'locations',
+  field: 'location',
+  pattern: /^[a-z0-9][a-z0-9-]*$/,
+  rule: 'a location ID, such as "us-west1"',
+};
+const PRODUCT_SET = {
+  collection: 'productSets',
+  field: 'productSet',
+  pattern: null,
+};
+const PRODUCT = {
+  collection: 'products',
+  field: 'product',
+  pattern: null,
+};
+const REFERENCE_IMAGE = {
+  collection: 'referenceImages',
+  field: 'referenceImage',
+  pattern: null,
+};
+
+/*!
+ * Check an ID of a resource name.
+ *
+ * @throws {Error} If the ID is not valid.
+ */
+const _checkId = (segment, value) => {
+  if (segment.pattern) {
+    if (!is.string(value) || !segment.pattern.test(value)) {
+      throw new Error(`The ${segment.field} must be ${segment.rule}.`);
+    }
+    return;
+  }
+  if (
+    !is.string(value) ||
+    value === '' ||
+    value.length > MAX_ID_LENGTH ||
+    /\//.test(value)
+  ) {
+    throw new Error(
+      `The ${segment.field} ID must be from 1 to ${MAX_ID_LENGTH} ` +
+        'characters long, without "/".'
+    );
+  }
+};
+
+/**
+ * The name of a Product Search resource, such as
+ * `projects/my-project/locations/us-west1/products/shoe-1`.
+ *
+ * A name holds the IDs it is made of, which are checked when it is
+ * created, and cannot be changed. It can be given to the
+ * `ProductSearchClient` methods wherever they take a resource name, and is
+ * written as a string when it is converted to one or to JSON.
+ *
+ * @class
+ * @abstract
+ * @param {object} ids The IDs the name is made of, such as `project`,
+ *     `location` and `product`.
+ * @throws {Error} If an ID is missing or invalid.
+ */
+class ResourceName {
+  constructor(ids) {
+    ids = ids || {};
+    for (const segment of this.constructor.segments) {
+      _checkId(segment, ids[segment.field]);
+      this[segment.field] = ids[segment.field];
+    }
+    Object.freeze(this);
+  }
+
+  /**
+   * Read a name from its string form.
+   *
+   * @param {string} name The name.
+   * @returns {ResourceName} The name, as an instance of the class it is
+   *     called on.
+   * @throws {Error} If the string is not a name of this kind, or has an
+   *     invalid ID.
+   */
+  static parse(name) {
+    const segments = this.segments;
+    const template = segments
+      .map(segment => `${segment.collection}/{${segment.field}}`)
+      .join('/');
+    const parts = is.string(name) ? name.split('/') : [];
+    const matches =
+      parts.length === segments.length * 2 &&
+      segments.every((segment, i) => parts[i * 2] === segment.collection);
+    if (!matches) {
+      throw new Error(`The name ${name} does not match ${template}.`);
+    }
+    const ids = {};
+    segments.forEach((segment, i) => {
+      ids[segment.field] = parts[i * 2 + 1];
+    });
+    return new this(ids);
+  }
+
+  /**
+   * Write the name as a string.
+   *
+   * @returns {string} The name.
+   */
+  format() {
+    return this.constructor.segments
+      .map(segment => `${segment.collection}/${this[segment.field]}`)
+      .join('/');
+  }
+
+  /**
+   * Determine whether this name and another one are the same.
+   *
+   * @param {ResourceName|string} other The other name, or its string form.
+   * @returns {boolean} Whether the names are the same.
+   */
+  equals(other) {
+    if (is.string(other)) {
+      return other === this.format();
+    }
+    return (
+      other instanceof ResourceName &&
+      other.constructor === this.constructor &&
+      other.format() === this.format()
+    );
+  }
+
+  /**
+   * @returns {string} The name, as by {@link ResourceName#format}.
+   */
+  toString() {
+    return this.format();
+  }
+
+  /**
+   * @returns {string} The name, as by {@link ResourceName#format}.
+   */
+  toJSON() {
+    return this.format();
+  }
+}
+
+/**
+ * The name of a location, such as `projects/my-project/locations/us-west1`.
+ *
+ * @class
+ * @extends ResourceName
+ * @param {object} ids The IDs of the name.
+ * @param {string} ids.project The project ID or number.
+ * @param {string} ids.location The location ID.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ *
+ * const location = new vision.LocationName({
+ *   project: 'my-project',
+ *   location: 'us-west1',
+ * });
+ * client.listProducts({parent: location}).then(results => {
+ *   // doThingsWith(results[0]);
+ * });
+ */
+class LocationName extends ResourceName {
+  static get segments() {
+    return [PROJECT, LOCATION];
+  }
+}
+
+/**
+ * The name of a product set, such as
+ * `projects/my-project/locations/us-west1/productSets/shoes`.
+ *
+ * @class
+ * @extends ResourceName
+ * @param {object} ids The IDs of the name.
+ * @param {string} ids.project The project ID or number.
+ * @param {string} ids.location The location ID.
+ * @param {string} ids.productSet The product set ID.
+ */
+class ProductSetName extends ResourceName {
+  static get segments() {
+    return [PROJECT, LOCATION, PRODUCT_SET];
+  }
+}
+
+/**
+ * The name of a product, such as
+ * `projects/my-project/locations/us-west1/products/shoe-1`.
+ *
+ * @class
+ * @extends ResourceName
+ * @param {object} ids The IDs of the name.
+ * @param {string} ids.project The project ID or number.
+ * @param {string} ids.location The location ID.
+ * @param {string} ids.product The product ID.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ *
+ * const name = vision.ProductName.parse(product.name);
+ * console.log(`${name.product} is in ${name.location}.`);
+ */
+class ProductName extends ResourceName {
+  static get segments() {
+    return [PROJECT, LOCATION, PRODUCT];
+  }
+}
+
+/**
+ * The name of a reference image, such as
+ * `projects/my-project/locations/us-west1/products/shoe-1/referenceImages/side`.
+ *
+ * @class
+ * @extends ResourceName
+ * @param {object} ids The IDs of the name.
+ * @param {string} ids.project The project ID or number.
+ * @param {string} ids.location The location ID.
+ * @param {string} ids.product The product ID.
+ * @param {string} ids.referenceImage The reference image ID.
+ */
+class ReferenceImageName extends ResourceName {
+  static get segments() {
+    return [PROJECT, LOCATION, PRODUCT, REFERENCE_IMAGE];
+  }
+}
+
+/*!
+ * The fields of Product Search requests which hold resource names, and the
+ * fields of the resources in requests which do.
+ */
+const NAME_FIELDS = ['name', 'parent', 'product'];
+const RESOURCE_FIELDS = ['product', 'productSet', 'referenceImage'];
+
+/*!
+ * Write the resource names of a request as strings, copying the request
+ * and the resources in it which hold any.
+ *
+ * @param {object} request The request.
+ * @returns {object} The request, or a copy with names as strings.
+ */
+const formatRequest = request => {
+  if (!is.object(request)) {
+    return request;
+  }
+  let copy = request;
+  const set = (field, value) => {
+    if (copy === request) {
+      copy = Object.assign({}, request);
+    }
+    copy[field] = value;
+  };
+  for (const field of NAME_FIELDS) {
+    if (request[field] instanceof ResourceName) {
+      set(field, request[field].format());
+    }
+  }
+  for (const field of RESOURCE_FIELDS) {
+    const resource = request[field];
+    if (is.object(resource) && resource.name instanceof ResourceName) {
+      set(field, Object.assign({}, resource, {name: resource.name.format()}));
+    }
+  }
+  return copy;
+};
+
+module.exports.LocationName = LocationName;
+module.exports.ProductName = ProductName;
+module.exports.ProductSetName = ProductSetName;
+module.exports.ReferenceImageName = ReferenceImageName;
+module.exports.ResourceName = ResourceName;
+module.exports.formatRequest = formatRequest;
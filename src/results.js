@@ -0,0 +1,409 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+const path = require('path');
+const protobuf = require('protobufjs');
+
+const {likelihoodName} = require('./analyze');
+
+/*!
+ * The geometry messages. The v1 definitions are used for every API version,
+ * since they are a superset of the others (v1p1beta1 has no
+ * NormalizedVertex).
+ */
+const geometry = protobuf.loadSync(
+  path.join(__dirname, '..', 'protos', 'google/cloud/vision/v1/geometry.proto')
+);
+const BoundingPoly = geometry.lookupType('google.cloud.vision.v1.BoundingPoly');
+const Vertex = geometry.lookupType('google.cloud.vision.v1.Vertex');
+
+/*!
+ * Read a BoundingPoly, filling in the coordinates the API leaves out because
+ * they are zero.
+ *
+ * @param {object} [poly] An object representing a BoundingPoly.
+ * @returns {object} The vertices of the polygon, and whether they are
+ *   normalized. Pixel vertices are preferred when a polygon has both.
+ */
+const _readPoly = poly => {
+  const message = BoundingPoly.toObject(BoundingPoly.fromObject(poly || {}), {
+    defaults: true,
+  });
+  if (message.vertices.length > 0 || message.normalizedVertices.length === 0) {
+    return {vertices: message.vertices, normalized: false};
+  }
+  return {vertices: message.normalizedVertices, normalized: true};
+};
+
+/*!
+ * Compute the axis-aligned bounding box of a set of vertices.
+ *
+ * @param {object[]} vertices The vertices.
+ * @returns {?object} The box, as `{x, y, width, height}`, or null if there
+ *   are no vertices.
+ */
+const _boxOf = vertices => {
+  if (vertices.length === 0) {
+    return null;
+  }
+  const xs = vertices.map(vertex => vertex.x);
+  const ys = vertices.map(vertex => vertex.y);
+  const x = Math.min.apply(null, xs);
+  const y = Math.min.apply(null, ys);
+  return {
+    x,
+    y,
+    width: Math.max.apply(null, xs) - x,
+    height: Math.max.apply(null, ys) - y,
+  };
+};
+
+/*!
+ * The names of the DetectedBreak.BreakType enum values, which are the same in
+ * every API version.
+ */
+const BREAK_TYPES = [
+  'UNKNOWN',
+  'SPACE',
+  'SURE_SPACE',
+  'EOL_SURE_SPACE',
+  'HYPHEN',
+  'LINE_BREAK',
+];
+
+/*!
+ * Get the type of the break detected after a symbol (or any element of a
+ * TextAnnotation with a `property`).
+ *
+ * @param {object} element The element.
+ * @returns {?string} The name of the break type, or null if there is no
+ *   break.
+ */
+const breakType = element => {
+  const detected =
+    element && element.property && element.property.detectedBreak;
+  if (!detected) {
+    return null;
+  }
+  const type = detected.type || 0;
+  return is.number(type) ? BREAK_TYPES[type] || BREAK_TYPES[0] : type;
+};
+
+/**
+ * The base class of the result wrappers, holding the geometry helpers.
+ *
+ * A result has all the fields of the annotation it wraps. Its geometry is
+ * that of the annotation's bounding polygon, in pixels if the annotation has
+ * pixel vertices, and in normalized coordinates (from 0 to 1) otherwise.
+ *
+ * @class
+ * @param {object} annotation The annotation to wrap.
+ */
+class AnnotationResult {
+  constructor(annotation) {
+    Object.assign(this, annotation);
+  }
+
+  /*!
+   * The bounding polygon of the annotation. Subclasses override this for
+   * annotations which keep their polygon under another name.
+   */
+  _boundingPoly() {
+    return this.boundingPoly;
+  }
+
+  /**
+   * Whether the geometry is in normalized coordinates.
+   *
+   * @returns {boolean}
+   */
+  isNormalized() {
+    return _readPoly(this._boundingPoly()).normalized;
+  }
+
+  /**
+   * The vertices of the bounding polygon.
+   *
+   * @returns {object[]} The vertices, as `{x, y}` objects.
+   */
+  vertices() {
+    return _readPoly(this._boundingPoly()).vertices;
+  }
+
+  /**
+   * The axis-aligned box around the bounding polygon.
+   *
+   * @returns {?object} The box, as `{x, y, width, height}`, or null if the
+   *     annotation has no bounding polygon.
+   */
+  box() {
+    return _boxOf(this.vertices());
+  }
+
+  /**
+   * The area of the bounding polygon.
+   *
+   * @returns {number} The area, in square pixels or as a fraction of the
+   *     image.
+   */
+  area() {
+    const vertices = this.vertices();
+    let sum = 0;
+    for (let i = 0; i < vertices.length; i++) {
+      const a = vertices[i];
+      const b = vertices[(i + 1) % vertices.length];
+      sum += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(sum) / 2;
+  }
+
+  /**
+   * The vertices of the bounding polygon in pixels.
+   *
+   * @param {number} width The width of the image, in pixels.
+   * @param {number} height The height of the image, in pixels.
+   * @returns {object[]} The vertices, as
+   *     {@link google.cloud.vision.v1.Vertex Vertex} objects. Normalized
+   *     vertices are scaled to the image and rounded; pixel vertices are
+   *     returned as they are.
+   */
+  toPixels(width, height) {
+    const poly = _readPoly(this._boundingPoly());
+    if (!poly.normalized) {
+      return poly.vertices;
+    }
+    return poly.vertices.map(vertex => {
+      return Vertex.toObject(
+        Vertex.fromObject({
+          x: Math.round(vertex.x * width),
+          y: Math.round(vertex.y * height),
+        }),
+        {defaults: true}
+      );
+    });
+  }
+
+  /**
+   * Whether a point lies inside the bounding polygon.
+   *
+   * @param {object} point The point, as `{x, y}`, in the same coordinates as
+   *     the polygon.
+   * @returns {boolean}
+   */
+  contains(point) {
+    const vertices = this.vertices();
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      const a = vertices[i];
+      const b = vertices[j];
+      if (
+        a.y > point.y !== b.y > point.y &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * The intersection over union of this result's box and another's.
+   *
+   * @param {AnnotationResult|object} other Another result, or a box as
+   *     `{x, y, width, height}`, in the same coordinates as this result.
+   * @returns {number} The ratio, from 0 (disjoint) to 1 (the same box).
+   */
+  iou(other) {
+    const a = this.box();
+    const b = other instanceof AnnotationResult ? other.box() : other;
+    if (!a || !b) {
+      return 0;
+    }
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height =
+      Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (width <= 0 || height <= 0) {
+      return 0;
+    }
+    const intersection = width * height;
+    return (
+      intersection / (a.width * a.height + b.width * b.height - intersection)
+    );
+  }
+}
+
+/**
+ * A face detected in an image, wrapping a
+ * {@link google.cloud.vision.v1.FaceAnnotation FaceAnnotation}.
+ *
+ * The geometry helpers use `boundingPoly`, which frames the whole head.
+ *
+ * @class
+ * @extends AnnotationResult
+ * @param {object} annotation The FaceAnnotation.
+ */
+class FaceResult extends AnnotationResult {
+  /**
+   * The axis-aligned box around `fdBoundingPoly`, the tighter polygon which
+   * only encloses the skin of the face.
+   *
+   * @returns {?object} The box, as `{x, y, width, height}`.
+   */
+  skinBox() {
+    return _boxOf(_readPoly(this.fdBoundingPoly).vertices);
+  }
+
+  /**
+   * The likelihood of an expression or attribute of the face.
+   *
+   * @param {string} name The name of the attribute, e.g. `joy` or
+   *     `headwear`.
+   * @returns {string} The name of the likelihood, e.g. `VERY_LIKELY`.
+   */
+  likelihood(name) {
+    return likelihoodName(this[`${name}Likelihood`] || 0);
+  }
+}
+
+/**
+ * A label, logo, landmark or piece of text detected in an image, wrapping
+ * an {@link google.cloud.vision.v1.EntityAnnotation EntityAnnotation}.
+ *
+ * Labels have no bounding polygon, so their geometry is empty.
+ *
+ * @class
+ * @extends AnnotationResult
+ * @param {object} annotation The EntityAnnotation.
+ */
+class EntityResult extends AnnotationResult {}
+
+/**
+ * An object localized in an image, wrapping a
+ * {@link google.cloud.vision.v1p3beta1.LocalizedObjectAnnotation LocalizedObjectAnnotation}.
+ *
+ * Its geometry is in normalized coordinates; use
+ * {@link AnnotationResult#toPixels toPixels} to map it to the image.
+ *
+ * @class
+ * @extends AnnotationResult
+ * @param {object} annotation The LocalizedObjectAnnotation.
+ */
+class LocalizedObjectResult extends AnnotationResult {}
+
+/**
+ * A block of text detected in an image, wrapping a
+ * {@link google.cloud.vision.v1.Block Block} of a
+ * {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}.
+ *
+ * @class
+ * @extends AnnotationResult
+ * @param {object} annotation The Block.
+ */
+class TextBlockResult extends AnnotationResult {
+  /*!
+   * Blocks keep their polygon as `boundingBox`.
+   */
+  _boundingPoly() {
+    return this.boundingBox;
+  }
+
+  /**
+   * The text of the block, with the spaces and line breaks detected
+   * between its symbols.
+   *
+   * @returns {string}
+   */
+  text() {
+    let text = '';
+    for (const paragraph of this.paragraphs || []) {
+      for (const word of paragraph.words || []) {
+        for (const symbol of word.symbols || []) {
+          text += symbol.text || '';
+          const type = breakType(symbol);
+          if (type === 'EOL_SURE_SPACE' || type === 'LINE_BREAK') {
+            text += '\n';
+          } else if (type === 'SPACE' || type === 'SURE_SPACE') {
+            text += ' ';
+          }
+        }
+      }
+    }
+    return text;
+  }
+}
+
+/*!
+ * The response fields holding entity annotations.
+ */
+const ENTITY_FIELDS = [
+  'landmarkAnnotations',
+  'logoAnnotations',
+  'labelAnnotations',
+  'textAnnotations',
+];
+
+/*!
+ * Wrap the annotations of a response in the result classes.
+ *
+ * @param {object} response An object representing an AnnotateImageResponse.
+ * @returns {object} A copy of the response, whose face, entity and localized
+ *   object annotations, and text blocks, are result instances.
+ */
+const wrapResponse = response => {
+  if (!response) {
+    return response;
+  }
+  const wrap = (annotations, Result) => {
+    return (annotations || []).map(annotation => new Result(annotation));
+  };
+  const result = Object.assign({}, response);
+  if (response.faceAnnotations) {
+    result.faceAnnotations = wrap(response.faceAnnotations, FaceResult);
+  }
+  for (const field of ENTITY_FIELDS) {
+    if (response[field]) {
+      result[field] = wrap(response[field], EntityResult);
+    }
+  }
+  if (response.localizedObjectAnnotations) {
+    result.localizedObjectAnnotations = wrap(
+      response.localizedObjectAnnotations,
+      LocalizedObjectResult
+    );
+  }
+  const full = response.fullTextAnnotation;
+  if (full && is.array(full.pages)) {
+    result.fullTextAnnotation = Object.assign({}, full, {
+      pages: full.pages.map(page => {
+        return Object.assign({}, page, {
+          blocks: wrap(page.blocks, TextBlockResult),
+        });
+      }),
+    });
+  }
+  return result;
+};
+
+module.exports.AnnotationResult = AnnotationResult;
+module.exports.breakType = breakType;
+module.exports.EntityResult = EntityResult;
+module.exports.FaceResult = FaceResult;
+module.exports.LocalizedObjectResult = LocalizedObjectResult;
+module.exports.TextBlockResult = TextBlockResult;
+module.exports.wrapResponse = wrapResponse;
@@ -0,0 +1,636 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const is = require('is');
+const path = require('path');
+const {promisifyAll} = require('@google-cloud/promisify');
+
+const {ImageAnnotationError} = require('./errors');
+const {entityWords, layout, unionBoxes} = require('./layout');
+const {DirectoryReader} = require('./shards');
+
+/*!
+ * The version of the format of index files.
+ */
+const FORMAT_VERSION = 1;
+
+/*!
+ * The extensions of the files #indexDirectory annotates. PDF and TIFF files
+ * are left out: the Vision API only reads them with asyncBatchAnnotateFiles,
+ * from Cloud Storage.
+ */
+const IMAGE_EXTENSIONS = [
+  '.bmp',
+  '.gif',
+  '.ico',
+  '.jpeg',
+  '.jpg',
+  '.png',
+  '.raw',
+  '.webp',
+];
+
+/*!
+ * The helper method each feature #indexDirectory accepts annotates with.
+ */
+const FEATURE_METHODS = {
+  DOCUMENT_TEXT_DETECTION: 'documentTextDetection',
+  TEXT_DETECTION: 'textDetection',
+};
+
+/*!
+ * The punctuation stripped from both ends of a word when it is indexed:
+ * ASCII punctuation, Latin-1 quotes and marks, general punctuation (dashes,
+ * quotes, ellipses), and CJK and full-width punctuation.
+ */
+const EDGE_PUNCTUATION = /^[!-/:-@[-`{-~\u00a1\u00ab\u00b7\u00bb\u00bf\u2010-\u205e\u3000-\u303f\uff01-\uff0f\uff1a-\uff20]+|[!-/:-@[-`{-~\u00a1\u00ab\u00b7\u00bb\u00bf\u2010-\u205e\u3000-\u303f\uff01-\uff0f\uff1a-\uff20]+$/g;
+
+/*!
+ * Normalize a word into the token it is indexed and searched by.
+ *
+ * @param {string} text The word.
+ * @returns {string} The token, which is empty for punctuation.
+ */
+const _token = text => {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(EDGE_PUNCTUATION, '');
+};
+
+/*!
+ * Split a query into tokens.
+ */
+const _tokens = query => {
+  return query
+    .split(/\s+/)
+    .map(_token)
+    .filter(token => token);
+};
+
+/*!
+ * Read the words of any of the accepted forms of annotation, in reading
+ * order.
+ *
+ * @param {object} annotation A TextAnnotation, an AnnotateImageResponse, or
+ *   a document returned by readFileOutput.
+ * @returns {object[]} The words, as `{text, page, box}` objects with the
+ *   page numbered from 1.
+ */
+const _readWords = annotation => {
+  annotation = annotation || {};
+  const words = [];
+  if (!annotation.pages && !annotation.fullTextAnnotation) {
+    for (const word of entityWords(annotation.textAnnotations)) {
+      words.push({text: word.text, page: 1, box: word.box});
+    }
+    return words;
+  }
+  layout(annotation.fullTextAnnotation || annotation).pages.forEach(
+    (page, p) => {
+      for (const block of page.blocks) {
+        for (const paragraph of block.paragraphs) {
+          for (const line of paragraph.lines) {
+            for (const word of line.words) {
+              words.push({text: word.text, page: p + 1, box: word.box});
+            }
+          }
+        }
+      }
+    }
+  );
+  return words;
+};
+
+/**
+ * A searchable index of the text found in images and documents.
+ *
+ * The index keeps every word with its page and bounding box, and answers
+ * phrase, prefix and proximity queries with the files and the regions
+ * which match. It runs fully offline: the text is read from annotations
+ * made beforehand, such as by
+ * {@link TextIndex#indexDirectory indexDirectory}, and the index is kept in
+ * memory and, if given a file, saved to and loaded from it as JSON.
+ *
+ * Words are matched regardless of case and of the punctuation around them.
+ *
+ * @class
+ * @param {object} [options] Optional parameters.
+ * @param {string} [options.file] The file the index is saved to and loaded
+ *     from.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ * const index = new vision.TextIndex({file: './receipts.index.json'});
+ *
+ * index
+ *   .load()
+ *   .then(() => index.indexDirectory(client, './receipts'))
+ *   .then(() => {
+ *     for (const result of index.searchPhrase('total amount')) {
+ *       console.log(result.name, result.matches[0].box);
+ *     }
+ *   });
+ */
+class TextIndex {
+  constructor(options) {
+    options = options || {};
+    if (!is.undefined(options.file) && !is.string(options.file)) {
+      throw new Error('The file of a TextIndex must be a string.');
+    }
+    this.file = options.file || null;
+
+    // The indexed documents by name, each as `{modified, words}`, and the
+    // positions of each token, as a map from document names to positions
+    // in their words.
+    this._documents = new Map();
+    this._postings = new Map();
+  }
+
+  /**
+   * Add a document to the index, replacing any document of the same name.
+   *
+   * @param {string} name The name of the document, such as its file name.
+   * @param {object} annotation The text of the document: an object
+   *     representing a
+   *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation} or an
+   *     {@link google.cloud.vision.v1.AnnotateImageResponse AnnotateImageResponse},
+   *     or a document returned by
+   *     {@link module:@google-cloud/vision.readFileOutput readFileOutput}.
+   * @param {object} [metadata] Optional metadata.
+   * @param {number} [metadata.modified] When the document was last
+   *     modified, in milliseconds since the epoch. Documents indexed by
+   *     {@link TextIndex#indexDirectory indexDirectory} are annotated again
+   *     when this changes.
+   * @returns {number} The number of words indexed.
+   */
+  add(name, annotation, metadata) {
+    if (!is.string(name) || name === '') {
+      throw new Error('A document name must be a non-empty string.');
+    }
+    const words = _readWords(annotation)
+      .map(word => {
+        return {
+          token: _token(word.text),
+          text: word.text,
+          page: word.page,
+          box: word.box,
+        };
+      })
+      .filter(word => word.token);
+    this._insert(name, {
+      modified: (metadata && metadata.modified) || null,
+      words,
+    });
+    return words.length;
+  }
+
+  /**
+   * Remove a document from the index.
+   *
+   * @param {string} name The name of the document.
+   * @returns {boolean} Whether the document was indexed.
+   */
+  remove(name) {
+    const document = this._documents.get(name);
+    if (!document) {
+      return false;
+    }
+    for (const word of document.words) {
+      const postings = this._postings.get(word.token);
+      if (postings) {
+        postings.delete(name);
+        if (postings.size === 0) {
+          this._postings.delete(word.token);
+        }
+      }
+    }
+    this._documents.delete(name);
+    return true;
+  }
+
+  /**
+   * Determine whether a document is indexed.
+   *
+   * @param {string} name The name of the document.
+   * @returns {boolean}
+   */
+  has(name) {
+    return this._documents.has(name);
+  }
+
+  /**
+   * List the indexed documents.
+   *
+   * @returns {string[]} Their names, sorted.
+   */
+  names() {
+    return Array.from(this._documents.keys()).sort();
+  }
+
+  /**
+   * Find the places where the words of a phrase appear in a row, on the same
+   * page.
+   *
+   * @param {string} phrase The phrase, such as `'total amount'`.
+   * @returns {object[]} The matching documents, the one with the most
+   *     matches first, each as an object with its `name` and its `matches`.
+   *     Each match has the `page` it is on (from 1), the `text` and the
+   *     `box` around it, and its `words`, each with its `text` and `box`.
+   */
+  searchPhrase(phrase) {
+    const tokens = _tokens(String(phrase));
+    if (tokens.length === 0) {
+      return [];
+    }
+    return this._search(tokens[0], (document, position) => {
+      const words = document.words.slice(position, position + tokens.length);
+      const matches =
+        words.length === tokens.length &&
+        words.every((word, i) => {
+          return word.token === tokens[i] && word.page === words[0].page;
+        });
+      return matches ? words : null;
+    });
+  }
+
+  /**
+   * Find the words which start with a prefix.
+   *
+   * @param {string} prefix The prefix, such as `'invoic'`.
+   * @returns {object[]} The matching documents, as returned by
+   *     {@link TextIndex#searchPhrase searchPhrase}, with a match for each
+   *     word.
+   */
+  searchPrefix(prefix) {
+    const tokens = _tokens(String(prefix));
+    if (tokens.length !== 1) {
+      throw new Error('A prefix must be a single word.');
+    }
+    const results = [];
+    for (const token of this._postings.keys()) {
+      if (token.startsWith(tokens[0])) {
+        results.push(
+          this._search(token, (document, position) => {
+            return [document.words[position]];
+          })
+        );
+      }
+    }
+    return this._merge(results);
+  }
+
+  /**
+   * Find the places where several words appear near each other, in any
+   * order, on the same page.
+   *
+   * @param {string|string[]} terms The words, as an array or separated by
+   *     spaces.
+   * @param {object} [options] Optional parameters.
+   * @param {number} [options.distance=5] How many words apart the other
+   *     words may be from the first one.
+   * @returns {object[]} The matching documents, as returned by
+   *     {@link TextIndex#searchPhrase searchPhrase}. Each match holds the
+   *     occurrence of each word nearest to the first one.
+   */
+  searchNear(terms, options) {
+    options = Object.assign({distance: 5}, options);
+    if (!is.integer(options.distance) || options.distance < 1) {
+      throw new Error('The distance option must be a positive integer.');
+    }
+    const tokens = _tokens(is.array(terms) ? terms.join(' ') : String(terms));
+    if (tokens.length === 0) {
+      return [];
+    }
+    return this._search(tokens[0], (document, position, name) => {
+      const page = document.words[position].page;
+      const words = [position];
+      for (const token of tokens.slice(1)) {
+        const postings = this._postings.get(token);
+        const nearest = ((postings && postings.get(name)) || [])
+          .filter(other => {
+            return (
+              words.indexOf(other) === -1 &&
+              Math.abs(other - position) <= options.distance &&
+              document.words[other].page === page
+            );
+          })
+          .reduce((nearest, other) => {
+            return nearest === null ||
+              Math.abs(other - position) < Math.abs(nearest - position)
+              ? other
+              : nearest;
+          }, null);
+        if (nearest === null) {
+          return null;
+        }
+        words.push(nearest);
+      }
+      return words.sort((a, b) => a - b).map(p => document.words[p]);
+    });
+  }
+
+  /**
+   * Load the index from its file, replacing the documents in memory. A
+   * missing file loads an empty index.
+   *
+   * @param {function(?Error)} [callback] Called once the index is loaded.
+   *     If omitted, a Promise is returned.
+   * @returns {Promise} A promise which resolves once the index is loaded.
+   */
+  load(callback) {
+    if (!this.file) {
+      return callback(new Error('The index has no file to load.'));
+    }
+    fs.readFile(this.file, 'utf8', (err, json) => {
+      if (err && err.code !== 'ENOENT') {
+        return callback(err);
+      }
+      let data = {version: FORMAT_VERSION, documents: {}};
+      if (!err) {
+        try {
+          data = JSON.parse(json);
+        } catch (err) {
+          return callback(err);
+        }
+      }
+      if (!data || data.version !== FORMAT_VERSION) {
+        return callback(
+          new Error(`The file ${this.file} is not a version 1 text index.`)
+        );
+      }
+      this._documents = new Map();
+      this._postings = new Map();
+      for (const name of Object.keys(data.documents || {})) {
+        this._insert(name, data.documents[name]);
+      }
+      callback(null);
+    });
+  }
+
+  /**
+   * Save the index to its file.
+   *
+   * @param {function(?Error)} [callback] Called once the index is saved.
+   *     If omitted, a Promise is returned.
+   * @returns {Promise} A promise which resolves once the index is saved.
+   */
+  save(callback) {
+    if (!this.file) {
+      return callback(new Error('The index has no file to save to.'));
+    }
+    const documents = {};
+    for (const name of this.names()) {
+      documents[name] = this._documents.get(name);
+    }
+    const json = JSON.stringify({version: FORMAT_VERSION, documents});
+
+    // Write to a temporary file first, so that a failed save never leaves a
+    // partially written index behind.
+    const temp = `${this.file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFile(temp, json, err => {
+      if (err) {
+        return callback(err);
+      }
+      fs.rename(temp, this.file, err => {
+        if (err) {
+          return fs.unlink(temp, () => callback(err));
+        }
+        callback(null);
+      });
+    });
+  }
+
+  /**
+   * Annotate the images in a directory and its subdirectories, and index
+   * their text. Images indexed before are only annotated again if they were
+   * modified since, and images which were removed from the directory are
+   * removed from the index. The index is then saved, if it has a file.
+   *
+   * Images are annotated one at a time. An image which fails is reported,
+   * and does not stop the others from being indexed.
+   *
+   * Only images are annotated, each as a single page. PDF and TIFF files
+   * can only be annotated from Cloud Storage, with
+   * {@link v1.ImageAnnotatorClient#annotateFiles annotateFiles}; add
+   * the documents read from its output with
+   * {@link module:@google-cloud/vision.readFileOutput readFileOutput} with
+   * {@link TextIndex#add add}, under the name of the file in the directory,
+   * to index them with their page numbers. They are kept until the file is
+   * removed from the directory.
+   *
+   * @param {object} client The
+   *     {@link v1.ImageAnnotatorClient ImageAnnotatorClient} to annotate the
+   *     images with.
+   * @param {string} directory The directory.
+   * @param {object} [options] Optional parameters.
+   * @param {string} [options.feature='DOCUMENT_TEXT_DETECTION'] The feature
+   *     to annotate the images with: `DOCUMENT_TEXT_DETECTION` or
+   *     `TEXT_DETECTION`.
+   * @param {function(?Error, object)} [callback] Called with the outcome, as
+   *     an object with the file names which were `added` and `removed`, those
+   *     which were `skipped` as unchanged, and those which `failed`, as
+   *     `{name, error}` objects. The file names include the directory. If
+   *     omitted, a Promise is returned.
+   * @returns {Promise} A promise which resolves with an array containing the
+   *     outcome.
+   */
+  indexDirectory(client, directory, options, callback) {
+    if (is.function(options)) {
+      callback = options;
+      options = undefined;
+    }
+    options = Object.assign({feature: 'DOCUMENT_TEXT_DETECTION'}, options);
+    const method = FEATURE_METHODS[options.feature];
+    if (!method) {
+      return callback(
+        new Error(
+          'The feature must be DOCUMENT_TEXT_DETECTION or TEXT_DETECTION.'
+        )
+      );
+    }
+    if (!is.string(directory) || directory === '') {
+      return callback(new Error('A directory to index is required.'));
+    }
+
+    const outcome = {added: [], removed: [], skipped: [], failed: []};
+    new DirectoryReader({directory}).list(null, '', (err, relatives) => {
+      if (err) {
+        return callback(err);
+      }
+      const files = relatives.map(relative => path.join(directory, relative));
+      const names = files.filter(name => {
+        const extension = path.extname(name).toLowerCase();
+        return IMAGE_EXTENSIONS.indexOf(extension) > -1;
+      });
+
+      // Forget the documents whose files are gone from the directory.
+      const prefix = path.join(directory, path.sep);
+      for (const name of this.names()) {
+        if (name.startsWith(prefix) && files.indexOf(name) === -1) {
+          this.remove(name);
+          outcome.removed.push(name);
+        }
+      }
+
+      const finish = () => {
+        if (!this.file) {
+          return callback(null, outcome);
+        }
+        this.save(err => callback(err, err ? undefined : outcome));
+      };
+
+      const next = i => {
+        if (i === names.length) {
+          return finish();
+        }
+        const name = names[i];
+        const fail = error => {
+          outcome.failed.push({name, error});
+          next(i + 1);
+        };
+        fs.stat(name, (err, stats) => {
+          if (err) {
+            return fail(err);
+          }
+          const modified = stats.mtime.getTime();
+          const indexed = this._documents.get(name);
+          if (indexed && indexed.modified === modified) {
+            outcome.skipped.push(name);
+            return next(i + 1);
+          }
+          client[method](name, (err, response) => {
+            if (err) {
+              return fail(err);
+            }
+            if (response && response.error) {
+              return fail(new ImageAnnotationError(response.error));
+            }
+            this.add(name, response, {modified});
+            outcome.added.push(name);
+            next(i + 1);
+          });
+        });
+      };
+      next(0);
+    });
+  }
+
+  /*!
+   * Add a document, as `{modified, words}` with tokenized words, to the
+   * documents and postings.
+   */
+  _insert(name, document) {
+    this.remove(name);
+    this._documents.set(name, document);
+    document.words.forEach((word, position) => {
+      let postings = this._postings.get(word.token);
+      if (!postings) {
+        postings = new Map();
+        this._postings.set(word.token, postings);
+      }
+      if (!postings.has(name)) {
+        postings.set(name, []);
+      }
+      postings.get(name).push(position);
+    });
+  }
+
+  /*!
+   * Find the matches starting at each occurrence of a token.
+   *
+   * @param {string} token The token.
+   * @param {function(object, number, string): ?object[]} match Called with
+   *   the document, the position of the occurrence and the name of the
+   *   document; returns the matching words, or null if there is no match.
+   * @returns {object[]} The matching documents.
+   */
+  _search(token, match) {
+    const results = [];
+    const postings = this._postings.get(token) || new Map();
+    for (const entry of postings) {
+      const name = entry[0];
+      const document = this._documents.get(name);
+      const matches = [];
+      for (const position of entry[1]) {
+        const words = match(document, position, name);
+        if (words) {
+          matches.push({
+            page: words[0].page,
+            text: words.map(word => word.text).join(' '),
+            box: unionBoxes(words.map(word => word.box)),
+            words: words.map(word => ({text: word.text, box: word.box})),
+          });
+        }
+      }
+      if (matches.length > 0) {
+        results.push({name, matches});
+      }
+    }
+    return this._merge([results]);
+  }
+
+  /*!
+   * Merge several lists of matching documents into one, sorted with the
+   * document with the most matches first, and its matches in page order.
+   */
+  _merge(lists) {
+    const byName = new Map();
+    for (const list of lists) {
+      for (const result of list) {
+        const merged = byName.get(result.name);
+        if (merged) {
+          merged.matches = merged.matches.concat(result.matches);
+        } else {
+          byName.set(result.name, {
+            name: result.name,
+            matches: result.matches.slice(),
+          });
+        }
+      }
+    }
+    const results = Array.from(byName.values());
+    for (const result of results) {
+      result.matches.sort((a, b) => {
+        return (
+          a.page - b.page ||
+          (a.box && b.box ? a.box.y - b.box.y || a.box.x - b.box.x : 0)
+        );
+      });
+    }
+    return results.sort((a, b) => {
+      return b.matches.length - a.matches.length || (a.name < b.name ? -1 : 1);
+    });
+  }
+}
+
+promisifyAll(TextIndex, {
+  exclude: [
+    'add',
+    'has',
+    'names',
+    'remove',
+    'searchNear',
+    'searchPhrase',
+    'searchPrefix',
+  ],
+});
+
+module.exports.TextIndex = TextIndex;
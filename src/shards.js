@@ -0,0 +1,390 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const is = require('is');
+const path = require('path');
+const {promisify} = require('@google-cloud/promisify');
+
+const {eachLimit} = require('./limit');
+
+/*!
+ * The name of a shard written by asyncBatchAnnotateFiles, such as
+ * `output-1-to-20.json`, with the pages it holds.
+ */
+const SHARD_NAME = /output-(\d+)-to-(\d+)\.json$/;
+
+/*!
+ * The number of shards readFileOutput reads at once.
+ */
+const READ_CONCURRENCY = 4;
+
+/**
+ * A reader which reads the output of asyncBatchAnnotateFiles from a local
+ * directory, such as one the output was copied to with
+ * `gsutil cp -r gs://my-bucket/output/ .`.
+ *
+ * An object is read from the file at its name under the directory; the
+ * bucket is ignored.
+ *
+ * Like every reader, it implements `list(bucket, prefix, callback)` and
+ * `read(bucket, name, callback)`; see {@link readFileOutput} for how to
+ * write your own.
+ *
+ * @class
+ * @param {object} options Configuration.
+ * @param {string} options.directory The directory standing in for the
+ *     bucket.
+ */
+class DirectoryReader {
+  constructor(options) {
+    if (!options || !is.string(options.directory)) {
+      throw new Error('A DirectoryReader needs a directory.');
+    }
+    this.directory = options.directory;
+  }
+
+  /**
+   * List the objects whose name starts with a prefix.
+   *
+   * @param {string} bucket The bucket, which is ignored.
+   * @param {string} prefix The prefix.
+   * @param {function(?Error, string[])} callback Called with the names of
+   *     the objects.
+   */
+  list(bucket, prefix, callback) {
+    const names = [];
+    const walk = (relative, done) => {
+      fs.readdir(path.join(this.directory, relative), (err, entries) => {
+        if (err) {
+          return done(err.code === 'ENOENT' ? null : err);
+        }
+        let pending = entries.length;
+        let failed = false;
+        const next = err => {
+          if (failed) {
+            return;
+          }
+          if (err) {
+            failed = true;
+            return done(err);
+          }
+          if (--pending === 0) {
+            done(null);
+          }
+        };
+        if (pending === 0) {
+          return done(null);
+        }
+        entries.forEach(entry => {
+          const name = `${relative}${entry}`;
+          fs.stat(path.join(this.directory, name), (err, stats) => {
+            if (err) {
+              return next(err);
+            }
+            if (stats.isDirectory()) {
+              return walk(`${name}/`, next);
+            }
+            if (name.startsWith(prefix)) {
+              names.push(name);
+            }
+            next(null);
+          });
+        });
+      });
+    };
+
+    // Only the directory holding the prefix and its subdirectories can hold
+    // matching objects.
+    walk(prefix.slice(0, prefix.lastIndexOf('/') + 1), err => {
+      callback(err, err ? undefined : names.sort());
+    });
+  }
+
+  /**
+   * Read an object.
+   *
+   * @param {string} bucket The bucket, which is ignored.
+   * @param {string} name The name of the object.
+   * @param {function(?Error, Buffer)} callback Called with the contents of
+   *     the object.
+   */
+  read(bucket, name, callback) {
+    fs.readFile(path.join(this.directory, name), callback);
+  }
+}
+
+/**
+ * A reader which reads the output of asyncBatchAnnotateFiles from Google
+ * Cloud Storage, through a client from the `@google-cloud/storage` package.
+ *
+ * @class
+ * @param {object} options Configuration.
+ * @param {object} options.storage The `Storage` client to use.
+ *
+ * @example
+ * const {Storage} = require('@google-cloud/storage');
+ * const vision = require('@google-cloud/vision');
+ * const reader = new vision.StorageReader({storage: new Storage()});
+ */
+class StorageReader {
+  constructor(options) {
+    if (!options || !is.object(options.storage)) {
+      throw new Error('A StorageReader needs a Storage client.');
+    }
+    this.storage = options.storage;
+  }
+
+  /**
+   * List the objects whose name starts with a prefix.
+   *
+   * @param {string} bucket The bucket.
+   * @param {string} prefix The prefix.
+   * @param {function(?Error, string[])} callback Called with the names of
+   *     the objects.
+   */
+  list(bucket, prefix, callback) {
+    this.storage.bucket(bucket).getFiles({prefix}, (err, files) => {
+      callback(err, err ? undefined : files.map(file => file.name));
+    });
+  }
+
+  /**
+   * Read an object.
+   *
+   * @param {string} bucket The bucket.
+   * @param {string} name The name of the object.
+   * @param {function(?Error, Buffer)} callback Called with the contents of
+   *     the object.
+   */
+  read(bucket, name, callback) {
+    this.storage
+      .bucket(bucket)
+      .file(name)
+      .download(callback);
+  }
+}
+
+/*!
+ * Find the Cloud Storage location output was written to.
+ *
+ * @param {string|object} output A `gs://` URI, or an object representing an
+ *   OutputConfig or an AsyncAnnotateFileResponse.
+ * @returns {object} The location, as `{uri, bucket, prefix}`.
+ */
+const _readLocation = output => {
+  let uri = output;
+  if (is.object(output)) {
+    const config = output.outputConfig || output;
+    uri = config.gcsDestination && config.gcsDestination.uri;
+  }
+  const match = is.string(uri) && /^gs:\/\/([^/]+)\/(.*)$/.exec(uri);
+  if (!match) {
+    throw new Error(
+      'The output must be a gs:// URI, an OutputConfig or an ' +
+        'AsyncAnnotateFileResponse.'
+    );
+  }
+  return {uri, bucket: match[1], prefix: match[2]};
+};
+
+/*!
+ * Parse a shard into an object representing an AnnotateFileResponse.
+ *
+ * @param {string} name The name of the shard, for error messages.
+ * @param {Buffer|string} contents The contents of the shard.
+ * @returns {object} The response.
+ */
+const _parseShard = (name, contents) => {
+  let response;
+  try {
+    response = JSON.parse(contents.toString());
+  } catch (err) {
+    throw new Error(`The output file ${name} is not valid JSON.`);
+  }
+  if (!is.object(response) || !is.array(response.responses)) {
+    throw new Error(`The output file ${name} is not an AnnotateFileResponse.`);
+  }
+  return response;
+};
+
+/*!
+ * The page number of a response, falling back to its position for responses
+ * without one.
+ */
+const _pageNumber = (response, fallback) => {
+  const context = response.context || {};
+  return is.number(context.pageNumber) ? context.pageNumber : fallback;
+};
+
+/*!
+ * Merge the full text annotations of the pages of a document into one.
+ *
+ * @param {object[]} responses The responses for the pages, in order.
+ * @returns {?object} An object representing a TextAnnotation with every
+ *   page, or null if no page has a full text annotation.
+ */
+const _mergeText = responses => {
+  const annotations = responses
+    .map(response => response.fullTextAnnotation)
+    .filter(annotation => annotation);
+  if (annotations.length === 0) {
+    return null;
+  }
+  return {
+    pages: annotations.reduce(
+      (pages, annotation) => pages.concat(annotation.pages || []),
+      []
+    ),
+    text: annotations.map(annotation => annotation.text || '').join(''),
+  };
+};
+
+/**
+ * Read the output asyncBatchAnnotateFiles wrote for a PDF or TIFF file, and
+ * stitch its shards into one document.
+ *
+ * The API writes the responses for the pages of a file to Cloud Storage, in
+ * files named `output-x-to-y.json` under the prefix given in the
+ * OutputConfig, with at most `batchSize` pages each. This lists and reads
+ * every one of those files, a few at a time, and puts their pages back in
+ * order.
+ *
+ * Files are read through a reader, which makes it possible to read them from
+ * anywhere they were copied to. Any object with these methods can be used:
+ *
+ * - `list(bucket, prefix, callback)` calls `callback(err, names)` with the
+ *   names of the objects in the bucket which start with the prefix.
+ * - `read(bucket, name, callback)` calls `callback(err, contents)` with the
+ *   contents of an object, as a Buffer or a string.
+ *
+ * @param {string|object} output Where the output was written: a `gs://` URI
+ *   prefix, or an object representing the OutputConfig of the request or the
+ *   AsyncAnnotateFileResponse of the operation.
+ * @param {object} reader The reader, such as a {@link StorageReader} or a
+ *   {@link DirectoryReader}.
+ * @param {function(?Error, object)} [callback] Called with the document.
+ * @returns {Promise} The promise which resolves to an array. The first
+ *   element of the array is the document, as an object with:
+ *   - `inputConfig`: the InputConfig of the file.
+ *   - `responses`: the AnnotateImageResponse of every page, in page order.
+ *     Their `context.pageNumber` is the number of the page in the file.
+ *   - `fullTextAnnotation`: a TextAnnotation merging the full text
+ *     annotations of every page, or null if there are none.
+ *   - `shards`: the names of the files which were read, in page order.
+ *
+ * @example
+ * const {Storage} = require('@google-cloud/storage');
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ * const reader = new vision.StorageReader({storage: new Storage()});
+ *
+ * client
+ *   .asyncBatchAnnotateFiles({requests: [request]})
+ *   .then(results => results[0].promise())
+ *   .then(results => vision.readFileOutput(results[0].responses[0], reader))
+ *   .then(results => {
+ *     const document = results[0];
+ *     console.log(vision.text.toPlainText(document.fullTextAnnotation));
+ *   });
+ */
+const readFileOutput = promisify(function(output, reader, callback) {
+  let location;
+  try {
+    location = _readLocation(output);
+  } catch (err) {
+    return callback(err);
+  }
+  reader.list(location.bucket, location.prefix, (err, names) => {
+    if (err) {
+      return callback(err);
+    }
+    const shards = names
+      .map(name => ({name, match: SHARD_NAME.exec(name)}))
+      .filter(shard => shard.match)
+      .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+      .map(shard => shard.name);
+    if (shards.length === 0) {
+      return callback(
+        new Error(`No output files were found under ${location.uri}.`)
+      );
+    }
+
+    const files = [];
+    const finish = () => {
+      const sources = files
+        .map(file => file.inputConfig)
+        .filter(config => config && config.gcsSource)
+        .map(config => config.gcsSource.uri)
+        .filter((uri, index, uris) => uris.indexOf(uri) === index);
+      if (sources.length > 1) {
+        return callback(
+          new Error(
+            `The output under ${location.uri} is for more than one file: ` +
+              `${sources.join(', ')}.`
+          )
+        );
+      }
+
+      // Sort on the position as well, since Array#sort is not stable.
+      const responses = files
+        .reduce((responses, file) => responses.concat(file.responses), [])
+        .map((response, index) => ({
+          response,
+          index,
+          page: _pageNumber(response, index + 1),
+        }))
+        .sort((a, b) => a.page - b.page || a.index - b.index)
+        .map(entry => entry.response);
+      const inputConfig = files
+        .map(file => file.inputConfig)
+        .filter(config => config)[0];
+
+      callback(null, {
+        inputConfig: inputConfig || null,
+        responses,
+        fullTextAnnotation: _mergeText(responses),
+        shards,
+      });
+    };
+
+    const read = (name, index, next) => {
+      reader.read(location.bucket, name, (err, contents) => {
+        try {
+          if (err) {
+            throw err;
+          }
+          files[index] = _parseShard(name, contents);
+        } catch (err) {
+          return next(err);
+        }
+        next(null);
+      });
+    };
+    eachLimit(shards, READ_CONCURRENCY, read, err => {
+      if (err) {
+        return callback(err);
+      }
+      finish();
+    });
+  });
+});
+
+module.exports.DirectoryReader = DirectoryReader;
+module.exports.StorageReader = StorageReader;
+module.exports.readFileOutput = readFileOutput;
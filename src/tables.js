@@ -0,0 +1,444 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {joinWords, layout, unionBoxes} = require('./layout');
+
+/*!
+ * The options used when none are given.
+ */
+const DEFAULT_OPTIONS = {
+  columnGap: 1.5,
+  rowGap: 2,
+  minRows: 2,
+  minColumns: 2,
+};
+
+/*!
+ * Merge the given options with the defaults, checking them.
+ *
+ * @param {object} [options] The options.
+ * @returns {object} The options to use.
+ * @throws {Error} If an option is not a positive number.
+ */
+const _resolveOptions = options => {
+  options = Object.assign({}, DEFAULT_OPTIONS, options);
+  for (const name of Object.keys(DEFAULT_OPTIONS)) {
+    if (!is.number(options[name]) || options[name] <= 0) {
+      throw new Error(`The ${name} option must be a positive number.`);
+    }
+  }
+  return options;
+};
+
+/*!
+ * Compute the median of some numbers.
+ */
+const _median = values => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] || 0;
+};
+
+/*!
+ * Average the confidences of the symbols of some words, falling back to
+ * the confidences of the words for symbols which have none.
+ *
+ * @param {object[]} words The words, as returned by `layout`.
+ * @returns {?number} The confidence, or null if none was reported.
+ */
+const _confidence = words => {
+  const confidences = [];
+  for (const word of words) {
+    for (const symbol of word.symbols) {
+      const confidence =
+        symbol.confidence === null ? word.confidence : symbol.confidence;
+      if (confidence !== null) {
+        confidences.push(confidence);
+      }
+    }
+  }
+  if (confidences.length === 0) {
+    return null;
+  }
+  return (
+    confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+  );
+};
+
+/*!
+ * Build a span of words: a cell of a table, or a label or value.
+ */
+const _span = words => {
+  return {
+    text: joinWords(words),
+    box: unionBoxes(words.map(word => word.box)),
+    confidence: _confidence(words),
+    words,
+  };
+};
+
+/*!
+ * Group the words of a page into rows, from top to bottom. A word joins a
+ * row when most of its height overlaps the row's. The words of each row are
+ * sorted from left to right, and split into segments wherever the gap
+ * between two words is wider than `columnGap` times the height of the row.
+ *
+ * @param {object} page A page returned by `layout`.
+ * @param {object} options The options returned by `_resolveOptions`.
+ * @returns {object[]} The rows, each with its `box` and `segments`.
+ */
+const _rows = (page, options) => {
+  const words = [];
+  for (const block of page.blocks) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        for (const word of line.words) {
+          if (word.box && word.text) {
+            words.push(word);
+          }
+        }
+      }
+    }
+  }
+  words.sort((a, b) => {
+    return a.box.y + a.box.height / 2 - (b.box.y + b.box.height / 2);
+  });
+
+  const rows = [];
+  for (const word of words) {
+    const row = rows[rows.length - 1];
+    if (row) {
+      const top = Math.max(row.box.y, word.box.y);
+      const bottom = Math.min(
+        row.box.y + row.box.height,
+        word.box.y + word.box.height
+      );
+      const height = Math.min(row.box.height, word.box.height);
+      if (bottom - top > height / 2) {
+        row.words.push(word);
+        row.box = unionBoxes([row.box, word.box]);
+        continue;
+      }
+    }
+    rows.push({box: word.box, words: [word]});
+  }
+
+  return rows.map(row => {
+    const sorted = row.words.slice().sort((a, b) => a.box.x - b.box.x);
+    const height = _median(sorted.map(word => word.box.height));
+    const segments = [];
+    let current = [];
+    sorted.forEach((word, i) => {
+      const previous = sorted[i - 1];
+      const gap =
+        previous && word.box.x - (previous.box.x + previous.box.width);
+      if (previous && gap > options.columnGap * height) {
+        segments.push(_span(current));
+        current = [];
+      }
+      current.push(word);
+    });
+    segments.push(_span(current));
+    return {box: row.box, height, segments};
+  });
+};
+
+/*!
+ * Merge the horizontal extents of some segments into columns, wherever
+ * they overlap.
+ *
+ * @param {object[]} rows The rows of a candidate table.
+ * @returns {object[]} The columns, from left to right, as `{x0, x1}`.
+ */
+const _columns = rows => {
+  const extents = [];
+  for (const row of rows) {
+    for (const segment of row.segments) {
+      extents.push({x0: segment.box.x, x1: segment.box.x + segment.box.width});
+    }
+  }
+  extents.sort((a, b) => a.x0 - b.x0);
+  const columns = [];
+  for (const extent of extents) {
+    const column = columns[columns.length - 1];
+    if (column && extent.x0 <= column.x1) {
+      column.x1 = Math.max(column.x1, extent.x1);
+    } else {
+      columns.push({x0: extent.x0, x1: extent.x1});
+    }
+  }
+  return columns;
+};
+
+/*!
+ * Lay the rows of a candidate table out on a grid of columns.
+ *
+ * @param {object[]} rows The rows.
+ * @param {number} pageNumber The number of the page, from 1.
+ * @returns {object} The table.
+ */
+const _table = (rows, pageNumber) => {
+  const columns = _columns(rows);
+  const cells = rows.map(row => {
+    const wordsByColumn = columns.map(() => []);
+    for (const segment of row.segments) {
+      const center = segment.box.x + segment.box.width / 2;
+      const index = columns.findIndex(c => center >= c.x0 && center <= c.x1);
+      wordsByColumn[index] = wordsByColumn[index].concat(segment.words);
+    }
+    return wordsByColumn.map(words => (words.length ? _span(words) : null));
+  });
+  const words = [];
+  for (const row of rows) {
+    for (const segment of row.segments) {
+      words.push.apply(words, segment.words);
+    }
+  }
+  return {
+    page: pageNumber,
+    box: unionBoxes(rows.map(row => row.box)),
+    confidence: _confidence(words),
+    rows: cells.map(row => row.map(cell => (cell ? cell.text : ''))),
+    cells,
+  };
+};
+
+/*!
+ * Find the tables of a page: runs of at least `minRows` consecutive rows,
+ * close together, each of which has `minColumns` segments or more, and
+ * whose segments line up into `minColumns` columns or more.
+ *
+ * @param {object[]} rows The rows of the page, as returned by `_rows`.
+ * @param {number} pageNumber The number of the page, from 1.
+ * @param {object} options The options returned by `_resolveOptions`.
+ * @returns {object[]} The tables.
+ */
+const _findTables = (rows, pageNumber, options) => {
+  const tables = [];
+  let run = [];
+  const endRun = () => {
+    if (
+      run.length >= options.minRows &&
+      _columns(run).length >= options.minColumns
+    ) {
+      tables.push(_table(run, pageNumber));
+    }
+    run = [];
+  };
+  for (const row of rows) {
+    const previous = run[run.length - 1];
+    const tabular = row.segments.length >= options.minColumns;
+    if (
+      previous &&
+      (!tabular ||
+        row.box.y - (previous.box.y + previous.box.height) >
+          options.rowGap * row.height)
+    ) {
+      endRun();
+    }
+    if (tabular) {
+      run.push(row);
+    }
+  }
+  endRun();
+  return tables;
+};
+
+/*!
+ * The expression matching a word which ends a label.
+ */
+const LABEL_END = /:$/;
+
+/*!
+ * Find the "Label: value" pairs among rows. A label is a run of words whose
+ * last word ends with a colon. Its value is the rest of its segment, or
+ * else the next segment on the right, or else the segment right below the
+ * label, in the next row if it is close enough.
+ *
+ * @param {object[]} rows The rows, as returned by `_rows`.
+ * @param {number} pageNumber The number of the page, from 1.
+ * @param {object} options The options returned by `_resolveOptions`.
+ * @returns {object[]} The pairs.
+ */
+const _findPairs = (rows, pageNumber, options) => {
+  const pairs = [];
+  rows.forEach((row, r) => {
+    row.segments.forEach((segment, s) => {
+      const words = segment.words;
+      const end = words.findIndex(word => LABEL_END.test(word.text));
+      if (end < 0) {
+        return;
+      }
+      let valueWords = words.slice(end + 1);
+      if (valueWords.length === 0 && s < row.segments.length - 1) {
+        valueWords = row.segments[s + 1].words;
+      }
+      const next = rows[r + 1];
+      if (
+        valueWords.length === 0 &&
+        next &&
+        next.box.y - (row.box.y + row.box.height) <= options.rowGap * row.height
+      ) {
+        const below = next.segments.find(candidate => {
+          const overlap =
+            Math.min(
+              candidate.box.x + candidate.box.width,
+              segment.box.x + segment.box.width
+            ) - Math.max(candidate.box.x, segment.box.x);
+          return overlap > 0;
+        });
+        valueWords = below ? below.words : [];
+      }
+      if (valueWords.length === 0) {
+        return;
+      }
+      const keyWords = words.slice(0, end + 1);
+      const key = _span(keyWords);
+      key.text = key.text.replace(/\s*:$/, '');
+      const value = _span(valueWords);
+      pairs.push({
+        page: pageNumber,
+        key: key.text,
+        value: value.text,
+        keyBox: key.box,
+        valueBox: value.box,
+        confidence: _confidence(keyWords.concat(valueWords)),
+      });
+    });
+  });
+  return pairs;
+};
+
+/*!
+ * Cluster the words of each page of an annotation into rows.
+ */
+const _pageRows = (annotation, options) => {
+  return layout(annotation).pages.map(page => _rows(page, options));
+};
+
+/**
+ * Find the tables in a text annotation, such as the line items of an
+ * invoice.
+ *
+ * The words of each page are clustered into rows by their bounding boxes,
+ * and each row into segments wherever the gap between two words is wide. A
+ * table is a run of rows, close together, whose segments line up into
+ * columns.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}, such as
+ *     the `fullTextAnnotation` of a documentTextDetection response. Every
+ *     page of a PDF or TIFF file is analyzed on its own.
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.columnGap=1.5] The width of the gap between two
+ *     words which separates columns, as a multiple of the height of their
+ *     row.
+ * @param {number} [options.rowGap=2] The height of the gap between two rows
+ *     which ends a table, as a multiple of the height of the rows.
+ * @param {number} [options.minRows=2] The number of rows with at least
+ *     `minColumns` cells a table must have.
+ * @param {number} [options.minColumns=2] The number of columns a table must
+ *     have.
+ * @returns {object[]} The tables, in the order of their pages and from top
+ *     to bottom. Each has the `page` it is on (numbered from 1), its `box`,
+ *     its `confidence` (the average of the confidences of its symbols), its
+ *     `rows` as a 2-D array of strings, and its `cells`, a 2-D array of
+ *     objects with the `text`, `box`, `confidence` and `words` of each cell,
+ *     or null for empty cells.
+ * @throws {Error} If an option is not a positive number.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./invoice.png').then(results => {
+ *   const tables = vision.text.extractTables(results[0].fullTextAnnotation);
+ *   for (const table of tables) {
+ *     console.log(vision.text.toCsv(table));
+ *   }
+ * });
+ */
+const extractTables = (annotation, options) => {
+  options = _resolveOptions(options);
+  return _pageRows(annotation, options).reduce((tables, rows, p) => {
+    return tables.concat(_findTables(rows, p + 1, options));
+  }, []);
+};
+
+/**
+ * Find the "Label: value" pairs in a text annotation, such as the fields of
+ * a form.
+ *
+ * A label is a run of words ending with a colon. Its value is the text
+ * which follows it on the same row, or else the text right below it.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}. Every
+ *     page of a PDF or TIFF file is analyzed on its own.
+ * @param {object} [options] Optional parameters, the same as those of
+ *     `extractTables`.
+ * @returns {object[]} The pairs, in the order of their pages and from top
+ *     to bottom. Each has the `page` it is on (numbered from 1), its `key`
+ *     (without the colon) and `value`, their `keyBox` and `valueBox`, and
+ *     its `confidence` (the average of the confidences of its symbols).
+ * @throws {Error} If an option is not a positive number.
+ *
+ * @example
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./form.png').then(results => {
+ *   const annotation = results[0].fullTextAnnotation;
+ *   for (const pair of vision.text.extractKeyValuePairs(annotation)) {
+ *     console.log(`${pair.key} = ${pair.value}`);
+ *   }
+ * });
+ */
+const extractKeyValuePairs = (annotation, options) => {
+  options = _resolveOptions(options);
+  return _pageRows(annotation, options).reduce((pairs, rows, p) => {
+    return pairs.concat(_findPairs(rows, p + 1, options));
+  }, []);
+};
+
+/*!
+ * Quote a CSV field, if it needs to be.
+ */
+const _csvField = value => {
+  value = is.undefined(value) || value === null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+};
+
+/**
+ * Format a table as CSV, as described in RFC 4180.
+ *
+ * @param {object|Array.<string[]>} table A table returned by
+ *     `extractTables`, or a 2-D array of strings.
+ * @returns {string} The CSV, with lines ended by CRLF.
+ */
+const toCsv = table => {
+  const rows = is.array(table) ? table : table.rows;
+  return rows.map(row => `${row.map(_csvField).join(',')}\r\n`).join('');
+};
+
+module.exports.extractKeyValuePairs = extractKeyValuePairs;
+module.exports.extractTables = extractTables;
+module.exports.toCsv = toCsv;
@@ -0,0 +1,481 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {layout} = require('./layout');
+
+/*!
+ * The characters which must be escaped in XML text and attributes.
+ */
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+/*!
+ * The widths of the printable ASCII characters (from the space on) in
+ * Helvetica, in thousandths of the font size. Other characters are assumed
+ * to be as wide as a digit.
+ */
+const HELVETICA_WIDTHS = [
+  '278 278 355 556 556 889 667 191 333 333 389 584 278 333 278 278',
+  '556 556 556 556 556 556 556 556 556 556 278 278 584 584 584 556',
+  '1015 667 667 722 722 667 611 778 722 278 500 667 556 833 722 778',
+  '667 778 722 667 611 722 667 944 667 667 611 278 278 278 469 556',
+  '333 556 556 500 556 556 278 556 556 222 222 500 222 833 556 556',
+  '556 556 333 500 278 556 500 722 500 500 500 334 260 334 584',
+]
+  .join(' ')
+  .split(' ')
+  .map(Number);
+
+/*!
+ * The name of the software reported in the documents.
+ */
+const OCR_SYSTEM = 'Google Cloud Vision API';
+
+/*!
+ * The ALTO measurement unit of each unit #toAlto accepts, and the factor
+ * converting a value in that unit to the ALTO unit. ALTO has no unit for
+ * points, so they are converted to tenths of a millimeter.
+ */
+const ALTO_UNITS = {
+  pixel: {name: 'pixel', scale: 1},
+  point: {name: 'mm10', scale: 254 / 72},
+};
+
+/*!
+ * Escape text for use in an XML document.
+ *
+ * @param {*} text The text.
+ * @returns {string} The escaped text.
+ */
+const _escapeXml = text => {
+  return String(text).replace(/[&<>"']/g, c => XML_ENTITIES[c]);
+};
+
+/*!
+ * Format a box as an hOCR `bbox` property. hOCR takes whole numbers, so the
+ * corners are rounded, as the boxes of PDF and TIFF pages are fractional.
+ */
+const _hocrBox = box => {
+  box = box || {x: 0, y: 0, width: 0, height: 0};
+  const corners = [box.x, box.y, box.x + box.width, box.y + box.height];
+  return `bbox ${corners.map(Math.round).join(' ')}`;
+};
+
+/*!
+ * Format the `lang` attributes of an element, if it has a language.
+ */
+const _hocrLang = language => {
+  if (!language) {
+    return '';
+  }
+  const lang = _escapeXml(language);
+  return ` lang="${lang}" xml:lang="${lang}"`;
+};
+
+/**
+ * Serialize the full text annotation of an image or document to
+ * [hOCR](http://kba.cloud/hocr-spec/1.2/).
+ *
+ * Pages, blocks, paragraphs, lines and words become `ocr_page`,
+ * `ocr_carea`, `ocr_par`, `ocr_line` and `ocrx_word` elements, with their
+ * bounding boxes, the confidence of each word (as `x_wconf`, from 0 to 100)
+ * and the languages detected. Lines are reconstructed from the breaks
+ * detected after each word. Words hyphenated at the end of a line keep
+ * their hyphen.
+ *
+ * Boxes are in the units of the page: pixels for images, and points for
+ * PDF files.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}, such as
+ *     the `fullTextAnnotation` of a documentTextDetection response.
+ * @returns {string} The hOCR document, as XHTML.
+ *
+ * @example
+ * const fs = require('fs');
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./page.png').then(results => {
+ *   const hocr = vision.text.toHocr(results[0].fullTextAnnotation);
+ *   fs.writeFileSync('./page.hocr', hocr);
+ * });
+ */
+const toHocr = annotation => {
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN"',
+    '    "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml">',
+    ' <head>',
+    '  <title></title>',
+    '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    `  <meta name="ocr-system" content="${OCR_SYSTEM}"/>`,
+    '  <meta name="ocr-capabilities"',
+    '      content="ocr_page ocr_carea ocr_par ocr_line ocrx_word"/>',
+    ' </head>',
+    ' <body>',
+  ];
+  layout(annotation).pages.forEach((page, p) => {
+    const n = p + 1;
+    const count = {block: 0, par: 0, line: 0, word: 0};
+    const id = type => `${type}_${n}_${++count[type]}`;
+    const pageBox = {x: 0, y: 0, width: page.width, height: page.height};
+    out.push(
+      `  <div class="ocr_page" id="page_${n}"${_hocrLang(page.language)}` +
+        ` title="${_hocrBox(pageBox)}; ppageno ${p}">`
+    );
+    for (const block of page.blocks) {
+      out.push(
+        `   <div class="ocr_carea" id="${id('block')}"` +
+          `${_hocrLang(block.language)} title="${_hocrBox(block.box)}">`
+      );
+      for (const paragraph of block.paragraphs) {
+        out.push(
+          `    <p class="ocr_par" id="${id('par')}"` +
+            `${_hocrLang(paragraph.language)}` +
+            ` title="${_hocrBox(paragraph.box)}">`
+        );
+        for (const line of paragraph.lines) {
+          out.push(
+            `     <span class="ocr_line" id="${id('line')}"` +
+              ` title="${_hocrBox(line.box)}">`
+          );
+          for (const word of line.words) {
+            let title = _hocrBox(word.box);
+            if (word.confidence !== null) {
+              title += `; x_wconf ${Math.round(word.confidence * 100)}`;
+            }
+            const text = word.hyphenated ? `${word.text}-` : word.text;
+            out.push(
+              `      <span class="ocrx_word" id="${id('word')}"` +
+                `${_hocrLang(word.language)} title="${title}">` +
+                `${_escapeXml(text)}</span>`
+            );
+          }
+          out.push('     </span>');
+        }
+        out.push('    </p>');
+      }
+      out.push('   </div>');
+    }
+    out.push('  </div>');
+  });
+  out.push(' </body>', '</html>', '');
+  return out.join('\n');
+};
+
+/*!
+ * Convert a position or size to an ALTO unit, rounding converted values to
+ * whole units.
+ */
+const _altoValue = (value, scale) => {
+  return scale === 1 ? value : Math.round(value * scale);
+};
+
+/*!
+ * Format the position and size attributes of an ALTO element.
+ */
+const _altoBox = (box, scale) => {
+  box = box || {x: 0, y: 0, width: 0, height: 0};
+  return (
+    `HPOS="${_altoValue(box.x, scale)}" VPOS="${_altoValue(box.y, scale)}" ` +
+    `WIDTH="${_altoValue(box.width, scale)}" ` +
+    `HEIGHT="${_altoValue(box.height, scale)}"`
+  );
+};
+
+/*!
+ * Format the `LANG` attribute of an ALTO element, if it has a language.
+ */
+const _altoLang = language => {
+  return language ? ` LANG="${_escapeXml(language)}"` : '';
+};
+
+/**
+ * Serialize the full text annotation of an image or document to
+ * [ALTO XML](https://www.loc.gov/standards/alto/) version 4.
+ *
+ * Each page becomes a `Page` with a `PrintSpace`, each block a
+ * `ComposedBlock`, each paragraph a `TextBlock`, and each line a `TextLine`
+ * of `String` elements separated by `SP`, with their positions, the
+ * confidence of each word (as `WC`) and the languages detected. Lines are
+ * reconstructed from the breaks detected after each word, and words
+ * hyphenated at the end of a line are followed by a `HYP`.
+ *
+ * Positions are in the units of the page, which the annotation does not
+ * record: pixels for images, and points for PDF files. Pixels are written
+ * as they are, with a `pixel` measurement unit. For PDF files, pass
+ * `{unit: 'point'}`: ALTO has no unit for points, so the positions are
+ * converted to tenths of a millimeter, with a `mm10` measurement unit.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}, such as
+ *     the `fullTextAnnotation` of a documentTextDetection response.
+ * @param {object} [options] Optional parameters.
+ * @param {string} [options.unit='pixel'] The unit of the positions in the
+ *     annotation: `pixel` or `point`.
+ * @returns {string} The ALTO document.
+ * @throws {Error} If the unit is unknown.
+ *
+ * @example
+ * const fs = require('fs');
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./page.png').then(results => {
+ *   const alto = vision.text.toAlto(results[0].fullTextAnnotation);
+ *   fs.writeFileSync('./page.xml', alto);
+ * });
+ */
+const toAlto = (annotation, options) => {
+  const name = (options && options.unit) || 'pixel';
+  const unit = ALTO_UNITS.hasOwnProperty(name) ? ALTO_UNITS[name] : null;
+  if (!unit) {
+    throw new Error(`Unknown unit "${name}". Use one of: pixel, point.`);
+  }
+  const box = value => _altoBox(value, unit.scale);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4#' +
+      ' http://www.loc.gov/standards/alto/v4/alto-4-2.xsd">',
+    '  <Description>',
+    `    <MeasurementUnit>${unit.name}</MeasurementUnit>`,
+    '    <OCRProcessing ID="OCR_0">',
+    '      <ocrProcessingStep>',
+    '        <processingSoftware>',
+    '          <softwareCreator>Google</softwareCreator>',
+    `          <softwareName>${OCR_SYSTEM}</softwareName>`,
+    '        </processingSoftware>',
+    '      </ocrProcessingStep>',
+    '    </OCRProcessing>',
+    '  </Description>',
+    '  <Layout>',
+  ];
+  layout(annotation).pages.forEach((page, p) => {
+    const n = p + 1;
+    const count = {block: 0, par: 0, line: 0, word: 0};
+    const id = type => `${type}_${n}_${++count[type]}`;
+    const pageBox = {x: 0, y: 0, width: page.width, height: page.height};
+    let pageAttributes =
+      `ID="page_${n}" PHYSICAL_IMG_NR="${n}" ` +
+      `WIDTH="${_altoValue(page.width, unit.scale)}" ` +
+      `HEIGHT="${_altoValue(page.height, unit.scale)}"`;
+    if (page.confidence !== null) {
+      pageAttributes += ` PC="${page.confidence}"`;
+    }
+    out.push(
+      `    <Page ${pageAttributes}>`,
+      `      <PrintSpace ${box(pageBox)}>`
+    );
+    for (const block of page.blocks) {
+      out.push(`        <ComposedBlock ID="${id('block')}" ${box(block.box)}>`);
+      for (const paragraph of block.paragraphs) {
+        out.push(
+          `          <TextBlock ID="${id('par')}" ${box(paragraph.box)}` +
+            `${_altoLang(paragraph.language || block.language)}>`
+        );
+        for (const line of paragraph.lines) {
+          out.push(
+            `            <TextLine ID="${id('line')}" ${box(line.box)}>`
+          );
+          line.words.forEach((word, w) => {
+            if (w > 0) {
+              out.push('              <SP/>');
+            }
+            let attributes =
+              `ID="${id('word')}" CONTENT="${_escapeXml(word.text)}" ` +
+              box(word.box);
+            if (word.confidence !== null) {
+              attributes += ` WC="${word.confidence}"`;
+            }
+            out.push(
+              `              <String ${attributes}${_altoLang(word.language)}/>`
+            );
+            if (word.hyphenated) {
+              out.push('              <HYP CONTENT="-"/>');
+            }
+          });
+          out.push('            </TextLine>');
+        }
+        out.push('          </TextBlock>');
+      }
+      out.push('        </ComposedBlock>');
+    }
+    out.push('      </PrintSpace>', '    </Page>');
+  });
+  out.push('  </Layout>', '</alto>', '');
+  return out.join('\n');
+};
+
+/*!
+ * Encode text for a PDF string in WinAnsiEncoding. Characters the encoding
+ * does not have are replaced with question marks.
+ *
+ * @param {string} text The text.
+ * @returns {string} The literal string, with its parentheses.
+ */
+const _pdfString = text => {
+  let encoded = '';
+  for (const c of text) {
+    const code = c.codePointAt(0);
+    if (c === '(' || c === ')' || c === '\\') {
+      encoded += `\\${c}`;
+    } else if ((code >= 32 && code < 127) || (code >= 160 && code < 256)) {
+      encoded += c;
+    } else {
+      encoded += '?';
+    }
+  }
+  return `(${encoded})`;
+};
+
+/*!
+ * Measure text set in Helvetica.
+ *
+ * @param {string} text The text.
+ * @returns {number} Its width, in thousandths of the font size.
+ */
+const _textWidth = text => {
+  let width = 0;
+  for (const c of text) {
+    const code = c.codePointAt(0);
+    width += HELVETICA_WIDTHS[code - 32] || 556;
+  }
+  return width;
+};
+
+/*!
+ * Format a number for a PDF content stream.
+ */
+const _pdfNumber = value => {
+  return String(Math.round(value * 100) / 100);
+};
+
+/*!
+ * Build the content stream placing the words of a page as invisible text.
+ *
+ * Each word is set in Helvetica, as tall as its box and stretched to its
+ * width, with its baseline a fifth of the way up the box.
+ *
+ * @param {object} page A page returned by `layout`.
+ * @returns {string} The content stream.
+ */
+const _pdfContent = page => {
+  const ops = ['BT', '3 Tr'];
+  for (const block of page.blocks) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        for (const word of line.words) {
+          const box = word.box;
+          const text = word.hyphenated ? `${word.text}-` : word.text;
+          const size = box ? box.height : 0;
+          const width = (_textWidth(text) * size) / 1000;
+          if (!text || size <= 0 || width <= 0) {
+            continue;
+          }
+          const x = box.x;
+          const y = page.height - box.y - box.height + size / 5;
+          ops.push(
+            `/F1 ${_pdfNumber(size)} Tf`,
+            `${_pdfNumber((100 * box.width) / width)} Tz`,
+            `1 0 0 1 ${_pdfNumber(x)} ${_pdfNumber(y)} Tm`,
+            `${_pdfString(text)} Tj`
+          );
+        }
+      }
+    }
+  }
+  ops.push('ET');
+  return ops.join('\n');
+};
+
+/**
+ * Serialize the full text annotation of an image or document to a PDF
+ * with an invisible text layer.
+ *
+ * Each page of the annotation becomes a page of the same size (an image
+ * pixel becomes a point), holding each word as invisible text over its
+ * bounding box. Laid over (or under) the scanned images, the text layer
+ * makes the document searchable and selectable. The text is set in
+ * Helvetica, so characters outside of the Latin-1 range are replaced with
+ * question marks.
+ *
+ * @param {object} annotation An object representing a
+ *     {@link google.cloud.vision.v1.TextAnnotation TextAnnotation}, such as
+ *     the `fullTextAnnotation` of a documentTextDetection response.
+ * @returns {Buffer} The PDF document.
+ *
+ * @example
+ * const fs = require('fs');
+ * const vision = require('@google-cloud/vision');
+ * const client = new vision.ImageAnnotatorClient();
+ *
+ * client.documentTextDetection('./page.png').then(results => {
+ *   const pdf = vision.text.toPdfTextLayer(results[0].fullTextAnnotation);
+ *   fs.writeFileSync('./page.pdf', pdf);
+ * });
+ */
+const toPdfTextLayer = annotation => {
+  const pages = layout(annotation).pages;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages
+      .map((page, p) => `${4 + 2 * p} 0 R`)
+      .join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica' +
+      ' /Encoding /WinAnsiEncoding >>',
+  ];
+  pages.forEach((page, p) => {
+    const content = _pdfContent(page);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ` +
+        `${page.height}] /Resources << /Font << /F1 3 0 R >> >> ` +
+        `/Contents ${5 + 2 * p} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\n` +
+        `stream\n${content}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const offset of offsets) {
+    pdf += `${`0000000000${offset}`.slice(-10)} 00000 n \n`;
+  }
+  pdf +=
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n` +
+    `startxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports.toAlto = toAlto;
+module.exports.toHocr = toHocr;
+module.exports.toPdfTextLayer = toPdfTextLayer;
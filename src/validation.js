@@ -0,0 +1,421 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const is = require('is');
+
+const {InvalidImageError} = require('./errors');
+
+/*!
+ * The image formats accepted by the Vision API, in the order they are
+ * listed in error messages.
+ */
+const FORMATS = [
+  'JPEG',
+  'PNG',
+  'GIF',
+  'BMP',
+  'WEBP',
+  'RAW',
+  'ICO',
+  'PDF',
+  'TIFF',
+];
+
+/*!
+ * The limits applied when validation is turned on without further options.
+ * The Vision API does not accept image files larger than 20 MB, images
+ * larger than 75 megapixels, or JSON requests larger than 10 MB, which
+ * images sent as content are part of once base64-encoded.
+ */
+const DEFAULT_LIMITS = Object.freeze({
+  maxBytes: 20 * 1024 * 1024,
+  maxPixels: 75 * 1000 * 1000,
+  maxRequestBytes: 10 * 1024 * 1024,
+  formats: FORMATS,
+});
+
+/*!
+ * Check whether a buffer starts with the given bytes.
+ *
+ * @param {Buffer} buffer The buffer to check.
+ * @param {string|number[]} bytes The expected bytes, as a latin1 string or an
+ *   array of byte values.
+ * @param {number} [offset=0] Where in the buffer to start comparing.
+ * @returns {boolean} Whether the bytes match.
+ */
+const _startsWith = (buffer, bytes, offset) => {
+  offset = offset || 0;
+  const expected = is.string(bytes) ? Buffer.from(bytes, 'latin1') : bytes;
+  if (buffer.length < offset + expected.length) {
+    return false;
+  }
+  for (let i = 0; i < expected.length; i++) {
+    if (buffer[offset + i] !== expected[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/*!
+ * Read the dimensions from the frame header of a JPEG file.
+ */
+const _jpegSize = buffer => {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+
+    // Fill bytes, and markers without a length.
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+
+    // Start-of-frame markers, except DHT (C4), JPG (C8) and DAC (CC).
+    const isFrame =
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc;
+    if (isFrame) {
+      if (offset + 9 > buffer.length) {
+        return null;
+      }
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+/*!
+ * Read the dimensions from the IHDR chunk of a PNG file.
+ */
+const _pngSize = buffer => {
+  if (buffer.length < 24 || !_startsWith(buffer, 'IHDR', 12)) {
+    return null;
+  }
+  return {width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20)};
+};
+
+/*!
+ * Read the dimensions from the logical screen descriptor of a GIF file.
+ */
+const _gifSize = buffer => {
+  if (buffer.length < 10) {
+    return null;
+  }
+  return {width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8)};
+};
+
+/*!
+ * Read the dimensions from the DIB header of a BMP file.
+ */
+const _bmpSize = buffer => {
+  if (buffer.length < 26) {
+    return null;
+  }
+
+  // The old OS/2 header uses 16-bit dimensions.
+  if (buffer.readUInt32LE(14) === 12) {
+    return {width: buffer.readUInt16LE(18), height: buffer.readUInt16LE(20)};
+  }
+
+  // Top-down bitmaps have a negative height.
+  return {
+    width: Math.abs(buffer.readInt32LE(18)),
+    height: Math.abs(buffer.readInt32LE(22)),
+  };
+};
+
+/*!
+ * Read the dimensions from the first chunk of a WEBP file.
+ */
+const _webpSize = buffer => {
+  if (buffer.length < 30) {
+    return null;
+  }
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ' && _startsWith(buffer, [0x9d, 0x01, 0x2a], 23)) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === 'VP8L' && buffer[20] === 0x2f) {
+    const bits = buffer.readUInt32LE(21);
+    return {width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1};
+  }
+  if (chunk === 'VP8X') {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+};
+
+/*!
+ * Read the dimensions of the largest image in an ICO file.
+ */
+const _icoSize = buffer => {
+  if (buffer.length < 6) {
+    return null;
+  }
+  const count = buffer.readUInt16LE(4);
+  if (count === 0 || buffer.length < 6 + count * 16) {
+    return null;
+  }
+  const size = {width: 0, height: 0};
+  for (let i = 0; i < count; i++) {
+    // A stored size of 0 means 256 pixels.
+    const entry = 6 + i * 16;
+    size.width = Math.max(size.width, buffer[entry] || 256);
+    size.height = Math.max(size.height, buffer[entry + 1] || 256);
+  }
+  return size;
+};
+
+/*!
+ * Read the dimensions from the first image file directory of a TIFF file.
+ */
+const _tiffSize = buffer => {
+  if (buffer.length < 8) {
+    return null;
+  }
+  const littleEndian = buffer[0] === 0x49;
+  const uint16 = offset =>
+    littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const uint32 = offset =>
+    littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  const directory = uint32(4);
+  if (directory + 2 > buffer.length) {
+    return null;
+  }
+  const size = {};
+  const count = uint16(directory);
+  for (let i = 0; i < count; i++) {
+    const entry = directory + 2 + i * 12;
+    if (entry + 12 > buffer.length) {
+      return null;
+    }
+    const tag = uint16(entry);
+    const type = uint16(entry + 2);
+
+    // ImageWidth (256) and ImageLength (257) are SHORT (3) or LONG (4).
+    const value = type === 3 ? uint16(entry + 8) : uint32(entry + 8);
+    if (tag === 256) {
+      size.width = value;
+    } else if (tag === 257) {
+      size.height = value;
+    }
+  }
+  return is.number(size.width) && is.number(size.height) ? size : null;
+};
+
+/*!
+ * The recognized file signatures. Each entry has the format name, a test
+ * for the signature and, for formats with a header we can read, a function
+ * returning the image dimensions (or null if the header is damaged).
+ *
+ * The RAW signatures cover the camera raw formats that are not TIFF-based;
+ * those that are (such as CR2, NEF and DNG) are reported as TIFF.
+ */
+const SIGNATURES = [
+  {
+    format: 'JPEG',
+    test: b => _startsWith(b, [0xff, 0xd8, 0xff]),
+    size: _jpegSize,
+  },
+  {
+    format: 'PNG',
+    test: b => _startsWith(b, '\x89PNG\r\n\x1a\n'),
+    size: _pngSize,
+  },
+  {
+    format: 'GIF',
+    test: b => _startsWith(b, 'GIF87a') || _startsWith(b, 'GIF89a'),
+    size: _gifSize,
+  },
+  {format: 'BMP', test: b => _startsWith(b, 'BM'), size: _bmpSize},
+  {
+    format: 'WEBP',
+    test: b => _startsWith(b, 'RIFF') && _startsWith(b, 'WEBP', 8),
+    size: _webpSize,
+  },
+  {
+    format: 'RAW',
+    test: b =>
+      _startsWith(b, 'FUJIFILMCCD-RAW') ||
+      _startsWith(b, 'IIRO') ||
+      _startsWith(b, 'IIRS') ||
+      _startsWith(b, 'MMOR') ||
+      _startsWith(b, 'IIU\x00') ||
+      (_startsWith(b, 'II') && _startsWith(b, 'HEAPCCDR', 6)) ||
+      _startsWith(b, 'ftypcrx ', 4),
+  },
+  {format: 'ICO', test: b => _startsWith(b, [0, 0, 1, 0]), size: _icoSize},
+  {format: 'PDF', test: b => _startsWith(b, '%PDF-')},
+  {
+    format: 'TIFF',
+    test: b => _startsWith(b, 'II*\x00') || _startsWith(b, 'MM\x00*'),
+    size: _tiffSize,
+  },
+];
+
+/*!
+ * Identify an image from its contents.
+ *
+ * @param {Buffer} buffer The image file.
+ * @returns {?object} `null` if the format is not recognized. Otherwise, an
+ *   object with the `format` (one of `JPEG`, `PNG`, `GIF`, `BMP`, `WEBP`,
+ *   `RAW`, `ICO`, `PDF` or `TIFF`), and the `width` and `height` in pixels if
+ *   the format has a header we can read. `corrupt` is set if the header is
+ *   truncated or damaged.
+ */
+const sniffImage = buffer => {
+  for (const signature of SIGNATURES) {
+    if (!signature.test(buffer)) {
+      continue;
+    }
+    const info = {format: signature.format};
+    if (signature.size) {
+      const size = signature.size(buffer);
+      if (!size || size.width === 0 || size.height === 0) {
+        info.corrupt = true;
+      } else {
+        info.width = size.width;
+        info.height = size.height;
+      }
+    }
+    return info;
+  }
+  return null;
+};
+
+/*!
+ * Resolve the validation setting into a set of limits.
+ *
+ * @param {boolean|object} [setting] `true` for the default limits, an object
+ *   overriding some of them, or a falsy value to turn validation off.
+ * @returns {?object} The limits, or null if validation is off.
+ */
+const resolveLimits = setting => {
+  if (!setting) {
+    return null;
+  }
+  return Object.assign({}, DEFAULT_LIMITS, is.object(setting) ? setting : {});
+};
+
+/*!
+ * Describe a number of bytes for an error message.
+ */
+const _formatBytes = bytes => {
+  const megabytes = bytes / (1024 * 1024);
+  return megabytes >= 1 ? `${+megabytes.toFixed(1)} MB` : `${bytes} bytes`;
+};
+
+/*!
+ * Check an image against the limits, before it is sent to the Vision API.
+ *
+ * @param {Buffer} buffer The image file.
+ * @param {object} limits The limits, as returned by `resolveLimits`.
+ * @param {number} [limits.maxBytes] The largest file size accepted.
+ * @param {number} [limits.maxPixels] The largest number of pixels
+ *   (width times height) accepted.
+ * @param {number} [limits.maxRequestBytes] The largest size of the image
+ *   once base64-encoded, as it is sent in the JSON request.
+ * @param {string[]} [limits.formats] The formats accepted.
+ * @param {object} [request] The AnnotateImageRequest for the image, which is
+ *   attached to the error.
+ * @returns {?InvalidImageError} The reason the image is invalid, or null if
+ *   it passes.
+ */
+const validateImage = (buffer, limits, request) => {
+  const info = sniffImage(buffer) || {};
+  const details = Object.assign({size: buffer.length, request}, info);
+  delete details.corrupt;
+
+  if (!info.format) {
+    return new InvalidImageError(
+      'UNSUPPORTED_FORMAT',
+      'The image is not in a supported format ' +
+        `(${FORMATS.slice(0, -1).join(', ')} or ${FORMATS.slice(-1)}).`,
+      details
+    );
+  }
+  if (limits.formats && limits.formats.indexOf(info.format) === -1) {
+    return new InvalidImageError(
+      'FORMAT_NOT_ALLOWED',
+      `${info.format} images are not allowed by this client.`,
+      details
+    );
+  }
+  if (info.corrupt) {
+    return new InvalidImageError(
+      'CORRUPT',
+      `The image appears to be a truncated or corrupt ${info.format} file.`,
+      details
+    );
+  }
+  if (limits.maxBytes && buffer.length > limits.maxBytes) {
+    return new InvalidImageError(
+      'TOO_LARGE',
+      `The image is ${_formatBytes(buffer.length)}, which exceeds the ` +
+        `${_formatBytes(limits.maxBytes)} limit.`,
+      details
+    );
+  }
+  const encoded = Math.ceil(buffer.length / 3) * 4;
+  if (limits.maxRequestBytes && encoded > limits.maxRequestBytes) {
+    return new InvalidImageError(
+      'TOO_LARGE',
+      `The image is ${_formatBytes(buffer.length)}, which is ` +
+        `${_formatBytes(encoded)} once base64-encoded and exceeds the ` +
+        `${_formatBytes(limits.maxRequestBytes)} request limit.`,
+      details
+    );
+  }
+  const pixels = info.width * info.height;
+  if (limits.maxPixels && pixels > limits.maxPixels) {
+    return new InvalidImageError(
+      'TOO_MANY_PIXELS',
+      `The image is ${info.width}x${info.height} pixels, which exceeds the ` +
+        `${limits.maxPixels} pixel limit.`,
+      details
+    );
+  }
+  return null;
+};
+
+module.exports.FORMATS = FORMATS;
+module.exports.resolveLimits = resolveLimits;
+module.exports.sniffImage = sniffImage;
+module.exports.validateImage = validateImage;
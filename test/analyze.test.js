@@ -0,0 +1,150 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const analyze = require('../src/analyze');
+
+describe('analyze', () => {
+  const AVAILABLE = {LABEL_DETECTION: 4, TEXT_DETECTION: 5};
+
+  describe('buildFeatures', () => {
+    it('maps aliases to features with their options', () => {
+      const features = analyze.buildFeatures(
+        ['labels', 'text'],
+        {labels: {maxResults: 5, model: 'builtin/latest'}},
+        AVAILABLE
+      );
+      assert.deepStrictEqual(features, [
+        {type: 'LABEL_DETECTION', maxResults: 5, model: 'builtin/latest'},
+        {type: 'TEXT_DETECTION'},
+      ]);
+    });
+
+    it('validates the options of each feature', () => {
+      assert.throws(
+        () =>
+          analyze.buildFeatures(['text'], {text: {maxResults: 3}}, AVAILABLE),
+        /does not apply to TEXT_DETECTION/
+      );
+      assert.throws(
+        () =>
+          analyze.buildFeatures(['labels'], {labels: {model: 'x'}}, AVAILABLE),
+        /Unknown model "x" for LABEL_DETECTION/
+      );
+    });
+
+    it('rejects unknown and unavailable features', () => {
+      assert.throws(
+        () => analyze.buildFeatures(['label'], {}, AVAILABLE),
+        /Unknown feature "label"\. Use one of: faces, landmarks/
+      );
+      assert.throws(
+        () => analyze.buildFeatures(['products'], {}, AVAILABLE),
+        /not available in this API version/
+      );
+      assert.throws(
+        () => analyze.buildFeatures([], {}, AVAILABLE),
+        /At least one feature/
+      );
+    });
+  });
+
+  describe('unwrapResponse', () => {
+    it('returns only the requested keys', () => {
+      const response = {
+        labelAnnotations: [{description: 'cat', score: 0.9}],
+        logoAnnotations: [],
+        faceAnnotations: [],
+      };
+      assert.deepStrictEqual(analyze.unwrapResponse(response, ['labels']), {
+        labels: [{description: 'cat', score: 0.9}],
+      });
+    });
+
+    it('unwraps text, faces and safe search', () => {
+      const block = {blockType: 'TEXT'};
+      const response = {
+        textAnnotations: [{description: 'Hello\n'}, {description: 'Hello'}],
+        fullTextAnnotation: {text: 'Hello\n', pages: [{blocks: [block]}]},
+        faceAnnotations: [{joyLikelihood: 5, angerLikelihood: 'UNLIKELY'}],
+        safeSearchAnnotation: {adult: 1, spoof: 'POSSIBLE', racy: 4},
+      };
+      const result = analyze.unwrapResponse(response, [
+        'text',
+        'faces',
+        'safeSearch',
+      ]);
+      assert.deepStrictEqual(result, {
+        text: {text: 'Hello\n', blocks: [block]},
+        faces: [{joyLikelihood: 'VERY_LIKELY', angerLikelihood: 'UNLIKELY'}],
+        safeSearch: {
+          adult: 'VERY_UNLIKELY',
+          spoof: 'POSSIBLE',
+          medical: 'UNKNOWN',
+          violence: 'UNKNOWN',
+          racy: 'LIKELY',
+        },
+      });
+    });
+
+    it('fills in empty results and reports errors', () => {
+      const error = {code: 3, message: 'Bad image data.'};
+      const result = analyze.unwrapResponse({error}, [
+        'labels',
+        'text',
+        'colors',
+        'cropHints',
+        'web',
+      ]);
+      assert.deepStrictEqual(result, {
+        labels: [],
+        text: {text: '', blocks: []},
+        colors: [],
+        cropHints: [],
+        web: {},
+        error,
+      });
+    });
+
+    it('falls back to the first text annotation', () => {
+      const response = {textAnnotations: [{description: 'Hi'}]};
+      assert.deepStrictEqual(analyze.unwrapResponse(response, ['text']), {
+        text: {text: 'Hi', blocks: []},
+      });
+      assert.deepStrictEqual(analyze.unwrapResponse(response, ['document']), {
+        document: {text: 'Hi', blocks: []},
+      });
+    });
+
+    it('keeps the text of text and document text detection apart', () => {
+      const block = {blockType: 'TEXT'};
+      const response = {
+        textAnnotations: [{description: 'Hel1o\n'}, {description: 'Hel1o'}],
+        fullTextAnnotation: {text: 'Hello\n', pages: [{blocks: [block]}]},
+      };
+      assert.deepStrictEqual(
+        analyze.unwrapResponse(response, ['text', 'document']),
+        {
+          text: {text: 'Hel1o\n', blocks: [block]},
+          document: {text: 'Hello\n', blocks: [block]},
+        }
+      );
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+const {FileStore, MemoryStore, ResponseCache} = require('../src/cache');
+
+describe('Response cache', () => {
+  const sandbox = sinon.createSandbox();
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('MemoryStore', () => {
+    it('stores copies of the values', done => {
+      const store = new MemoryStore();
+      const value = {labelAnnotations: [{description: 'cat'}]};
+      store.set('key', value, undefined, err => {
+        assert.ifError(err);
+        value.labelAnnotations = [];
+        store.get('key', (err, stored) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(stored, {
+            labelAnnotations: [{description: 'cat'}],
+          });
+          done();
+        });
+      });
+    });
+
+    it('discards the least recently used entries', () => {
+      const store = new MemoryStore({maxEntries: 2});
+      const noop = () => {};
+      store.set('a', 1, undefined, noop);
+      store.set('b', 2, undefined, noop);
+      store.get('a', noop);
+      store.set('c', 3, undefined, noop);
+
+      const found = {};
+      for (const key of ['a', 'b', 'c']) {
+        store.get(key, (err, value) => {
+          found[key] = value;
+        });
+      }
+      assert.deepStrictEqual(found, {a: 1, b: undefined, c: 3});
+    });
+
+    it('expires entries after their ttl', () => {
+      const clock = sandbox.useFakeTimers();
+      const store = new MemoryStore();
+      const noop = () => {};
+      store.set('key', 'value', 1000, noop);
+
+      let found;
+      clock.tick(999);
+      store.get('key', (err, value) => (found = value));
+      assert.strictEqual(found, 'value');
+      clock.tick(1);
+      store.get('key', (err, value) => (found = value));
+      assert.strictEqual(found, undefined);
+    });
+  });
+
+  describe('FileStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'vision-')),
+        'cache'
+      );
+    });
+
+    it('requires a directory', () => {
+      assert.throws(() => new FileStore(), /needs a directory/);
+    });
+
+    it('stores entries as files', done => {
+      const store = new FileStore({directory});
+      store.set('key', {labelAnnotations: []}, undefined, err => {
+        assert.ifError(err);
+        assert.strictEqual(fs.readdirSync(directory).length, 1);
+
+        // A second store on the same directory sees the entry.
+        new FileStore({directory}).get('key', (err, value) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(value, {labelAnnotations: []});
+          done();
+        });
+      });
+    });
+
+    it('misses on unknown and expired entries', done => {
+      const store = new FileStore({directory});
+      store.get('unknown', (err, value) => {
+        assert.ifError(err);
+        assert.strictEqual(value, undefined);
+
+        const now = Date.now();
+        store.set('key', 'value', 1000, err => {
+          assert.ifError(err);
+          sandbox.stub(Date, 'now').returns(now + 5000);
+          store.get('key', (err, value) => {
+            assert.ifError(err);
+            assert.strictEqual(value, undefined);
+            assert.deepStrictEqual(fs.readdirSync(directory), []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('ResponseCache', () => {
+    const content = Buffer.from('fakeImage').toString('base64');
+
+    it('keys on the image, features and image context', () => {
+      const cache = new ResponseCache();
+      const key = cache.keyFor({
+        image: {content},
+        features: [{type: 'LABEL_DETECTION'}, {type: 'FACE_DETECTION'}],
+        imageContext: {languageHints: ['en']},
+      });
+      assert(/^[0-9a-f]{64}$/.test(key));
+
+      // Feature order does not matter, and buffers key like base64.
+      const same = cache.keyFor({
+        image: {content: Buffer.from('fakeImage')},
+        features: [{type: 'FACE_DETECTION'}, {type: 'LABEL_DETECTION'}],
+        imageContext: {languageHints: ['en']},
+      });
+      assert.strictEqual(same, key);
+
+      const others = [
+        {image: {content: 'Ym9ndXM='}},
+        {features: [{type: 'LABEL_DETECTION', maxResults: 5}]},
+        {imageContext: {languageHints: ['fr']}},
+      ].map(change => {
+        return cache.keyFor(
+          Object.assign(
+            {
+              image: {content},
+              features: [{type: 'LABEL_DETECTION'}, {type: 'FACE_DETECTION'}],
+              imageContext: {languageHints: ['en']},
+            },
+            change
+          )
+        );
+      });
+      for (const other of others) {
+        assert.notStrictEqual(other, key);
+      }
+    });
+
+    it('normalizes feature types', () => {
+      const cache = new ResponseCache();
+      const featureName = type => (type === 4 ? 'LABEL_DETECTION' : type);
+      assert.strictEqual(
+        cache.keyFor({image: {content}, features: [{type: 4}]}, featureName),
+        cache.keyFor({image: {content}, features: [{type: 'LABEL_DETECTION'}]})
+      );
+    });
+
+    it('only keys image URIs if asked to', () => {
+      const request = {image: {source: {imageUri: 'gs://bucket/image.jpg'}}};
+      assert.strictEqual(new ResponseCache().keyFor(request), null);
+      const cache = new ResponseCache({cacheImageUris: true});
+      assert(cache.keyFor(request));
+    });
+
+    it('counts hits and misses and passes on the ttl', done => {
+      const store = new MemoryStore();
+      const set = sandbox.spy(store, 'set');
+      const cache = new ResponseCache({store, ttl: 5000});
+      cache.get('key', (err, value) => {
+        assert.strictEqual(value, undefined);
+        cache.set('key', {labelAnnotations: []}, () => {
+          assert(set.calledWith('key', {labelAnnotations: []}, 5000));
+          cache.get('key', (err, value) => {
+            assert.deepStrictEqual(value, {labelAnnotations: []});
+            assert.deepStrictEqual(cache.stats(), {
+              hits: 1,
+              misses: 1,
+              errors: 0,
+            });
+            done();
+          });
+        });
+      });
+    });
+
+    it('treats store failures as misses', done => {
+      const store = {
+        get: (key, callback) => callback(new Error('Store is down.')),
+        set: (key, value, ttl, callback) =>
+          callback(new Error('Store is down.')),
+      };
+      const cache = new ResponseCache({store});
+      cache.get('key', (err, value) => {
+        assert.ifError(err);
+        assert.strictEqual(value, undefined);
+        cache.set('key', {}, err => {
+          assert.ifError(err);
+          assert.deepStrictEqual(cache.stats(), {
+            hits: 0,
+            misses: 1,
+            errors: 2,
+          });
+          done();
+        });
+      });
+    });
+  });
+});
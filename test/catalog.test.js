@@ -0,0 +1,299 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const vision = require('../');
+
+describe('syncCatalog', () => {
+  const CREDENTIALS = Object.freeze({
+    credentials: {client_email: 'bogus', private_key: 'bogus'},
+    projectId: 'bogus',
+  });
+  const LOCATION = 'projects/bogus/locations/us-west1';
+  const PRODUCTS = `${LOCATION}/products`;
+
+  let sandbox;
+  let client;
+  let calls;
+
+  // Make the client report a catalog, and record the calls which change it.
+  const catalog = state => {
+    calls = [];
+    sandbox.stub(client, 'listProducts').callsFake((request, callback) => {
+      assert.strictEqual(request.parent, LOCATION);
+      callback(null, state.products);
+    });
+    sandbox
+      .stub(client, 'listProductsInProductSet')
+      .callsFake((request, callback) => {
+        if (state.sets) {
+          const members = state.sets[request.name];
+          return callback(null, members || []);
+        }
+        if (!state.members) {
+          const err = new Error('Not found.');
+          err.code = 5;
+          return callback(err);
+        }
+        callback(null, state.members);
+      });
+    sandbox
+      .stub(client, 'listReferenceImages')
+      .callsFake((request, callback) => {
+        callback(null, state.images[request.parent] || []);
+      });
+    const methods = [
+      'createProductSet',
+      'createProduct',
+      'updateProduct',
+      'deleteProduct',
+      'createReferenceImage',
+      'deleteReferenceImage',
+      'addProductToProductSet',
+      'removeProductFromProductSet',
+    ];
+    for (const method of methods) {
+      sandbox.stub(client, method).callsFake((request, callback) => {
+        calls.push(method);
+        const err = state.failures && state.failures[method];
+        setImmediate(() => callback(err || null, err ? undefined : {}));
+      });
+    }
+  };
+
+  const shoe = {
+    name: `${PRODUCTS}/shoe`,
+    displayName: 'Shoe',
+    description: '',
+    productCategory: 'apparel',
+    productLabels: [
+      {key: 'color', value: 'blue'},
+      {key: 'size', value: '9'},
+    ],
+  };
+  const hat = {
+    name: `${PRODUCTS}/hat`,
+    displayName: 'Hat',
+    productCategory: 'apparel',
+    productLabels: [],
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    client = new vision.v1p3beta1.ProductSearchClient(CREDENTIALS);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('plans a minimal set of changes in a dry run', () => {
+    catalog({
+      products: [shoe, hat],
+      images: {
+        [shoe.name]: [
+          {name: `${shoe.name}/referenceImages/a`, uri: 'gs://b/shoe-a.jpg'},
+          {name: `${shoe.name}/referenceImages/b`, uri: 'gs://b/shoe-b.jpg'},
+        ],
+      },
+    });
+    const desired = [
+      {
+        productId: 'shoe',
+        displayName: 'Shoe',
+        productLabels: [
+          {key: 'size', value: '9'},
+          {key: 'color', value: 'blue'},
+        ],
+        referenceImages: ['gs://b/shoe-a.jpg', 'gs://b/shoe-c.jpg'],
+      },
+      {
+        productId: 'scarf',
+        displayName: 'Scarf',
+        productCategory: 'apparel',
+        referenceImages: [{uri: 'gs://b/scarf.jpg', referenceImageId: 'main'}],
+      },
+    ];
+    return client
+      .syncCatalog(desired, {location: LOCATION, dryRun: true})
+      .then(results => {
+        const report = results[0];
+        assert.strictEqual(report.dryRun, true);
+        assert.deepStrictEqual(calls, []);
+        assert.deepStrictEqual(
+          report.operations.map(operation => operation.description),
+          [
+            'delete product hat',
+            'delete reference image gs://b/shoe-b.jpg of product shoe',
+            'create reference image gs://b/shoe-c.jpg of product shoe',
+            'create product scarf',
+            'create reference image gs://b/scarf.jpg of product scarf',
+          ]
+        );
+        assert(report.operations.every(op => op.status === 'planned'));
+        assert.deepStrictEqual(report.operations[4].request, {
+          parent: `${PRODUCTS}/scarf`,
+          referenceImage: {uri: 'gs://b/scarf.jpg'},
+          referenceImageId: 'main',
+        });
+      });
+  });
+
+  it('applies updates, and syncs the members of a product set', () => {
+    catalog({
+      products: [shoe, hat],
+      members: [hat],
+      images: {},
+    });
+    const desired = [
+      {productId: 'shoe', description: 'Comfortable.', productLabels: []},
+    ];
+    return client
+      .syncCatalog(desired, {
+        location: 'us-west1',
+        productSetId: 'summer',
+        concurrency: 1,
+      })
+      .then(results => {
+        const operations = results[0].operations;
+        assert.deepStrictEqual(
+          operations.map(operation => [operation.method, operation.status]),
+          [
+            ['removeProductFromProductSet', 'done'],
+            ['updateProduct', 'done'],
+            ['addProductToProductSet', 'done'],
+          ]
+        );
+        assert.deepStrictEqual(operations[0].request, {
+          name: `${LOCATION}/productSets/summer`,
+          product: hat.name,
+        });
+        assert.deepStrictEqual(operations[1].request, {
+          product: {
+            name: shoe.name,
+            description: 'Comfortable.',
+            productLabels: [],
+          },
+          updateMask: {paths: ['description', 'product_labels']},
+        });
+        assert.deepStrictEqual(operations[2].request, {
+          name: `${LOCATION}/productSets/summer`,
+          product: shoe.name,
+        });
+      });
+  });
+
+  it('keeps the products which other product sets share', () => {
+    catalog({
+      products: [shoe, hat],
+      sets: {
+        [`${LOCATION}/productSets/summer`]: [shoe, hat],
+        [`${LOCATION}/productSets/winter`]: [hat],
+      },
+      images: {},
+    });
+    return client
+      .syncCatalog([{productId: 'shoe'}], {
+        location: LOCATION,
+        productSetId: 'summer',
+      })
+      .then(results => {
+        assert.deepStrictEqual(calls, ['removeProductFromProductSet']);
+        assert.deepStrictEqual(
+          results[0].operations.map(operation => operation.description),
+          ['remove product hat from product set summer']
+        );
+      });
+  });
+
+  it('creates a missing product set before adding to it', () => {
+    catalog({products: [shoe], images: {}});
+    return client
+      .syncCatalog([{productId: 'shoe'}], {
+        location: LOCATION,
+        productSetId: 'summer',
+      })
+      .then(results => {
+        assert.deepStrictEqual(calls, [
+          'createProductSet',
+          'addProductToProductSet',
+        ]);
+        assert.deepStrictEqual(results[0].operations[0].request, {
+          parent: LOCATION,
+          productSet: {displayName: 'summer'},
+          productSetId: 'summer',
+        });
+      });
+  });
+
+  it('reports failures and skips the operations depending on them', () => {
+    const err = new Error('Quota exceeded.');
+    catalog({
+      products: [],
+      images: {},
+      failures: {createProduct: err},
+    });
+    const desired = [
+      {
+        productId: 'scarf',
+        displayName: 'Scarf',
+        productCategory: 'apparel',
+        referenceImages: ['gs://b/scarf.jpg'],
+      },
+    ];
+    return client.syncCatalog(desired, {location: LOCATION}).then(results => {
+      const operations = results[0].operations;
+      assert.deepStrictEqual(calls, ['createProduct']);
+      assert.strictEqual(operations[0].status, 'failed');
+      assert.strictEqual(operations[0].error, err);
+      assert.strictEqual(operations[1].status, 'skipped');
+      assert(/create product scarf/.test(operations[1].error.message));
+    });
+  });
+
+  it('refuses to change the category of a product', () => {
+    catalog({products: [shoe], images: {}});
+    return client
+      .syncCatalog([{productId: 'shoe', productCategory: 'toys'}], {
+        location: LOCATION,
+      })
+      .then(assert.fail, err => {
+        assert(/cannot be changed from apparel to toys/.test(err.message));
+        assert.deepStrictEqual(calls, []);
+      });
+  });
+
+  it('validates the desired state and the options', done => {
+    client.syncCatalog([{productId: 'a'}, {productId: 'a'}], {}, err => {
+      assert(/more than once/.test(err.message));
+      client.syncCatalog([], {location: 'a/b'}, err => {
+        assert(/must be a location ID/.test(err.message));
+        client.syncCatalog(
+          [{productId: 'a', referenceImages: ['/tmp/a.jpg']}],
+          {location: LOCATION},
+          err => {
+            assert(/must have a gs:\/\/ uri/.test(err.message));
+            done();
+          }
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {
+  readHandwriting,
+  resolveHandwritingOptions,
+} = require('../src/handwriting');
+
+describe('Handwriting', () => {
+  // A word whose symbols are read with the given confidences, and which is
+  // followed by the given break.
+  const word = (text, confidence, symbolConfidences, breakType) => {
+    const symbols = Array.from(text).map((c, i) => {
+      return {text: c, confidence: (symbolConfidences || [])[i]};
+    });
+    symbols[symbols.length - 1].property = {
+      detectedBreak: {type: breakType || 'SPACE'},
+    };
+    return {confidence, symbols};
+  };
+
+  const annotation = {
+    pages: [
+      {
+        blocks: [
+          {
+            paragraphs: [
+              {
+                words: [
+                  word('Buy', 0.95),
+                  word('milk', 0.6, [], 'LINE_BREAK'),
+                  word('and', 0.9),
+                  word('eggs~', 0.85, [0.9, 0.9, 0.9, 0.9, 0.05], 'SPACE'),
+                  word('.', 0.3, [0.02], 'LINE_BREAK'),
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+
+  it('reads the lines, flagging and masking unsure words', () => {
+    const handwriting = readHandwriting(annotation);
+    assert.strictEqual(handwriting.text, 'Buy milk\nand eggs');
+    assert.strictEqual(handwriting.maskedText, 'Buy [milk?]\nand eggs');
+    assert.deepStrictEqual(
+      handwriting.words.map(word => {
+        return [word.text, word.confidence, word.page, word.lowConfidence];
+      }),
+      [
+        ['Buy', 0.95, 1, false],
+        ['milk', 0.6, 1, true],
+        ['and', 0.9, 1, false],
+        ['eggs', 0.85, 1, false],
+      ]
+    );
+    assert.strictEqual(handwriting.confidence, (0.95 + 0.6 + 0.9 + 0.85) / 4);
+  });
+
+  it('takes the thresholds and the mask as options', () => {
+    const handwriting = readHandwriting(annotation, {
+      minConfidence: 0.9,
+      minSymbolConfidence: 0,
+      mask: '___',
+    });
+    assert.strictEqual(handwriting.text, 'Buy milk\nand eggs~ .');
+    assert.strictEqual(handwriting.maskedText, 'Buy ___\nand ___ ___');
+
+    const upper = readHandwriting(annotation, {
+      mask: word => word.text.toUpperCase(),
+    });
+    assert.strictEqual(upper.maskedText, 'Buy MILK\nand eggs');
+  });
+
+  it('reads an empty annotation', () => {
+    assert.deepStrictEqual(readHandwriting(null), {
+      text: '',
+      maskedText: '',
+      confidence: null,
+      words: [],
+    });
+  });
+
+  it('validates its options', () => {
+    assert.throws(
+      () => readHandwriting(annotation, {minSymbolConfidence: -1}),
+      /The minSymbolConfidence option must be a number from 0 to 1\./
+    );
+    assert.throws(
+      () => readHandwriting(annotation, {mask: 42}),
+      /The mask option must be a string or a function\./
+    );
+  });
+
+  it('resolves its options without an annotation', () => {
+    const options = resolveHandwritingOptions({minConfidence: 0.5});
+    assert.strictEqual(options.minConfidence, 0.5);
+    assert.strictEqual(options.minSymbolConfidence, 0.1);
+    assert.strictEqual(options.mask({text: 'word'}), '[word?]');
+    assert.throws(
+      () => resolveHandwritingOptions({minConfidence: 2}),
+      /The minConfidence option must be a number from 0 to 1\./
+    );
+  });
+});
@@ -18,8 +18,10 @@
 
 const assert = require('assert');
 const fs = require('fs');
+const http = require('http');
 const is = require('is');
 const sinon = require('sinon');
+const {PassThrough} = require('stream');
 
 const vision = require('../');
 
@@ -157,6 +159,206 @@ describe('Vision helper methods', () => {
       });
     });
 
+    it('understands readable streams', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      const stream = new PassThrough();
+      const request = {image: stream, features: [{type: 'LABEL_DETECTION'}]};
+      const promise = client.annotateImage(request);
+      stream.write('fake');
+      stream.end(Buffer.from('Image'));
+      return promise.then(() => {
+        assert(
+          batchAnnotate.calledWith({
+            requests: [
+              {
+                image: {content: 'ZmFrZUltYWdl'},
+                features: [{type: 'LABEL_DETECTION'}],
+              },
+            ],
+          })
+        );
+      });
+    });
+
+    it('propagates stream errors', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const stream = new PassThrough();
+      const promise = client.annotateImage({image: stream});
+      stream.emit('error', new Error('Stream broke.'));
+      return promise.then(assert.fail).catch(err => {
+        assert.strictEqual(err.message, 'Stream broke.');
+      });
+    });
+
+    it('understands data URIs', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}, {}]});
+
+      const requests = [
+        {image: {source: {imageUri: 'data:image/png;base64,ZmFrZUltYWdl'}}},
+        {image: {source: {imageUri: 'data:,fake%49mage'}}},
+      ];
+      return Promise.all(requests.map(r => client.annotateImage(r))).then(
+        () => {
+          assert.deepStrictEqual(requests, [
+            {image: {content: 'ZmFrZUltYWdl'}},
+            {image: {content: 'ZmFrZUltYWdl'}},
+          ]);
+        }
+      );
+    });
+
+    it('rejects malformed data URIs', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const request = {image: {source: {imageUri: 'data:image/png'}}};
+      return client
+        .annotateImage(request)
+        .then(assert.fail)
+        .catch(err => {
+          assert.strictEqual(err.message, 'Malformed data URI.');
+        });
+    });
+
+    describe('remote images', () => {
+      let server;
+      let baseUrl;
+
+      before(done => {
+        server = http.createServer((req, res) => {
+          if (req.url === '/image.jpg') {
+            res.end('fakeImage');
+          } else if (req.url === '/moved.jpg') {
+            res.writeHead(302, {location: '/image.jpg'});
+            res.end();
+          } else if (req.url === '/loop.jpg') {
+            res.writeHead(302, {location: '/loop.jpg'});
+            res.end();
+          } else if (req.url === '/slow.jpg') {
+            res.write('fake');
+          } else if (req.url === '/large.jpg') {
+            res.write('fakeImage');
+            res.end('fakeImage');
+          } else {
+            res.writeHead(404);
+            res.end();
+          }
+        });
+        server.listen(0, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          done();
+        });
+      });
+
+      after(done => {
+        server.close(done);
+      });
+
+      it('leaves URLs for the API to fetch by default', () => {
+        const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+        const request = {image: {source: {imageUri: `${baseUrl}/image.jpg`}}};
+        return client.annotateImage(request).then(() => {
+          assert.deepStrictEqual(request, {
+            image: {source: {imageUri: `${baseUrl}/image.jpg`}},
+          });
+        });
+      });
+
+      it('fetches URLs locally with fetchRemoteImages', () => {
+        const options = Object.assign({fetchRemoteImages: true}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+        const request = {image: {source: {imageUri: `${baseUrl}/moved.jpg`}}};
+        return client.annotateImage(request).then(() => {
+          assert.deepStrictEqual(request, {image: {content: 'ZmFrZUltYWdl'}});
+        });
+      });
+
+      it('reports failed fetches', () => {
+        const options = Object.assign({fetchRemoteImages: true}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        return Promise.all([
+          client
+            .annotateImage(`${baseUrl}/missing.jpg`)
+            .then(assert.fail)
+            .catch(err => {
+              assert(/HTTP 404/.test(err.message));
+            }),
+          client
+            .annotateImage(`${baseUrl}/loop.jpg`)
+            .then(assert.fail)
+            .catch(err => {
+              assert(/Too many redirects/.test(err.message));
+            }),
+        ]);
+      });
+
+      it('stops downloads which take too long', () => {
+        const options = Object.assign(
+          {fetchRemoteImages: {timeout: 50}},
+          CREDENTIALS
+        );
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        return client
+          .annotateImage(`${baseUrl}/slow.jpg`)
+          .then(assert.fail)
+          .catch(err => {
+            assert.strictEqual(
+              err.message,
+              `Timed out after 50 ms fetching ${baseUrl}/slow.jpg.`
+            );
+            assert(batchAnnotate.notCalled);
+          });
+      });
+
+      it('stops downloads of images which are too large', () => {
+        const options = Object.assign(
+          {fetchRemoteImages: {maxBytes: 12}},
+          CREDENTIALS
+        );
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+        return client
+          .annotateImage(`${baseUrl}/image.jpg`)
+          .then(() => client.annotateImage(`${baseUrl}/large.jpg`))
+          .then(assert.fail)
+          .catch(err => {
+            assert.strictEqual(
+              err.message,
+              `The image at ${baseUrl}/large.jpg is larger than the 12 byte ` +
+                'limit.'
+            );
+            assert(batchAnnotate.calledOnce);
+          });
+      });
+
+      it('rejects invalid fetch limits', () => {
+        const options = Object.assign(
+          {fetchRemoteImages: {timeout: -1}},
+          CREDENTIALS
+        );
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        return client
+          .annotateImage(`${baseUrl}/image.jpg`)
+          .then(assert.fail)
+          .catch(err => {
+            assert(
+              /timeout option must be a positive number/.test(err.message)
+            );
+          });
+      });
+    });
+
     it('propagates the error if a file is not found', () => {
       const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
 
@@ -266,6 +468,302 @@ describe('Vision helper methods', () => {
       });
     });
 
+    it('returns per-image errors as responses by default', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [{error: {code: 3, message: 'Bad image data.'}}],
+      });
+
+      const request = {image: {content: Buffer.from('bogus==')}};
+      return client.annotateImage(request).then(r => {
+        assert.deepStrictEqual(r[0], {
+          error: {code: 3, message: 'Bad image data.'},
+        });
+      });
+    });
+
+    it('raises per-image errors with throwOnImageError', () => {
+      const options = Object.assign({throwOnImageError: true}, CREDENTIALS);
+      const client = new vision.v1.ImageAnnotatorClient(options);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      const details = [{typeUrl: 'type.googleapis.com/foo', value: 'bar'}];
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [{error: {code: 3, message: 'Bad image data.', details}}],
+      });
+
+      const request = {image: {content: Buffer.from('bogus==')}};
+      return client
+        .annotateImage(request)
+        .then(assert.fail)
+        .catch(err => {
+          assert(err instanceof vision.ImageAnnotationError);
+          assert.strictEqual(err.name, 'ImageAnnotationError');
+          assert.strictEqual(err.code, 3);
+          assert.strictEqual(err.message, 'Bad image data.');
+          assert.deepStrictEqual(err.details, details);
+          assert.strictEqual(err.request, request);
+        });
+    });
+
+    it('ignores an empty status with throwOnImageError', () => {
+      const options = Object.assign({throwOnImageError: true}, CREDENTIALS);
+      const client = new vision.v1.ImageAnnotatorClient(options);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [{labelAnnotations: [], error: {code: 0, message: ''}}],
+      });
+
+      const request = {image: {content: Buffer.from('bogus==')}};
+      return client.annotateImage(request).then(r => {
+        assert.deepStrictEqual(r[0].labelAnnotations, []);
+      });
+    });
+
+    describe('image validation', () => {
+      const png = fs.readFileSync(`${__dirname}/../system-test/data/text.png`);
+
+      it('does not check images by default', () => {
+        const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+        return client.annotateImage(Buffer.from('bogus')).then(() => {
+          assert.strictEqual(batchAnnotate.callCount, 1);
+        });
+      });
+
+      it('rejects invalid images before calling the API', () => {
+        const options = Object.assign({validateImages: true}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+
+        return client
+          .labelDetection(png.slice(0, 20))
+          .then(assert.fail)
+          .catch(err => {
+            assert(err instanceof vision.InvalidImageError);
+            assert.strictEqual(err.reason, 'CORRUPT');
+            assert.strictEqual(batchAnnotate.callCount, 0);
+          });
+      });
+
+      it('passes valid images and URIs', () => {
+        const options = Object.assign({validateImages: true}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+        return Promise.all([
+          client.labelDetection(png),
+          client.labelDetection('gs://bucket/image.jpg'),
+        ]).then(() => {
+          assert.strictEqual(batchAnnotate.callCount, 2);
+        });
+      });
+
+      it('can be configured or skipped per call', () => {
+        const options = Object.assign({validateImages: true}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+        const skip = {validateImages: false, timeout: 1000};
+        const strict = {validateImages: {maxBytes: 100}};
+        return Promise.all([
+          client.labelDetection(Buffer.from('bogus'), skip),
+          client
+            .labelDetection(png, strict)
+            .then(assert.fail)
+            .catch(err => {
+              assert.strictEqual(err.reason, 'TOO_LARGE');
+            }),
+        ]).then(() => {
+          // The helper option is not passed on to the GAPIC.
+          assert.strictEqual(batchAnnotate.callCount, 1);
+          assert(batchAnnotate.calledWith(sinon.match.object, {timeout: 1000}));
+        });
+      });
+
+      it('checks every image sent with annotateImages', () => {
+        const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+
+        return client
+          .annotateImages(
+            [png, Buffer.from('bogus')],
+            {},
+            {validateImages: true}
+          )
+          .then(assert.fail)
+          .catch(err => {
+            assert.strictEqual(err.reason, 'UNSUPPORTED_FORMAT');
+            assert.strictEqual(batchAnnotate.callCount, 0);
+          });
+      });
+
+      it('emits invalid images from the stream as data', () => {
+        const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+        const stream = client.createAnnotationStream(
+          {},
+          {validateImages: true}
+        );
+        const results = [];
+        stream.on('data', result => results.push(result));
+        stream.write(Buffer.from('bogus'));
+        stream.end(png);
+        return new Promise(resolve => stream.on('end', resolve)).then(() => {
+          assert(results[0].error instanceof vision.InvalidImageError);
+          assert.deepStrictEqual(results[1].response, {});
+          assert.strictEqual(batchAnnotate.args[0][0].requests.length, 1);
+          assert.deepStrictEqual(batchAnnotate.args[0][1], {});
+        });
+      });
+    });
+
+    it('downscales images and restores the coordinates', () => {
+      const png = fs.readFileSync(`${__dirname}/../system-test/data/text.png`);
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [
+          {
+            textAnnotations: [
+              {
+                boundingPoly: {
+                  vertices: [
+                    {x: 10, y: 4},
+                    {x: 240, y: 40},
+                  ],
+                },
+              },
+            ],
+          },
+        ],
+      });
+
+      const callOptions = {resize: {maxEdge: 250}, timeout: 1000};
+      return client.textDetection(png, callOptions).then(r => {
+        assert.deepStrictEqual(r[0].textAnnotations[0].boundingPoly, {
+          vertices: [
+            {x: 20, y: 8},
+            {x: 480, y: 79},
+          ],
+        });
+
+        const request = batchAnnotate.args[0][0].requests[0];
+        const sent = Buffer.from(request.image.content, 'base64');
+        assert.strictEqual(sent.readUInt32BE(16), 250);
+        assert.deepStrictEqual(batchAnnotate.args[0][1], {timeout: 1000});
+      });
+    });
+
+    it('rejects corrupt images before downscaling them', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      const png = fs.readFileSync(`${__dirname}/../system-test/data/text.png`);
+      const corrupt = Buffer.from(png);
+      corrupt.fill(7, 60, corrupt.length - 20);
+      return client
+        .textDetection(corrupt, {resize: {maxEdge: 250}})
+        .then(assert.fail, err => {
+          assert(err instanceof vision.InvalidImageError);
+          assert.strictEqual(err.reason, 'CORRUPT');
+          assert.strictEqual(batchAnnotate.callCount, 0);
+        });
+    });
+
+    it('rejects invalid resize options', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      return client
+        .annotateImage(Buffer.from('bogus'), {resize: {maxEdge: 0}})
+        .then(assert.fail)
+        .catch(err => {
+          assert(/maxEdge/.test(err.message));
+        });
+    });
+
+    describe('response cache', () => {
+      const response = {labelAnnotations: [{description: 'cat'}]};
+
+      it('reuses responses for the same image', () => {
+        const cache = new vision.ResponseCache();
+        const options = Object.assign({cache}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [response]});
+
+        return client
+          .labelDetection(Buffer.from('fakeImage'))
+          .then(() => client.labelDetection(Buffer.from('fakeImage')))
+          .then(r => {
+            assert.deepStrictEqual(r[0], response);
+            assert.strictEqual(batchAnnotate.callCount, 1);
+            assert.deepStrictEqual(cache.stats(), {
+              hits: 1,
+              misses: 1,
+              errors: 0,
+            });
+          })
+          .then(() => {
+            // Asking for another feature is a different request.
+            return client.faceDetection(Buffer.from('fakeImage'));
+          })
+          .then(() => {
+            assert.strictEqual(batchAnnotate.callCount, 2);
+          });
+      });
+
+      it('bypasses image URIs unless asked not to', () => {
+        const options = Object.assign({cache: true}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {responses: [response]});
+
+        const uri = 'gs://bucket/image.jpg';
+        return client
+          .labelDetection(uri)
+          .then(() => client.labelDetection(uri))
+          .then(() => {
+            assert.strictEqual(batchAnnotate.callCount, 2);
+            assert(client._responseCache instanceof vision.ResponseCache);
+
+            const cached = Object.assign(
+              {cache: {cacheImageUris: true}},
+              CREDENTIALS
+            );
+            const other = new vision.v1.ImageAnnotatorClient(cached);
+            const otherBatch = sandbox.stub(other, 'batchAnnotateImages');
+            otherBatch.callsArgWith(2, undefined, {responses: [response]});
+            return other
+              .labelDetection(uri)
+              .then(() => other.labelDetection(uri))
+              .then(() => {
+                assert.strictEqual(otherBatch.callCount, 1);
+              });
+          });
+      });
+
+      it('does not cache failed images', () => {
+        const options = Object.assign({cache: true}, CREDENTIALS);
+        const client = new vision.v1.ImageAnnotatorClient(options);
+        const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+        batchAnnotate.callsArgWith(2, undefined, {
+          responses: [{error: {code: 3, message: 'Bad image data.'}}],
+        });
+
+        return client
+          .labelDetection(Buffer.from('fakeImage'))
+          .then(() => client.labelDetection(Buffer.from('fakeImage')))
+          .then(() => {
+            assert.strictEqual(batchAnnotate.callCount, 2);
+          });
+      });
+    });
+
     it('requires an image and throws without one', () => {
       const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
       const request = {};
@@ -278,6 +776,693 @@ describe('Vision helper methods', () => {
     });
   });
 
+  describe('result wrappers', () => {
+    it('wrap the annotations when asked to', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [{faceAnnotations: [{joyLikelihood: 'LIKELY'}]}],
+      });
+
+      const request = {
+        image: {source: {imageUri: 'gs://bucket/face.jpg'}},
+        features: [{type: 'FACE_DETECTION'}],
+      };
+      return client.annotateImage(request, {wrap: true}).then(r => {
+        const face = r[0].faceAnnotations[0];
+        assert(face instanceof vision.FaceResult);
+        assert.strictEqual(face.likelihood('joy'), 'LIKELY');
+        assert(batchAnnotate.calledWith(sinon.match.object, {}));
+      });
+    });
+
+    it('wrap the annotations of the single-feature methods', done => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [{logoAnnotations: [{description: 'Google'}]}],
+      });
+
+      client.logoDetection('gs://bucket/logo.png', {wrap: true}, (err, r) => {
+        assert.ifError(err);
+        assert(r.logoAnnotations[0] instanceof vision.EntityResult);
+        done();
+      });
+    });
+  });
+
+  describe('language rerun', () => {
+    // A full text annotation of Latin and Cyrillic words, read with the
+    // given confidence.
+    const mixedText = confidence => {
+      const word = (text, languageCode) => {
+        return {
+          property: {detectedLanguages: [{languageCode, confidence: 1}]},
+          confidence,
+          symbols: text.split('').map(c => ({text: c})),
+        };
+      };
+      return {
+        fullTextAnnotation: {
+          pages: [
+            {
+              blocks: [
+                {
+                  paragraphs: [
+                    {words: [word('Hello', 'en'), word('Привет', 'ru')]},
+                  ],
+                },
+              ],
+            },
+          ],
+          text: 'Hello Привет\n',
+        },
+      };
+    };
+    const request = () => {
+      return {image: {source: {imageUri: 'gs://bucket/letter.png'}}};
+    };
+
+    it('annotates mixed scripts again with language hints', () => {
+      const client = new vision.v1.ImageAnnotatorClient(
+        Object.assign({languageRerun: true}, CREDENTIALS)
+      );
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate
+        .onFirstCall()
+        .callsArgWith(2, undefined, {responses: [mixedText(0.4)]});
+      batchAnnotate
+        .onSecondCall()
+        .callsArgWith(2, undefined, {responses: [mixedText(0.9)]});
+
+      return client.documentTextDetection(request()).then(r => {
+        assert.strictEqual(batchAnnotate.callCount, 2);
+        const rerun = batchAnnotate.secondCall.args[0].requests[0];
+        assert.deepStrictEqual(rerun.imageContext, {
+          languageHints: ['ru', 'en'],
+        });
+        assert.strictEqual(
+          r[0].fullTextAnnotation.pages[0].blocks[0].paragraphs[0].words[0]
+            .confidence,
+          0.9
+        );
+      });
+    });
+
+    it('keeps the first response if it is read with more confidence', () => {
+      const client = new vision.v1.ImageAnnotatorClient(
+        Object.assign({languageRerun: {maxHints: 1}}, CREDENTIALS)
+      );
+      const first = mixedText(0.4);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.onFirstCall().callsArgWith(2, undefined, {
+        responses: [first],
+      });
+      batchAnnotate
+        .onSecondCall()
+        .callsArgWith(2, undefined, {responses: [mixedText(0.3)]});
+
+      return client.documentTextDetection(request()).then(r => {
+        const rerun = batchAnnotate.secondCall.args[0].requests[0];
+        assert.deepStrictEqual(rerun.imageContext.languageHints, ['ru']);
+        assert.strictEqual(r[0], first);
+      });
+    });
+
+    it('accepts a custom strategy', () => {
+      const strategy = sinon.stub().returns(['sr']);
+      const client = new vision.v1.ImageAnnotatorClient(
+        Object.assign({languageRerun: strategy}, CREDENTIALS)
+      );
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [mixedText(0.9)]});
+
+      return client.documentTextDetection(request()).then(() => {
+        assert(strategy.calledOnce);
+        assert.strictEqual(strategy.firstCall.args[1].features.length, 1);
+        const rerun = batchAnnotate.secondCall.args[0].requests[0];
+        assert.deepStrictEqual(rerun.imageContext.languageHints, ['sr']);
+      });
+    });
+
+    it('checks the strategy when the client is created', () => {
+      const create = languageRerun => {
+        return () => {
+          return new vision.v1.ImageAnnotatorClient(
+            Object.assign({languageRerun}, CREDENTIALS)
+          );
+        };
+      };
+      assert.throws(
+        create({minConfidense: 0.5}),
+        /Unknown option "minConfidense"\. Use one of: minConfidence, minShare, maxHints\./
+      );
+      assert.throws(
+        create({maxHints: 0}),
+        /The maxHints option must be a positive integer\./
+      );
+      assert.throws(create('yes'), /must be true, an object of options/);
+      create(false)();
+    });
+
+    it('leaves other requests alone', () => {
+      const client = new vision.v1.ImageAnnotatorClient(
+        Object.assign({languageRerun: true}, CREDENTIALS)
+      );
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [mixedText(0.4)]});
+
+      const hinted = Object.assign(request(), {
+        imageContext: {languageHints: ['en']},
+      });
+      return client
+        .documentTextDetection(hinted)
+        .then(() => {
+          return client.annotateImage({
+            image: request().image,
+            features: [{type: 'TEXT_DETECTION'}],
+          });
+        })
+        .then(() => {
+          assert.strictEqual(batchAnnotate.callCount, 2);
+        });
+    });
+
+    it('is off by default', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [mixedText(0.4)]});
+      return client.documentTextDetection(request()).then(() => {
+        assert.strictEqual(batchAnnotate.callCount, 1);
+      });
+    });
+  });
+
+  describe('handwritingDetection', () => {
+    const response = {
+      fullTextAnnotation: {
+        pages: [
+          {
+            blocks: [
+              {
+                paragraphs: [
+                  {
+                    words: [
+                      {confidence: 0.9, symbols: [{text: 'H'}, {text: 'i'}]},
+                      {confidence: 0.4, symbols: [{text: 'y'}, {text: 'o'}]},
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    };
+
+    it('hints handwriting and flags the unsure words', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [response]});
+
+      return client
+        .handwritingDetection('gs://bucket/note.jpg', {}, {mask: '?'})
+        .then(r => {
+          const request = batchAnnotate.firstCall.args[0].requests[0];
+          assert.deepStrictEqual(request.features, [{type: 11}]);
+          assert.deepStrictEqual(request.imageContext, {
+            languageHints: ['en-t-i0-handwrit'],
+          });
+          assert.strictEqual(r[0].text, 'Hiyo');
+          assert.strictEqual(r[0].maskedText, 'Hi?');
+          assert.deepStrictEqual(
+            r[0].words.map(word => word.lowConfidence),
+            [false, true]
+          );
+          assert.strictEqual(
+            r[0].fullTextAnnotation,
+            response.fullTextAnnotation
+          );
+        });
+    });
+
+    it('keeps the language hints it is given', done => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      const request = {
+        image: {source: {imageUri: 'gs://bucket/note.jpg'}},
+        imageContext: {languageHints: ['fr-t-i0-handwrit']},
+      };
+      client.handwritingDetection(request, (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.text, '');
+        assert.deepStrictEqual(
+          batchAnnotate.firstCall.args[0].requests[0].imageContext,
+          {languageHints: ['fr-t-i0-handwrit']}
+        );
+        done();
+      });
+    });
+
+    it('rejects invalid options without calling the API', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      return client
+        .handwritingDetection('gs://bucket/note.jpg', {}, {minConfidence: 5})
+        .then(assert.fail)
+        .catch(err => {
+          assert(/minConfidence option/.test(err.message));
+          assert.strictEqual(batchAnnotate.callCount, 0);
+        });
+    });
+  });
+
+  describe('annotateImages', () => {
+    // Build a stub for batchAnnotateImages that answers each request with a
+    // response naming the image it was sent.
+    const stubBatchAnnotate = client => {
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsFake((request, callOptions, callback) => {
+        setImmediate(() => {
+          callback(undefined, {
+            responses: request.requests.map(r => ({
+              labelAnnotations: [{description: r.image.source.imageUri}],
+            })),
+          });
+        });
+      });
+      return batchAnnotate;
+    };
+
+    it('splits the requests into batches and keeps their order', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = stubBatchAnnotate(client);
+
+      const uris = [];
+      for (let i = 0; i < 40; i++) {
+        uris.push(`gs://bucket/${i}.jpg`);
+      }
+      return client.annotateImages(uris).then(r => {
+        const responses = r[0];
+        assert.strictEqual(responses.length, 40);
+        responses.forEach((response, i) => {
+          assert.strictEqual(
+            response.labelAnnotations[0].description,
+            `gs://bucket/${i}.jpg`
+          );
+        });
+
+        // The service accepts at most 16 images per call.
+        assert.strictEqual(batchAnnotate.callCount, 3);
+        const sizes = batchAnnotate.args.map(a => a[0].requests.length);
+        assert.deepStrictEqual(sizes, [16, 16, 8]);
+      });
+    });
+
+    it('honors batchSize, concurrency and shared features', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsFake((request, callOptions, callback) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          callback(undefined, {responses: request.requests.map(() => ({}))});
+        }, 5);
+      });
+
+      const features = [{type: 'LABEL_DETECTION'}];
+      const requests = [
+        'gs://bucket/a.jpg',
+        {image: {source: {imageUri: 'gs://bucket/b.jpg'}}},
+        {
+          image: {source: {imageUri: 'gs://bucket/c.jpg'}},
+          features: [{type: 'FACE_DETECTION'}],
+        },
+        'gs://bucket/d.jpg',
+        'gs://bucket/e.jpg',
+      ];
+      const options = {batchSize: 2, concurrency: 2, features};
+      return client.annotateImages(requests, options, {foo: 'bar'}).then(r => {
+        assert.strictEqual(r[0].length, 5);
+        assert.strictEqual(batchAnnotate.callCount, 3);
+        assert.strictEqual(maxInFlight, 2);
+        assert(batchAnnotate.alwaysCalledWith(sinon.match.any, {foo: 'bar'}));
+        assert.deepStrictEqual(batchAnnotate.args[0][0].requests, [
+          {image: {source: {imageUri: 'gs://bucket/a.jpg'}}, features},
+          {image: {source: {imageUri: 'gs://bucket/b.jpg'}}, features},
+        ]);
+        assert.deepStrictEqual(batchAnnotate.args[1][0].requests[0].features, [
+          {type: 'FACE_DETECTION'},
+        ]);
+        assert.deepStrictEqual(requests[1], {
+          image: {source: {imageUri: 'gs://bucket/b.jpg'}},
+        });
+      });
+    });
+
+    it('coerces buffers and filenames', done => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const readFile = sandbox.stub(fs, 'readFile');
+      readFile
+        .withArgs('image.jpg')
+        .callsArgWith(1, null, Buffer.from('fakeImage'));
+      readFile.callThrough();
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}, {}]});
+
+      client.annotateImages(['image.jpg', Buffer.from('bogus')], err => {
+        assert.ifError(err);
+        assert.deepStrictEqual(batchAnnotate.args[0][0].requests, [
+          {image: {content: 'ZmFrZUltYWdl'}},
+          {image: {content: 'Ym9ndXM='}},
+        ]);
+        assert(batchAnnotate.calledWith(sinon.match.object, undefined));
+        done();
+      });
+    });
+
+    it('resolves with an empty array for no requests', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      return client.annotateImages([]).then(r => {
+        assert.deepStrictEqual(r[0], []);
+        assert.strictEqual(batchAnnotate.callCount, 0);
+      });
+    });
+
+    it('downscales images when asked to', () => {
+      const jpeg = fs.readFileSync(`${__dirname}/../system-test/data/logo.jpg`);
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [
+          {cropHintsAnnotation: {cropHints: [{boundingPoly: {vertices: []}}]}},
+          {labelAnnotations: []},
+        ],
+      });
+
+      const requests = [jpeg, 'gs://bucket/image.jpg'];
+      const callOptions = {resize: {maxEdge: 100, quality: 50}};
+      return client.annotateImages(requests, {}, callOptions).then(r => {
+        assert.strictEqual(r[0].length, 2);
+        const sent = batchAnnotate.args[0][0].requests;
+        assert(sent[0].image.content.length < jpeg.toString('base64').length);
+        assert.deepStrictEqual(sent[1], {
+          image: {source: {imageUri: 'gs://bucket/image.jpg'}},
+        });
+      });
+    });
+
+    it('propagates the first error and stops sending batches', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, {message: 'Bad things!'});
+
+      const uris = ['gs://a', 'gs://b', 'gs://c'];
+      return client
+        .annotateImages(uris, {batchSize: 1, concurrency: 1})
+        .then(assert.fail)
+        .catch(err => {
+          assert.deepStrictEqual(err, {message: 'Bad things!'});
+          assert.strictEqual(batchAnnotate.callCount, 1);
+        });
+    });
+
+    it('rejects invalid options', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      return Promise.all([
+        client
+          .annotateImages('gs://a')
+          .then(assert.fail)
+          .catch(err => {
+            assert.strictEqual(err.message, 'The requests must be an array.');
+          }),
+        client
+          .annotateImages([], {batchSize: 17})
+          .then(assert.fail)
+          .catch(err => {
+            assert(/batch size/.test(err.message));
+          }),
+        client
+          .annotateImages([], {concurrency: 0})
+          .then(assert.fail)
+          .catch(err => {
+            assert(/concurrency/.test(err.message));
+          }),
+      ]);
+    });
+  });
+
+  describe('createAnnotationStream', () => {
+    // Collect everything a stream emits, then resolve with it.
+    const collect = stream => {
+      return new Promise((resolve, reject) => {
+        const results = [];
+        stream.on('data', result => results.push(result));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(results));
+      });
+    };
+
+    it('batches inputs and emits results in order', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsFake((request, callOptions, callback) => {
+        // Answer later batches first, to check that the order is restored.
+        const delay = 20 - batchAnnotate.callCount * 5;
+        setTimeout(() => {
+          callback(undefined, {
+            responses: request.requests.map(r => ({
+              labelAnnotations: [{description: r.image.source.imageUri}],
+            })),
+          });
+        }, delay);
+      });
+
+      const features = [{type: 'LABEL_DETECTION'}];
+      const stream = client.createAnnotationStream({
+        features,
+        batchSize: 2,
+        concurrency: 3,
+      });
+      const promise = collect(stream);
+      const uris = ['gs://a', 'gs://b', 'gs://c', 'gs://d', 'gs://e'];
+      uris.forEach(uri => stream.write(uri));
+      stream.end();
+
+      return promise.then(results => {
+        assert.deepStrictEqual(
+          results.map(r => [
+            r.input,
+            r.response.labelAnnotations[0].description,
+          ]),
+          uris.map(uri => [uri, uri])
+        );
+        assert.strictEqual(batchAnnotate.callCount, 3);
+        assert.deepStrictEqual(batchAnnotate.args[0][0].requests, [
+          {image: {source: {imageUri: 'gs://a'}}, features},
+          {image: {source: {imageUri: 'gs://b'}}, features},
+        ]);
+      });
+    });
+
+    it('stops accepting writes at the concurrency limit', done => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const callbacks = [];
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsFake((request, callOptions, callback) => {
+        callbacks.push(() => callback(undefined, {responses: [{}]}));
+      });
+
+      const stream = client.createAnnotationStream({
+        batchSize: 1,
+        concurrency: 1,
+      });
+      let written = 0;
+      stream.write('gs://a', () => written++);
+      stream.write('gs://b', () => written++);
+      setImmediate(() => {
+        // The first write is held until its call completes, and the second
+        // write is not processed at all.
+        assert.strictEqual(written, 0);
+        assert.strictEqual(batchAnnotate.callCount, 1);
+        callbacks.shift()();
+        setImmediate(() => {
+          assert.strictEqual(written, 1);
+          assert.strictEqual(batchAnnotate.callCount, 2);
+          done();
+        });
+      });
+    });
+
+    it('emits per-item errors as data', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const readFile = sandbox.stub(fs, 'readFile');
+      readFile.withArgs('missing.jpg').callsArgWith(1, {error: 404});
+      readFile
+        .withArgs('image.jpg')
+        .callsArgWith(1, null, Buffer.from('fakeImage'));
+      readFile.callThrough();
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.onFirstCall().callsArgWith(2, undefined, {
+        responses: [{labelAnnotations: []}, {labelAnnotations: []}],
+      });
+      batchAnnotate.onSecondCall().callsArgWith(2, {message: 'Bad things!'});
+
+      const stream = client.createAnnotationStream({batchSize: 3});
+      const promise = collect(stream);
+      const buffer = Buffer.from('bogus');
+      const inputs = ['image.jpg', 'missing.jpg', buffer, 'gs://a', {}];
+      inputs.forEach(input => stream.write(input));
+      stream.end();
+
+      return promise.then(results => {
+        assert.strictEqual(results.length, 5);
+        assert.strictEqual(results[0].input, 'image.jpg');
+        assert.deepStrictEqual(results[0].response, {labelAnnotations: []});
+        assert.deepStrictEqual(results[1], {
+          input: 'missing.jpg',
+          error: {error: 404},
+        });
+        assert.strictEqual(results[2].input, buffer);
+        assert.deepStrictEqual(results[2].response, {labelAnnotations: []});
+        assert.deepStrictEqual(results[3].error, {message: 'Bad things!'});
+        assert.strictEqual(results[4].error.message, 'No image present.');
+
+        // Unreadable images are never sent.
+        assert.deepStrictEqual(batchAnnotate.args[0][0].requests, [
+          {image: {content: 'ZmFrZUltYWdl'}},
+          {image: {content: 'Ym9ndXM='}},
+        ]);
+        assert.strictEqual(batchAnnotate.args[1][0].requests.length, 1);
+      });
+    });
+
+    it('emits per-image errors with throwOnImageError', () => {
+      const options = Object.assign({throwOnImageError: true}, CREDENTIALS);
+      const client = new vision.v1.ImageAnnotatorClient(options);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [{error: {code: 3, message: 'Bad image data.'}}, {}],
+      });
+
+      const stream = client.createAnnotationStream();
+      const promise = collect(stream);
+      stream.write('gs://a');
+      stream.end('gs://b');
+      return promise.then(results => {
+        assert(results[0].error instanceof vision.ImageAnnotationError);
+        assert.deepStrictEqual(results[0].error.request, {
+          image: {source: {imageUri: 'gs://a'}},
+        });
+        assert.deepStrictEqual(results[1], {input: 'gs://b', response: {}});
+      });
+    });
+
+    it('skips the call when no image in a batch can be read', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+
+      const stream = client.createAnnotationStream();
+      const promise = collect(stream);
+      stream.end({});
+      return promise.then(results => {
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(batchAnnotate.callCount, 0);
+      });
+    });
+
+    it('throws on invalid options', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      assert.throws(() => {
+        client.createAnnotationStream({batchSize: 0});
+      }, /batch size/);
+      assert.throws(() => {
+        client.createAnnotationStream({concurrency: 1.5});
+      }, /concurrency/);
+    });
+  });
+
+  describe('analyze', () => {
+    it('requests several features and unwraps the response', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [
+          {
+            labelAnnotations: [{description: 'cat'}],
+            safeSearchAnnotation: {adult: 'VERY_UNLIKELY'},
+            logoAnnotations: [],
+          },
+        ],
+      });
+
+      const imageContext = {languageHints: ['en']};
+      const options = {labels: {maxResults: 3}, imageContext};
+      return client
+        .analyze(
+          'gs://bucket/cat.jpg',
+          ['labels', 'safeSearch', 'labels'],
+          options
+        )
+        .then(r => {
+          assert.deepStrictEqual(Object.keys(r[0]), ['labels', 'safeSearch']);
+          assert.deepStrictEqual(r[0].labels, [{description: 'cat'}]);
+          assert.strictEqual(r[0].safeSearch.adult, 'VERY_UNLIKELY');
+          assert(
+            batchAnnotate.calledWith({
+              requests: [
+                {
+                  image: {source: {imageUri: 'gs://bucket/cat.jpg'}},
+                  features: [
+                    {type: 'LABEL_DETECTION', maxResults: 3},
+                    {type: 'SAFE_SEARCH_DETECTION'},
+                  ],
+                  imageContext,
+                },
+              ],
+            })
+          );
+        });
+    });
+
+    it('fires a callback with call options', done => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      client.analyze(
+        Buffer.from('bogus'),
+        ['text'],
+        {},
+        {foo: 'bar'},
+        (err, result) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(result, {text: {text: '', blocks: []}});
+          assert(batchAnnotate.calledWith(sinon.match.object, {foo: 'bar'}));
+          done();
+        }
+      );
+    });
+
+    it('rejects unknown features without calling the API', () => {
+      const client = new vision.v1p1beta1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      return client
+        .analyze('gs://bucket/cat.jpg', ['objects'])
+        .then(assert.fail)
+        .catch(err => {
+          assert(/not available/.test(err.message));
+          assert.strictEqual(batchAnnotate.callCount, 0);
+        });
+    });
+  });
+
   describe('single-feature methods', () => {
     it('call `annotateImage` with the correct feature', () => {
       const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
@@ -388,6 +1573,38 @@ describe('Vision helper methods', () => {
       });
     });
 
+    it('accept a data URI as a string', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      return client.logoDetection('data:image/png;base64,Ym9ndXM=').then(() => {
+        assert(
+          batchAnnotate.calledWith({
+            requests: [{image: {content: 'Ym9ndXM='}, features: [{type: 3}]}],
+          })
+        );
+      });
+    });
+
+    it('understand a stream sent directly', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      const stream = new PassThrough();
+      stream.end('fakeImage');
+      return client.logoDetection(stream).then(() => {
+        assert(
+          batchAnnotate.calledWith({
+            requests: [
+              {image: {content: 'ZmFrZUltYWdl'}, features: [{type: 3}]},
+            ],
+          })
+        );
+      });
+    });
+
     it('understand a buffer sent directly', () => {
       const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
 
@@ -465,6 +1682,138 @@ describe('Vision helper methods', () => {
       });
     });
 
+    it('reject with per-image errors with throwOnImageError', () => {
+      const options = Object.assign({throwOnImageError: true}, CREDENTIALS);
+      const client = new vision.v1.ImageAnnotatorClient(options);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {
+        responses: [{error: {code: 7, message: 'Permission denied.'}}],
+      });
+
+      return client
+        .textDetection('https://goo.gl/logo.png')
+        .then(assert.fail)
+        .catch(err => {
+          assert(err instanceof vision.ImageAnnotationError);
+          assert.strictEqual(err.code, 7);
+          assert.deepStrictEqual(err.request, {
+            image: {source: {imageUri: 'https://goo.gl/logo.png'}},
+            features: [{type: 5}],
+          });
+        });
+    });
+
+    it('merge per-feature options into the request', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      const request = {
+        image: {source: {imageUri: 'gs://bucket/cat.jpg'}},
+        imageContext: {languageHints: ['en']},
+      };
+      const options = {
+        maxResults: 10,
+        model: 'builtin/latest',
+        imageContext: {latLongRect: {}},
+      };
+      return client.labelDetection(request, {foo: 'bar'}, options).then(() => {
+        assert(
+          batchAnnotate.calledWith(
+            {
+              requests: [
+                {
+                  image: {source: {imageUri: 'gs://bucket/cat.jpg'}},
+                  imageContext: {languageHints: ['en'], latLongRect: {}},
+                  features: [
+                    {type: 4, maxResults: 10, model: 'builtin/latest'},
+                  ],
+                },
+              ],
+            },
+            {foo: 'bar'}
+          )
+        );
+      });
+    });
+
+    it('merge per-feature options into explicit features', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      const request = {
+        image: {source: {imageUri: 'gs://bucket/cat.jpg'}},
+        features: [{type: 4, maxResults: 2}],
+      };
+      const options = {maxResults: 10, model: 'builtin/latest'};
+      return client.labelDetection(request, {}, options).then(() => {
+        assert.deepStrictEqual(
+          batchAnnotate.firstCall.args[0].requests[0].features,
+          [{type: 4, maxResults: 10, model: 'builtin/latest'}]
+        );
+      });
+    });
+
+    it('leave the request they are given unchanged', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      const request = {image: {source: {imageUri: 'gs://bucket/cat.jpg'}}};
+      return client
+        .labelDetection(request)
+        .then(() => client.faceDetection(request))
+        .then(() => client.analyze(request, ['logos']))
+        .then(() => {
+          assert.deepStrictEqual(request, {
+            image: {source: {imageUri: 'gs://bucket/cat.jpg'}},
+          });
+          assert.deepStrictEqual(
+            batchAnnotate.args.map(args => args[0].requests[0].features),
+            [[{type: 4}], [{type: 1}], [{type: 'LOGO_DETECTION'}]]
+          );
+        });
+    });
+
+    it('fire a callback given per-feature options', done => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      batchAnnotate.callsArgWith(2, undefined, {responses: [{}]});
+
+      const options = {model: 'builtin/stable'};
+      client.textDetection('gs://bucket/a.png', undefined, options, err => {
+        assert.ifError(err);
+        const request = batchAnnotate.firstCall.args[0].requests[0];
+        assert.deepStrictEqual(request.features, [
+          {type: 5, model: 'builtin/stable'},
+        ]);
+        done();
+      });
+    });
+
+    it('reject per-feature options that do not apply', () => {
+      const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+      const batchAnnotate = sandbox.stub(client, 'batchAnnotateImages');
+      const request = 'gs://bucket/a.png';
+      const invalid = [
+        [client.textDetection, {maxResults: 5}, /does not apply to TEXT/],
+        [client.labelDetection, {maxResults: 0}, /positive integer/],
+        [client.labelDetection, {maxResults: '5'}, /positive integer/],
+        [client.faceDetection, {model: 'builtin/v2'}, /Unknown model/],
+      ];
+      return Promise.all(
+        invalid.map(args => {
+          return args[0]
+            .call(client, request, {}, args[1])
+            .then(assert.fail)
+            .catch(err => assert(args[2].test(err.message)));
+        })
+      ).then(() => {
+        assert.strictEqual(batchAnnotate.callCount, 0);
+      });
+    });
+
     it('throw an exception if conflicting features are given', () => {
       const client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
       const imageRequest = {
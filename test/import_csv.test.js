@@ -0,0 +1,262 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {ImportCsvError} = require('../src/errors');
+const {
+  buildImportCsv,
+  parseImportCsv,
+  readImportResults,
+  validateImportCsv,
+} = require('../src/import_csv');
+
+describe('Import CSV', () => {
+  const shoe = {
+    imageUri: 'gs://bucket/shoe-1.jpg',
+    imageId: 'shoe-1-side',
+    productSetId: 'shoes',
+    productId: 'shoe-1',
+    productCategory: 'apparel',
+    productDisplayName: 'Running "Pro" shoe',
+    productLabels: [
+      {key: 'color', value: 'blue'},
+      {key: 'size', value: '9'},
+    ],
+    boundingPoly: {
+      vertices: [
+        {x: 0, y: 0},
+        {x: 100, y: 0},
+        {x: 100, y: 50},
+      ],
+    },
+  };
+  const lamp = {
+    imageUri: 'gs://bucket/lamp.jpg',
+    productSetId: 'home',
+    productId: 'lamp',
+    productCategory: 'homegoods',
+  };
+
+  const CSV =
+    'gs://bucket/shoe-1.jpg,shoe-1-side,shoes,shoe-1,apparel,' +
+    '"Running ""Pro"" shoe","color=blue,size=9","0,0,100,0,100,50"\n' +
+    'gs://bucket/lamp.jpg,,home,lamp,homegoods\n';
+
+  describe('buildImportCsv', () => {
+    it('builds a line for each row, quoting as needed', () => {
+      assert.strictEqual(buildImportCsv([shoe, lamp]), CSV);
+    });
+
+    it('writes normalized bounding polys', () => {
+      const row = Object.assign({}, lamp, {
+        boundingPoly: {
+          normalizedVertices: [
+            {x: 0, y: 0},
+            {x: 0.5, y: 0},
+            {x: 0.5, y: 1},
+          ],
+        },
+      });
+      assert.strictEqual(
+        buildImportCsv([row]),
+        'gs://bucket/lamp.jpg,,home,lamp,homegoods,,,"0,0,0.5,0,0.5,1"\n'
+      );
+    });
+
+    it('reports every invalid row with its line', () => {
+      const rows = [
+        Object.assign({}, lamp, {imageUri: '/tmp/lamp.jpg'}),
+        lamp,
+        Object.assign({}, shoe, {
+          productCategory: 'shoes',
+          productLabels: [{key: 'a,b', value: 'c'}],
+          boundingPoly: {
+            vertices: [
+              {x: 0, y: 0},
+              {x: 1, y: 1},
+            ],
+          },
+        }),
+      ];
+      assert.throws(
+        () => buildImportCsv(rows),
+        err => {
+          assert(err instanceof ImportCsvError);
+          assert.strictEqual(
+            err.message,
+            'Line 1: The image_uri must be the gs:// URI of an image. ' +
+              '(and 3 more)'
+          );
+          assert.deepStrictEqual(
+            err.problems.map(problem => [problem.line, problem.column]),
+            [
+              [1, 'image_uri'],
+              [3, 'product_category'],
+              [3, 'labels'],
+              [3, 'bounding_poly'],
+            ]
+          );
+          return true;
+        }
+      );
+    });
+  });
+
+  describe('parseImportCsv', () => {
+    it('reads the rows built by buildImportCsv', () => {
+      const rows = parseImportCsv(Buffer.from(`\ufeff${CSV}`));
+      assert.deepStrictEqual(rows, [
+        Object.assign({line: 1}, shoe),
+        Object.assign({line: 2}, lamp, {
+          imageId: null,
+          productDisplayName: null,
+          productLabels: [],
+          boundingPoly: null,
+        }),
+      ]);
+    });
+
+    it('reads normalized bounding polys', () => {
+      const rows = parseImportCsv(
+        'gs://bucket/lamp.jpg,,home,lamp,homegoods,,,"0,0,0.5,0,0.5,1"'
+      );
+      assert.deepStrictEqual(rows[0].boundingPoly, {
+        normalizedVertices: [
+          {x: 0, y: 0},
+          {x: 0.5, y: 0},
+          {x: 0.5, y: 1},
+        ],
+      });
+    });
+  });
+
+  describe('validateImportCsv', () => {
+    it('reports the problems of each line', () => {
+      const csv = [
+        'gs://bucket/a.jpg,a,shoes,shoe-1,apparel,Shoe,color=blue',
+        '',
+        'gs://bucket/b.jpg,a,shoes,shoe-1,homegoods,,colorblue',
+        'gs://bucket/c.jpg,,shoes',
+        'gs://bucket/d.jpg,,shoes,shoe/2,toys,,,"0,0,1"',
+        'gs://bucket/e.jpg,,shoes,shoe-3,apparel,"Open',
+        'gs://bucket/f.jpg,,shoes,shoe-4,apparel,,,"0,0,1.5,0,1,1"',
+      ].join('\r\n');
+      assert.deepStrictEqual(validateImportCsv(csv), [
+        {
+          line: 3,
+          column: 'labels',
+          message: 'The label "colorblue" must be a key=value pair.',
+        },
+        {
+          line: 3,
+          column: 'image_id',
+          message: 'The image_id a is also used on line 1.',
+        },
+        {
+          line: 3,
+          column: 'product_category',
+          message:
+            'The product_category of product shoe-1 differs from the one on ' +
+            'line 1.',
+        },
+        {
+          line: 4,
+          column: null,
+          message: 'The line has 3 columns; it must have from 5 to 8.',
+        },
+        {
+          line: 5,
+          column: 'bounding_poly',
+          message: 'The bounding_poly must have an even number of coordinates.',
+        },
+        {
+          line: 5,
+          column: 'product_id',
+          message:
+            'The product_id must be at most 128 characters long, ' +
+            'without "/".',
+        },
+        {
+          line: 5,
+          column: 'product_category',
+          message:
+            'The product_category "toys" must be one of apparel, homegoods.',
+        },
+        {line: 6, column: null, message: 'A quoted field is not closed.'},
+        {
+          line: 7,
+          column: 'bounding_poly',
+          message:
+            'The normalized vertices of the bounding_poly must be from 0 to 1.',
+        },
+      ]);
+    });
+
+    it('accepts other categories', () => {
+      const csv = 'gs://bucket/a.jpg,,toys,robot,toys\n';
+      assert.strictEqual(validateImportCsv(csv).length, 1);
+      assert.deepStrictEqual(
+        validateImportCsv(csv, {categories: ['toys']}),
+        []
+      );
+    });
+  });
+
+  describe('readImportResults', () => {
+    const response = {
+      referenceImages: [{name: 'shoe-1-side'}, {name: 'lamp'}],
+      statuses: [{code: 0}, {code: 6, message: 'Exists.'}, {code: 0}],
+    };
+
+    it('gives the line numbers without the CSV', () => {
+      const results = readImportResults(response);
+      assert.deepStrictEqual(results.successes, [
+        {line: 1, text: null, row: null, referenceImage: {name: 'shoe-1-side'}},
+        {line: 3, text: null, row: null, referenceImage: {name: 'lamp'}},
+      ]);
+      assert.deepStrictEqual(results.failures, {
+        ALREADY_EXISTS: [
+          {
+            line: 2,
+            text: null,
+            row: null,
+            status: {code: 6, message: 'Exists.'},
+          },
+        ],
+      });
+      assert.strictEqual(results.retryCsv, null);
+    });
+
+    it('matches the reference images to the lines by index', () => {
+      const results = readImportResults(
+        {
+          referenceImages: [{name: 'a'}, {}, {name: 'c'}],
+          statuses: [{}, {code: 13}, {}],
+        },
+        'x\ny\nz'
+      );
+      assert.deepStrictEqual(
+        results.successes.map(result => result.referenceImage.name),
+        ['a', 'c']
+      );
+      assert.strictEqual(results.failures.INTERNAL[0].text, 'y');
+      assert.strictEqual(results.retryCsv, 'y\n');
+    });
+  });
+});
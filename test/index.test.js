@@ -36,6 +36,9 @@ describe('Vision', () => {
       // Assert that the manual single-image helper method is present
       // on the object.
       assert(client.annotateImage instanceof Function);
+      assert(client.annotateImages instanceof Function);
+      assert(client.createAnnotationStream instanceof Function);
+      assert(client.analyze instanceof Function);
 
       // Assert that some of the expected single-feature helper methods
       // are present on the object.
@@ -50,5 +53,45 @@ describe('Vision', () => {
       assert(client.cropHints instanceof Function);
       assert(client.webDetection instanceof Function);
     });
+
+    it('keeps the options it was created with', () => {
+      const options = Object.assign({throwOnImageError: true}, CREDENTIALS);
+      const client = new vision.v1.ImageAnnotatorClient(options);
+      assert(client instanceof vision.ImageAnnotatorClient);
+      assert.strictEqual(client._helperOptions.throwOnImageError, true);
+      assert.strictEqual(
+        vision.ImageAnnotatorClient.servicePath,
+        'vision.googleapis.com'
+      );
+    });
+  });
+
+  describe('text', () => {
+    it('exposes the text utilities, without their shared helpers', () => {
+      assert(vision.text.layout instanceof Function);
+      assert(vision.text.readHandwriting instanceof Function);
+      assert(vision.text.toAlto instanceof Function);
+      assert.strictEqual(vision.text.unionBoxes, undefined);
+      assert.strictEqual(vision.text.entityWords, undefined);
+      assert.strictEqual(vision.text.resolveHandwritingOptions, undefined);
+      assert.strictEqual(vision.text.languageHintsFor, undefined);
+      assert.strictEqual(vision.text.textConfidence, undefined);
+      assert(vision.text.languageSegments instanceof Function);
+    });
+  });
+
+  describe('ImageAnnotationError', () => {
+    it('carries the status and the request', () => {
+      const request = {image: {content: 'Ym9ndXM='}};
+      const err = new vision.ImageAnnotationError(
+        {code: 3, message: 'Bad image data.'},
+        request
+      );
+      assert(err instanceof Error);
+      assert.strictEqual(err.message, 'Bad image data.');
+      assert.strictEqual(err.code, 3);
+      assert.deepStrictEqual(err.details, []);
+      assert.strictEqual(err.request, request);
+    });
   });
 });
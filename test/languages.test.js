@@ -0,0 +1,222 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const languages = require('../src/languages');
+
+describe('Text languages', () => {
+  const poly = (x, y, width, height) => {
+    return {
+      vertices: [
+        {x, y},
+        {x: x + width, y},
+        {x: x + width, y: y + height},
+        {x, y: y + height},
+      ],
+    };
+  };
+
+  const detected = languageCode => {
+    return languageCode
+      ? {detectedLanguages: [{languageCode, confidence: 1}]}
+      : undefined;
+  };
+
+  // A word at (x, y), ten units wide per character and followed by a space,
+  // in the given language.
+  const word = (text, x, y, languageCode, confidence) => {
+    const symbols = Array.from(text).map(c => ({text: c}));
+    symbols[symbols.length - 1].property = {detectedBreak: {type: 'SPACE'}};
+    return {
+      boundingBox: poly(x, y, 10 * symbols.length, 10),
+      property: detected(languageCode),
+      confidence,
+      symbols,
+    };
+  };
+
+  const block = (y, languageCode, words) => {
+    return {
+      boundingBox: poly(0, y, 200, 10),
+      property: detected(languageCode),
+      paragraphs: [{words}],
+    };
+  };
+
+  // An English block above a Russian one.
+  const document = confidence => {
+    return {
+      pages: [
+        {
+          width: 200,
+          height: 100,
+          blocks: [
+            block(0, 'en', [
+              word('Hello', 0, 0, null, confidence),
+              word('world', 60, 0, null, confidence),
+              word('2018', 120, 0, null, confidence),
+            ]),
+            block(50, null, [
+              word('Привет', 0, 50, 'ru', confidence),
+              word('мир', 70, 50, 'ru', confidence),
+            ]),
+          ],
+        },
+      ],
+      text: 'Hello world 2018\nПривет мир\n',
+    };
+  };
+
+  describe('languageDistribution', () => {
+    it('counts the characters in each language', () => {
+      assert.deepStrictEqual(languages.languageDistribution(document()), [
+        {languageCode: 'en', characters: 14, share: 14 / 23},
+        {languageCode: 'ru', characters: 9, share: 9 / 23},
+      ]);
+    });
+
+    it('counts text with no language as undetermined', () => {
+      const annotation = {
+        pages: [{blocks: [block(0, null, [word('42', 0, 0)])]}],
+      };
+      assert.deepStrictEqual(languages.languageDistribution(annotation), [
+        {languageCode: 'und', characters: 2, share: 1},
+      ]);
+      assert.deepStrictEqual(languages.languageDistribution({}), []);
+    });
+  });
+
+  describe('blockLanguageDistributions', () => {
+    it('breaks each block down by language', () => {
+      const blocks = languages.blockLanguageDistributions(document());
+      assert.deepStrictEqual(blocks, [
+        {
+          page: 1,
+          box: {x: 0, y: 0, width: 200, height: 10},
+          text: 'Hello world 2018',
+          languages: [{languageCode: 'en', characters: 14, share: 1}],
+        },
+        {
+          page: 1,
+          box: {x: 0, y: 50, width: 200, height: 10},
+          text: 'Привет мир',
+          languages: [{languageCode: 'ru', characters: 9, share: 1}],
+        },
+      ]);
+    });
+  });
+
+  describe('languageSegments', () => {
+    it('splits the text into runs of one language', () => {
+      const annotation = {
+        pages: [
+          {
+            blocks: [
+              block(0, null, [
+                word('Hello', 0, 0, 'en'),
+                word('мир', 60, 0, 'ru'),
+                word('42', 100, 0, 'en'),
+                word('мой', 130, 0),
+                word('world', 170, 0, 'en'),
+              ]),
+            ],
+          },
+          {blocks: [block(0, null, [word('again', 0, 0, 'en')])]},
+        ],
+      };
+      const segments = languages.languageSegments(annotation);
+      assert.deepStrictEqual(
+        segments.map(segment => {
+          return [segment.page, segment.languageCode, segment.text];
+        }),
+        [
+          [1, 'en', 'Hello'],
+          [1, 'ru', 'мир 42 мой'],
+          [1, 'en', 'world'],
+          [2, 'en', 'again'],
+        ]
+      );
+      assert.strictEqual(segments[1].words.length, 3);
+    });
+  });
+
+  describe('textConfidence', () => {
+    it('averages the confidences of the words', () => {
+      const annotation = {
+        pages: [
+          {
+            blocks: [
+              block(0, null, [
+                word('a', 0, 0, null, 0.5),
+                word('b', 20, 0, null, 1),
+                word('c', 40, 0),
+              ]),
+            ],
+          },
+        ],
+      };
+      assert.strictEqual(languages.textConfidence(annotation), 0.75);
+      assert.strictEqual(languages.textConfidence(document()), null);
+    });
+  });
+
+  describe('languageHintsFor', () => {
+    it('hints the languages of mixed scripts read with low confidence', () => {
+      assert.deepStrictEqual(languages.languageHintsFor(document(0.5)), [
+        'en',
+        'ru',
+      ]);
+      assert.deepStrictEqual(
+        languages.languageHintsFor(document(0.5), {maxHints: 1}),
+        ['en']
+      );
+    });
+
+    it('keeps text read with enough confidence', () => {
+      assert.strictEqual(languages.languageHintsFor(document(0.9)), null);
+      assert.strictEqual(
+        languages.languageHintsFor(document(0.9), {minConfidence: 0.95}).length,
+        2
+      );
+      assert.strictEqual(languages.languageHintsFor(document()), null);
+    });
+
+    it('keeps text in a single script', () => {
+      const annotation = document(0.5);
+      annotation.text = 'Hello world 2018\nPrivet mir\n';
+      assert.strictEqual(languages.languageHintsFor(annotation), null);
+      annotation.text = 'Hello world 2018 Hello world 2018\nмир\n';
+      assert.strictEqual(
+        languages.languageHintsFor(annotation, {minShare: 0.2}),
+        null
+      );
+    });
+
+    it('validates its options', () => {
+      assert.throws(
+        () => languages.languageHintsFor(document(0.5), {minConfidence: 2}),
+        /The minConfidence option must be a number from 0 to 1\./
+      );
+      assert.throws(
+        () => languages.languageHintsFor(document(0.5), {maxHints: 0}),
+        /The maxHints option must be a positive integer\./
+      );
+    });
+  });
+});
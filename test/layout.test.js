@@ -0,0 +1,292 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const layout = require('../src/layout');
+
+describe('Text layout', () => {
+  const poly = (x, y, width, height) => {
+    return {
+      vertices: [
+        {x, y},
+        {x: x + width, y},
+        {x: x + width, y: y + height},
+        {x, y: y + height},
+      ],
+    };
+  };
+
+  // A word at (x, y), ten units wide per character, with a break after it.
+  const word = (text, x, y, breakType) => {
+    const symbols = text.split('').map(c => ({text: c}));
+    if (breakType) {
+      symbols[symbols.length - 1].property = {detectedBreak: {type: breakType}};
+    }
+    return {boundingBox: poly(x, y, 10 * text.length, 10), symbols};
+  };
+
+  const block = (x, y, words) => {
+    return {boundingBox: poly(x, y, 100, 100), paragraphs: [{words}]};
+  };
+
+  describe('layout', () => {
+    it('rebuilds lines from the detected breaks', () => {
+      const result = layout.layout({
+        pages: [
+          {
+            width: 100,
+            height: 100,
+            blocks: [
+              block(0, 0, [
+                word('Hello', 0, 0),
+                word(',', 50, 0, 'SURE_SPACE'),
+                word('world', 70, 0),
+                word('!', 120, 0, 'EOL_SURE_SPACE'),
+                word('Bye', 0, 20, 'LINE_BREAK'),
+              ]),
+            ],
+          },
+        ],
+      });
+      const paragraph = result.pages[0].blocks[0].paragraphs[0];
+      assert.deepStrictEqual(
+        paragraph.lines.map(line => line.text),
+        ['Hello, world!', 'Bye']
+      );
+      assert.strictEqual(paragraph.text, 'Hello, world! Bye');
+      assert.deepStrictEqual(paragraph.lines[0].box, {
+        x: 0,
+        y: 0,
+        width: 130,
+        height: 10,
+      });
+      assert.deepStrictEqual(paragraph.lines[0].words[2], {
+        text: 'world',
+        box: {x: 70, y: 0, width: 50, height: 10},
+        confidence: null,
+        symbols: 'world'.split('').map(text => {
+          return {text, box: null, confidence: null};
+        }),
+        language: null,
+        break: null,
+        hyphenated: false,
+      });
+    });
+
+    it('joins hyphenated words across lines', () => {
+      const result = layout.layout({
+        pages: [
+          {
+            blocks: [
+              block(0, 0, [
+                word('a', 0, 0, 1),
+                word('won', 20, 0, 4),
+                word('der', 0, 20, 1),
+                word('well-', 40, 20, 3),
+                word('known', 0, 40, 5),
+              ]),
+            ],
+          },
+        ],
+      });
+      const paragraph = result.pages[0].blocks[0].paragraphs[0];
+      assert.deepStrictEqual(
+        paragraph.lines.map(line => line.text),
+        ['a won-', 'der well-', 'known']
+      );
+      assert.strictEqual(paragraph.text, 'a wonder well-known');
+      assert.strictEqual(paragraph.lines[0].words[1].hyphenated, true);
+    });
+
+    it('puts columns into reading order', () => {
+      // A heading across the page, over two columns of two blocks each,
+      // which the API listed row by row.
+      const heading = block(0, 0, [word('Title', 0, 0)]);
+      heading.boundingBox = poly(0, 0, 300, 50);
+      const result = layout.layout({
+        pages: [
+          {
+            width: 300,
+            height: 400,
+            blocks: [
+              block(200, 300, [word('D', 200, 300)]),
+              heading,
+              block(0, 100, [word('A', 0, 100)]),
+              block(200, 100, [word('C', 200, 100)]),
+              block(0, 250, [word('B', 0, 250)]),
+            ],
+          },
+        ],
+      });
+      const order = result.pages[0].blocks.map(b => b.paragraphs[0].text);
+      assert.deepStrictEqual(order, ['Title', 'A', 'B', 'C', 'D']);
+    });
+
+    it('accepts normalized vertices and reports languages', () => {
+      const result = layout.layout({
+        pages: [
+          {
+            width: 200,
+            height: 100,
+            confidence: 0.5,
+            property: {detectedLanguages: [{languageCode: 'de'}]},
+            blocks: [
+              {
+                paragraphs: [
+                  {
+                    confidence: 0.9,
+                    words: [
+                      {
+                        confidence: 0.8,
+                        boundingBox: {
+                          normalizedVertices: [
+                            {x: 0.5, y: 0.5},
+                            {x: 1, y: 1},
+                          ],
+                        },
+                        symbols: [{text: 'Ja'}],
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      });
+      const page = result.pages[0];
+      assert.strictEqual(page.language, 'de');
+      assert.strictEqual(page.confidence, 0.5);
+      assert.deepStrictEqual(page.blocks[0].box, {
+        x: 100,
+        y: 50,
+        width: 100,
+        height: 50,
+      });
+      assert.strictEqual(page.blocks[0].paragraphs[0].confidence, 0.9);
+      assert.strictEqual(page.blocks[0].paragraphs[0].lines[0].confidence, 0.8);
+    });
+
+    it('returns no pages for an empty annotation', () => {
+      assert.deepStrictEqual(layout.layout(undefined), {pages: []});
+      assert.strictEqual(layout.toPlainText({}), '');
+      assert.strictEqual(layout.toMarkdown({}), '');
+      assert.strictEqual(layout.toJsonLines({}), '');
+    });
+  });
+
+  describe('renderings', () => {
+    const annotation = {
+      pages: [
+        {
+          blocks: [
+            block(0, 0, [
+              word('#1', 0, 0, 1),
+              word('in', 30, 0, 4),
+              word('side', 0, 20, 5),
+            ]),
+            block(0, 200, [word('stock', 0, 20, 'LINE_BREAK')]),
+          ],
+        },
+        {blocks: [block(0, 0, [word('*new*', 0, 0)])]},
+      ],
+    };
+
+    it('renders plain text', () => {
+      assert.strictEqual(
+        layout.toPlainText(annotation),
+        '#1 inside\n\nstock\n\n*new*'
+      );
+      assert.strictEqual(
+        layout.toPlainText(annotation, {preserveLines: true}),
+        '#1 in-\nside\n\nstock\n\n*new*'
+      );
+    });
+
+    it('renders Markdown', () => {
+      assert.strictEqual(
+        layout.toMarkdown(annotation),
+        '\\#1 inside\n\nstock\n\n---\n\n\\*new\\*\n'
+      );
+    });
+
+    it('renders JSON lines', () => {
+      const lines = layout
+        .toJsonLines(annotation)
+        .split('\n')
+        .filter(line => line)
+        .map(line => JSON.parse(line));
+      assert.deepStrictEqual(lines[0], {
+        page: 1,
+        block: 1,
+        paragraph: 1,
+        line: 1,
+        text: '#1 in-',
+        box: {x: 0, y: 0, width: 50, height: 10},
+        confidence: null,
+      });
+      assert.deepStrictEqual(
+        lines.map(line => [line.page, line.block, line.text]),
+        [
+          [1, 1, '#1 in-'],
+          [1, 1, 'side'],
+          [1, 2, 'stock'],
+          [2, 1, '*new*'],
+        ]
+      );
+    });
+  });
+
+  describe('box helpers', () => {
+    it('computes the box around boxes, ignoring null ones', () => {
+      assert.deepStrictEqual(
+        layout.unionBoxes([
+          {x: 10, y: 5, width: 10, height: 10},
+          null,
+          {x: 0, y: 20, width: 5, height: 5},
+        ]),
+        {x: 0, y: 5, width: 20, height: 20}
+      );
+      assert.strictEqual(layout.unionBoxes([null]), null);
+    });
+
+    it('reads the words of text annotations', () => {
+      const words = layout.entityWords([
+        {description: 'Hello world', boundingPoly: poly(0, 0, 110, 10)},
+        {description: 'Hello', boundingPoly: poly(0, 0, 50, 10), score: 0.9},
+        {description: 'world', boundingPoly: {vertices: [{x: 60}, {y: 10}]}},
+        {description: 'again'},
+      ]);
+      assert.deepStrictEqual(words, [
+        {
+          text: 'Hello',
+          box: {x: 0, y: 0, width: 50, height: 10},
+          confidence: 0.9,
+        },
+        {
+          text: 'world',
+          box: {x: 0, y: 0, width: 60, height: 10},
+          confidence: null,
+        },
+        {text: 'again', box: null, confidence: null},
+      ]);
+      assert.deepStrictEqual(layout.entityWords(undefined), []);
+    });
+  });
+});
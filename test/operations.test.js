@@ -0,0 +1,572 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {EventEmitter} = require('events');
+const gax = require('google-gax');
+const path = require('path');
+const protobuf = require('protobufjs');
+const sinon = require('sinon');
+
+const vision = require('../');
+
+describe('File annotation operations', () => {
+  const CREDENTIALS = Object.freeze({
+    credentials: {client_email: 'bogus', private_key: 'bogus'},
+    projectId: 'bogus',
+  });
+  const NAME = 'operations/123';
+  const REQUESTS = [
+    {
+      inputConfig: {
+        mimeType: 'application/pdf',
+        gcsSource: {uri: 'gs://bucket/document.pdf'},
+      },
+      features: [{type: 'DOCUMENT_TEXT_DETECTION'}],
+      outputConfig: {gcsDestination: {uri: 'gs://bucket/output/'}},
+    },
+  ];
+
+  let root = new gax.GoogleProtoFilesRoot();
+  root = protobuf.loadSync(
+    path.join(
+      __dirname,
+      '..',
+      'protos',
+      'google/cloud/vision/v1/image_annotator.proto'
+    ),
+    root
+  );
+  const Metadata = root.lookupType('google.cloud.vision.v1.OperationMetadata');
+  const Response = root.lookupType(
+    'google.cloud.vision.v1.AsyncBatchAnnotateFilesResponse'
+  );
+
+  // A google.longrunning.Operation in the given state, updated at the given
+  // second, and with the given response or error once it is done.
+  const rawOperation = (state, seconds, result) => {
+    const operation = {
+      name: NAME,
+      metadata: {
+        typeUrl: 'type.googleapis.com/google.cloud.vision.v1.OperationMetadata',
+        value: Metadata.encode(
+          Metadata.fromObject({
+            state,
+            createTime: {seconds: 100},
+            updateTime: {seconds},
+          })
+        ).finish(),
+      },
+      done: !!result,
+    };
+    if (result && result.error) {
+      operation.result = 'error';
+      operation.error = result.error;
+    } else if (result) {
+      operation.result = 'response';
+      operation.response = {
+        value: Response.encode(Response.fromObject(result)).finish(),
+      };
+    }
+    return operation;
+  };
+
+  const sandbox = sinon.sandbox.create();
+  let client;
+
+  // Make asyncBatchAnnotateFiles start an operation, which then goes through
+  // the given states as it is polled.
+  const stubOperation = (initial, polls) => {
+    const operation = gax.operation(
+      initial,
+      client._descriptors.longrunning.asyncBatchAnnotateFiles,
+      {},
+      {promise: Promise}
+    );
+    const start = sandbox.stub(client, 'asyncBatchAnnotateFiles');
+    start.callsArgWith(1, null, operation, initial);
+    const getOperation = sandbox.stub(client.operationsClient, 'getOperation');
+    polls.forEach((poll, i) => {
+      getOperation.onCall(i).returns(Promise.resolve([poll]));
+    });
+    return {start, getOperation};
+  };
+
+  beforeEach(() => {
+    client = new vision.v1.ImageAnnotatorClient(CREDENTIALS);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('annotateFiles', () => {
+    it('resolves with the response and emits progress', () => {
+      const response = {
+        responses: [{outputConfig: {gcsDestination: {uri: 'gs://bucket/o/'}}}],
+      };
+      const stubs = stubOperation(rawOperation('CREATED', 100), [
+        rawOperation('RUNNING', 101),
+        rawOperation('RUNNING', 101),
+        rawOperation('DONE', 102, response),
+      ]);
+
+      const progress = [];
+      let completed = null;
+      const operation = client.annotateFiles(REQUESTS, {pollInterval: 1});
+      assert(operation instanceof vision.AnnotateFilesOperation);
+      operation.on('progress', p => progress.push(p));
+      operation.on('complete', r => (completed = r));
+      return operation.then(result => {
+        assert(stubs.start.calledWith({requests: REQUESTS}));
+        assert.strictEqual(stubs.getOperation.callCount, 3);
+        assert.deepStrictEqual(
+          result.responses[0].outputConfig.gcsDestination.uri,
+          'gs://bucket/o/'
+        );
+        assert.strictEqual(completed, result);
+        assert.deepStrictEqual(
+          progress.map(p => p.state),
+          ['CREATED', 'RUNNING', 'DONE']
+        );
+        assert.strictEqual(progress[1].name, NAME);
+        assert.strictEqual(progress[1].createTime.getTime(), 100000);
+        assert.strictEqual(progress[1].updateTime.getTime(), 101000);
+        assert.strictEqual(operation.name, NAME);
+        assert.strictEqual(operation.metadata.state, 'DONE');
+      });
+    });
+
+    it('rejects when the operation fails', () => {
+      stubOperation(rawOperation('CREATED', 100), [
+        rawOperation('DONE', 101, {error: {code: 3, message: 'Bad PDF.'}}),
+      ]);
+
+      const errors = [];
+      const operation = client.annotateFiles(REQUESTS, {pollInterval: 1});
+      operation.on('error', err => errors.push(err));
+      return operation.then(
+        () => assert.fail('The operation should fail.'),
+        err => {
+          assert.strictEqual(err.code, 3);
+          assert.strictEqual(err.message, 'Bad PDF.');
+          assert.deepStrictEqual(errors, [err]);
+        }
+      );
+    });
+
+    it('cancels the operation', () => {
+      stubOperation(rawOperation('RUNNING', 100), []);
+      const cancelOperation = sandbox.stub(
+        client.operationsClient,
+        'cancelOperation'
+      );
+      cancelOperation.returns(Promise.resolve([{}]));
+
+      const operation = client.annotateFiles(REQUESTS, {pollInterval: 1000});
+      return new Promise(resolve => operation.once('progress', resolve))
+        .then(() => operation.cancel())
+        .then(() => {
+          assert(cancelOperation.calledWith({name: NAME}));
+          return operation;
+        })
+        .then(
+          () => assert.fail('The operation should be cancelled.'),
+          err => assert.strictEqual(err.code, 1)
+        );
+    });
+
+    it('cancels the operation when the signal is aborted', () => {
+      stubOperation(rawOperation('RUNNING', 100), []);
+      const cancelOperation = sandbox.stub(
+        client.operationsClient,
+        'cancelOperation'
+      );
+      cancelOperation.returns(Promise.resolve([{}]));
+
+      const emitter = new EventEmitter();
+      const signal = {
+        aborted: false,
+        addEventListener: (event, listener) => emitter.on(event, listener),
+        removeEventListener: (event, listener) =>
+          emitter.removeListener(event, listener),
+      };
+      const operation = client.annotateFiles(REQUESTS, {
+        pollInterval: 1000,
+        signal,
+      });
+      setImmediate(() => emitter.emit('abort'));
+      return operation.then(
+        () => assert.fail('The operation should be cancelled.'),
+        err => {
+          assert.strictEqual(err.code, 1);
+          assert(cancelOperation.calledWith({name: NAME}));
+        }
+      );
+    });
+
+    it('does not start an operation cancelled right away', () => {
+      const stubs = stubOperation(rawOperation('RUNNING', 100), []);
+      const cancelOperation = sandbox.stub(
+        client.operationsClient,
+        'cancelOperation'
+      );
+
+      const operation = client.annotateFiles(REQUESTS);
+      return operation
+        .cancel()
+        .then(() => {
+          assert(stubs.start.notCalled);
+          assert(cancelOperation.notCalled);
+          return operation;
+        })
+        .then(
+          () => assert.fail('The operation should be cancelled.'),
+          err => assert.strictEqual(err.code, 1)
+        );
+    });
+
+    it('times out', () => {
+      stubOperation(rawOperation('RUNNING', 100), []);
+      const operation = client.annotateFiles(REQUESTS, {
+        pollInterval: 1000,
+        timeout: 10,
+      });
+      return operation.then(
+        () => assert.fail('The operation should time out.'),
+        err => {
+          assert.strictEqual(err.code, 4);
+          assert.strictEqual(
+            err.message,
+            'The operation did not complete within 10 ms.'
+          );
+        }
+      );
+    });
+
+    it('validates its options', () => {
+      const start = sandbox.stub(client, 'asyncBatchAnnotateFiles');
+      return client.annotateFiles(REQUESTS, {pollInterval: 0}).then(
+        () => assert.fail('The options should be rejected.'),
+        err => {
+          assert.strictEqual(
+            err.message,
+            'The poll interval must be a positive number.'
+          );
+          assert(start.notCalled);
+        }
+      );
+    });
+
+    it('is only available in versions with asyncBatchAnnotateFiles', () => {
+      const v1p1beta1 = new vision.v1p1beta1.ImageAnnotatorClient(CREDENTIALS);
+      assert.strictEqual(v1p1beta1.annotateFiles, undefined);
+      const v1p2beta1 = new vision.v1p2beta1.ImageAnnotatorClient(CREDENTIALS);
+      assert(v1p2beta1.annotateFiles instanceof Function);
+    });
+  });
+
+  describe('getAnnotateFilesOperation', () => {
+    it('decodes the operation as asyncBatchAnnotateFiles does', () => {
+      const response = {responses: [{}]};
+      const getOperation = sandbox.stub(
+        client.operationsClient,
+        'getOperation'
+      );
+      getOperation.callsArgWith(2, null, rawOperation('DONE', 101, response));
+
+      return client
+        .getAnnotateFilesOperation(NAME)
+        .then(results => {
+          const operation = results[0];
+          assert(getOperation.calledWith({name: NAME}));
+          assert.strictEqual(operation.latestResponse.name, NAME);
+          assert.strictEqual(results[1], operation.latestResponse);
+          return operation.promise();
+        })
+        .then(results => {
+          assert.deepStrictEqual(results[0].responses.length, 1);
+          assert.strictEqual(
+            Metadata.toObject(results[1], {enums: String}).state,
+            'DONE'
+          );
+        });
+    });
+
+    it('emits progress and complete events after a restart', done => {
+      const getOperation = sandbox.stub(
+        client.operationsClient,
+        'getOperation'
+      );
+      getOperation.callsArgWith(2, null, rawOperation('RUNNING', 101));
+      getOperation
+        .onCall(1)
+        .returns(Promise.resolve([rawOperation('RUNNING', 102)]));
+      getOperation
+        .onCall(2)
+        .returns(Promise.resolve([rawOperation('DONE', 103, {responses: []})]));
+
+      const callOptions = {
+        longrunning: {
+          initialRetryDelayMillis: 1,
+          retryDelayMultiplier: 1,
+          maxRetryDelayMillis: 1,
+        },
+      };
+      client.getAnnotateFilesOperation(NAME, callOptions, (err, operation) => {
+        assert.ifError(err);
+        let progress = 0;
+        operation.on('progress', () => progress++);
+        operation.on('error', done);
+        operation.on('complete', response => {
+          assert.deepStrictEqual(response.responses, []);
+          assert(progress > 0);
+          done();
+        });
+      });
+    });
+
+    it('rejects operations of other methods', () => {
+      const getOperation = sandbox.stub(
+        client.operationsClient,
+        'getOperation'
+      );
+      getOperation.callsArgWith(2, null, {
+        name: NAME,
+        metadata: {
+          typeUrl:
+            'type.googleapis.com/google.cloud.vision.v1.BatchOperationMetadata',
+          value: Buffer.from(''),
+        },
+      });
+      return client.getAnnotateFilesOperation(NAME).then(
+        () => assert.fail('The operation should be rejected.'),
+        err =>
+          assert(
+            /is not an asyncBatchAnnotateFiles operation/.test(err.message)
+          )
+      );
+    });
+
+    it('requires a name', () => {
+      return client.getAnnotateFilesOperation('').then(
+        () => assert.fail('The name should be rejected.'),
+        err => assert(/must be a non-empty string/.test(err.message))
+      );
+    });
+  });
+
+  describe('listAnnotateFilesOperations', () => {
+    it('lists the asyncBatchAnnotateFiles operations', () => {
+      const other = {
+        name: 'operations/456',
+        metadata: {
+          typeUrl:
+            'type.googleapis.com/google.cloud.vision.v1.BatchOperationMetadata',
+          value: Buffer.from(''),
+        },
+      };
+      const listOperations = sandbox.stub(
+        client.operationsClient,
+        'listOperations'
+      );
+      listOperations.callsArgWith(2, null, [
+        rawOperation('RUNNING', 101),
+        other,
+      ]);
+
+      return client.listAnnotateFilesOperations('done=false').then(results => {
+        assert(listOperations.calledWith({name: '', filter: 'done=false'}));
+        assert.deepStrictEqual(
+          results[0].map(operation => operation.latestResponse.name),
+          [NAME]
+        );
+        assert(results[0][0].promise instanceof Function);
+      });
+    });
+
+    it('accepts a ListOperationsRequest', done => {
+      const listOperations = sandbox.stub(
+        client.operationsClient,
+        'listOperations'
+      );
+      listOperations.callsArgWith(2, null, []);
+      const request = {name: 'operations', filter: '', pageSize: 10};
+      client.listAnnotateFilesOperations(request, (err, operations) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(operations, []);
+        assert(listOperations.calledWith(request));
+        done();
+      });
+    });
+  });
+});
+
+describe('Import product sets operations', () => {
+  const CREDENTIALS = Object.freeze({
+    credentials: {client_email: 'bogus', private_key: 'bogus'},
+    projectId: 'bogus',
+  });
+  const NAME = 'projects/bogus/locations/us-west1/operations/123';
+  const REQUEST = {
+    parent: 'projects/bogus/locations/us-west1',
+    inputConfig: {gcsSource: {csvFileUri: 'gs://bucket/catalog.csv'}},
+  };
+  const CSV = [
+    'gs://bucket/a.jpg,,shoes,shoe-1,apparel',
+    'gs://bucket/b.jpg,,shoes,shoe-2,apparel',
+    'gs://bucket/c.jpg,,shoes,shoe-3,apparel',
+    '',
+  ].join('\n');
+
+  let root = new gax.GoogleProtoFilesRoot();
+  root = protobuf.loadSync(
+    path.join(
+      __dirname,
+      '..',
+      'protos',
+      'google/cloud/vision/v1p3beta1/product_search_service.proto'
+    ),
+    root
+  );
+  const Metadata = root.lookupType(
+    'google.cloud.vision.v1p3beta1.BatchOperationMetadata'
+  );
+  const Response = root.lookupType(
+    'google.cloud.vision.v1p3beta1.ImportProductSetsResponse'
+  );
+
+  // A google.longrunning.Operation in the given state, with the given
+  // response once it is done.
+  const rawOperation = (state, response) => {
+    const operation = {
+      name: NAME,
+      metadata: {
+        typeUrl:
+          'type.googleapis.com/google.cloud.vision.v1p3beta1.BatchOperationMetadata',
+        value: Metadata.encode(
+          Metadata.fromObject({
+            state,
+            submitTime: {seconds: 100},
+            endTime: response ? {seconds: 160} : null,
+          })
+        ).finish(),
+      },
+      done: !!response,
+    };
+    if (response) {
+      operation.result = 'response';
+      operation.response = {
+        value: Response.encode(Response.fromObject(response)).finish(),
+      };
+    }
+    return operation;
+  };
+
+  const sandbox = sinon.createSandbox();
+  let client;
+
+  // Make importProductSets start an operation, which then goes through the
+  // given states as it is polled.
+  const stubOperation = (initial, polls) => {
+    const operation = gax.operation(
+      initial,
+      client._descriptors.longrunning.importProductSets,
+      {},
+      {promise: Promise}
+    );
+    const start = sandbox.stub(client, 'importProductSets');
+    start.callsArgWith(1, null, operation, initial);
+    const getOperation = sandbox.stub(client.operationsClient, 'getOperation');
+    polls.forEach((poll, i) => {
+      getOperation.onCall(i).returns(Promise.resolve([poll]));
+    });
+    return {start, getOperation};
+  };
+
+  beforeEach(() => {
+    client = new vision.v1p3beta1.ProductSearchClient(CREDENTIALS);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('joins the statuses to the lines of the CSV file', () => {
+    const response = {
+      referenceImages: [
+        {name: 'a', uri: 'gs://bucket/a.jpg'},
+        {name: 'c', uri: 'gs://bucket/c.jpg'},
+      ],
+      statuses: [{}, {code: 3, message: 'Bad image.'}, {}],
+    };
+    const stubs = stubOperation(rawOperation('PROCESSING'), [
+      rawOperation('PROCESSING'),
+      rawOperation('SUCCESSFUL', response),
+    ]);
+    const progress = [];
+    const operation = client.importCatalog(REQUEST, {
+      csv: CSV,
+      pollInterval: 1,
+    });
+    assert(operation instanceof vision.ImportProductSetsOperation);
+    operation.on('progress', p => progress.push(p));
+    return operation.then(results => {
+      assert(stubs.start.calledWith(REQUEST));
+      assert.deepStrictEqual(progress, [
+        {
+          name: NAME,
+          state: 'PROCESSING',
+          submitTime: new Date(100000),
+          endTime: null,
+        },
+        {
+          name: NAME,
+          state: 'SUCCESSFUL',
+          submitTime: new Date(100000),
+          endTime: new Date(160000),
+        },
+      ]);
+      assert.deepStrictEqual(
+        results.successes.map(s => [s.line, s.referenceImage.name]),
+        [
+          [1, 'a'],
+          [3, 'c'],
+        ]
+      );
+      assert.deepStrictEqual(Object.keys(results.failures), [
+        'INVALID_ARGUMENT',
+      ]);
+      const failure = results.failures.INVALID_ARGUMENT[0];
+      assert.strictEqual(failure.line, 2);
+      assert.strictEqual(failure.row.productId, 'shoe-2');
+      assert.strictEqual(failure.status.message, 'Bad image.');
+      assert.strictEqual(
+        results.retryCsv,
+        'gs://bucket/b.jpg,,shoes,shoe-2,apparel\n'
+      );
+    });
+  });
+
+  it('validates the CSV', () => {
+    return client.importCatalog(REQUEST, {csv: 42}).then(
+      () => assert.fail('The CSV should be rejected.'),
+      err => assert(/must be a string or a Buffer/.test(err.message))
+    );
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {EventEmitter} = require('events');
+const sinon = require('sinon');
+
+const vision = require('../');
+
+describe('List iterators', () => {
+  const CREDENTIALS = Object.freeze({
+    credentials: {client_email: 'bogus', private_key: 'bogus'},
+    projectId: 'bogus',
+  });
+  const PARENT = 'projects/bogus/locations/us-west1';
+
+  // The products of the location, in pages of two, with the tokens of the
+  // following pages.
+  const PAGES = {
+    '': {products: [{name: 'a'}, {name: 'b'}], nextPageToken: 't1'},
+    t1: {products: [], nextPageToken: 't2'},
+    t2: {products: [{name: 'c'}], nextPageToken: ''},
+  };
+
+  const sandbox = sinon.createSandbox();
+  let client;
+  let listProducts;
+
+  // Drain an iterator, resolving with the values it gave.
+  const drain = (iterator, values) => {
+    values = values || [];
+    return iterator.next().then(result => {
+      if (result.done) {
+        return values;
+      }
+      values.push(result.value);
+      return drain(iterator, values);
+    });
+  };
+
+  beforeEach(() => {
+    client = new vision.v1p3beta1.ProductSearchClient(CREDENTIALS);
+    listProducts = sandbox.stub(client, 'listProducts').callsFake(request => {
+      const page = PAGES[request.pageToken || ''];
+      return Promise.resolve([page.products, null, page]);
+    });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('iterates over the resources of every page', () => {
+    const iterator = client.listProductsAsync(
+      {parent: PARENT, pageSize: 2},
+      {timeout: 1000}
+    );
+    assert(iterator instanceof vision.ListIterator);
+    assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+    return drain(iterator).then(products => {
+      assert.deepStrictEqual(
+        products.map(product => product.name),
+        ['a', 'b', 'c']
+      );
+      assert.deepStrictEqual(
+        listProducts.args.map(args => args[0].pageToken),
+        [undefined, 't1', 't2']
+      );
+      assert(listProducts.args.every(args => args[0].pageSize === 2));
+      assert.deepStrictEqual(listProducts.args[0][1], {
+        timeout: 1000,
+        autoPaginate: false,
+      });
+    });
+  });
+
+  it('iterates over the raw pages, from a page token', () => {
+    const iterator = client.listProductsPages({
+      parent: PARENT,
+      pageToken: 't1',
+    });
+    assert(iterator instanceof vision.PageIterator);
+    return drain(iterator).then(pages => {
+      assert.deepStrictEqual(pages, [PAGES.t1, PAGES.t2]);
+    });
+  });
+
+  it('answers concurrent calls to next() in order', () => {
+    const iterator = client.listProductsAsync({parent: PARENT});
+    return Promise.all([
+      iterator.next(),
+      iterator.next(),
+      iterator.next(),
+      iterator.next(),
+    ]).then(results => {
+      assert.deepStrictEqual(
+        results.map(result => result.done || result.value.name),
+        ['a', 'b', 'c', true]
+      );
+    });
+  });
+
+  it('stops when it is returned early', () => {
+    const iterator = client.listProductsAsync({parent: PARENT});
+    return iterator
+      .next()
+      .then(() => iterator.return())
+      .then(result => {
+        assert.deepStrictEqual(result, {value: undefined, done: true});
+        return iterator.next();
+      })
+      .then(result => {
+        assert.strictEqual(result.done, true);
+        assert.strictEqual(listProducts.callCount, 1);
+      });
+  });
+
+  it('ends when a call fails', () => {
+    const err = new Error('Permission denied.');
+    const iterator = client.listReferenceImagesAsync({parent: 'p'});
+    sandbox.stub(client, 'listReferenceImages').returns(Promise.reject(err));
+    return iterator
+      .next()
+      .then(assert.fail, e => {
+        assert.strictEqual(e, err);
+        return iterator.next();
+      })
+      .then(result => {
+        assert.strictEqual(result.done, true);
+      });
+  });
+
+  it('cancels the call in flight when the signal is aborted', () => {
+    const signal = new EventEmitter();
+    signal.aborted = false;
+    signal.addEventListener = signal.on;
+    signal.removeEventListener = signal.removeListener;
+    const call = new Promise(() => {});
+    call.cancel = sinon.spy();
+    sandbox.stub(client, 'listProductSets').returns(call);
+
+    const iterator = client.listProductSetsAsync({parent: PARENT}, {signal});
+    const next = iterator.next();
+    setImmediate(() => {
+      signal.aborted = true;
+      signal.emit('abort');
+    });
+    return next.then(assert.fail, err => {
+      assert.strictEqual(err.code, 1);
+      assert(call.cancel.calledOnce);
+      assert.strictEqual(signal.listenerCount('abort'), 0);
+      assert.deepStrictEqual(client.listProductSets.args[0][1], {
+        autoPaginate: false,
+      });
+    });
+  });
+
+  it('does not start once the signal is aborted', () => {
+    const signal = {aborted: true};
+    const iterator = client.listProductsPages({parent: PARENT}, {signal});
+    return iterator.next().then(assert.fail, err => {
+      assert(/cancelled/.test(err.message));
+      assert.strictEqual(listProducts.callCount, 0);
+    });
+  });
+});
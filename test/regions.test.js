@@ -0,0 +1,213 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const regions = require('../src/regions');
+
+describe('Region queries', () => {
+  const poly = (x, y, width, height) => {
+    return {
+      vertices: [
+        {x, y},
+        {x: x + width, y},
+        {x: x + width, y: y + height},
+        {x, y: y + height},
+      ],
+    };
+  };
+
+  // A word at (x, y), ten units wide per character and twenty high, followed
+  // by a space unless another break type is given.
+  const word = (text, x, y, breakType) => {
+    const symbols = text.split('').map(c => ({text: c}));
+    if (breakType !== null) {
+      symbols[symbols.length - 1].property = {
+        detectedBreak: {type: breakType || 'SPACE'},
+      };
+    }
+    return {boundingBox: poly(x, y, 10 * text.length, 20), symbols};
+  };
+
+  // "Ship to: Jane Doe" over "42 Main St." on a 400x200 page.
+  const annotation = {
+    pages: [
+      {
+        width: 400,
+        height: 200,
+        blocks: [
+          {
+            paragraphs: [
+              {
+                words: [
+                  word('Ship', 0, 0),
+                  word('to:', 50, 0),
+                  word('Jane', 100, 0),
+                  word('Doe', 150, 0, 'EOL_SURE_SPACE'),
+                  word('42', 100, 30),
+                  word('Main', 130, 30),
+                  word('St', 180, 30, null),
+                  word('.', 200, 30, 'LINE_BREAK'),
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+
+  describe('textInRegion', () => {
+    it('returns the words, lines and text inside a rectangle', () => {
+      const result = regions.textInRegion(annotation, {
+        x: 95,
+        y: 0,
+        width: 200,
+        height: 60,
+      });
+      assert.strictEqual(result.text, 'Jane Doe\n42 Main St.');
+      assert.deepStrictEqual(
+        result.lines.map(line => line.box),
+        [
+          {x: 100, y: 0, width: 80, height: 20},
+          {x: 100, y: 30, width: 110, height: 20},
+        ]
+      );
+      assert.deepStrictEqual(result.words[0], {
+        page: 1,
+        text: 'Jane',
+        box: {x: 100, y: 0, width: 40, height: 20},
+        confidence: null,
+      });
+    });
+
+    it('applies the overlap threshold', () => {
+      // The region covers 40% of "to:" (30 wide).
+      const region = {x: 68, y: 0, width: 100, height: 20};
+      assert.strictEqual(
+        regions.textInRegion(annotation, region).text,
+        'Jane Doe'
+      );
+      assert.strictEqual(
+        regions.textInRegion(annotation, region, {threshold: 0.4}).text,
+        'to: Jane Doe'
+      );
+    });
+
+    it('accepts polygons and normalized regions', () => {
+      // A triangle over the first line, covering less and less of it from
+      // left to right: it covers about 60% of "Jane", and 40% of "Doe".
+      const triangle = [
+        {x: 0, y: 0},
+        {x: 0, y: 25},
+        {x: 240, y: 0},
+      ];
+      assert.strictEqual(
+        regions.textInRegion(annotation, triangle).text,
+        'Ship to: Jane'
+      );
+
+      const normalized = {normalizedVertices: poly(0, 0.1, 1, 0.5).vertices};
+      assert.strictEqual(
+        regions.textInRegion(annotation, normalized).text,
+        '42 Main St.'
+      );
+      const rectangle = {x: 0, y: 0.1, width: 1, height: 0.5};
+      assert.strictEqual(
+        regions.textInRegion(annotation, rectangle, {normalized: true}).text,
+        '42 Main St.'
+      );
+    });
+
+    it('accepts a response with text annotations only', () => {
+      const response = {
+        textAnnotations: [
+          {description: 'Fragile\nHandle with care'},
+          {description: 'Fragile', boundingPoly: poly(0, 0, 70, 20)},
+          {description: 'Handle', boundingPoly: poly(0, 30, 60, 20)},
+          {description: 'with', boundingPoly: poly(70, 31, 40, 20)},
+          {description: 'care', boundingPoly: poly(120, 30, 40, 20)},
+        ],
+      };
+      const region = {x: 0, y: 25, width: 200, height: 30};
+      assert.strictEqual(
+        regions.textInRegion(response, region).text,
+        'Handle with care'
+      );
+      assert.throws(() => {
+        regions.textInRegion(response, region, {normalized: true});
+      }, /size of the page is unknown/);
+    });
+
+    it('rejects invalid regions and thresholds', () => {
+      assert.throws(() => {
+        regions.textInRegion(annotation, {x: 1});
+      }, /must be a rectangle/);
+      assert.throws(() => {
+        regions.textInRegion(annotation, [
+          {x: 0, y: 0},
+          {x: 1, y: 1},
+        ]);
+      }, /at least three vertices/);
+      assert.throws(() => {
+        regions.textInRegion(annotation, poly(0, 0, 1, 1), {threshold: 0});
+      }, /threshold must be a number/);
+    });
+  });
+
+  describe('findText', () => {
+    it('finds a string, across lines', () => {
+      const matches = regions.findText(annotation, 'doe\n42', {
+        ignoreCase: true,
+      });
+      assert.strictEqual(matches.length, 1);
+      assert.strictEqual(matches[0].text, 'Doe\n42');
+      assert.deepStrictEqual(matches[0].box, {
+        x: 100,
+        y: 0,
+        width: 80,
+        height: 50,
+      });
+      assert.deepStrictEqual(
+        matches[0].words.map(w => w.text),
+        ['Doe', '42']
+      );
+      assert.deepStrictEqual(regions.findText(annotation, 'doe'), []);
+    });
+
+    it('finds every match of a pattern', () => {
+      const matches = regions.findText(annotation, /[A-Z]\w+/);
+      assert.deepStrictEqual(
+        matches.map(match => match.text),
+        ['Ship', 'Jane', 'Doe', 'Main', 'St']
+      );
+      const street = regions.findText(annotation, /(\d+) (\w+ St\.)/)[0];
+      assert.strictEqual(street.match[2], 'Main St.');
+      assert.deepStrictEqual(street.box, {
+        x: 100,
+        y: 30,
+        width: 110,
+        height: 20,
+      });
+    });
+
+    it('rejects empty queries', () => {
+      assert.throws(() => regions.findText(annotation, ''), /non-empty/);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const jpegJs = require('jpeg-js');
+const path = require('path');
+
+const {InvalidImageError} = require('../src/errors');
+const resize = require('../src/resize');
+const {sniffImage} = require('../src/validation');
+
+describe('Image resizing', () => {
+  const DATA = path.join(__dirname, '..', 'system-test', 'data');
+  const jpeg = fs.readFileSync(path.join(DATA, 'logo.jpg'));
+  const png = fs.readFileSync(path.join(DATA, 'text.png'));
+
+  describe('resizeImage', () => {
+    it('downscales JPEG images', () => {
+      const options = resize.resolveOptions({maxEdge: 100});
+      const resized = resize.resizeImage(jpeg, options);
+      assert.deepStrictEqual(sniffImage(resized.content), {
+        format: 'JPEG',
+        width: 100,
+        height: 32,
+      });
+      assert.strictEqual(resized.scaleX, 3.51);
+      assert.strictEqual(resized.scaleY, 113 / 32);
+      assert(resized.content.length < jpeg.length);
+    });
+
+    it('downscales PNG images', () => {
+      const options = resize.resolveOptions({maxEdge: 250});
+      const resized = resize.resizeImage(png, options);
+      assert.deepStrictEqual(sniffImage(resized.content), {
+        format: 'PNG',
+        width: 250,
+        height: 48,
+      });
+      assert.strictEqual(resized.scaleX, 2);
+    });
+
+    it('leaves small images and other formats alone', () => {
+      const options = resize.resolveOptions({maxEdge: 500});
+      assert.strictEqual(resize.resizeImage(png, options), null);
+      const gif = Buffer.from('GIF89a\x68\x01\xb8\x01', 'latin1');
+      assert.strictEqual(resize.resizeImage(gif, options), null);
+      assert.strictEqual(
+        resize.resizeImage(Buffer.from('bogus'), options),
+        null
+      );
+    });
+  });
+
+  describe('resizeImage with invalid or rotated images', () => {
+    const options = resize.resolveOptions({maxEdge: 100});
+
+    it('rejects images which cannot be decoded', () => {
+      const corrupt = Buffer.from(jpeg);
+      corrupt.fill(0xff, corrupt.length / 2, corrupt.length - 2);
+      const request = {image: {}};
+      assert.throws(
+        () => resize.resizeImage(corrupt, options, request),
+        err => {
+          assert(err instanceof InvalidImageError);
+          assert.strictEqual(err.reason, 'CORRUPT');
+          assert.strictEqual(err.format, 'JPEG');
+          assert.strictEqual(err.request, request);
+          return /could not be decoded/.test(err.message);
+        }
+      );
+    });
+
+    // Add an APP1 segment whose IFD0 holds only the given EXIF orientation.
+    const withOrientation = (image, orientation) => {
+      const exif = Buffer.concat([
+        Buffer.from([0xff, 0xe1, 0x00, 0x22]),
+        Buffer.from('Exif\0\0MM\0*', 'latin1'),
+        Buffer.from([0, 0, 0, 8, 0, 1]),
+        Buffer.from([0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0]),
+        Buffer.from([0, 0, 0, 0]),
+      ]);
+      return Buffer.concat([image.slice(0, 2), exif, image.slice(2)]);
+    };
+
+    it('turns JPEG images with an EXIF orientation upright', () => {
+      // 6 is rotated 90 degrees clockwise.
+      const resized = resize.resizeImage(withOrientation(jpeg, 6), options);
+      assert.deepStrictEqual(sniffImage(resized.content), {
+        format: 'JPEG',
+        width: 32,
+        height: 100,
+      });
+      assert.strictEqual(resized.scaleX, 113 / 32);
+      assert.strictEqual(resized.scaleY, 3.51);
+      assert.strictEqual(resized.orientation, 6);
+      assert.strictEqual(resized.width, 351);
+      assert.strictEqual(resized.height, 113);
+    });
+
+    it('moves the pixels of rotated JPEG images', () => {
+      // A black left half and a white right half, which end up at the top
+      // and the bottom once the image is rotated 90 degrees clockwise.
+      const width = 400;
+      const height = 200;
+      const data = Buffer.alloc(width * height * 4, 0xff);
+      for (let y = 0; y < height; y++) {
+        data.fill(0, y * width * 4, (y * width + width / 2) * 4);
+      }
+      const image = jpegJs.encode({data, width, height}, 100).data;
+      const resized = resize.resizeImage(withOrientation(image, 6), options);
+      const decoded = jpegJs.decode(resized.content, {useTArray: true});
+      assert.strictEqual(decoded.width, 50);
+      assert.strictEqual(decoded.height, 100);
+      const pixel = (x, y) => decoded.data[(y * decoded.width + x) * 4];
+      assert(pixel(25, 10) < 0x20);
+      assert(pixel(25, 90) > 0xe0);
+    });
+  });
+
+  describe('resolveOptions', () => {
+    it('fills in the default quality', () => {
+      assert.deepStrictEqual(resize.resolveOptions({maxEdge: 10}), {
+        maxEdge: 10,
+        quality: 85,
+      });
+    });
+
+    it('rejects invalid options', () => {
+      assert.throws(() => resize.resolveOptions({}), /maxEdge/);
+      assert.throws(
+        () => resize.resolveOptions({maxEdge: 10, quality: 101}),
+        /quality/
+      );
+    });
+  });
+
+  describe('rescaleResponse', () => {
+    it('scales vertices and landmark positions', () => {
+      const response = {
+        faceAnnotations: [
+          {
+            boundingPoly: {
+              vertices: [
+                {x: 10, y: 10},
+                {x: 21, y: 5},
+              ],
+            },
+            fdBoundingPoly: {vertices: [{x: 1}]},
+            landmarks: [{type: 'LEFT_EYE', position: {x: 1.5, y: 2, z: 3}}],
+          },
+        ],
+        localizedObjectAnnotations: [
+          {boundingPoly: {normalizedVertices: [{x: 0.5, y: 0.5}]}},
+        ],
+        fullTextAnnotation: {
+          pages: [{blocks: [{boundingBox: {vertices: [{x: 3, y: 4}]}}]}],
+        },
+        cropHintsAnnotation: {
+          cropHints: [{boundingPoly: {vertices: [{x: 0, y: 7}]}}],
+        },
+      };
+      resize.rescaleResponse(response, 2, 1.5);
+      assert.deepStrictEqual(response.faceAnnotations[0], {
+        boundingPoly: {
+          vertices: [
+            {x: 20, y: 15},
+            {x: 42, y: 8},
+          ],
+        },
+        fdBoundingPoly: {vertices: [{x: 2}]},
+        landmarks: [{type: 'LEFT_EYE', position: {x: 3, y: 3, z: 3}}],
+      });
+      assert.deepStrictEqual(
+        response.localizedObjectAnnotations[0].boundingPoly,
+        {normalizedVertices: [{x: 0.5, y: 0.5}]}
+      );
+      assert.deepStrictEqual(
+        response.fullTextAnnotation.pages[0].blocks[0].boundingBox,
+        {vertices: [{x: 6, y: 6}]}
+      );
+      assert.deepStrictEqual(
+        response.cropHintsAnnotation.cropHints[0].boundingPoly,
+        {vertices: [{x: 0, y: 11}]}
+      );
+    });
+
+    it('scales the pages of a text detection response', () => {
+      const response = {
+        textAnnotations: [
+          {
+            description: 'Hi',
+            boundingPoly: {
+              vertices: [
+                {x: 10, y: 5},
+                {x: 30, y: 12},
+              ],
+            },
+          },
+        ],
+        fullTextAnnotation: {
+          text: 'Hi',
+          pages: [
+            {
+              width: 100,
+              height: 50,
+              blocks: [{boundingBox: {vertices: [{x: 10, y: 5}]}}],
+            },
+          ],
+        },
+      };
+      resize.rescaleResponse(response, 4, 4);
+      const page = response.fullTextAnnotation.pages[0];
+      assert.strictEqual(page.width, 400);
+      assert.strictEqual(page.height, 200);
+      assert.deepStrictEqual(page.blocks[0].boundingBox.vertices, [
+        {x: 40, y: 20},
+      ]);
+      assert.deepStrictEqual(
+        response.textAnnotations[0].boundingPoly.vertices,
+        [
+          {x: 40, y: 20},
+          {x: 120, y: 48},
+        ]
+      );
+    });
+
+    it('maps coordinates back to images with an EXIF orientation', () => {
+      // The logo, stored as 351x113 and rotated 90 degrees clockwise, was
+      // sent as 32x100.
+      const original = {orientation: 6, width: 351, height: 113};
+      const response = {
+        faceAnnotations: [
+          {
+            boundingPoly: {vertices: [{}, {x: 32, y: 100}, {x: 16}]},
+            landmarks: [{position: {x: 16, y: 50, z: 3}}],
+          },
+        ],
+        fullTextAnnotation: {pages: [{width: 32, height: 100}]},
+      };
+      resize.rescaleResponse(response, 113 / 32, 3.51, original);
+      const face = response.faceAnnotations[0];
+      assert.deepStrictEqual(face.boundingPoly.vertices, [
+        {x: 0, y: 113},
+        {x: 351, y: 0},
+        {x: 0, y: 57},
+      ]);
+      assert.deepStrictEqual(face.landmarks[0].position, {
+        x: 175.5,
+        y: 56.5,
+        z: 3,
+      });
+      assert.deepStrictEqual(response.fullTextAnnotation.pages[0], {
+        width: 351,
+        height: 113,
+      });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const vision = require('../');
+
+describe('Resource names', () => {
+  const CREDENTIALS = Object.freeze({
+    credentials: {client_email: 'bogus', private_key: 'bogus'},
+    projectId: 'bogus',
+  });
+  const LOCATION = 'projects/my-project/locations/us-west1';
+  const PRODUCT = `${LOCATION}/products/shoe-1`;
+  const IMAGE = `${PRODUCT}/referenceImages/side`;
+
+  it('parses and formats names', () => {
+    const name = vision.ReferenceImageName.parse(IMAGE);
+    assert(name instanceof vision.ResourceName);
+    assert.strictEqual(name.project, 'my-project');
+    assert.strictEqual(name.location, 'us-west1');
+    assert.strictEqual(name.product, 'shoe-1');
+    assert.strictEqual(name.referenceImage, 'side');
+    assert.strictEqual(name.format(), IMAGE);
+    assert.strictEqual(`${name}`, IMAGE);
+    assert.strictEqual(JSON.stringify({name}), JSON.stringify({name: IMAGE}));
+    assert(Object.isFrozen(name));
+
+    const set = new vision.ProductSetName({
+      project: 'my-project',
+      location: 'us-west1',
+      productSet: 'shoes',
+    });
+    assert.strictEqual(set.format(), `${LOCATION}/productSets/shoes`);
+  });
+
+  it('compares names', () => {
+    const name = vision.ProductName.parse(PRODUCT);
+    assert(name.equals(PRODUCT));
+    assert(name.equals(vision.ProductName.parse(PRODUCT)));
+    assert(!name.equals(`${LOCATION}/products/shoe-2`));
+    assert(!name.equals(vision.LocationName.parse(LOCATION)));
+    assert(!name.equals(null));
+  });
+
+  it('rejects names of another kind', () => {
+    assert.throws(
+      () => vision.ProductName.parse(IMAGE),
+      /does not match projects\/\{project\}\/locations\/\{location\}\/products\/\{product\}/
+    );
+    assert.throws(
+      () => vision.LocationName.parse(`${LOCATION}/`),
+      /does not match/
+    );
+    assert.throws(() => vision.ProductSetName.parse(42), /does not match/);
+  });
+
+  it('validates the IDs', () => {
+    assert.throws(
+      () => vision.LocationName.parse('projects/My Project/locations/us-west1'),
+      /The project must be a project ID or number/
+    );
+    assert.throws(
+      () => new vision.LocationName({project: 'my-project'}),
+      /The location must be a location ID/
+    );
+    assert.throws(
+      () =>
+        new vision.ProductName({
+          project: 'my-project',
+          location: 'us-west1',
+          product: 'a'.repeat(129),
+        }),
+      /The product ID must be from 1 to 128 characters long/
+    );
+    assert.throws(
+      () => vision.ProductName.parse(`${LOCATION}/products/`),
+      /The product ID/
+    );
+  });
+
+  describe('in ProductSearchClient requests', () => {
+    const sandbox = sinon.createSandbox();
+    let client;
+
+    beforeEach(() => {
+      client = new vision.v1p3beta1.ProductSearchClient(CREDENTIALS);
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('are written as strings', done => {
+      const getProduct = sandbox
+        .stub(client._innerApiCalls, 'getProduct')
+        .callsArgWith(2, null, {name: PRODUCT});
+      const request = {name: vision.ProductName.parse(PRODUCT)};
+      client.getProduct(request, (err, product) => {
+        assert.ifError(err);
+        assert.strictEqual(product.name, PRODUCT);
+        assert.deepStrictEqual(getProduct.args[0][0], {name: PRODUCT});
+        assert(request.name instanceof vision.ProductName);
+        done();
+      });
+    });
+
+    it('are written as strings in the resources', () => {
+      const updateProduct = sandbox
+        .stub(client._innerApiCalls, 'updateProduct')
+        .returns(Promise.resolve([{}]));
+      const addProduct = sandbox
+        .stub(client._innerApiCalls, 'addProductToProductSet')
+        .returns(Promise.resolve([{}]));
+      const product = vision.ProductName.parse(PRODUCT);
+      return client
+        .updateProduct({
+          product: {name: product, displayName: 'Shoe'},
+          updateMask: {paths: ['display_name']},
+        })
+        .then(() =>
+          client.addProductToProductSet({
+            name: new vision.ProductSetName({
+              project: 'my-project',
+              location: 'us-west1',
+              productSet: 'shoes',
+            }),
+            product,
+          })
+        )
+        .then(() => {
+          assert.deepStrictEqual(updateProduct.args[0][0], {
+            product: {name: PRODUCT, displayName: 'Shoe'},
+            updateMask: {paths: ['display_name']},
+          });
+          assert.deepStrictEqual(addProduct.args[0][0], {
+            name: `${LOCATION}/productSets/shoes`,
+            product: PRODUCT,
+          });
+        });
+    });
+
+    it('are accepted by the helpers', () => {
+      const listProducts = sandbox
+        .stub(client._innerApiCalls, 'listProducts')
+        .returns(Promise.resolve([[], null, {products: []}]));
+      const iterator = client.listProductsPages({
+        parent: vision.LocationName.parse(LOCATION),
+      });
+      return iterator.next().then(() => {
+        assert.strictEqual(listProducts.args[0][0].parent, LOCATION);
+      });
+    });
+  });
+});
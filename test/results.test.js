@@ -0,0 +1,174 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {
+  EntityResult,
+  FaceResult,
+  LocalizedObjectResult,
+  TextBlockResult,
+  wrapResponse,
+} = require('../src/results');
+
+describe('Result wrappers', () => {
+  // The API leaves out coordinates which are zero.
+  const square = {vertices: [{}, {x: 10}, {x: 10, y: 10}, {y: 10}]};
+
+  describe('geometry', () => {
+    it('computes the box and area', () => {
+      const result = new EntityResult({boundingPoly: square});
+      assert.deepStrictEqual(result.box(), {x: 0, y: 0, width: 10, height: 10});
+      assert.strictEqual(result.area(), 100);
+      assert.strictEqual(result.isNormalized(), false);
+    });
+
+    it('has no geometry without a bounding poly', () => {
+      const result = new EntityResult({description: 'cat', score: 0.9});
+      assert.strictEqual(result.description, 'cat');
+      assert.strictEqual(result.box(), null);
+      assert.strictEqual(result.area(), 0);
+      assert.strictEqual(result.contains({x: 0, y: 0}), false);
+    });
+
+    it('checks whether points are inside the polygon', () => {
+      const triangle = {
+        vertices: [
+          {x: 0, y: 0},
+          {x: 10, y: 0},
+          {x: 0, y: 10},
+        ],
+      };
+      const result = new EntityResult({boundingPoly: triangle});
+      assert.strictEqual(result.contains({x: 2, y: 2}), true);
+      assert.strictEqual(result.contains({x: 8, y: 8}), false);
+      assert.strictEqual(result.area(), 50);
+    });
+
+    it('computes the intersection over union', () => {
+      const a = new EntityResult({boundingPoly: square});
+      const b = new EntityResult({
+        boundingPoly: {
+          vertices: [{x: 5}, {x: 15}, {x: 15, y: 10}, {x: 5, y: 10}],
+        },
+      });
+      assert.strictEqual(a.iou(b), 50 / 150);
+      assert.strictEqual(a.iou(a), 1);
+      assert.strictEqual(a.iou({x: 20, y: 20, width: 5, height: 5}), 0);
+    });
+
+    it('maps normalized vertices to pixels', () => {
+      const result = new LocalizedObjectResult({
+        name: 'Bicycle',
+        boundingPoly: {
+          normalizedVertices: [
+            {x: 0.25},
+            {x: 0.75},
+            {x: 0.75, y: 0.5},
+            {x: 0.25, y: 0.5},
+          ],
+        },
+      });
+      assert.strictEqual(result.isNormalized(), true);
+      assert.deepStrictEqual(result.box(), {
+        x: 0.25,
+        y: 0,
+        width: 0.5,
+        height: 0.5,
+      });
+      assert.deepStrictEqual(result.toPixels(200, 100), [
+        {x: 50, y: 0},
+        {x: 150, y: 0},
+        {x: 150, y: 50},
+        {x: 50, y: 50},
+      ]);
+    });
+
+    it('returns pixel vertices as they are', () => {
+      const result = new EntityResult({boundingPoly: square});
+      assert.deepStrictEqual(result.toPixels(200, 100), [
+        {x: 0, y: 0},
+        {x: 10, y: 0},
+        {x: 10, y: 10},
+        {x: 0, y: 10},
+      ]);
+    });
+  });
+
+  describe('FaceResult', () => {
+    it('reads the tight box and likelihoods', () => {
+      const face = new FaceResult({
+        boundingPoly: square,
+        fdBoundingPoly: {
+          vertices: [
+            {x: 2, y: 3},
+            {x: 8, y: 9},
+          ],
+        },
+        joyLikelihood: 5,
+        angerLikelihood: 'UNLIKELY',
+      });
+      assert.deepStrictEqual(face.skinBox(), {x: 2, y: 3, width: 6, height: 6});
+      assert.strictEqual(face.likelihood('joy'), 'VERY_LIKELY');
+      assert.strictEqual(face.likelihood('anger'), 'UNLIKELY');
+      assert.strictEqual(face.likelihood('headwear'), 'UNKNOWN');
+    });
+  });
+
+  describe('TextBlockResult', () => {
+    it('uses the bounding box and joins the symbols', () => {
+      const symbol = (text, type) => {
+        return type ? {text, property: {detectedBreak: {type}}} : {text};
+      };
+      const block = new TextBlockResult({
+        boundingBox: square,
+        paragraphs: [
+          {
+            words: [
+              {symbols: [symbol('H'), symbol('i', 'SPACE')]},
+              {symbols: [symbol('y'), symbol('o', 5)]},
+            ],
+          },
+        ],
+      });
+      assert.strictEqual(block.area(), 100);
+      assert.strictEqual(block.text(), 'Hi yo\n');
+    });
+  });
+
+  describe('wrapResponse', () => {
+    it('wraps the annotations of a response', () => {
+      const response = wrapResponse({
+        faceAnnotations: [{boundingPoly: square}],
+        labelAnnotations: [{description: 'cat'}],
+        localizedObjectAnnotations: [{name: 'Cat'}],
+        fullTextAnnotation: {text: 'Hi', pages: [{width: 5, blocks: [{}]}]},
+        safeSearchAnnotation: {adult: 1},
+      });
+      assert(response.faceAnnotations[0] instanceof FaceResult);
+      assert(response.labelAnnotations[0] instanceof EntityResult);
+      assert(
+        response.localizedObjectAnnotations[0] instanceof LocalizedObjectResult
+      );
+      const page = response.fullTextAnnotation.pages[0];
+      assert.strictEqual(page.width, 5);
+      assert(page.blocks[0] instanceof TextBlockResult);
+      assert.deepStrictEqual(response.safeSearchAnnotation, {adult: 1});
+    });
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {TextIndex} = require('../src/search');
+
+describe('TextIndex', () => {
+  const poly = (x, y, width, height) => {
+    return {
+      vertices: [
+        {x, y},
+        {x: x + width, y},
+        {x: x + width, y: y + height},
+        {x, y: y + height},
+      ],
+    };
+  };
+
+  // A page with a line of text for each string, each word ten units wide
+  // per character.
+  const page = lines => {
+    const words = [];
+    lines.forEach((line, l) => {
+      let x = 0;
+      line.split(' ').forEach((text, i, texts) => {
+        const symbols = Array.from(text).map(c => ({text: c}));
+        symbols[symbols.length - 1].property = {
+          detectedBreak: {
+            type: i === texts.length - 1 ? 'LINE_BREAK' : 'SPACE',
+          },
+        };
+        words.push({
+          boundingBox: poly(x, l * 20, 10 * text.length, 10),
+          symbols,
+        });
+        x += 10 * text.length + 10;
+      });
+    });
+    return {
+      width: 400,
+      height: 400,
+      blocks: [{boundingBox: poly(0, 0, 400, 400), paragraphs: [{words}]}],
+    };
+  };
+
+  const receipt = {
+    fullTextAnnotation: {
+      pages: [
+        page(['Corner Store', 'Total amount: $12.50', 'Thank you!']),
+        page(['Invoice 42', 'total amount due']),
+      ],
+    },
+  };
+
+  const letter = {
+    fullTextAnnotation: {
+      pages: [page(['Dear customer, the amount in total is', 'Invoicing'])],
+    },
+  };
+
+  let index;
+
+  beforeEach(() => {
+    index = new TextIndex();
+    index.add('receipt.png', receipt);
+    index.add('letter.png', letter);
+  });
+
+  describe('searchPhrase', () => {
+    it('finds the words in a row, with their regions', () => {
+      const results = index.searchPhrase('TOTAL amount');
+      assert.deepStrictEqual(
+        results.map(result => result.name),
+        ['receipt.png']
+      );
+      const matches = results[0].matches;
+      assert.deepStrictEqual(
+        matches.map(match => [match.page, match.text, match.box]),
+        [
+          [1, 'Total amount:', {x: 0, y: 20, width: 130, height: 10}],
+          [2, 'total amount', {x: 0, y: 20, width: 120, height: 10}],
+        ]
+      );
+      assert.deepStrictEqual(matches[0].words[1], {
+        text: 'amount:',
+        box: {x: 60, y: 20, width: 70, height: 10},
+      });
+    });
+
+    it('does not match across pages', () => {
+      assert.deepStrictEqual(index.searchPhrase('thank you invoice'), []);
+      assert.deepStrictEqual(index.searchPhrase('  '), []);
+    });
+  });
+
+  describe('searchPrefix', () => {
+    it('finds the words starting with a prefix', () => {
+      const results = index.searchPrefix('Invoic');
+      assert.deepStrictEqual(
+        results.map(result => {
+          return [result.name, result.matches.map(match => match.text)];
+        }),
+        [
+          ['letter.png', ['Invoicing']],
+          ['receipt.png', ['Invoice']],
+        ]
+      );
+      assert.strictEqual(index.searchPrefix('amount').length, 2);
+      assert.strictEqual(index.searchPrefix('amount')[0].matches.length, 2);
+    });
+
+    it('requires a single word', () => {
+      assert.throws(() => index.searchPrefix('total am'), /single word/);
+    });
+  });
+
+  describe('searchNear', () => {
+    it('finds words near each other in any order', () => {
+      const results = index.searchNear(['amount', 'total'], {distance: 2});
+      assert.deepStrictEqual(
+        results.map(result => {
+          return [result.name, result.matches.map(match => match.text)];
+        }),
+        [
+          ['receipt.png', ['Total amount:', 'total amount']],
+          ['letter.png', ['amount total']],
+        ]
+      );
+      assert.deepStrictEqual(
+        index.searchNear('customer total', {distance: 2}),
+        []
+      );
+      assert.strictEqual(index.searchNear('customer total').length, 1);
+    });
+
+    it('validates the distance', () => {
+      assert.throws(
+        () => index.searchNear('a b', {distance: 0}),
+        /The distance option must be a positive integer\./
+      );
+    });
+  });
+
+  it('reads the words of textAnnotations', () => {
+    index.add('sign.png', {
+      textAnnotations: [
+        {description: 'No parking'},
+        {description: 'No', boundingPoly: poly(0, 0, 20, 10)},
+        {description: 'parking', boundingPoly: poly(30, 0, 70, 10)},
+      ],
+    });
+    const results = index.searchPhrase('no parking');
+    assert.strictEqual(results[0].name, 'sign.png');
+    assert.deepStrictEqual(results[0].matches[0].box, {
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 10,
+    });
+  });
+
+  it('replaces and removes documents', () => {
+    assert.deepStrictEqual(index.names(), ['letter.png', 'receipt.png']);
+    index.add('letter.png', {fullTextAnnotation: {pages: [page(['Hello'])]}});
+    assert.deepStrictEqual(index.searchPrefix('invoic').length, 1);
+    assert.strictEqual(index.remove('receipt.png'), true);
+    assert.strictEqual(index.remove('receipt.png'), false);
+    assert.strictEqual(index.has('receipt.png'), false);
+    assert.deepStrictEqual(index.searchPrefix('invoic'), []);
+  });
+
+  describe('files', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-'));
+    });
+
+    it('saves and loads the index', () => {
+      const file = path.join(directory, 'index.json');
+      const saved = new TextIndex({file});
+      saved.add('receipt.png', receipt, {modified: 1000});
+      return saved
+        .save()
+        .then(() => {
+          assert.deepStrictEqual(fs.readdirSync(directory), ['index.json']);
+          const loaded = new TextIndex({file});
+          return loaded.load().then(() => loaded);
+        })
+        .then(loaded => {
+          assert.deepStrictEqual(
+            loaded.searchPhrase('total amount'),
+            saved.searchPhrase('total amount')
+          );
+        });
+    });
+
+    it('loads a missing file as an empty index', () => {
+      const loaded = new TextIndex({file: path.join(directory, 'none.json')});
+      return loaded.load().then(() => {
+        assert.deepStrictEqual(loaded.names(), []);
+      });
+    });
+
+    it('rejects files which are not an index', done => {
+      const file = path.join(directory, 'index.json');
+      fs.writeFileSync(file, '{"version": 2}');
+      new TextIndex({file}).load(err => {
+        assert(/is not a version 1 text index/.test(err.message));
+        new TextIndex().save(err => {
+          assert.strictEqual(err.message, 'The index has no file to save to.');
+          done();
+        });
+      });
+    });
+
+    it('indexes the images in a directory', () => {
+      const images = path.join(directory, 'images');
+      fs.mkdirSync(images);
+      fs.mkdirSync(path.join(images, 'nested'));
+      fs.writeFileSync(path.join(images, 'receipt.png'), 'receipt');
+      fs.writeFileSync(path.join(images, 'nested', 'letter.JPG'), 'letter');
+      fs.writeFileSync(path.join(images, 'broken.png'), 'broken');
+      fs.writeFileSync(path.join(images, 'notes.txt'), 'ignored');
+      fs.writeFileSync(path.join(images, 'scan.pdf'), 'scan');
+
+      const calls = [];
+      const client = {
+        documentTextDetection: (file, callback) => {
+          calls.push(path.relative(images, file));
+          const contents = fs.readFileSync(file, 'utf8');
+          if (contents === 'broken') {
+            return callback(null, {error: {code: 3, message: 'Bad image.'}});
+          }
+          callback(null, contents === 'receipt' ? receipt : letter);
+        },
+      };
+      const file = path.join(directory, 'index.json');
+      const textIndex = new TextIndex({file});
+      textIndex.add(path.join(images, 'scan.pdf'), letter);
+      return textIndex
+        .indexDirectory(client, images)
+        .then(results => {
+          const outcome = results[0];
+          assert.deepStrictEqual(calls, [
+            'broken.png',
+            path.join('nested', 'letter.JPG'),
+            'receipt.png',
+          ]);
+          assert.deepStrictEqual(outcome.added, [
+            path.join(images, 'nested', 'letter.JPG'),
+            path.join(images, 'receipt.png'),
+          ]);
+          assert.deepStrictEqual(
+            outcome.failed.map(failure => failure.name),
+            [path.join(images, 'broken.png')]
+          );
+          assert.strictEqual(outcome.failed[0].error.code, 3);
+          assert.strictEqual(
+            textIndex.searchPhrase('total amount')[0].name,
+            path.join(images, 'receipt.png')
+          );
+
+          // Unchanged images are not annotated again, and removed ones are
+          // forgotten.
+          fs.unlinkSync(path.join(images, 'nested', 'letter.JPG'));
+          calls.length = 0;
+          const reloaded = new TextIndex({file});
+          return reloaded
+            .load()
+            .then(() => reloaded.indexDirectory(client, images));
+        })
+        .then(results => {
+          const outcome = results[0];
+          assert.deepStrictEqual(calls, ['broken.png']);
+          assert.deepStrictEqual(outcome.skipped, [
+            path.join(images, 'receipt.png'),
+          ]);
+          assert.deepStrictEqual(outcome.removed, [
+            path.join(images, 'nested', 'letter.JPG'),
+          ]);
+
+          // Documents added for files which are not images are kept.
+          const reloaded = new TextIndex({file});
+          return reloaded.load().then(() => {
+            assert.deepStrictEqual(reloaded.names(), [
+              path.join(images, 'receipt.png'),
+              path.join(images, 'scan.pdf'),
+            ]);
+          });
+        });
+    });
+
+    it('validates the feature', () => {
+      return new TextIndex()
+        .indexDirectory({}, directory, {feature: 'LABEL_DETECTION'})
+        .then(
+          () => assert.fail('The indexing should fail.'),
+          err =>
+            assert(
+              /DOCUMENT_TEXT_DETECTION or TEXT_DETECTION/.test(err.message)
+            )
+        );
+    });
+  });
+});
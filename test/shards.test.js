@@ -0,0 +1,250 @@
+/**
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DirectoryReader,
+  StorageReader,
+  readFileOutput,
+} = require('../src/shards');
+
+describe('File output', () => {
+  const SOURCE = {gcsSource: {uri: 'gs://bucket/document.pdf'}};
+
+  // The response for a page, with a one-word full text annotation.
+  const page = (pageNumber, text) => ({
+    fullTextAnnotation: {pages: [{width: 100, height: 100}], text: `${text}\n`},
+    context: {uri: SOURCE.gcsSource.uri, pageNumber},
+  });
+
+  let directory;
+
+  // Write a shard of output to the `out` directory.
+  const write = (name, response) => {
+    if (!fs.existsSync(path.join(directory, 'out'))) {
+      fs.mkdirSync(path.join(directory, 'out'));
+    }
+    fs.writeFileSync(path.join(directory, name), JSON.stringify(response));
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-'));
+  });
+
+  describe('DirectoryReader', () => {
+    it('requires a directory', () => {
+      assert.throws(() => new DirectoryReader(), /needs a directory/);
+    });
+
+    it('lists the files starting with a prefix', done => {
+      fs.mkdirSync(path.join(directory, 'out'));
+      fs.mkdirSync(path.join(directory, 'out', 'nested'));
+      fs.writeFileSync(path.join(directory, 'out', 'a.json'), '{}');
+      fs.writeFileSync(path.join(directory, 'out', 'nested', 'b.json'), '{}');
+      fs.writeFileSync(path.join(directory, 'other.json'), '{}');
+
+      const reader = new DirectoryReader({directory});
+      reader.list('bucket', 'out/', (err, names) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(names, ['out/a.json', 'out/nested/b.json']);
+        reader.list('bucket', 'missing/', (err, names) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(names, []);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('StorageReader', () => {
+    it('lists and downloads objects through the client', done => {
+      const calls = [];
+      const storage = {
+        bucket: bucket => ({
+          getFiles: (options, callback) => {
+            calls.push(['getFiles', bucket, options.prefix]);
+            callback(null, [{name: 'out/output-1-to-1.json'}]);
+          },
+          file: name => ({
+            download: callback => {
+              calls.push(['download', bucket, name]);
+              callback(null, Buffer.from('{}'));
+            },
+          }),
+        }),
+      };
+      const reader = new StorageReader({storage});
+      reader.list('bucket', 'out/', (err, names) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(names, ['out/output-1-to-1.json']);
+        reader.read('bucket', names[0], (err, contents) => {
+          assert.ifError(err);
+          assert.strictEqual(contents.toString(), '{}');
+          assert.deepStrictEqual(calls, [
+            ['getFiles', 'bucket', 'out/'],
+            ['download', 'bucket', 'out/output-1-to-1.json'],
+          ]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('readFileOutput', () => {
+    it('stitches the shards into one document in page order', () => {
+      write('out/output-3-to-4.json', {
+        inputConfig: SOURCE,
+        responses: [page(4, 'four'), page(3, 'three')],
+      });
+      write('out/output-1-to-2.json', {
+        inputConfig: SOURCE,
+        responses: [page(1, 'one'), page(2, 'two')],
+      });
+      write('out/output-10-to-10.json', {
+        inputConfig: SOURCE,
+        responses: [page(10, 'ten')],
+      });
+      fs.writeFileSync(path.join(directory, 'out', 'notes.txt'), 'ignored');
+
+      const reader = new DirectoryReader({directory});
+      return readFileOutput(
+        {gcsDestination: {uri: 'gs://bucket/out/'}},
+        reader
+      ).then(results => {
+        const document = results[0];
+        assert.deepStrictEqual(document.inputConfig, SOURCE);
+        assert.deepStrictEqual(document.shards, [
+          'out/output-1-to-2.json',
+          'out/output-3-to-4.json',
+          'out/output-10-to-10.json',
+        ]);
+        assert.deepStrictEqual(
+          document.responses.map(response => response.context.pageNumber),
+          [1, 2, 3, 4, 10]
+        );
+        assert.strictEqual(
+          document.fullTextAnnotation.text,
+          'one\ntwo\nthree\nfour\nten\n'
+        );
+        assert.strictEqual(document.fullTextAnnotation.pages.length, 5);
+      });
+    });
+
+    it('accepts a URI or an AsyncAnnotateFileResponse', done => {
+      write('out/output-1-to-1.json', {responses: [{}]});
+      const reader = new DirectoryReader({directory});
+      readFileOutput('gs://bucket/out/output', reader, (err, document) => {
+        assert.ifError(err);
+        assert.strictEqual(document.inputConfig, null);
+        assert.strictEqual(document.fullTextAnnotation, null);
+        assert.deepStrictEqual(document.responses, [{}]);
+        readFileOutput(
+          {outputConfig: {gcsDestination: {uri: 'gs://bucket/out/'}}},
+          reader,
+          (err, document) => {
+            assert.ifError(err);
+            assert.strictEqual(document.responses.length, 1);
+            done();
+          }
+        );
+      });
+    });
+
+    it('rejects output which is not on Cloud Storage', () => {
+      const reader = new DirectoryReader({directory});
+      return readFileOutput({uri: '/tmp/out'}, reader).then(
+        () => assert.fail('The read should fail.'),
+        err => assert(/must be a gs:\/\/ URI/.test(err.message))
+      );
+    });
+
+    it('fails when there are no shards', () => {
+      const reader = new DirectoryReader({directory});
+      return readFileOutput('gs://bucket/out/', reader).then(
+        () => assert.fail('The read should fail.'),
+        err => assert(/No output files were found/.test(err.message))
+      );
+    });
+
+    it('fails on a shard which is not an AnnotateFileResponse', () => {
+      write('out/output-1-to-1.json', {pages: []});
+      const reader = new DirectoryReader({directory});
+      return readFileOutput('gs://bucket/out/', reader).then(
+        () => assert.fail('The read should fail.'),
+        err => {
+          assert.strictEqual(
+            err.message,
+            'The output file out/output-1-to-1.json is not an ' +
+              'AnnotateFileResponse.'
+          );
+        }
+      );
+    });
+
+    it('fails when the shards are for different files', () => {
+      write('out/output-1-to-1.json', {inputConfig: SOURCE, responses: []});
+      write('out/output-2-to-2.json', {
+        inputConfig: {gcsSource: {uri: 'gs://bucket/other.pdf'}},
+        responses: [],
+      });
+      const reader = new DirectoryReader({directory});
+      return readFileOutput('gs://bucket/out/', reader).then(
+        () => assert.fail('The read should fail.'),
+        err => assert(/more than one file/.test(err.message))
+      );
+    });
+
+    it('reads a few shards at a time', () => {
+      const names = [];
+      for (let i = 1; i <= 10; i++) {
+        names.push(`out/output-${i}-to-${i}.json`);
+      }
+      let reading = 0;
+      let most = 0;
+      const reader = {
+        list: (bucket, prefix, callback) => callback(null, names),
+        read: (bucket, name, callback) => {
+          reading++;
+          most = Math.max(most, reading);
+          setImmediate(() => {
+            reading--;
+            callback(null, JSON.stringify({responses: [{}]}));
+          });
+        },
+      };
+      return readFileOutput('gs://bucket/out/', reader).then(results => {
+        assert.strictEqual(results[0].responses.length, 10);
+        assert.strictEqual(most, 4);
+      });
+    });
+
+    it('passes on reader errors', () => {
+      const reader = {
+        list: (bucket, prefix, callback) => callback(new Error('Forbidden.')),
+      };
+      return readFileOutput('gs://bucket/out/', reader).then(
+        () => assert.fail('The read should fail.'),
+        err => assert.strictEqual(err.message, 'Forbidden.')
+      );
+    });
+  });
+});
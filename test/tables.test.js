@@ -0,0 +1,191 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const tables = require('../src/tables');
+
+describe('Table and key-value extraction', () => {
+  // A word at (x, y), ten units wide per character and twenty high, followed
+  // by a space. Its symbols have the given confidence.
+  const word = (text, x, y, confidence) => {
+    const width = 10 * text.length;
+    return {
+      boundingBox: {
+        vertices: [
+          {x, y},
+          {x: x + width, y},
+          {x: x + width, y: y + 20},
+          {x, y: y + 20},
+        ],
+      },
+      confidence: 0.5,
+      symbols: text.split('').map((c, i) => {
+        const symbol = {text: c, confidence};
+        if (i === text.length - 1) {
+          symbol.property = {detectedBreak: {type: 'SPACE'}};
+        }
+        return symbol;
+      }),
+    };
+  };
+
+  // Each word in its own block, as the API often reports scattered text.
+  const page = words => {
+    return {
+      width: 400,
+      height: 300,
+      blocks: words.map(w => ({paragraphs: [{words: [w]}]})),
+    };
+  };
+
+  const invoice = page([
+    word('Invoice', 0, 0, 0.9),
+    word('No:', 80, 0, 0.9),
+    word('12345', 120, 0, 0.6),
+    word('Date:', 0, 30, 1),
+    word('2018-10-01', 250, 32, 1),
+    word('Bill', 0, 60, 1),
+    word('to:', 50, 60, 1),
+    word('ACME', 0, 90, 0.8),
+    word('Corp', 50, 90, 0.8),
+    word('Item', 0, 150, 1),
+    word('Qty', 200, 150, 1),
+    word('Price', 300, 150, 1),
+    word('Blue', 0, 180, 1),
+    word('widget', 50, 181, 1),
+    word('2', 210, 180, 1),
+    word('3.50', 300, 180, 1),
+    word('Gadget', 0, 210, 1),
+    word('10', 205, 210, 1),
+    word('1,200.00', 300, 210, undefined),
+  ]);
+
+  describe('extractTables', () => {
+    it('finds the rows and columns of a table', () => {
+      const found = tables.extractTables({pages: [invoice]});
+      assert.strictEqual(found.length, 1);
+      const table = found[0];
+      assert.strictEqual(table.page, 1);
+      assert.deepStrictEqual(table.rows, [
+        ['Item', 'Qty', 'Price'],
+        ['Blue widget', '2', '3.50'],
+        ['Gadget', '10', '1,200.00'],
+      ]);
+      assert.deepStrictEqual(table.box, {x: 0, y: 150, width: 380, height: 80});
+      assert.deepStrictEqual(table.cells[1][0].box, {
+        x: 0,
+        y: 180,
+        width: 110,
+        height: 21,
+      });
+      // The symbols of "1,200.00" have no confidence, so its word's is used.
+      assert.strictEqual(table.cells[2][2].confidence, 0.5);
+      assert.strictEqual(table.cells[0][0].confidence, 1);
+      assert(table.confidence > 0.5 && table.confidence < 1);
+    });
+
+    it('leaves empty cells blank', () => {
+      const found = tables.extractTables({
+        pages: [
+          page([
+            word('a', 0, 0, 1),
+            word('b', 100, 0, 1),
+            word('c', 200, 0, 1),
+            word('d', 0, 30, 1),
+            word('f', 200, 30, 1),
+          ]),
+        ],
+      });
+      assert.deepStrictEqual(found[0].rows, [
+        ['a', 'b', 'c'],
+        ['d', '', 'f'],
+      ]);
+      assert.strictEqual(found[0].cells[1][1], null);
+    });
+
+    it('analyzes each page on its own', () => {
+      const second = page([
+        word('x', 0, 0, 1),
+        word('y', 100, 0, 1),
+        word('1', 0, 25, 1),
+        word('2', 100, 25, 1),
+      ]);
+      const found = tables.extractTables({pages: [invoice, second]});
+      assert.deepStrictEqual(
+        found.map(table => table.page),
+        [1, 2]
+      );
+      assert.deepStrictEqual(found[1].rows, [
+        ['x', 'y'],
+        ['1', '2'],
+      ]);
+    });
+
+    it('applies the options', () => {
+      const found = tables.extractTables({pages: [invoice]}, {minRows: 4});
+      assert.deepStrictEqual(found, []);
+      assert.throws(() => {
+        tables.extractTables({pages: [invoice]}, {columnGap: 0});
+      }, /columnGap option must be a positive number/);
+    });
+  });
+
+  describe('extractKeyValuePairs', () => {
+    it('finds labels and their values', () => {
+      const pairs = tables.extractKeyValuePairs({pages: [invoice]});
+      assert.deepStrictEqual(
+        pairs.map(pair => [pair.page, pair.key, pair.value]),
+        [
+          [1, 'Invoice No', '12345'],
+          [1, 'Date', '2018-10-01'],
+          [1, 'Bill to', 'ACME Corp'],
+        ]
+      );
+      assert.deepStrictEqual(pairs[0].keyBox, {
+        x: 0,
+        y: 0,
+        width: 110,
+        height: 20,
+      });
+      assert.deepStrictEqual(pairs[0].valueBox, {
+        x: 120,
+        y: 0,
+        width: 50,
+        height: 20,
+      });
+      // Ten symbols at 0.9 and five at 0.6.
+      assert.strictEqual(pairs[0].confidence.toFixed(2), '0.80');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('formats a table as CSV', () => {
+      const table = tables.extractTables({pages: [invoice]})[0];
+      assert.strictEqual(
+        tables.toCsv(table),
+        'Item,Qty,Price\r\nBlue widget,2,3.50\r\nGadget,10,"1,200.00"\r\n'
+      );
+    });
+
+    it('quotes fields which need it', () => {
+      const csv = tables.toCsv([['say "hi"', ' padded', 'two\nlines', null]]);
+      assert.strictEqual(csv, '"say ""hi"""," padded","two\nlines",\r\n');
+    });
+  });
+});
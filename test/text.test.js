@@ -0,0 +1,269 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const text = require('../src/text');
+
+describe('Text serializers', () => {
+  const box = (x0, y0, x1, y1) => {
+    return {
+      vertices: [
+        {x: x0, y: y0},
+        {x: x1, y: y0},
+        {x: x1, y: y1},
+        {x: x0, y: y1},
+      ],
+    };
+  };
+
+  // A word whose symbols are its characters, with a break after the last.
+  const word = (chars, x0, y0, breakType, confidence) => {
+    const symbols = chars.split('').map((c, i) => {
+      return {
+        text: c,
+        boundingBox: box(x0 + 10 * i, y0, x0 + 10 * i + 10, y0 + 20),
+      };
+    });
+    if (breakType) {
+      symbols[symbols.length - 1].property = {detectedBreak: {type: breakType}};
+    }
+    return {
+      boundingBox: box(x0, y0, x0 + 10 * chars.length, y0 + 20),
+      confidence,
+      symbols,
+    };
+  };
+
+  // Two lines: "Fish & chips" and "to-day", hyphenated across a third.
+  const annotation = {
+    text: 'Fish & chips to-\nday\n',
+    pages: [
+      {
+        width: 200,
+        height: 100,
+        confidence: 0.9,
+        property: {detectedLanguages: [{languageCode: 'en', confidence: 1}]},
+        blocks: [
+          {
+            boundingBox: box(0, 0, 120, 70),
+            paragraphs: [
+              {
+                property: {
+                  detectedLanguages: [
+                    {languageCode: 'fr', confidence: 0.2},
+                    {languageCode: 'en', confidence: 0.8},
+                  ],
+                },
+                words: [
+                  word('Fish', 0, 0, 'SPACE', 0.99),
+                  word('&', 50, 0, 1, 0.5),
+                  word('chips', 70, 0, 'EOL_SURE_SPACE', 0.9),
+                  word('to', 0, 25, 'HYPHEN', 0.8),
+                  word('day', 0, 50, 5, 0.7),
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+
+  describe('toHocr', () => {
+    it('maps pages, blocks, paragraphs, lines and words', () => {
+      const hocr = text.toHocr(annotation);
+      assert(/^<\?xml version="1.0" encoding="UTF-8"\?>/.test(hocr));
+      assert(hocr.indexOf('title="bbox 0 0 200 100; ppageno 0"') > -1);
+      assert(hocr.indexOf('class="ocr_carea" id="block_1_1"') > -1);
+      assert(hocr.indexOf('title="bbox 0 0 120 70"') > -1);
+      assert(/<p class="ocr_par" id="par_1_1" lang="en"/.test(hocr));
+      assert.strictEqual(hocr.match(/class="ocr_line"/g).length, 3);
+      assert(
+        hocr.indexOf(
+          '<span class="ocr_line" id="line_1_1" title="bbox 0 0 120 20">'
+        ) > -1
+      );
+      assert(
+        hocr.indexOf(
+          '<span class="ocrx_word" id="word_1_2" title="bbox 50 0 60 20; ' +
+            'x_wconf 50">&amp;</span>'
+        ) > -1
+      );
+      assert(hocr.indexOf('x_wconf 80">to-</span>') > -1);
+    });
+
+    it('converts normalized vertices to page units', () => {
+      const hocr = text.toHocr({
+        pages: [
+          {
+            width: 612,
+            height: 792,
+            blocks: [
+              {
+                boundingBox: {
+                  normalizedVertices: [
+                    {x: 0.5, y: 0.5},
+                    {x: 1, y: 1},
+                  ],
+                },
+              },
+            ],
+          },
+        ],
+      });
+      assert(hocr.indexOf('title="bbox 306 396 612 792"') > -1);
+    });
+
+    it('rounds fractional boxes to whole units', () => {
+      const hocr = text.toHocr({
+        pages: [
+          {
+            width: 612,
+            height: 792,
+            blocks: [
+              {
+                boundingBox: {
+                  normalizedVertices: [
+                    {x: 0.123, y: 0.456},
+                    {x: 0.789, y: 0.9},
+                  ],
+                },
+              },
+            ],
+          },
+        ],
+      });
+      assert(hocr.indexOf('title="bbox 75 361 483 713"') > -1);
+    });
+  });
+
+  describe('toAlto', () => {
+    it('maps lines and words to TextLine and String elements', () => {
+      const alto = text.toAlto(annotation);
+      assert(
+        /xmlns="http:\/\/www.loc.gov\/standards\/alto\/ns-v4#"/.test(alto)
+      );
+      assert(
+        alto.indexOf(
+          '<Page ID="page_1" PHYSICAL_IMG_NR="1" WIDTH="200" HEIGHT="100"' +
+            ' PC="0.9">'
+        ) > -1
+      );
+      assert(
+        alto.indexOf(
+          '<ComposedBlock ID="block_1_1" HPOS="0" VPOS="0" WIDTH="120"' +
+            ' HEIGHT="70">'
+        ) > -1
+      );
+      assert(/<TextBlock ID="par_1_1" [^>]* LANG="en">/.test(alto));
+      assert.strictEqual(alto.match(/<TextLine /g).length, 3);
+      assert.strictEqual(alto.match(/<SP\/>/g).length, 2);
+      assert(
+        alto.indexOf(
+          '<String ID="word_1_2" CONTENT="&amp;" HPOS="50" VPOS="0"' +
+            ' WIDTH="10" HEIGHT="20" WC="0.5"/>'
+        ) > -1
+      );
+      assert(/CONTENT="to" [^>]*\/>\n\s*<HYP CONTENT="-"\/>/.test(alto));
+    });
+
+    it('converts points to tenths of a millimeter', () => {
+      const alto = text.toAlto(annotation, {unit: 'point'});
+      assert(alto.indexOf('<MeasurementUnit>mm10</MeasurementUnit>') > -1);
+      assert(
+        alto.indexOf(
+          '<Page ID="page_1" PHYSICAL_IMG_NR="1" WIDTH="706" HEIGHT="353"' +
+            ' PC="0.9">'
+        ) > -1
+      );
+      assert(
+        alto.indexOf(
+          '<String ID="word_1_2" CONTENT="&amp;" HPOS="176" VPOS="0"' +
+            ' WIDTH="35" HEIGHT="71" WC="0.5"/>'
+        ) > -1
+      );
+      assert(
+        text
+          .toAlto(annotation)
+          .indexOf('<MeasurementUnit>pixel</MeasurementUnit>') > -1
+      );
+      assert.throws(
+        () => text.toAlto(annotation, {unit: 'inch'}),
+        /Unknown unit "inch"\. Use one of: pixel, point\./
+      );
+    });
+
+    it('serializes an empty annotation', () => {
+      const alto = text.toAlto({});
+      assert(/<Layout>\n {2}<\/Layout>/.test(alto));
+    });
+  });
+
+  describe('toPdfTextLayer', () => {
+    it('writes a page per page with invisible text', () => {
+      const pdf = text.toPdfTextLayer(annotation);
+      assert(Buffer.isBuffer(pdf));
+      const source = pdf.toString('latin1');
+      assert(/^%PDF-1.4\n/.test(source));
+      assert(/\/MediaBox \[0 0 200 100\]/.test(source));
+      assert(/\/Count 1 >>/.test(source));
+      assert(source.indexOf('3 Tr') > -1);
+      assert(source.indexOf('(Fish) Tj') > -1);
+      assert(source.indexOf('(to-) Tj') > -1);
+      // "Fish" is 20 high, and its baseline a fifth of the way up its box.
+      assert(source.indexOf('/F1 20 Tf') > -1);
+      assert(source.indexOf('1 0 0 1 0 84 Tm') > -1);
+      assert(/%%EOF\n$/.test(source));
+    });
+
+    it('points the cross-reference table at each object', () => {
+      const source = text.toPdfTextLayer(annotation).toString('latin1');
+      const xref = Number(/startxref\n(\d+)/.exec(source)[1]);
+      assert.strictEqual(source.substr(xref, 4), 'xref');
+      const offsets = source
+        .match(/\d{10} 00000 n/g)
+        .map(entry => Number(entry.slice(0, 10)));
+      offsets.forEach((offset, i) => {
+        assert.strictEqual(source.substr(offset, 8), `${i + 1} 0 obj\n`);
+      });
+    });
+
+    it('escapes and replaces characters', () => {
+      const source = text
+        .toPdfTextLayer({
+          pages: [
+            {
+              width: 100,
+              height: 100,
+              blocks: [
+                {
+                  paragraphs: [
+                    {words: [word('(é)', 0, 0), word('日本', 0, 30)]},
+                  ],
+                },
+              ],
+            },
+          ],
+        })
+        .toString('latin1');
+      assert(source.indexOf('(\\(é\\)) Tj') > -1);
+      assert(source.indexOf('(??) Tj') > -1);
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/*!
+ * Copyright 2018 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {InvalidImageError} = require('../src/errors');
+const validation = require('../src/validation');
+
+describe('Image validation', () => {
+  const DATA = path.join(__dirname, '..', 'system-test', 'data');
+
+  // Build a buffer from a mix of latin1 strings and byte arrays.
+  const bytes = function() {
+    return Buffer.concat(
+      Array.prototype.map.call(arguments, part => {
+        return typeof part === 'string'
+          ? Buffer.from(part, 'latin1')
+          : Buffer.from(part);
+      })
+    );
+  };
+
+  describe('sniffImage', () => {
+    it('reads JPEG and PNG files', () => {
+      const jpeg = fs.readFileSync(path.join(DATA, 'logo.jpg'));
+      assert.deepStrictEqual(validation.sniffImage(jpeg), {
+        format: 'JPEG',
+        width: 351,
+        height: 113,
+      });
+      const png = fs.readFileSync(path.join(DATA, 'text.png'));
+      assert.deepStrictEqual(validation.sniffImage(png), {
+        format: 'PNG',
+        width: 500,
+        height: 95,
+      });
+    });
+
+    it('reads GIF, BMP and ICO headers', () => {
+      const gif = bytes('GIF89a', [0x68, 0x01, 0xb8, 0x01]);
+      assert.deepStrictEqual(validation.sniffImage(gif), {
+        format: 'GIF',
+        width: 360,
+        height: 440,
+      });
+
+      const bmp = Buffer.alloc(26);
+      bmp.write('BM', 0, 'latin1');
+      bmp.writeUInt32LE(40, 14);
+      bmp.writeInt32LE(64, 18);
+      bmp.writeInt32LE(-32, 22);
+      assert.deepStrictEqual(validation.sniffImage(bmp), {
+        format: 'BMP',
+        width: 64,
+        height: 32,
+      });
+
+      const ico = Buffer.alloc(38);
+      ico.writeUInt16LE(1, 2);
+      ico.writeUInt16LE(2, 4);
+      ico[6] = 16;
+      ico[7] = 16;
+      assert.deepStrictEqual(validation.sniffImage(ico), {
+        format: 'ICO',
+        width: 256,
+        height: 256,
+      });
+    });
+
+    it('reads the three kinds of WEBP header', () => {
+      const riff = chunk => bytes('RIFF', [0, 0, 0, 0], 'WEBP', chunk);
+
+      const lossy = Buffer.alloc(30);
+      lossy.write('VP8 ', 0, 'latin1');
+      Buffer.from([0x9d, 0x01, 0x2a]).copy(lossy, 11);
+      lossy.writeUInt16LE(640, 14);
+      lossy.writeUInt16LE(480, 16);
+      assert.deepStrictEqual(validation.sniffImage(riff(lossy)), {
+        format: 'WEBP',
+        width: 640,
+        height: 480,
+      });
+
+      const lossless = Buffer.alloc(30);
+      lossless.write('VP8L', 0, 'latin1');
+      lossless[8] = 0x2f;
+      lossless.writeUInt32LE(99 | (49 << 14), 9);
+      assert.deepStrictEqual(validation.sniffImage(riff(lossless)), {
+        format: 'WEBP',
+        width: 100,
+        height: 50,
+      });
+
+      const extended = Buffer.alloc(30);
+      extended.write('VP8X', 0, 'latin1');
+      extended.writeUIntLE(1919, 12, 3);
+      extended.writeUIntLE(1079, 15, 3);
+      assert.deepStrictEqual(validation.sniffImage(riff(extended)), {
+        format: 'WEBP',
+        width: 1920,
+        height: 1080,
+      });
+    });
+
+    it('reads TIFF headers in both byte orders', () => {
+      const tiff = (littleEndian, width, height) => {
+        const buffer = Buffer.alloc(8 + 2 + 2 * 12);
+        const uint16 = littleEndian ? 'writeUInt16LE' : 'writeUInt16BE';
+        const uint32 = littleEndian ? 'writeUInt32LE' : 'writeUInt32BE';
+        buffer.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+        buffer[uint16](42, 2);
+        buffer[uint32](8, 4);
+        buffer[uint16](2, 8);
+        buffer[uint16](256, 10);
+        buffer[uint16](3, 12);
+        buffer[uint16](width, 18);
+        buffer[uint16](257, 22);
+        buffer[uint16](4, 24);
+        buffer[uint32](height, 30);
+        return buffer;
+      };
+      assert.deepStrictEqual(validation.sniffImage(tiff(true, 300, 200)), {
+        format: 'TIFF',
+        width: 300,
+        height: 200,
+      });
+      assert.deepStrictEqual(validation.sniffImage(tiff(false, 30, 70000)), {
+        format: 'TIFF',
+        width: 30,
+        height: 70000,
+      });
+    });
+
+    it('recognizes PDF and RAW files without reading dimensions', () => {
+      assert.deepStrictEqual(validation.sniffImage(bytes('%PDF-1.7\n')), {
+        format: 'PDF',
+      });
+      assert.deepStrictEqual(
+        validation.sniffImage(bytes('FUJIFILMCCD-RAW 0201')),
+        {format: 'RAW'}
+      );
+      assert.deepStrictEqual(validation.sniffImage(bytes('IIRO', [8, 0])), {
+        format: 'RAW',
+      });
+    });
+
+    it('flags truncated headers as corrupt', () => {
+      const jpeg = fs.readFileSync(path.join(DATA, 'logo.jpg'));
+      assert.deepStrictEqual(validation.sniffImage(jpeg.slice(0, 100)), {
+        format: 'JPEG',
+        corrupt: true,
+      });
+      assert.deepStrictEqual(validation.sniffImage(bytes('GIF89a', [1])), {
+        format: 'GIF',
+        corrupt: true,
+      });
+    });
+
+    it('returns null for unknown formats', () => {
+      assert.strictEqual(validation.sniffImage(bytes('bogus==')), null);
+      assert.strictEqual(validation.sniffImage(Buffer.alloc(0)), null);
+    });
+  });
+
+  describe('validateImage', () => {
+    const png = fs.readFileSync(path.join(DATA, 'text.png'));
+    const defaults = validation.resolveLimits(true);
+
+    it('passes valid images', () => {
+      assert.strictEqual(validation.validateImage(png, defaults), null);
+    });
+
+    it('rejects unsupported formats', () => {
+      const request = {image: {content: 'Ym9ndXM='}};
+      const err = validation.validateImage(
+        Buffer.from('bogus'),
+        defaults,
+        request
+      );
+      assert(err instanceof InvalidImageError);
+      assert.strictEqual(err.reason, 'UNSUPPORTED_FORMAT');
+      assert(
+        /JPEG, PNG, GIF, BMP, WEBP, RAW, ICO, PDF or TIFF/.test(err.message)
+      );
+      assert.strictEqual(err.size, 5);
+      assert.strictEqual(err.request, request);
+    });
+
+    it('rejects corrupt images', () => {
+      const err = validation.validateImage(png.slice(0, 20), defaults);
+      assert.strictEqual(err.reason, 'CORRUPT');
+      assert.strictEqual(
+        err.message,
+        'The image appears to be a truncated or corrupt PNG file.'
+      );
+    });
+
+    it('enforces the size limits', () => {
+      const big = Buffer.concat([png, Buffer.alloc(21 * 1024 * 1024)]);
+      const tooLarge = validation.validateImage(big, defaults);
+      assert.strictEqual(tooLarge.reason, 'TOO_LARGE');
+      assert.strictEqual(
+        tooLarge.message,
+        'The image is 21.1 MB, which exceeds the 20 MB limit.'
+      );
+
+      const limits = validation.resolveLimits({maxBytes: 1000});
+      assert.strictEqual(
+        validation.validateImage(png, limits).message,
+        `The image is ${png.length} bytes, which exceeds the 1000 bytes limit.`
+      );
+
+      const encoded = validation.validateImage(
+        Buffer.concat([png, Buffer.alloc(8 * 1024 * 1024)]),
+        defaults
+      );
+      assert.strictEqual(encoded.reason, 'TOO_LARGE');
+      assert.strictEqual(
+        encoded.message,
+        'The image is 8.1 MB, which is 10.7 MB once base64-encoded and ' +
+          'exceeds the 10 MB request limit.'
+      );
+
+      const pixels = validation.resolveLimits({maxPixels: 40000});
+      const err = validation.validateImage(png, pixels);
+      assert.strictEqual(err.reason, 'TOO_MANY_PIXELS');
+      assert.strictEqual(err.width, 500);
+      assert.strictEqual(err.height, 95);
+    });
+
+    it('rejects images with more pixels than the API accepts', () => {
+      // A PNG header claiming 10000x10000 pixels.
+      const huge = Buffer.from(png);
+      huge.writeUInt32BE(10000, 16);
+      huge.writeUInt32BE(10000, 20);
+      const err = validation.validateImage(huge, defaults);
+      assert.strictEqual(err.reason, 'TOO_MANY_PIXELS');
+      assert.strictEqual(
+        err.message,
+        'The image is 10000x10000 pixels, which exceeds the 75000000 pixel ' +
+          'limit.'
+      );
+    });
+
+    it('restricts the formats if asked', () => {
+      const limits = validation.resolveLimits({formats: ['JPEG']});
+      const err = validation.validateImage(png, limits);
+      assert.strictEqual(err.reason, 'FORMAT_NOT_ALLOWED');
+      assert.strictEqual(err.format, 'PNG');
+    });
+  });
+
+  describe('resolveLimits', () => {
+    it('turns validation off for falsy settings', () => {
+      assert.strictEqual(validation.resolveLimits(undefined), null);
+      assert.strictEqual(validation.resolveLimits(false), null);
+    });
+
+    it('merges overrides with the defaults', () => {
+      const limits = validation.resolveLimits({maxPixels: 10});
+      assert.strictEqual(limits.maxBytes, 20 * 1024 * 1024);
+      assert.strictEqual(limits.maxPixels, 10);
+      assert.strictEqual(limits.maxRequestBytes, 10 * 1024 * 1024);
+      assert.deepStrictEqual(limits.formats, validation.FORMATS);
+    });
+  });
+});